@@ -8,12 +8,19 @@ dotenv.config();
 // Import routes
 import chatRoutes from './routes/chatRoutes.js';
 import appointmentRoutes from './routes/appointmentRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import ownerRoutes from './routes/ownerRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
 
 // Import production services
 import rateLimiter from './middleware/rateLimiter.js';
 import AnalyticsService from './services/AnalyticsService.js';
+import AnalyticsHistoryService from './services/AnalyticsHistoryService.js';
+import MetricsRegistry from './services/MetricsRegistry.js';
 import CacheService from './services/CacheService.js';
 import selfPingService from './services/SelfPingService.js';
+import RealtimeService from './services/RealtimeService.js';
+import { getStateStore } from './services/storage/index.js';
 
 // Initialize Express app
 const app = express();
@@ -61,7 +68,9 @@ app.use((req, res, next) => {
     const duration = Date.now() - startTime;
     AnalyticsService.trackResponseTime(req.path, duration, {
       method: req.method,
-      statusCode: res.statusCode
+      statusCode: res.statusCode,
+      // The matched route pattern - raw paths would make a series per session
+      route: req.route ? `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1') : 'unmatched'
     });
   });
 
@@ -76,35 +85,82 @@ app.use(express.json({ limit: '1mb' })); // Limit payload size
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
 // Health check endpoint with detailed stats
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   const health = {
     status: 'OK',
     message: 'Veterinary Chatbot API is running',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    analytics: AnalyticsService.getStatistics(),
-    cache: CacheService.getStatistics(),
-    selfPing: selfPingService.getStatistics()
+    stateStore: getStateStore().describe(),
+    selfPing: selfPingService.getStatistics(),
+    realtime: RealtimeService.getStatistics()
   };
+
+  // A down state store shouldn't fail the health check itself
+  try {
+    health.analytics = await AnalyticsService.getStatistics();
+    health.cache = await CacheService.getStatistics();
+  } catch (error) {
+    console.error('Health stats error:', error);
+    health.stateStoreError = error.message;
+  }
   res.json(health);
 });
 
-// Analytics endpoint for monitoring
-app.get('/api/analytics', (req, res) => {
-  const report = AnalyticsService.generateReport();
-  res.json(report);
+// Analytics endpoint for monitoring. With from, to or granularity it's the
+// historical report from MongoDB instead of the live one
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const { from, to, granularity } = req.query;
+    if (from || to || granularity) {
+      const { report, error } = await AnalyticsHistoryService.getReport({ from, to, granularity });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      return res.json(report);
+    }
+
+    const report = await AnalyticsService.generateReport();
+    res.json(report);
+  } catch (error) {
+    console.error('Analytics report error:', error);
+    res.status(503).json({ error: 'Analytics are temporarily unavailable' });
+  }
+});
+
+// Booking funnel per channel and step over a date range (from, to)
+app.get('/api/analytics/funnel', async (req, res) => {
+  try {
+    const { report, error } = await AnalyticsHistoryService.getFunnelReport(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(report);
+  } catch (error) {
+    console.error('Funnel report error:', error);
+    res.status(503).json({ error: 'Analytics are temporarily unavailable' });
+  }
 });
 
 // Metrics endpoint for Prometheus/Grafana
-app.get('/metrics', (req, res) => {
-  res.set('Content-Type', 'text/plain');
-  res.send(AnalyticsService.exportMetrics('prometheus'));
+app.get('/metrics', async (req, res) => {
+  try {
+    const metrics = await AnalyticsService.exportMetrics('prometheus');
+    res.set('Content-Type', MetricsRegistry.contentType);
+    res.send(metrics);
+  } catch (error) {
+    console.error('Metrics export error:', error);
+    res.status(503).json({ error: 'Metrics are temporarily unavailable' });
+  }
 });
 
 // Routes
 app.use('/api/chat', chatRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/owners', ownerRoutes);
+app.use('/api/calendar', calendarRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,1583 @@
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import AuditLog, { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import ChatTranscript from '../models/ChatTranscript.js';
+import ClinicCalendar from '../models/ClinicCalendar.js';
+import Conversation from '../models/Conversation.js';
+import NotificationJob from '../models/NotificationJob.js';
+import Owner from '../models/Owner.js';
+import Pet from '../models/Pet.js';
+import Staff from '../models/Staff.js';
+import Veterinarian from '../models/Veterinarian.js';
+import AnalyticsService from '../services/AnalyticsService.js';
+import AnalyticsHistoryService from '../services/AnalyticsHistoryService.js';
+import AuthService from '../services/AuthService.js';
+import ICalendarService from '../services/ICalendarService.js';
+import AppointmentSlotManager from '../services/AppointmentSlotManager.js';
+import ClinicTimeService from '../services/ClinicTimeService.js';
+import HandoffService from '../services/HandoffService.js';
+import NotificationService from '../services/NotificationService.js';
+import PetProfileService from '../services/PetProfileService.js';
+import PrivacyService from '../services/PrivacyService.js';
+import TranscriptService from '../services/TranscriptService.js';
+import VaccinationService from '../services/VaccinationService.js';
+
+const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'cancelled', 'no-show'];
+const MAX_PAGE_SIZE = 100;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_AGENT_MESSAGE_LENGTH = 5000;
+
+/**
+ * Build a Mongo filter from the admin list query string:
+ * date (YYYY-MM-DD, a clinic day) or from/to, status, urgency, petType, veterinarian, sessionId
+ */
+function buildAppointmentFilter(query) {
+  const filter = {};
+
+  if (query.date) {
+    if (!DATE_PATTERN.test(query.date)) return { error: 'Invalid date. Use YYYY-MM-DD' };
+    const [year, month, day] = query.date.split('-').map(Number);
+    const start = ClinicTimeService.toInstant({ year, month, day });
+    filter.scheduledAt = { $gte: start, $lt: ClinicTimeService.startOfDay(start, 1) };
+  } else if (query.from || query.to) {
+    filter.scheduledAt = {};
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from)) return { error: 'Invalid from date' };
+      filter.scheduledAt.$gte = from;
+    }
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to)) return { error: 'Invalid to date' };
+      filter.scheduledAt.$lte = to;
+    }
+  }
+
+  // Comma-separated lists are allowed: ?status=pending,confirmed
+  for (const field of ['status', 'urgency', 'petType', 'veterinarian']) {
+    if (query[field]) {
+      const values = String(query[field]).split(',').map(v => v.trim()).filter(Boolean);
+      filter[field] = values.length === 1 ? values[0] : { $in: values };
+    }
+  }
+
+  if (query.sessionId) {
+    filter.sessionId = String(query.sessionId);
+  }
+
+  return { filter };
+}
+
+/**
+ * Build a Mongo filter from the transcript search query string:
+ * q (text in any message), triage (level), from/to (last activity)
+ */
+function buildConversationFilter(query) {
+  const filter = {};
+
+  if (query.q) {
+    const text = String(query.q).trim().slice(0, 200);
+    if (text) {
+      filter['messages.content'] = new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+  }
+
+  if (query.triage) {
+    const levels = String(query.triage).split(',').map(v => v.trim()).filter(Boolean);
+    filter['triage.level'] = levels.length === 1 ? levels[0] : { $in: levels };
+  }
+
+  if (query.from || query.to) {
+    filter.updatedAt = {};
+    if (query.from) {
+      const from = new Date(query.from);
+      if (isNaN(from)) return { error: 'Invalid from date' };
+      filter.updatedAt.$gte = from;
+    }
+    if (query.to) {
+      const to = new Date(query.to);
+      if (isNaN(to)) return { error: 'Invalid to date' };
+      filter.updatedAt.$lte = to;
+    }
+  }
+
+  return { filter };
+}
+
+/**
+ * A search result row: who, when, triage, and the first message matching q
+ * with some text either side
+ */
+function summarizeConversation(conversation, q) {
+  const messages = conversation.messages || [];
+  const needle = q ? String(q).trim().toLowerCase() : '';
+  const match = needle && messages.find(message => message.content.toLowerCase().includes(needle));
+
+  let excerpt = null;
+  if (match) {
+    const index = match.content.toLowerCase().indexOf(needle);
+    const start = Math.max(index - 60, 0);
+    const end = Math.min(index + needle.length + 60, match.content.length);
+    excerpt = {
+      role: match.role,
+      text: `${start > 0 ? '…' : ''}${match.content.slice(start, end)}${end < match.content.length ? '…' : ''}`,
+      timestamp: match.timestamp
+    };
+  }
+
+  return {
+    sessionId: conversation.sessionId,
+    userName: conversation.context?.userName || null,
+    triage: conversation.triage?.level || 'routine',
+    handoff: HandoffService.describe(conversation),
+    messageCount: messages.length,
+    lastMessage: messages[messages.length - 1]?.content?.slice(0, 120) || null,
+    excerpt,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt
+  };
+}
+
+/**
+ * Returns an error message if a weekly schedule has malformed days or times
+ */
+function validateSchedule(weeklySchedule) {
+  for (const [day, hours] of Object.entries(weeklySchedule)) {
+    if (!WEEKDAYS.includes(day)) return `Unknown day in schedule: ${day}`;
+    if (!hours || hours.closed) continue;
+
+    const times = [hours.open, hours.close, ...(hours.breaks || []).flatMap(b => [b.start, b.end])];
+    if (!times.every(time => TIME_PATTERN.test(time || ''))) {
+      return `Times for ${day} must be HH:MM`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns an error message if a calendar date override is malformed.
+ * Open overrides may set any of open, close and breaks; the rest come
+ * from the weekly hours.
+ */
+function validateOverride(override) {
+  if (!DATE_PATTERN.test(override.date || '') || isNaN(new Date(`${override.date}T00:00:00`))) {
+    return 'Invalid date. Use YYYY-MM-DD';
+  }
+  if (override.closed) return null;
+
+  const times = [override.open, override.close, ...(override.breaks || []).flatMap(b => [b.start, b.end])]
+    .filter(time => time !== undefined);
+  if (times.length === 0) {
+    return 'Set closed: true or at least one of open, close and breaks';
+  }
+  if (!times.every(time => TIME_PATTERN.test(time || ''))) {
+    return 'Times must be HH:MM';
+  }
+  return null;
+}
+
+/**
+ * Read optional date fields from a medical record body.
+ * Returns { error } or { dates } with only the fields that were sent.
+ */
+function readRecordDates(body, fields) {
+  const dates = {};
+  for (const field of fields) {
+    if (body[field] === undefined || body[field] === null || body[field] === '') continue;
+    const date = new Date(body[field]);
+    if (isNaN(date)) return { error: `Invalid ${field}` };
+    dates[field] = date;
+  }
+  return { dates };
+}
+
+/**
+ * The pet with this id, or null
+ */
+async function findPet(id) {
+  return mongoose.isValidObjectId(id) ? Pet.findById(id) : null;
+}
+
+/**
+ * A transcript filed under this pet, or null
+ */
+async function findTranscript(petId, transcriptId) {
+  if (!mongoose.isValidObjectId(petId) || !mongoose.isValidObjectId(transcriptId)) return null;
+  return ChatTranscript.findOne({ _id: transcriptId, pet: petId }).lean();
+}
+
+class AdminController {
+  async login(req, res) {
+    try {
+      const { email, password } = req.body;
+
+      if (!email || !password) {
+        return res.status(400).json({
+          error: 'Email and password are required'
+        });
+      }
+
+      const result = await AuthService.login(email, password);
+
+      if (!result) {
+        return res.status(401).json({
+          error: 'Invalid email or password'
+        });
+      }
+
+      res.json({
+        token: result.token,
+        staff: result.staff
+      });
+
+    } catch (error) {
+      console.error('Staff login error:', error);
+      res.status(500).json({
+        error: 'Failed to sign in'
+      });
+    }
+  }
+
+  async getCurrentStaff(req, res) {
+    res.json({
+      staff: req.staff
+    });
+  }
+
+  async listStaff(req, res) {
+    try {
+      const staff = await Staff.find().sort({ createdAt: 1 });
+
+      res.json({
+        staff
+      });
+
+    } catch (error) {
+      console.error('List staff error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve staff'
+      });
+    }
+  }
+
+  async createStaff(req, res) {
+    try {
+      const { email, name, password, role } = req.body;
+
+      if (!email || !name || !password) {
+        return res.status(400).json({
+          error: 'Email, name and password are required'
+        });
+      }
+
+      if (password.length < 8) {
+        return res.status(400).json({
+          error: 'Password must be at least 8 characters'
+        });
+      }
+
+      if (role && !AuthService.roles.includes(role)) {
+        return res.status(400).json({
+          error: `Invalid role. Must be: ${AuthService.roles.join(', ')}`
+        });
+      }
+
+      if (await Staff.exists({ email: String(email).toLowerCase().trim() })) {
+        return res.status(409).json({
+          error: 'A staff account with this email already exists'
+        });
+      }
+
+      const staff = await AuthService.createStaff({ email, name, password, role });
+
+      res.status(201).json({
+        message: 'Staff account created successfully',
+        staff
+      });
+
+    } catch (error) {
+      console.error('Create staff error:', error);
+      res.status(500).json({
+        error: 'Failed to create staff account'
+      });
+    }
+  }
+
+  async updateStaff(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, role, active, password } = req.body;
+
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({
+          error: 'Staff member not found'
+        });
+      }
+
+      if (role !== undefined && !AuthService.roles.includes(role)) {
+        return res.status(400).json({
+          error: `Invalid role. Must be: ${AuthService.roles.join(', ')}`
+        });
+      }
+
+      // Stop admins locking themselves out
+      if (id === req.staff._id.toString() && (active === false || (role && role !== 'admin'))) {
+        return res.status(400).json({
+          error: 'You cannot deactivate or demote your own account'
+        });
+      }
+
+      const staff = await Staff.findById(id);
+
+      if (!staff) {
+        return res.status(404).json({
+          error: 'Staff member not found'
+        });
+      }
+
+      if (name !== undefined) staff.name = name;
+      if (role !== undefined) staff.role = role;
+      if (active !== undefined) staff.active = Boolean(active);
+      if (password) {
+        if (password.length < 8) {
+          return res.status(400).json({
+            error: 'Password must be at least 8 characters'
+          });
+        }
+        staff.passwordHash = await AuthService.hashPassword(password);
+      }
+
+      await staff.save();
+
+      res.json({
+        message: 'Staff account updated successfully',
+        staff
+      });
+
+    } catch (error) {
+      console.error('Update staff error:', error);
+      res.status(500).json({
+        error: 'Failed to update staff account'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/appointments
+   * Filters: date | from & to, status, urgency, petType, veterinarian, sessionId
+   * Paging: page (1-based), limit (max 100)
+   */
+  async listAppointments(req, res) {
+    try {
+      const { filter, error } = buildAppointmentFilter(req.query);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+      const sort = req.query.sort === 'created'
+        ? { createdAt: -1 }
+        : { scheduledAt: 1, createdAt: -1 };
+
+      const [appointments, total] = await Promise.all([
+        Appointment.find(filter)
+          .sort(sort)
+          .skip((page - 1) * limit)
+          .limit(limit),
+        Appointment.countDocuments(filter)
+      ]);
+
+      res.json({
+        appointments,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Admin list appointments error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve appointments'
+      });
+    }
+  }
+
+  async getAppointment(req, res) {
+    try {
+      const { id } = req.params;
+
+      const appointment = mongoose.isValidObjectId(id)
+        ? await Appointment.findById(id)
+        : null;
+
+      if (!appointment) {
+        return res.status(404).json({
+          error: 'Appointment not found'
+        });
+      }
+
+      res.json({
+        appointment
+      });
+
+    } catch (error) {
+      console.error('Admin get appointment error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve appointment'
+      });
+    }
+  }
+
+  async updateAppointmentStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
+
+      if (!APPOINTMENT_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: 'Invalid status. Must be: pending, confirmed, cancelled, or no-show'
+        });
+      }
+
+      const existing = mongoose.isValidObjectId(id) ? await Appointment.findById(id).lean() : null;
+
+      if (!existing) {
+        return res.status(404).json({
+          error: 'Appointment not found'
+        });
+      }
+
+      // A visit can only be missed once its time has passed
+      if (status === 'no-show' && !(existing.scheduledAt && existing.scheduledAt <= new Date())) {
+        return res.status(400).json({
+          error: 'Only appointments that have already started can be marked as no-show'
+        });
+      }
+
+      // Cancelling gave the slot up, so taking the visit back needs it again
+      const update = { status, statusUpdatedBy: req.staff._id };
+      const reinstating = existing.status === 'cancelled' && !['cancelled', 'no-show'].includes(status);
+
+      if (reinstating && existing.scheduledAt) {
+        const holder = `reinstate-${existing._id}`;
+        const { slotKey, vetId, veterinarian, availability } = await AppointmentSlotManager.holdSlot(existing.scheduledAt, holder, {
+          petType: existing.petType,
+          excludeAppointmentId: existing._id
+        });
+
+        if (!slotKey) {
+          return res.status(409).json({
+            error: availability.available
+              ? 'Someone else has just booked that time. The appointment stays cancelled.'
+              : `${availability.message} The appointment stays cancelled.`,
+            reason: availability.reason || 'slot_taken',
+            suggestedSlots: availability.suggestedSlots || []
+          });
+        }
+
+        await AppointmentSlotManager.confirmReservation(slotKey, holder, existing._id, vetId);
+
+        // The slot manager may have picked another vet than the one it had
+        if (vetId !== AppointmentSlotManager.defaultVetId) {
+          Object.assign(update, { veterinarian: vetId, veterinarianName: veterinarian });
+        }
+      }
+
+      const appointment = await Appointment.findByIdAndUpdate(id, update, { new: true });
+
+      if (!appointment) {
+        await AppointmentSlotManager.releaseAppointmentSlots(existing._id);
+        return res.status(404).json({
+          error: 'Appointment not found'
+        });
+      }
+
+      if (status === 'confirmed' && !appointment.confirmedAt) {
+        appointment.confirmedAt = new Date();
+        await appointment.save();
+      }
+
+      // A no-show keeps its slot - the time has passed - and the owner isn't messaged
+      if (status === 'cancelled') {
+        await AppointmentSlotManager.releaseAppointmentSlots(appointment._id);
+        await NotificationService.appointmentCancelled(appointment);
+      } else if (status !== 'no-show') {
+        await NotificationService.appointmentReinstated(appointment);
+      }
+
+      res.json({
+        message: 'Appointment status updated successfully',
+        appointment
+      });
+
+    } catch (error) {
+      console.error('Admin update appointment error:', error);
+      res.status(500).json({
+        error: 'Failed to update appointment'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/calendar-feeds
+   * Subscribable iCal URLs for the clinic and each vet, signed for the
+   * requesting staff member. PUBLIC_API_URL sets the host when the API sits
+   * behind a proxy.
+   */
+  async getCalendarFeeds(req, res) {
+    try {
+      const baseUrl = (process.env.PUBLIC_API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+      const feedUrl = (path, scope) =>
+        `${baseUrl}/api/calendar/${path}?token=${AuthService.issueFeedToken(req.staff, scope)}`;
+
+      const veterinarians = await Veterinarian.find({ active: true }).sort({ name: 1 });
+
+      res.json({
+        clinic: {
+          name: `${ICalendarService.clinicName()} appointments`,
+          url: feedUrl('clinic.ics', 'clinic')
+        },
+        veterinarians: veterinarians.map(vet => ({
+          id: vet._id,
+          name: vet.name,
+          url: feedUrl(`vets/${vet._id}.ics`, String(vet._id))
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get calendar feeds error:', error);
+      res.status(500).json({
+        error: 'Failed to create calendar feed links'
+      });
+    }
+  }
+
+  async listVeterinarians(req, res) {
+    try {
+      const veterinarians = await Veterinarian.find().sort({ name: 1 });
+
+      res.json({
+        veterinarians
+      });
+
+    } catch (error) {
+      console.error('List veterinarians error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve veterinarians'
+      });
+    }
+  }
+
+  async createVeterinarian(req, res) {
+    try {
+      const { name, email, specialties, weeklySchedule, timeOff, maxDailyAppointments } = req.body;
+
+      if (!name || !weeklySchedule) {
+        return res.status(400).json({
+          error: 'Name and weeklySchedule are required'
+        });
+      }
+
+      const scheduleError = validateSchedule(weeklySchedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+
+      const veterinarian = await new Veterinarian({
+        name,
+        email,
+        specialties,
+        weeklySchedule,
+        timeOff,
+        maxDailyAppointments
+      }).save();
+
+      res.status(201).json({
+        message: 'Veterinarian created successfully',
+        veterinarian
+      });
+
+    } catch (error) {
+      console.error('Create veterinarian error:', error);
+      res.status(500).json({
+        error: 'Failed to create veterinarian'
+      });
+    }
+  }
+
+  /**
+   * Replaces whichever of name, email, specialties, weeklySchedule, timeOff,
+   * maxDailyAppointments and active are sent
+   */
+  async updateVeterinarian(req, res) {
+    try {
+      const { id } = req.params;
+      const fields = ['name', 'email', 'specialties', 'weeklySchedule', 'timeOff', 'maxDailyAppointments', 'active'];
+      const updates = Object.fromEntries(
+        fields.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+      );
+
+      if (updates.weeklySchedule) {
+        const scheduleError = validateSchedule(updates.weeklySchedule);
+        if (scheduleError) {
+          return res.status(400).json({ error: scheduleError });
+        }
+      }
+
+      const veterinarian = mongoose.isValidObjectId(id)
+        ? await Veterinarian.findByIdAndUpdate(id, updates, { new: true, runValidators: true })
+        : null;
+
+      if (!veterinarian) {
+        return res.status(404).json({
+          error: 'Veterinarian not found'
+        });
+      }
+
+      res.json({
+        message: 'Veterinarian updated successfully',
+        veterinarian
+      });
+
+    } catch (error) {
+      console.error('Update veterinarian error:', error);
+      res.status(500).json({
+        error: 'Failed to update veterinarian'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/calendar
+   * Weekly hours and date overrides as the booking flow currently sees them
+   */
+  async getCalendar(req, res) {
+    try {
+      const calendar = await ClinicCalendar.findOne({ key: 'default' });
+
+      res.json({
+        weeklyHours: calendar?.weeklyHours || AppointmentSlotManager.defaultBusinessHours,
+        overrides: calendar?.overrides || [],
+        updatedAt: calendar?.updatedAt || null
+      });
+
+    } catch (error) {
+      console.error('Get clinic calendar error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve clinic calendar'
+      });
+    }
+  }
+
+  /**
+   * PUT /api/admin/calendar/hours - Replace the weekly hours.
+   * Days left out are treated as closed.
+   */
+  async updateWeeklyHours(req, res) {
+    try {
+      const { weeklyHours } = req.body;
+
+      if (!weeklyHours || typeof weeklyHours !== 'object') {
+        return res.status(400).json({
+          error: 'weeklyHours is required'
+        });
+      }
+
+      const scheduleError = validateSchedule(weeklyHours);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+
+      const calendar = await ClinicCalendar.findOneAndUpdate(
+        { key: 'default' },
+        { weeklyHours, updatedBy: req.staff._id, updatedAt: new Date() },
+        { upsert: true, new: true, runValidators: true }
+      );
+      AppointmentSlotManager.applyCalendar(calendar.toObject());
+
+      res.json({
+        message: 'Weekly hours updated successfully',
+        weeklyHours: calendar.weeklyHours
+      });
+
+    } catch (error) {
+      console.error('Update weekly hours error:', error);
+      res.status(500).json({
+        error: 'Failed to update weekly hours'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/calendar/overrides
+   * Body: date (YYYY-MM-DD), closed | open/close/breaks, reason, recurring
+   * An existing override for the same date is replaced.
+   */
+  async addCalendarOverride(req, res) {
+    try {
+      const { date, recurring, closed, open, close, breaks, reason } = req.body;
+      const override = { date, recurring: Boolean(recurring), closed: Boolean(closed), open, close, breaks, reason };
+
+      const overrideError = validateOverride(override);
+      if (overrideError) {
+        return res.status(400).json({ error: overrideError });
+      }
+
+      // The calendar starts from the built-in hours the first time it's edited
+      const calendar = await ClinicCalendar.findOneAndUpdate(
+        { key: 'default' },
+        {
+          $pull: { overrides: { date } },
+          $setOnInsert: { weeklyHours: AppointmentSlotManager.defaultBusinessHours }
+        },
+        { upsert: true, new: true }
+      );
+      calendar.overrides.push(override);
+      calendar.updatedBy = req.staff._id;
+      calendar.updatedAt = new Date();
+      await calendar.save();
+      AppointmentSlotManager.applyCalendar(calendar.toObject());
+
+      res.status(201).json({
+        message: 'Calendar override saved successfully',
+        override: calendar.overrides[calendar.overrides.length - 1]
+      });
+
+    } catch (error) {
+      console.error('Add calendar override error:', error);
+      res.status(500).json({
+        error: 'Failed to save calendar override'
+      });
+    }
+  }
+
+  async removeCalendarOverride(req, res) {
+    try {
+      const { id } = req.params;
+
+      const calendar = mongoose.isValidObjectId(id)
+        ? await ClinicCalendar.findOneAndUpdate(
+          { key: 'default', 'overrides._id': id },
+          { $pull: { overrides: { _id: id } }, updatedBy: req.staff._id, updatedAt: new Date() },
+          { new: true }
+        )
+        : null;
+
+      if (!calendar) {
+        return res.status(404).json({
+          error: 'Calendar override not found'
+        });
+      }
+      AppointmentSlotManager.applyCalendar(calendar.toObject());
+
+      res.json({
+        message: 'Calendar override removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove calendar override error:', error);
+      res.status(500).json({
+        error: 'Failed to remove calendar override'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/pets?search=
+   * Matches pet name (partial) or microchip ID (exact)
+   */
+  async listPets(req, res) {
+    try {
+      const search = String(req.query.search || '').trim();
+      const filter = search
+        ? {
+          $or: [
+            { name: new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') },
+            { microchipId: search.replace(/[\s-]/g, '') }
+          ]
+        }
+        : {};
+
+      const pets = await Pet.find(filter)
+        .populate('owner', 'name email phone')
+        .sort({ name: 1 })
+        .limit(MAX_PAGE_SIZE);
+
+      res.json({
+        pets
+      });
+
+    } catch (error) {
+      console.error('Admin list pets error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve pets'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/pets/:id - Profile, medical records, vaccination schedule and appointments
+   */
+  async getPet(req, res) {
+    try {
+      const pet = mongoose.isValidObjectId(req.params.id)
+        ? await Pet.findById(req.params.id).populate('owner', 'name email phone')
+        : null;
+
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      const [appointments, transcripts] = await Promise.all([
+        Appointment.find({ pet: pet._id }).sort({ scheduledAt: -1 }),
+        ChatTranscript.find({ pet: pet._id }).sort({ attachedAt: -1 }).populate('attachedBy', 'name')
+      ]);
+
+      res.json({
+        pet,
+        vaccinationSchedule: VaccinationService.getSchedule(pet),
+        appointments,
+        transcripts
+      });
+
+    } catch (error) {
+      console.error('Admin get pet error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve pet'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/pets/:id/vaccinations
+   * { vaccine, administeredAt, nextDueAt?, notes? }
+   */
+  async addVaccination(req, res) {
+    try {
+      const { vaccine, notes } = req.body;
+
+      if (!vaccine || !req.body.administeredAt) {
+        return res.status(400).json({
+          error: 'Vaccine and administeredAt are required'
+        });
+      }
+
+      const { dates, error } = readRecordDates(req.body, ['administeredAt', 'nextDueAt']);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      if (dates.nextDueAt && dates.nextDueAt <= dates.administeredAt) {
+        return res.status(400).json({
+          error: 'nextDueAt must be after administeredAt'
+        });
+      }
+
+      const pet = await findPet(req.params.id);
+
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      pet.vaccinations.push({ vaccine, notes, ...dates, recordedBy: req.staff._id });
+      await pet.save();
+
+      res.status(201).json({
+        message: 'Vaccination recorded successfully',
+        vaccination: pet.vaccinations[pet.vaccinations.length - 1],
+        vaccinationSchedule: VaccinationService.getSchedule(pet)
+      });
+
+    } catch (error) {
+      console.error('Add vaccination error:', error);
+      res.status(500).json({
+        error: 'Failed to record vaccination'
+      });
+    }
+  }
+
+  async removeVaccination(req, res) {
+    try {
+      const pet = await findPet(req.params.id);
+      const vaccination = pet?.vaccinations.id(req.params.recordId);
+
+      if (!vaccination) {
+        return res.status(404).json({
+          error: 'Vaccination not found'
+        });
+      }
+
+      vaccination.deleteOne();
+      await pet.save();
+
+      res.json({
+        message: 'Vaccination removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove vaccination error:', error);
+      res.status(500).json({
+        error: 'Failed to remove vaccination'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/pets/:id/medications
+   * { name, dosage?, startedAt?, endsAt?, notes? } - no endsAt while ongoing
+   */
+  async addMedication(req, res) {
+    try {
+      const { name, dosage, notes } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          error: 'Medication name is required'
+        });
+      }
+
+      const { dates, error } = readRecordDates(req.body, ['startedAt', 'endsAt']);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const pet = await findPet(req.params.id);
+
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      pet.medications.push({ name, dosage, notes, ...dates, recordedBy: req.staff._id });
+      await pet.save();
+
+      res.status(201).json({
+        message: 'Medication recorded successfully',
+        medication: pet.medications[pet.medications.length - 1]
+      });
+
+    } catch (error) {
+      console.error('Add medication error:', error);
+      res.status(500).json({
+        error: 'Failed to record medication'
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/admin/pets/:id/medications/:recordId
+   * Change dosage or notes, or stop it with endsAt (null to resume)
+   */
+  async updateMedication(req, res) {
+    try {
+      const { dates, error } = readRecordDates(req.body, ['endsAt']);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const pet = await findPet(req.params.id);
+      const medication = pet?.medications.id(req.params.recordId);
+
+      if (!medication) {
+        return res.status(404).json({
+          error: 'Medication not found'
+        });
+      }
+
+      if (req.body.dosage !== undefined) medication.dosage = req.body.dosage;
+      if (req.body.notes !== undefined) medication.notes = req.body.notes;
+      if (req.body.endsAt !== undefined) medication.endsAt = dates.endsAt;
+      medication.recordedBy = req.staff._id;
+      await pet.save();
+
+      res.json({
+        message: 'Medication updated successfully',
+        medication
+      });
+
+    } catch (error) {
+      console.error('Update medication error:', error);
+      res.status(500).json({
+        error: 'Failed to update medication'
+      });
+    }
+  }
+
+  async removeMedication(req, res) {
+    try {
+      const pet = await findPet(req.params.id);
+      const medication = pet?.medications.id(req.params.recordId);
+
+      if (!medication) {
+        return res.status(404).json({
+          error: 'Medication not found'
+        });
+      }
+
+      medication.deleteOne();
+      await pet.save();
+
+      res.json({
+        message: 'Medication removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove medication error:', error);
+      res.status(500).json({
+        error: 'Failed to remove medication'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/pets/:id/transcripts
+   * { sessionId, title? } - files a copy of the chat as it is now
+   */
+  async attachTranscript(req, res) {
+    try {
+      const { sessionId, title } = req.body;
+
+      if (!sessionId) {
+        return res.status(400).json({
+          error: 'sessionId is required'
+        });
+      }
+
+      const pet = await findPet(req.params.id);
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      const content = await TranscriptService.build(sessionId);
+      if (!content) {
+        return res.status(404).json({
+          error: 'Conversation not found'
+        });
+      }
+
+      const transcript = await ChatTranscript.create({
+        pet: pet._id,
+        sessionId,
+        title: title || TranscriptService.getTitle(content),
+        content,
+        attachedBy: req.staff._id
+      });
+
+      res.status(201).json({
+        message: 'Transcript attached successfully',
+        transcript
+      });
+
+    } catch (error) {
+      console.error('Attach transcript error:', error);
+      res.status(500).json({
+        error: 'Failed to attach transcript'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/pets/:id/transcripts/:transcriptId?format=pdf|md|json
+   */
+  async downloadTranscript(req, res) {
+    try {
+      const format = req.query.format || 'pdf';
+      if (!TranscriptService.isFormat(format)) {
+        return res.status(400).json({
+          error: `format must be one of: ${TranscriptService.formats.join(', ')}`
+        });
+      }
+
+      const transcript = await findTranscript(req.params.id, req.params.transcriptId);
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Transcript not found'
+        });
+      }
+
+      await TranscriptService.send(res, transcript.content, format);
+
+    } catch (error) {
+      console.error('Download transcript error:', error);
+      res.status(500).json({
+        error: 'Failed to download transcript'
+      });
+    }
+  }
+
+  async removeTranscript(req, res) {
+    try {
+      const transcript = await findTranscript(req.params.id, req.params.transcriptId);
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Transcript not found'
+        });
+      }
+
+      await ChatTranscript.deleteOne({ _id: transcript._id });
+
+      res.json({
+        message: 'Transcript removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Remove transcript error:', error);
+      res.status(500).json({
+        error: 'Failed to remove transcript'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/vaccinations/reminders
+   * Queue due vaccine reminders now instead of waiting for the next scheduled run
+   */
+  async sendVaccineReminders(req, res) {
+    try {
+      const summary = await VaccinationService.sendDueReminders();
+
+      res.json({
+        message: 'Vaccine reminders queued',
+        ...summary
+      });
+
+    } catch (error) {
+      console.error('Send vaccine reminders error:', error);
+      res.status(500).json({
+        error: 'Failed to send vaccine reminders'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/notifications
+   * Filters: status, channel, template, appointment; paging as appointments
+   */
+  async listNotifications(req, res) {
+    try {
+      const filter = {};
+      for (const field of ['status', 'channel', 'template']) {
+        if (req.query[field]) filter[field] = req.query[field];
+      }
+      if (req.query.appointment) {
+        if (!mongoose.isValidObjectId(req.query.appointment)) {
+          return res.status(400).json({ error: 'Invalid appointment id' });
+        }
+        filter.appointment = req.query.appointment;
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+      const [notifications, total] = await Promise.all([
+        NotificationJob.find(filter)
+          .sort({ runAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        NotificationJob.countDocuments(filter)
+      ]);
+
+      res.json({
+        notifications,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('List notifications error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve notifications'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/admin/owners/:id
+   * Erase an owner's data when they ask the clinic directly rather than
+   * through the widget
+   */
+  async eraseOwner(req, res) {
+    try {
+      const owner = mongoose.isValidObjectId(req.params.id) ? await Owner.findById(req.params.id) : null;
+
+      if (!owner) {
+        return res.status(404).json({
+          error: 'Owner not found'
+        });
+      }
+
+      const entry = await PrivacyService.erase({ owner }, { type: 'staff', staff: req.staff._id });
+
+      res.json({
+        message: 'Owner data deleted',
+        auditEntry: entry
+      });
+
+    } catch (error) {
+      console.error('Erase owner error:', error);
+      res.status(500).json({
+        error: 'Failed to delete owner data'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/audit-log
+   * Erasures and retention purges, newest first. Filter: action; paging as appointments
+   */
+  async listAuditLog(req, res) {
+    try {
+      const filter = {};
+      if (req.query.action) {
+        if (!AUDIT_ACTIONS.includes(req.query.action)) {
+          return res.status(400).json({ error: `Action must be one of: ${AUDIT_ACTIONS.join(', ')}` });
+        }
+        filter.action = req.query.action;
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('requestedBy.staff', 'name email'),
+        AuditLog.countDocuments(filter)
+      ]);
+
+      res.json({
+        entries,
+        retentionDays: PrivacyService.retentionDays,
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('List audit log error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve audit log'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/retention/purge
+   * Delete what's past its retention window now instead of waiting for the next scheduled run
+   */
+  async purgeExpiredData(req, res) {
+    try {
+      const summary = await PrivacyService.purgeExpired();
+
+      res.json({
+        message: 'Retention purge finished',
+        ...summary
+      });
+
+    } catch (error) {
+      console.error('Retention purge error:', error);
+      res.status(500).json({
+        error: 'Failed to purge expired data'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/conversations
+   * Transcript search. Filters: q, triage, from & to; paging as appointments
+   */
+  async searchConversations(req, res) {
+    try {
+      const { filter, error } = buildConversationFilter(req.query);
+
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+
+      const [conversations, total] = await Promise.all([
+        Conversation.find(filter)
+          .sort({ updatedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Conversation.countDocuments(filter)
+      ]);
+
+      res.json({
+        conversations: conversations.map(conversation => summarizeConversation(conversation, req.query.q)),
+        pagination: {
+          page,
+          limit,
+          total,
+          totalPages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Search conversations error:', error);
+      res.status(500).json({
+        error: 'Failed to search conversations'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/conversations/:sessionId - Full transcript with the
+   * appointments booked in it
+   */
+  async getConversation(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const [conversation, appointments, pets] = await Promise.all([
+        Conversation.findOne({ sessionId }).lean(),
+        Appointment.find({ sessionId }).sort({ scheduledAt: -1 }).lean(),
+        PetProfileService.getPetsForSession(sessionId)
+      ]);
+
+      if (!conversation) {
+        return res.status(404).json({
+          error: 'Conversation not found'
+        });
+      }
+
+      res.json({
+        conversation: {
+          sessionId: conversation.sessionId,
+          context: conversation.context,
+          triage: conversation.triage,
+          appointmentState: conversation.appointmentState,
+          handoff: HandoffService.describe(conversation),
+          messages: conversation.messages,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt
+        },
+        appointments,
+        pets: pets.map(pet => ({ _id: pet._id, name: pet.name, species: pet.species }))
+      });
+
+    } catch (error) {
+      console.error('Get conversation error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve conversation'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/conversations/:sessionId/export?format=pdf|md|json
+   */
+  async exportConversation(req, res) {
+    try {
+      const format = req.query.format || 'pdf';
+      if (!TranscriptService.isFormat(format)) {
+        return res.status(400).json({
+          error: `format must be one of: ${TranscriptService.formats.join(', ')}`
+        });
+      }
+
+      const transcript = await TranscriptService.build(req.params.sessionId);
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Conversation not found'
+        });
+      }
+
+      await TranscriptService.send(res, transcript, format);
+
+    } catch (error) {
+      console.error('Export conversation error:', error);
+      res.status(500).json({
+        error: 'Failed to export conversation'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/handoffs - Chats waiting for a person, then those with one
+   */
+  async listHandoffs(req, res) {
+    try {
+      const handoffs = await HandoffService.getQueue();
+      res.json({ handoffs });
+
+    } catch (error) {
+      console.error('List handoffs error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve handoffs'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/conversations/:sessionId/takeover - Join the chat; the
+   * bot stops answering until it's released
+   */
+  async takeOverConversation(req, res) {
+    try {
+      const result = await HandoffService.takeOver(req.params.sessionId, req.staff);
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({
+        message: 'You are now chatting with the owner',
+        handoff: HandoffService.describe(result.conversation)
+      });
+
+    } catch (error) {
+      console.error('Take over conversation error:', error);
+      res.status(500).json({
+        error: 'Failed to take over conversation'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/conversations/:sessionId/release - Hand the chat back to
+   * the bot, or dismiss a request for a person
+   */
+  async releaseConversation(req, res) {
+    try {
+      const result = await HandoffService.release(req.params.sessionId, req.staff);
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.json({
+        message: 'Chat handed back to the assistant',
+        handoff: HandoffService.describe(result.conversation)
+      });
+
+    } catch (error) {
+      console.error('Release conversation error:', error);
+      res.status(500).json({
+        error: 'Failed to release conversation'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/conversations/:sessionId/messages - Reply to the owner in
+   * a chat you've taken over
+   */
+  async sendAgentMessage(req, res) {
+    try {
+      const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
+
+      if (!content) {
+        return res.status(400).json({
+          error: 'Message content is required'
+        });
+      }
+
+      if (content.length > MAX_AGENT_MESSAGE_LENGTH) {
+        return res.status(400).json({
+          error: `Message must be at most ${MAX_AGENT_MESSAGE_LENGTH} characters`
+        });
+      }
+
+      const result = await HandoffService.sendMessage(req.params.sessionId, req.staff, content);
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      res.status(201).json({
+        message: result.message
+      });
+
+    } catch (error) {
+      console.error('Send agent message error:', error);
+      res.status(500).json({
+        error: 'Failed to send message'
+      });
+    }
+  }
+
+  /**
+   * GET /api/admin/analytics - The live analytics report, for the dashboard,
+   * and the history and booking funnel for from, to and granularity
+   * (default: the last 30 days)
+   */
+  async getAnalytics(req, res) {
+    try {
+      const { from, to, granularity } = req.query;
+      const [report, historyResult, funnelResult] = await Promise.all([
+        AnalyticsService.generateReport(),
+        AnalyticsHistoryService.getReport({ from, to, granularity }),
+        AnalyticsHistoryService.getFunnelReport({ from, to, granularity })
+      ]);
+
+      const error = historyResult.error || funnelResult.error;
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json({ report, history: historyResult.report, funnel: funnelResult.report });
+
+    } catch (error) {
+      console.error('Admin analytics error:', error);
+      res.status(500).json({
+        error: 'Failed to generate analytics report'
+      });
+    }
+  }
+
+  /**
+   * POST /api/admin/notifications/:id/retry - Requeue a failed notification
+   */
+  async retryNotification(req, res) {
+    try {
+      const notification = mongoose.isValidObjectId(req.params.id)
+        ? await NotificationService.retry(req.params.id)
+        : null;
+
+      if (!notification) {
+        return res.status(404).json({
+          error: 'Failed notification not found'
+        });
+      }
+
+      res.json({
+        message: 'Notification queued for retry',
+        notification
+      });
+
+    } catch (error) {
+      console.error('Retry notification error:', error);
+      res.status(500).json({
+        error: 'Failed to retry notification'
+      });
+    }
+  }
+}
+
+export default new AdminController();
@@ -1,4 +1,47 @@
+import mongoose from 'mongoose';
 import Appointment from '../models/Appointment.js';
+import AppointmentService from '../services/AppointmentService.js';
+import AppointmentSlotManager from '../services/AppointmentSlotManager.js';
+import ClinicTimeService from '../services/ClinicTimeService.js';
+import AnalyticsService from '../services/AnalyticsService.js';
+import ICalendarService from '../services/ICalendarService.js';
+import NotificationService from '../services/NotificationService.js';
+import PetProfileService from '../services/PetProfileService.js';
+import PrivacyService from '../services/PrivacyService.js';
+
+// What the booking form reports for the funnel, and the analytics event for each
+const FORM_EVENTS = {
+  opened: ['appointment_start', { channel: 'form' }],
+  invalid: ['appointment_invalid', {}],
+  closed: ['appointment_stage', { stage: 'abandoned', abandonedAt: 'FORM' }]
+};
+
+// checkAvailability reasons meaning the clinic isn't open at the requested time
+const CLOSED_REASONS = new Set(['clinic_closed', 'outside_business_hours']);
+
+/**
+ * The requested visit time as { date } or { error }. The booking form sends
+ * YYYY-MM-DD and HH:MM on the clinic's clock; the chat widget's
+ * step-by-step booking sends what the owner typed ("next Monday", "2:00 PM"),
+ * which is read the way the chat booking reads it.
+ */
+function parseRequestedTime(appointmentDate, appointmentTime) {
+  const dateMatch = String(appointmentDate).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const timeMatch = String(appointmentTime).match(/^(\d{1,2}):(\d{2})$/);
+
+  if (dateMatch && timeMatch) {
+    const [, year, month, day] = dateMatch.map(Number);
+    const [, hour, minute] = timeMatch.map(Number);
+    const date = ClinicTimeService.toInstant({ year, month, day, hour, minute });
+
+    return date > new Date()
+      ? { date }
+      : { error: 'Please select a future date and time. Appointments cannot be booked for past dates or times.' };
+  }
+
+  const result = AppointmentService.validateDateTime(`${appointmentDate} at ${appointmentTime}`);
+  return result.valid ? { date: result.date } : { error: result.message };
+}
 
 class AppointmentController {
   async createAppointment(req, res) {
@@ -12,36 +55,111 @@ class AppointmentController {
         fullPhoneNumber,
         appointmentDate,
         appointmentTime,
-        appointmentDateTime,
         reason,
-        urgency
+        urgency,
+        timeZone,
+        petId
       } = req.body;
 
       // Validate required fields
       if (!ownerName || !email || !petName || !fullPhoneNumber || !appointmentDate || !appointmentTime || !reason) {
+        if (sessionId) AnalyticsService.trackSession(sessionId, 'appointment_invalid');
         return res.status(400).json({
           error: 'All fields are required'
         });
       }
 
+      const { date: scheduledAt, error: timeError } = parseRequestedTime(appointmentDate, appointmentTime);
+      if (timeError) {
+        if (sessionId) AnalyticsService.trackSession(sessionId, 'appointment_invalid');
+        return res.status(400).json({ error: timeError });
+      }
+
+      // A booking made without a chat session gets an ID of its own, so it
+      // never shares one with anyone else's
+      const _id = new mongoose.Types.ObjectId();
+      const holder = sessionId || `form-${_id}`;
+
       // Create new appointment
       const appointment = new Appointment({
-        sessionId: sessionId || 'direct-booking',
+        _id,
+        sessionId: holder,
         ownerName,
         email,
         petName,
         petType: petType || 'dog',
         phone: fullPhoneNumber,
-        appointmentDate,
-        appointmentTime,
-        preferredDateTime: appointmentDateTime || `${appointmentDate} at ${appointmentTime}`,
+        // Clinic-local date and time, as chat bookings store them
+        appointmentDate: ClinicTimeService.getDateKey(scheduledAt),
+        appointmentTime: ClinicTimeService.getTimeString(scheduledAt),
+        preferredDateTime: ClinicTimeService.formatLong(scheduledAt),
+        scheduledAt,
+        timeZone: ClinicTimeService.timeZone,
+        clientTimeZone: ClinicTimeService.isValidTimeZone(timeZone) ? timeZone : undefined,
         reason,
         urgency: urgency || 'normal',
         status: 'pending'
       });
 
-      // Save to database
-      await appointment.save();
+      // Take the slot the same way the chat does, so the two can't double-book
+      const { slotKey, vetId, veterinarian, availability } = await AppointmentSlotManager.holdSlot(scheduledAt, holder, {
+        petType: appointment.petType
+      });
+
+      // Closed days and times outside opening hours can never be booked, so
+      // they're a bad request rather than a conflict with another booking
+      if (!slotKey && CLOSED_REASONS.has(availability.reason)) {
+        if (sessionId) AnalyticsService.trackSession(sessionId, 'appointment_invalid');
+        return res.status(400).json({
+          error: availability.message,
+          reason: availability.reason,
+          closureReason: availability.closureReason || null,
+          suggestedSlots: availability.suggestedSlots || []
+        });
+      }
+
+      if (!slotKey) {
+        if (sessionId) AnalyticsService.trackSession(sessionId, 'appointment_slot_unavailable');
+        return res.status(409).json({
+          error: availability.available
+            ? 'Sorry, someone else has just booked that time. Please choose another time.'
+            : availability.message,
+          reason: availability.reason || 'slot_taken',
+          suggestedSlots: availability.suggestedSlots || []
+        });
+      }
+
+      // The vet the slot manager picked; none while the clinic has no vets set up
+      if (vetId !== AppointmentSlotManager.defaultVetId) {
+        appointment.veterinarian = vetId;
+        appointment.veterinarianName = veterinarian;
+      }
+
+      try {
+        await AppointmentSlotManager.confirmReservation(slotKey, holder, appointment._id, vetId);
+
+        // Link to the household's pet records - without a session there's no owner to file it under
+        if (sessionId) {
+          const { owner, pet } = await PetProfileService.linkBooking(sessionId, {
+            ownerName, email, phone: fullPhoneNumber, petName, petType, petId
+          });
+          appointment.owner = owner._id;
+          appointment.pet = pet._id;
+        }
+
+        // Save to database
+        await appointment.save();
+      } catch (error) {
+        // Free the slot again - no appointment holds it
+        await AppointmentSlotManager.releaseAppointmentSlots(appointment._id);
+        await AppointmentSlotManager.releaseReservation(slotKey, holder, vetId);
+        throw error;
+      }
+
+      if (sessionId) AnalyticsService.trackSession(sessionId, 'appointment_complete', { channel: 'form' });
+
+      // Confirmation now, 24h and 2h reminders later
+      await NotificationService.appointmentBooked(appointment);
 
       res.status(201).json({
         message: 'Appointment created successfully',
@@ -49,8 +167,12 @@ class AppointmentController {
           id: appointment._id,
           ownerName: appointment.ownerName,
           petName: appointment.petName,
+          petId: appointment.pet,
           phone: appointment.phone,
           preferredDateTime: appointment.preferredDateTime,
+          scheduledAt: appointment.scheduledAt,
+          timeZone: appointment.timeZone,
+          veterinarianName: appointment.veterinarianName || null,
           status: appointment.status,
           createdAt: appointment.createdAt
         }
@@ -64,12 +186,31 @@ class AppointmentController {
     }
   }
 
+  /**
+   * POST /api/appointments/form-events - The booking form was opened, failed
+   * validation in the browser, or was closed without booking. Submissions
+   * are tracked by createAppointment.
+   */
+  async trackFormEvent(req, res) {
+    const { sessionId, event } = req.body;
+
+    if (!sessionId || typeof sessionId !== 'string' || !Object.hasOwn(FORM_EVENTS, event)) {
+      return res.status(400).json({
+        error: `sessionId and event (${Object.keys(FORM_EVENTS).join(', ')}) are required`
+      });
+    }
+
+    const [analyticsEvent, data] = FORM_EVENTS[event];
+    await AnalyticsService.trackSession(sessionId, analyticsEvent, data);
+    res.status(204).end();
+  }
+
   async getAppointments(req, res) {
     try {
       const { sessionId } = req.query;
 
       // SECURITY FIX: Require sessionId - never return ALL appointments
-      if (!sessionId) {
+      if (!PrivacyService.isOwnerSession(sessionId)) {
         return res.status(403).json({
           error: 'SessionId required for privacy. Cannot access appointments without proper session.'
         });
@@ -93,8 +234,16 @@ class AppointmentController {
   async getAppointmentById(req, res) {
     try {
       const { id } = req.params;
+      const { sessionId } = req.query;
 
-      const appointment = await Appointment.findById(id);
+      // Only the session that booked it may read it - staff use /api/admin
+      if (!PrivacyService.isOwnerSession(sessionId)) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access appointments without proper session.'
+        });
+      }
+
+      const appointment = await Appointment.findOne({ _id: id, sessionId });
 
       if (!appointment) {
         return res.status(404).json({
@@ -114,29 +263,88 @@ class AppointmentController {
     }
   }
 
+  /**
+   * GET /api/appointments/:id/calendar.ics?sessionId=
+   * The appointment as an .ics file for the owner's calendar app. Downloading
+   * it again after a reschedule or cancellation updates the same event.
+   */
+  async downloadCalendar(req, res) {
+    try {
+      const { id } = req.params;
+      const { sessionId } = req.query;
+
+      if (!PrivacyService.isOwnerSession(sessionId)) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access appointments without proper session.'
+        });
+      }
+
+      const appointment = mongoose.isValidObjectId(id)
+        ? await Appointment.findOne({ _id: id, sessionId })
+        : null;
+
+      if (!appointment || !appointment.scheduledAt) {
+        return res.status(404).json({
+          error: 'Appointment not found'
+        });
+      }
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${ICalendarService.getFileName(appointment)}"`
+      });
+      res.send(ICalendarService.buildAppointmentCalendar(appointment));
+
+    } catch (error) {
+      console.error('Download appointment calendar error:', error);
+      res.status(500).json({
+        error: 'Failed to create calendar file'
+      });
+    }
+  }
+
   async updateAppointmentStatus(req, res) {
     try {
       const { id } = req.params;
-      const { status } = req.body;
+      const { status, sessionId } = req.body;
 
-      if (!['pending', 'confirmed', 'cancelled'].includes(status)) {
+      if (!PrivacyService.isOwnerSession(sessionId)) {
+        return res.status(403).json({
+          error: 'SessionId required. Only the session that booked an appointment can change it.'
+        });
+      }
+
+      // Owners can only cancel; confirming is done by clinic staff
+      if (status !== 'cancelled') {
         return res.status(400).json({
-          error: 'Invalid status. Must be: pending, confirmed, or cancelled'
+          error: 'Invalid status. Owners can only cancel an appointment'
         });
       }
 
-      const appointment = await Appointment.findByIdAndUpdate(
-        id,
+      if (!mongoose.isValidObjectId(id)) {
+        return res.status(404).json({
+          error: 'Appointment not found'
+        });
+      }
+
+      // Only once - cancelling again would free the slot and message the owner again
+      const appointment = await Appointment.findOneAndUpdate(
+        { _id: id, sessionId, status: { $ne: 'cancelled' } },
         { status },
         { new: true }
       );
 
       if (!appointment) {
-        return res.status(404).json({
-          error: 'Appointment not found'
+        const cancelled = await Appointment.exists({ _id: id, sessionId, status: 'cancelled' });
+        return res.status(cancelled ? 409 : 404).json({
+          error: cancelled ? 'That appointment has already been cancelled' : 'Appointment not found'
         });
       }
 
+      // Let someone else book the freed time
+      await AppointmentSlotManager.releaseAppointmentSlots(appointment._id);
+      await NotificationService.appointmentCancelled(appointment);
+
       res.json({
         message: 'Appointment status updated successfully',
         appointment
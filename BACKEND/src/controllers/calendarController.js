@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import Staff from '../models/Staff.js';
+import Veterinarian from '../models/Veterinarian.js';
+import AuthService from '../services/AuthService.js';
+import ICalendarService from '../services/ICalendarService.js';
+
+/**
+ * Whether the feed token in the URL grants this scope. A clinic token opens
+ * every feed; a vet token only that vet's. The staff member it was issued to
+ * has to still be active.
+ */
+async function canReadFeed(token, scope) {
+  const payload = token ? AuthService.verifyFeedToken(token) : null;
+  if (!payload || (payload.scope !== 'clinic' && payload.scope !== scope)) return false;
+
+  const staff = await Staff.findById(payload.sub);
+  return Boolean(staff?.active);
+}
+
+function sendCalendar(res, body, fileName) {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${fileName}"`,
+    'Cache-Control': 'no-cache'
+  });
+  res.send(body);
+}
+
+class CalendarController {
+  /**
+   * GET /api/calendar/clinic.ics?token= - Every vet's confirmed appointments
+   */
+  async getClinicFeed(req, res) {
+    try {
+      if (!(await canReadFeed(req.query.token, 'clinic'))) {
+        return res.status(401).json({
+          error: 'Valid feed token required'
+        });
+      }
+
+      const feed = await ICalendarService.buildFeed({ name: `${ICalendarService.clinicName()} appointments` });
+      sendCalendar(res, feed, 'clinic.ics');
+
+    } catch (error) {
+      console.error('Clinic calendar feed error:', error);
+      res.status(500).json({
+        error: 'Failed to build calendar feed'
+      });
+    }
+  }
+
+  /**
+   * GET /api/calendar/vets/:vetId.ics?token= - One vet's confirmed appointments
+   */
+  async getVetFeed(req, res) {
+    try {
+      const { vetId } = req.params;
+
+      if (!(await canReadFeed(req.query.token, vetId))) {
+        return res.status(401).json({
+          error: 'Valid feed token required'
+        });
+      }
+
+      const vet = mongoose.isValidObjectId(vetId) ? await Veterinarian.findById(vetId) : null;
+
+      if (!vet) {
+        return res.status(404).json({
+          error: 'Veterinarian not found'
+        });
+      }
+
+      const feed = await ICalendarService.buildFeed({ vetId: vet._id, name: `${vet.name} appointments` });
+      sendCalendar(res, feed, `vet-${vet._id}.ics`);
+
+    } catch (error) {
+      console.error('Vet calendar feed error:', error);
+      res.status(500).json({
+        error: 'Failed to build calendar feed'
+      });
+    }
+  }
+}
+
+export default new CalendarController();
@@ -5,225 +5,948 @@ import AppointmentService from '../services/AppointmentService.js';
 import AppointmentSlotManager from '../services/AppointmentSlotManager.js';
 import CacheService from '../services/CacheService.js';
 import AnalyticsService from '../services/AnalyticsService.js';
+import ConversationRecovery from '../services/ConversationRecovery.js';
+import TriageService from '../services/TriageService.js';
+import ClinicTimeService from '../services/ClinicTimeService.js';
+import PetProfileService from '../services/PetProfileService.js';
+import MedicalHistoryService from '../services/MedicalHistoryService.js';
+import NotificationService from '../services/NotificationService.js';
+import HandoffService from '../services/HandoffService.js';
+import TranscriptService from '../services/TranscriptService.js';
+import { canUseSharedAnswer, getPersonalNames, isPersonalized, isShareableAnswer } from '../services/cache/personalization.js';
 import { v4 as uuidv4 } from 'uuid';
 
-class ChatController {
-  async handleMessage(req, res) {
-    try {
-      const { message, sessionId: providedSessionId, context } = req.body;
+// Controller methods are passed to the router unbound, so shared helpers live
+// at module level rather than on the class.
 
-      // Validate input
-      if (!message || message.trim().length === 0) {
-        return res.status(400).json({
-          error: 'Message is required'
-        });
+// appointmentState values for rescheduling or cancelling a saved appointment
+const MANAGE_STATES = ['MANAGE_SELECT', 'RESCHEDULE_DATE_TIME', 'MANAGE_CONFIRM'];
+
+/**
+ * The pet the conversation is about; with one pet there's nothing to choose
+ */
+function getActivePet(pets, conversation) {
+  return pets.find(pet => String(pet._id) === String(conversation.activePet)) ||
+    (pets.length === 1 ? pets[0] : null);
+}
+
+/**
+ * Answer a regular veterinary question (cache first, then Gemini)
+ * With onChunk the LLM answer is streamed; cached answers arrive whole.
+ * The LLM only sees the clinic's records for the household's pets, never
+ * the profile the widget sends.
+ */
+async function answerQuestion(message, conversation, pets, sessionId, onChunk = null) {
+  // The conversation so far, without this message
+  const earlier = conversation.messages.slice(0, -1);
+  const species = AppointmentService.detectPetType(message) || getActivePet(pets, conversation)?.species;
+
+  // Check cache for similar questions first - about the species the
+  // question names, or else the pet being talked about. Other owners'
+  // answers only fit questions that aren't about this household.
+  if (canUseSharedAnswer({ message, history: earlier, names: getPersonalNames({ pets }) })) {
+    const cachedResponse = CacheService.findSimilar(message, { species });
+
+    if (cachedResponse) {
+      console.log('Using cached response for similar question');
+      return cachedResponse;
+    }
+  }
+
+  // Get conversation history for context (last 10 messages)
+  const history = conversation.messages.slice(-10);
+  const context = await MedicalHistoryService.buildContext(sessionId, pets, conversation.activePet);
+
+  // Answers that may draw on the household's records or earlier messages
+  // are only ever given back to this session
+  const names = getPersonalNames({ pets, context });
+  const personalized = isPersonalized({ message, history: earlier, context, names });
+
+  // Generate AI response with caching
+  const aiResponse = await CacheService.get(
+    { message, history, context },
+    async () => {
+      const response = onChunk
+        ? await GeminiService.streamResponse(message, history, context, onChunk)
+        : await GeminiService.generateResponse(message, history, context);
+      // Track API call for analytics
+      AnalyticsService.trackLLMCall(
+        response.promptLength || message.length,
+        response.message.length,
+        response.duration || 0,
+        response.error || null,
+        { provider: response.provider, model: response.model }
+      );
+      return response;
+    },
+    {
+      ttl: 3600000, // Cache for 1 hour
+      sessionId: personalized ? sessionId : null,
+      // A fallback or a stream cut off partway must not be served to the next
+      // asker, and an answer that echoes a name isn't kept under the shared key
+      cacheIf: response => response.success &&
+        (personalized || isShareableAnswer({ message, answer: response.message, names }))
+    }
+  );
+
+  if (aiResponse.success && !personalized && isShareableAnswer({ message, answer: aiResponse.message, names })) {
+    CacheService.remember(message, aiResponse.message, { species });
+  }
+
+  return aiResponse.message;
+}
+
+/**
+ * Classify the message and keep the most severe level on the conversation,
+ * so "book appointment" after "he's been vomiting all day" is still urgent.
+ */
+function triageMessage(conversation, message, sessionId) {
+  const triage = TriageService.classify(message);
+  AnalyticsService.trackTriage(sessionId, triage);
+
+  const currentLevel = conversation.triage?.level || 'routine';
+  if (TriageService.escalate(currentLevel, triage.level) !== currentLevel) {
+    conversation.triage = {
+      level: triage.level,
+      reasons: triage.reasons,
+      updatedAt: new Date()
+    };
+  }
+
+  return triage;
+}
+
+/**
+ * Check availability for appointmentData.appointmentDate and hold the slot.
+ * Any slot already held by this session is swapped for the new one.
+ * Returns a message with alternatives when the time can't be booked.
+ * options are passed on to checkAvailability (e.g. excludeAppointmentId).
+ */
+async function holdRequestedSlot(appointmentData, sessionId, options = {}) {
+  const previous = appointmentData.slotKey
+    ? { slotKey: appointmentData.slotKey, vetId: appointmentData.vetId }
+    : null;
+
+  // Our own hold must not block the new time (e.g. moving 2pm to 2:30pm)
+  if (previous) {
+    await AppointmentSlotManager.releaseReservation(previous.slotKey, sessionId, previous.vetId);
+  }
+
+  const { slotKey, vetId, veterinarian, availability } = await AppointmentSlotManager.holdSlot(
+    appointmentData.appointmentDate,
+    sessionId,
+    { petType: appointmentData.petType, ...options }
+  );
+
+  if (slotKey) {
+    Object.assign(appointmentData, { slotKey, vetId, veterinarian });
+    return null;
+  }
+
+  if (previous) {
+    appointmentData.slotKey = await AppointmentSlotManager.reserveSlot(
+      new Date(previous.slotKey),
+      sessionId,
+      previous.vetId
+    ) || undefined;
+  }
+
+  if (availability.available) {
+    return 'Sorry, someone else has just reserved that time. Please choose another time.';
+  }
+
+  // Slot not available, suggest alternatives
+  let suggestionMessage = `${availability.message}`;
+  if (availability.suggestedSlots && availability.suggestedSlots.length > 0) {
+    suggestionMessage += '\n\nAvailable times nearby:';
+    availability.suggestedSlots.forEach(slot => {
+      suggestionMessage += `\n- ${slot.displayTime}`;
+    });
+    suggestionMessage += '\n\nPlease choose one of these times or suggest another.';
+  }
+  return suggestionMessage;
+}
+
+/**
+ * Make the held slot permanent. If the 5 minute hold expired, try to take
+ * the slot again; returns a message when it has been booked by someone else.
+ * When rescheduling, the appointment's current slot doesn't count as a clash.
+ */
+async function confirmHeldSlot(appointmentData, sessionId, appointmentId) {
+  if (!appointmentData.slotKey) return null;
+
+  try {
+    await AppointmentSlotManager.confirmReservation(appointmentData.slotKey, sessionId, appointmentId, appointmentData.vetId);
+    return null;
+  } catch (error) {
+    console.log('Reservation expired, re-checking slot:', appointmentData.slotKey);
+    appointmentData.slotKey = undefined;
+
+    const slotMessage = await holdRequestedSlot(appointmentData, sessionId, { excludeAppointmentId: appointmentId });
+    if (slotMessage) {
+      return `Sorry, that time was booked while we were talking. ${slotMessage}`;
+    }
+
+    await AppointmentSlotManager.confirmReservation(appointmentData.slotKey, sessionId, appointmentId, appointmentData.vetId);
+    return null;
+  }
+}
+
+/**
+ * Release the slot held for this booking, if any
+ */
+async function releaseHeldSlot(appointmentData, sessionId) {
+  if (appointmentData?.slotKey) {
+    await AppointmentSlotManager.releaseReservation(appointmentData.slotKey, sessionId, appointmentData.vetId);
+  }
+}
+
+/**
+ * Repeat the question the user is currently answering
+ */
+function getCurrentPrompt(conversation) {
+  if (conversation.appointmentState === 'COMPLETED') {
+    return AppointmentService.getConfirmationMessage(conversation.appointmentData);
+  }
+  if (MANAGE_STATES.includes(conversation.appointmentState)) {
+    return getManagePrompt(conversation.appointmentState, conversation.appointmentData.manageAction);
+  }
+  return ConversationRecovery.getQuestionForState(
+    ConversationRecovery.toRecoveryState(conversation.appointmentState)
+  );
+}
+
+/**
+ * Validate and apply a corrected field. Returns an error message if the
+ * new value is rejected, otherwise null.
+ */
+async function applyCorrection(conversation, dataKey, value, sessionId) {
+  // Reuse the booking validation for the state that collects this field
+  const collectingState = ConversationRecovery.toBookingState(
+    ConversationRecovery.getStateForField(dataKey)
+  );
+  const result = AppointmentService.processBookingResponse(
+    collectingState,
+    value,
+    conversation.appointmentData
+  );
+
+  if (!result.isValid) {
+    AnalyticsService.trackSession(sessionId, 'appointment_invalid');
+    return result.errorMessage;
+  }
+
+  if (dataKey === 'preferredDateTime') {
+    const slotMessage = await holdRequestedSlot(result.data, sessionId);
+    if (slotMessage) {
+      AnalyticsService.trackSession(sessionId, 'appointment_slot_unavailable');
+      return slotMessage;
+    }
+  }
+
+  // A corrected pet name is matched against the household's pets again when saving
+  if (dataKey === 'petName') {
+    delete result.data.petId;
+  }
+
+  delete result.data.pendingCorrection;
+  conversation.appointmentData = result.data;
+  return null;
+}
+
+/**
+ * Run an in-flow booking message through ConversationRecovery.
+ * Returns the bot response if recovery handled the message, otherwise null
+ * so the regular state machine processes it.
+ */
+async function handleBookingRecovery(conversation, message, sessionId, pets, onChunk = null) {
+  const recoveryState = ConversationRecovery.toRecoveryState(conversation.appointmentState);
+  const pendingCorrection = conversation.appointmentData?.pendingCorrection;
+
+  if (pendingCorrection) {
+    conversation.appointmentData.pendingCorrection = undefined;
+  }
+
+  const recovery = pendingCorrection
+    ? ConversationRecovery.handlePendingCorrection(message, pendingCorrection, recoveryState, conversation.appointmentData)
+    : await ConversationRecovery.handleRecovery(message, recoveryState, conversation.appointmentData);
+
+  if (!recovery) return null;
+
+  console.log('Conversation recovery:', recovery.action);
+
+  switch (recovery.action) {
+    case 'correction_applied': {
+      const errorMessage = await applyCorrection(conversation, recovery.dataKey, recovery.value, sessionId);
+      if (errorMessage) {
+        conversation.appointmentData.pendingCorrection = recovery.dataKey;
+        return errorMessage;
       }
 
-      // Generate or use provided session ID
-      const sessionId = providedSessionId || uuidv4();
+      // Correcting the field we were asking for counts as answering it
+      if (ConversationRecovery.getFieldForState(recoveryState) === recovery.dataKey) {
+        const nextQuestion = AppointmentService.getNextQuestion(
+          conversation.appointmentState,
+          conversation.appointmentData
+        );
+        conversation.appointmentState = nextQuestion.nextState;
+        return `${recovery.message} ${nextQuestion.message}`;
+      }
 
-      // Get or create conversation
-      let conversation = await Conversation.findOne({ sessionId });
+      return `${recovery.message}\n\n${getCurrentPrompt(conversation)}`;
+    }
 
-      if (!conversation) {
-        conversation = new Conversation({
-          sessionId,
-          context: context || {},
-          messages: [],
-          appointmentState: 'NONE',
-          appointmentData: {}
-        });
-      } else if (context && !conversation.context.userId) {
-        // Update context if provided and not already set
-        conversation.context = { ...conversation.context, ...context };
+    case 'request_correction_value':
+      conversation.appointmentData.pendingCorrection = recovery.dataKey;
+      return recovery.message;
+
+    case 'clarify_correction':
+      // A second unclear reply goes through the regular flow instead of looping
+      if (pendingCorrection === 'any') return null;
+      conversation.appointmentData.pendingCorrection = 'any';
+      return recovery.message;
+
+    case 'went_back':
+    case 'restarted': {
+      const { slotKey, appointmentDate, vetId, veterinarian, ...updatedData } = recovery.updatedData;
+      const keepsSlot = updatedData.preferredDateTime;
+
+      if (keepsSlot) {
+        Object.assign(updatedData, { slotKey, appointmentDate, vetId, veterinarian });
+      } else {
+        await releaseHeldSlot(conversation.appointmentData, sessionId);
       }
+      updatedData.petType = conversation.appointmentData.petType;
+      updatedData.clientTimeZone = conversation.appointmentData.clientTimeZone;
 
-      // Add user message to conversation
-      conversation.messages.push({
-        role: 'user',
-        content: message
-      });
+      conversation.appointmentData = updatedData;
+      conversation.appointmentState = ConversationRecovery.toBookingState(recovery.newState);
+      return recovery.message;
+    }
 
-      // Check if user wants to cancel appointment booking
-      if (conversation.appointmentState !== 'NONE' &&
-          conversation.appointmentState !== 'COMPLETED' &&
-          AppointmentService.detectCancelIntent(message)) {
-        conversation.appointmentState = 'NONE';
-        conversation.appointmentData = {};
+    case 'clarification_provided':
+      return recovery.message;
 
-        const cancelMessage = 'Appointment booking cancelled. How else can I help you with your pet\'s needs?';
-        conversation.messages.push({
-          role: 'bot',
-          content: cancelMessage
-        });
+    case 'context_switched': {
+      const answer = await answerQuestion(message, conversation, pets, sessionId, onChunk);
+      const resume = `\n\nNow, back to your appointment. ${getCurrentPrompt(conversation)}`;
+      onChunk?.(resume);
+      return `${answer}${resume}`;
+    }
 
-        await conversation.save();
+    default:
+      return null;
+  }
+}
+
+/**
+ * The question each reschedule/cancel step is waiting on
+ */
+function getManagePrompt(state, action) {
+  const prompts = {
+    MANAGE_SELECT: `Which appointment would you like to ${action}? Please reply with its number.`,
+    RESCHEDULE_DATE_TIME: 'What new date and time would you like? (e.g., "tomorrow at 2pm" or "next Monday at 10:30am")',
+    MANAGE_CONFIRM: action === 'cancel'
+      ? 'Please type \'yes\' to cancel the appointment or \'no\' to keep it.'
+      : 'Please type \'yes\' to confirm the new time or \'no\' to keep the current one.'
+  };
+  return prompts[state];
+}
+
+/**
+ * Upcoming appointments booked in this session, soonest first
+ */
+function findUpcomingAppointments(sessionId) {
+  return Appointment.find({
+    sessionId,
+    status: { $ne: 'cancelled' },
+    scheduledAt: { $gt: new Date() }
+  }).sort({ scheduledAt: 1 }).limit(10);
+}
+
+function listAppointments(appointments) {
+  return appointments
+    .map((appointment, index) => `${index + 1}. ${AppointmentService.describeAppointment(appointment)}`)
+    .join('\n');
+}
+
+/**
+ * Leave the reschedule/cancel flow, dropping any slot held for a new time
+ */
+async function finishManaging(conversation, appointmentData, sessionId, message) {
+  await releaseHeldSlot(appointmentData, sessionId);
+  conversation.appointmentState = 'NONE';
+  conversation.appointmentData = {};
+  return message;
+}
+
+/**
+ * Move to the step after choosing the appointment to change
+ */
+function beginManaging(conversation, action, appointment) {
+  conversation.appointmentData = {
+    manageAction: action,
+    appointmentId: String(appointment._id),
+    petType: appointment.petType,
+    clientTimeZone: conversation.context?.timeZone || appointment.clientTimeZone
+  };
+  const description = AppointmentService.describeAppointment(appointment);
+
+  if (action === 'cancel') {
+    conversation.appointmentState = 'MANAGE_CONFIRM';
+    return `Just to check, you'd like to cancel ${description}? (Type 'yes' to cancel it or 'no' to keep it)`;
+  }
+
+  conversation.appointmentState = 'RESCHEDULE_DATE_TIME';
+  return `Sure, let's move ${description}. ${getManagePrompt('RESCHEDULE_DATE_TIME')}`;
+}
+
+/**
+ * "Reschedule my appointment" / "cancel Friday's visit": work out which of
+ * the session's appointments is meant, asking when it's ambiguous
+ */
+async function startManagingAppointment(conversation, action, message, sessionId) {
+  const appointments = await findUpcomingAppointments(sessionId);
+
+  if (appointments.length === 0) {
+    return `I couldn't find any upcoming appointments booked in this chat, so there's nothing to ${action}. If you booked by phone, please call the clinic. Would you like to book a new appointment instead?`;
+  }
+
+  const matches = AppointmentService.findMentionedAppointments(message, appointments);
+  if (matches.length === 1) {
+    return beginManaging(conversation, action, matches[0]);
+  }
+
+  conversation.appointmentData = { manageAction: action };
+  conversation.appointmentState = 'MANAGE_SELECT';
+  const notFound = matches.length === 0 ? 'I couldn\'t find an appointment matching that. ' : '';
+  return `${notFound}Here are your upcoming appointments:\n\n${listAppointments(appointments)}\n\n${getManagePrompt('MANAGE_SELECT', action)}`;
+}
+
+/**
+ * One step of the reschedule/cancel flow. Rescheduling holds the new slot
+ * like a booking does; on 'yes' it is confirmed against the same
+ * appointment and only then is the old slot released.
+ */
+async function handleAppointmentManagement(conversation, message, sessionId) {
+  const state = conversation.appointmentState;
+  const appointmentData = { ...conversation.appointmentData };
+  const action = appointmentData.manageAction;
+  const lowerMessage = message.toLowerCase().trim();
+
+  const newAction = state !== 'MANAGE_CONFIRM' ? AppointmentService.detectManageIntent(message) : null;
+
+  // "Actually, cancel Max's appointment" starts again with the new request
+  if (state === 'RESCHEDULE_DATE_TIME' && newAction) {
+    await releaseHeldSlot(appointmentData, sessionId);
+    return startManagingAppointment(conversation, newAction, message, sessionId);
+  }
+
+  // A bare "cancel" means stop, unless we're choosing which appointment to cancel
+  const wantsToStop = /\b(never ?mind|forget it|stop|exit|keep it)\b/.test(lowerMessage) ||
+    (AppointmentService.detectCancelIntent(message) && !newAction && action === 'reschedule');
+
+  if (state !== 'MANAGE_CONFIRM' && wantsToStop) {
+    return finishManaging(conversation, appointmentData, sessionId, 'No problem, I\'ve left your appointment as it is. How else can I help you?');
+  }
+
+  if (state === 'MANAGE_SELECT') {
+    const appointments = await findUpcomingAppointments(sessionId);
+    if (appointments.length === 0) {
+      return finishManaging(conversation, appointmentData, sessionId, 'You don\'t have any upcoming appointments anymore. How else can I help you?');
+    }
+
+    const index = AppointmentService.pickListItem(message, appointments.length);
+    const matches = index !== null
+      ? [appointments[index]]
+      : AppointmentService.findMentionedAppointments(message, appointments);
+
+    // "Actually, cancel the second one" switches from rescheduling
+    const selectedAction = newAction || action;
+
+    if (matches.length !== 1) {
+      conversation.appointmentData = { ...appointmentData, manageAction: selectedAction };
+      return `Sorry, I'm not sure which one you mean.\n\n${listAppointments(appointments)}\n\n${getManagePrompt(state, selectedAction)}`;
+    }
+    return beginManaging(conversation, selectedAction, matches[0]);
+  }
+
+  const appointment = await Appointment.findOne({ _id: appointmentData.appointmentId, sessionId });
+  if (!appointment || appointment.status === 'cancelled') {
+    return finishManaging(conversation, appointmentData, sessionId, 'That appointment has already been cancelled. How else can I help you?');
+  }
+  const description = AppointmentService.describeAppointment(appointment);
+
+  if (state === 'RESCHEDULE_DATE_TIME') {
+    let dateValidation = AppointmentService.validateDateTime(message);
+    if (!dateValidation.valid) {
+      // Same typo fixes as the booking flow ("tmrw 3pm")
+      const suggestedValue = ConversationRecovery.extractValidParts(message, 'ASK_DATE_TIME');
+      const retried = suggestedValue && AppointmentService.validateDateTime(suggestedValue);
+      if (!retried?.valid) return dateValidation.message;
+      dateValidation = retried;
+    }
+
+    if (appointment.scheduledAt &&
+        AppointmentSlotManager.getSlotKey(dateValidation.date) === AppointmentSlotManager.getSlotKey(appointment.scheduledAt)) {
+      return `That's already when ${appointment.petName} is booked in. ${getManagePrompt(state)}`;
+    }
+
+    appointmentData.preferredDateTime = dateValidation.formatted;
+    appointmentData.appointmentDate = dateValidation.date;
+
+    const slotMessage = await holdRequestedSlot(appointmentData, sessionId, { excludeAppointmentId: appointment._id });
+    conversation.appointmentData = appointmentData;
+    if (slotMessage) return slotMessage;
+
+    conversation.appointmentState = 'MANAGE_CONFIRM';
+    const withVet = appointmentData.veterinarian ? ` with ${appointmentData.veterinarian}` : '';
+    const yourTime = ClinicTimeService.describeForClient(appointmentData.appointmentDate, appointmentData.clientTimeZone);
+    return `I can move ${description} to ${appointmentData.preferredDateTime}${yourTime}${withVet}. Shall I go ahead? (Type 'yes' to confirm or 'no' to keep the current time)`;
+  }
+
+  // MANAGE_CONFIRM
+  if (lowerMessage === 'no' || lowerMessage === 'n') {
+    return finishManaging(conversation, appointmentData, sessionId, `No problem, I've kept ${description}. How else can I help you?`);
+  }
+  if (lowerMessage !== 'yes' && lowerMessage !== 'y' && lowerMessage !== 'confirm') {
+    return getManagePrompt(state, action);
+  }
+
+  if (action === 'cancel') {
+    appointment.status = 'cancelled';
+    await appointment.save();
+    await AppointmentSlotManager.releaseAppointmentSlots(appointment._id);
+    await NotificationService.appointmentCancelled(appointment);
+
+    return finishManaging(conversation, appointmentData, sessionId, `Done, ${description} has been cancelled. Is there anything else I can help you with?`);
+  }
 
-        return res.json({
+  const slotMessage = await confirmHeldSlot(appointmentData, sessionId, appointment._id);
+  if (slotMessage) {
+    // The hold expired and the time was taken meanwhile - ask for another
+    conversation.appointmentState = 'RESCHEDULE_DATE_TIME';
+    conversation.appointmentData = appointmentData;
+    return slotMessage;
+  }
+  await AppointmentSlotManager.releaseAppointmentSlots(appointment._id, appointmentData.slotKey);
+
+  const { appointmentDate, preferredDateTime, vetId, veterinarian } = appointmentData;
+  Object.assign(appointment, {
+    preferredDateTime,
+    scheduledAt: appointmentDate,
+    appointmentDate: ClinicTimeService.getDateKey(appointmentDate),
+    appointmentTime: ClinicTimeService.getTimeString(appointmentDate),
+    timeZone: ClinicTimeService.timeZone,
+    veterinarian: vetId && vetId !== AppointmentSlotManager.defaultVetId ? vetId : undefined,
+    veterinarianName: veterinarian,
+    status: 'pending',  // The clinic confirms the new time
+    rescheduledAt: new Date()
+  });
+  await appointment.save();
+  await NotificationService.appointmentRescheduled(appointment);
+  conversation.$locals.bookedAppointmentId = appointment._id;
+
+  const withVet = veterinarian ? ` with ${veterinarian}` : '';
+  const yourTime = ClinicTimeService.describeForClient(appointmentDate, appointmentData.clientTimeZone);
+  return finishManaging(conversation, {}, sessionId, `All set! ${appointment.petName}'s appointment has been moved to ${preferredDateTime}${yourTime}${withVet}. We'll contact you shortly to confirm. Is there anything else I can help you with?`);
+}
+
+/**
+ * Match the answer to "which pet?" against the household's pets ("Bella",
+ * "the second one", or "yes" when only one was offered) so the booking links
+ * to that profile and takes its species
+ */
+function applyPetChoice(conversation, appointmentData, message, pets) {
+  const listIndex = AppointmentService.pickListItem(message, pets.length);
+  const pet = PetProfileService.findMentionedPet(message, pets) ||
+    (listIndex !== null ? pets[listIndex] : null) ||
+    (pets.length === 1 && /^(yes|yeah|yep|y|sure)\b/i.test(message.trim()) ? pets[0] : null);
+
+  if (!pet) {
+    delete appointmentData.petId;
+    return;
+  }
+
+  appointmentData.petName = pet.name;
+  appointmentData.petId = String(pet._id);
+  if (pet.species !== 'other') {
+    appointmentData.petType = pet.species;
+  }
+  conversation.activePet = pet._id;
+}
+
+/**
+ * Run one user message through the chat pipeline (booking flow, recovery,
+ * Q&A) and persist both sides of the exchange. onChunk, when given,
+ * receives LLM text as it streams.
+ */
+async function processMessage(message, providedSessionId, context, onChunk = null) {
+  // Generate or use provided session ID
+  const sessionId = providedSessionId || uuidv4();
+
+  // Get or create conversation
+  let conversation = await Conversation.findOne({ sessionId });
+
+  if (!conversation) {
+    conversation = new Conversation({
+      sessionId,
+      context: context || {},
+      messages: [],
+      appointmentState: 'NONE',
+      appointmentData: {}
+    });
+  } else if (context && !conversation.context.userId) {
+    // Update context if provided and not already set
+    conversation.context = { ...conversation.context, ...context };
+  }
+
+  // Add user message to conversation
+  conversation.messages.push({
+    role: 'user',
+    content: message
+  });
+  const firstNewMessage = conversation.messages.length - 1;
+
+  // Track analytics
+  AnalyticsService.trackSession(sessionId, 'message', { message });
+
+  // Triage before anything else - emergencies never wait on the LLM or booking flow
+  const triage = triageMessage(conversation, message, sessionId);
+
+  // A staff member has taken over - the bot stays out of it
+  if (HandoffService.isActive(conversation)) {
+    await conversation.save();
+    HandoffService.publish(conversation, conversation.messages.slice(firstNewMessage));
+
+    return {
+      sessionId,
+      message: null,
+      appointmentState: conversation.appointmentState,
+      triage: triage.level,
+      handoff: HandoffService.describe(conversation)
+    };
+  }
+
+  if (triage.level === 'emergency') {
+    const followUp = conversation.appointmentState !== 'NONE'
+      ? `When you're ready, we can carry on with your booking. ${getCurrentPrompt(conversation)}`
+      : undefined;
+    let emergencyMessage = TriageService.getEmergencyResponse(triage, followUp);
+
+    // Put the chat in front of staff too, in case someone can help right away
+    if (HandoffService.request(conversation, 'emergency') && HandoffService.isStaffOnline()) {
+      emergencyMessage += '\n\nI\'ve also alerted the clinic team - someone may join this chat.';
+    }
+
+    conversation.messages.push({
+      role: 'bot',
+      content: emergencyMessage
+    });
+
+    await conversation.save();
+    HandoffService.publish(conversation, conversation.messages.slice(firstNewMessage));
+
+    return {
+      sessionId,
+      message: emergencyMessage,
+      appointmentState: conversation.appointmentState,
+      triage: triage.level,
+      handoff: HandoffService.describe(conversation)
+    };
+  }
+
+  const previousState = conversation.appointmentState;
+
+  // Check if user wants to cancel appointment booking
+  if (conversation.appointmentState !== 'NONE' &&
+      conversation.appointmentState !== 'COMPLETED' &&
+      !MANAGE_STATES.includes(conversation.appointmentState) &&
+      AppointmentService.detectCancelIntent(message) &&
+      ConversationRecovery.detectRecoveryType(message) !== 'go_back') {
+    await releaseHeldSlot(conversation.appointmentData, sessionId);
+    AnalyticsService.trackSession(sessionId, 'appointment_stage', {
+      stage: 'abandoned',
+      abandonedAt: ConversationRecovery.toRecoveryState(conversation.appointmentState)
+    });
+    conversation.appointmentState = 'NONE';
+    conversation.appointmentData = {};
+
+    const cancelMessage = 'Appointment booking cancelled. How else can I help you with your pet\'s needs?';
+    conversation.messages.push({
+      role: 'bot',
+      content: cancelMessage
+    });
+
+    await conversation.save();
+
+    return {
+      sessionId,
+      message: cancelMessage,
+      appointmentState: 'NONE',
+      triage: triage.level
+    };
+  }
+
+  // The household's pets - naming one ("is Bella due for shots?") or choosing
+  // it in the widget's pet picker makes it the pet the chat is about
+  const pets = await PetProfileService.getPetsForSession(sessionId);
+  const chosenPet = PetProfileService.findMentionedPet(message, pets) ||
+    pets.find(pet => String(pet._id) === String(context?.petId));
+  if (chosenPet) {
+    conversation.activePet = chosenPet._id;
+  } else if (!pets.some(pet => String(pet._id) === String(conversation.activePet))) {
+    conversation.activePet = undefined;  // Removed from the profile since
+  }
+
+  let botResponse;
+  let newAppointmentState = conversation.appointmentState;
+  const manageAction = conversation.appointmentState === 'NONE'
+    ? AppointmentService.detectManageIntent(message)
+    : null;
+
+  // "Can I talk to a real person?" - ask the clinic team to join
+  if (HandoffService.detectRequest(message) && conversation.handoff?.status !== 'requested') {
+    HandoffService.request(conversation, 'owner_request');
+    botResponse = HandoffService.getRequestReply(TriageService.clinic);
+  }
+  // Rescheduling or cancelling a saved appointment
+  else if (MANAGE_STATES.includes(conversation.appointmentState)) {
+    botResponse = await handleAppointmentManagement(conversation, message, sessionId);
+    newAppointmentState = conversation.appointmentState;
+  }
+  // Check if we're in appointment booking flow
+  else if (conversation.appointmentState !== 'NONE') {
+    // Pick up the species whenever it's mentioned ("Max, he's a rabbit")
+    if (!conversation.appointmentData.petType) {
+      conversation.appointmentData.petType = AppointmentService.detectPetType(message) || undefined;
+    }
+
+    console.log('Current appointment state:', conversation.appointmentState);
+    console.log('Current appointment data before processing:', conversation.appointmentData);
+
+    // Route through recovery first (corrections, go back, clarification, context switches)
+    botResponse = await handleBookingRecovery(conversation, message, sessionId, pets, onChunk);
+
+    if (botResponse) {
+      newAppointmentState = conversation.appointmentState;
+    }
+    // Special handling for COMPLETED state (waiting for yes/no confirmation)
+    else if (conversation.appointmentState === 'COMPLETED') {
+      const lowerMessage = message.toLowerCase().trim();
+      if (lowerMessage === 'yes' || lowerMessage === 'confirm' || lowerMessage === 'y') {
+        const { vetId, veterinarian, appointmentDate } = conversation.appointmentData;
+        const appointment = new Appointment({
           sessionId,
-          message: cancelMessage,
-          appointmentState: 'NONE'
+          ...conversation.appointmentData,
+          scheduledAt: appointmentDate,
+          // Clinic-local date and time, as the booking form stores them
+          appointmentDate: ClinicTimeService.getDateKey(appointmentDate),
+          appointmentTime: ClinicTimeService.getTimeString(appointmentDate),
+          timeZone: ClinicTimeService.timeZone,
+          veterinarian: vetId && vetId !== AppointmentSlotManager.defaultVetId ? vetId : undefined,
+          veterinarianName: veterinarian,
+          urgency: TriageService.isUrgent(conversation.triage?.level) ? 'urgent' : 'normal'
         });
-      }
 
-      let botResponse;
-      let newAppointmentState = conversation.appointmentState;
-
-      // Check if we're in appointment booking flow
-      if (conversation.appointmentState !== 'NONE') {
-        console.log('Current appointment state:', conversation.appointmentState);
-        console.log('Current appointment data before processing:', conversation.appointmentData);
-
-        // Special handling for COMPLETED state (waiting for yes/no confirmation)
-        if (conversation.appointmentState === 'COMPLETED') {
-          const lowerMessage = message.toLowerCase().trim();
-          if (lowerMessage === 'yes' || lowerMessage === 'confirm' || lowerMessage === 'y') {
-            // Confirm the slot reservation
-            if (conversation.appointmentData.slotKey) {
-              await AppointmentSlotManager.confirmReservation(
-                conversation.appointmentData.slotKey,
-                sessionId
-              );
-            }
-
-            // Save appointment to database
-            console.log('Saving appointment with data:', conversation.appointmentData);
-            const appointment = new Appointment({
-              sessionId,
-              ...conversation.appointmentData
-            });
-            await appointment.save();
-            console.log('Appointment saved successfully!');
-
-            // Track analytics
-            AnalyticsService.trackSession(sessionId, 'appointment_complete');
-
-            conversation.appointmentState = 'NONE';
-            botResponse = 'Your appointment has been successfully booked! We\'ll contact you shortly to confirm. Is there anything else I can help you with?';
-          } else if (lowerMessage === 'no' || lowerMessage === 'cancel' || lowerMessage === 'n') {
-            conversation.appointmentState = 'NONE';
-            conversation.appointmentData = {};
-            botResponse = 'Appointment booking cancelled. How can I help you with your pet\'s needs?';
-          } else {
-            botResponse = 'Please type "yes" to confirm or "no" to start over.';
-          }
+        // Confirm the slot reservation, linked to the appointment about to be saved
+        const slotMessage = await confirmHeldSlot(conversation.appointmentData, sessionId, appointment._id);
+
+        if (slotMessage) {
+          // The hold expired and the slot was taken meanwhile - ask for another time
+          AnalyticsService.trackSession(sessionId, 'appointment_slot_unavailable');
+          conversation.appointmentState = 'CONFIRMATION';
+          botResponse = slotMessage;
         } else {
-          // Process appointment booking response for other states
-          const bookingResponse = AppointmentService.processBookingResponse(
+          // File it under the owner's pet, creating the records on a first booking.
+          // The booking itself matters more, so a failure here doesn't stop it.
+          try {
+            const { owner, pet } = await PetProfileService.linkBooking(sessionId, conversation.appointmentData);
+            appointment.owner = owner._id;
+            appointment.pet = pet._id;
+            conversation.activePet = pet._id;
+          } catch (error) {
+            console.error('Pet profile link error:', error);
+          }
+
+          // Save appointment to database
+          console.log('Saving appointment with data:', conversation.appointmentData);
+          await appointment.save();
+          console.log('Appointment saved successfully!');
+
+          // Track analytics
+          AnalyticsService.trackSession(sessionId, 'appointment_complete', { channel: 'chat' });
+
+          const notifications = await NotificationService.appointmentBooked(appointment);
+          conversation.$locals.bookedAppointmentId = appointment._id;
+          const sentBy = notifications.some(job => job.channel === 'sms') ? 'text' : notifications.length > 0 ? 'email' : null;
+          const sentTo = sentBy ? ` I'll ${sentBy} you the details now and a reminder before the visit.` : '';
+
+          conversation.appointmentState = 'NONE';
+          botResponse = `Your appointment has been successfully booked!${sentTo} We'll contact you shortly to confirm. Is there anything else I can help you with?`;
+        }
+      } else if (lowerMessage === 'no' || lowerMessage === 'cancel' || lowerMessage === 'n') {
+        await releaseHeldSlot(conversation.appointmentData, sessionId);
+        AnalyticsService.trackSession(sessionId, 'appointment_stage', { stage: 'abandoned', abandonedAt: 'CONFIRMATION' });
+        conversation.appointmentState = 'NONE';
+        conversation.appointmentData = {};
+        botResponse = 'Appointment booking cancelled. How can I help you with your pet\'s needs?';
+      } else {
+        AnalyticsService.trackSession(sessionId, 'appointment_invalid');
+        botResponse = 'Please type "yes" to confirm or "no" to start over.';
+      }
+      newAppointmentState = conversation.appointmentState;
+    } else {
+      // Process appointment booking response for other states
+      let bookingResponse = AppointmentService.processBookingResponse(
+        conversation.appointmentState,
+        message,
+        conversation.appointmentData
+      );
+      let typoNote = '';
+
+      if (!bookingResponse.isValid) {
+        // Try fixing common typos ("tmrw 3pm", "+1 555 123 4567") before asking again
+        const suggestedValue = ConversationRecovery.extractValidParts(
+          message,
+          ConversationRecovery.toRecoveryState(conversation.appointmentState)
+        );
+
+        if (suggestedValue) {
+          const retried = AppointmentService.processBookingResponse(
             conversation.appointmentState,
-            message,
+            suggestedValue,
             conversation.appointmentData
           );
+          if (retried.isValid) {
+            bookingResponse = retried;
+            typoNote = `I took that as "${suggestedValue}". `;
+          }
+        }
+      }
+
+      if (!bookingResponse.isValid) {
+        // Invalid input, ask again
+        AnalyticsService.trackSession(sessionId, 'appointment_invalid');
+        botResponse = bookingResponse.errorMessage;
+      } else {
+        // We asked which pet - link it if it's one we know
+        if (conversation.appointmentState === 'ASK_PHONE' && pets.length > 0) {
+          applyPetChoice(conversation, bookingResponse.data, message, pets);
+        }
+
+        // If we just collected the date/time, check availability
+        if (conversation.appointmentState === 'CONFIRMATION' && bookingResponse.data.appointmentDate) {
+          const slotMessage = await holdRequestedSlot(bookingResponse.data, sessionId);
 
-          if (!bookingResponse.isValid) {
-            // Invalid input, ask again
-            botResponse = bookingResponse.errorMessage;
+          if (slotMessage) {
+            AnalyticsService.trackSession(sessionId, 'appointment_slot_unavailable');
+            botResponse = slotMessage;
+            // Stay in the same state to ask for date/time again
+            newAppointmentState = conversation.appointmentState;
           } else {
             // Valid input, move to next state
             conversation.appointmentData = bookingResponse.data;
-            console.log('Appointment data after processing:', conversation.appointmentData);
-
-            // If we just collected the date/time, check availability
-            if (conversation.appointmentState === 'CONFIRMATION' && bookingResponse.data.appointmentDate) {
-              const availability = await AppointmentSlotManager.checkAvailability(bookingResponse.data.appointmentDate);
-
-              if (!availability.available) {
-                // Slot not available, suggest alternatives
-                let suggestionMessage = `${availability.message}`;
-                if (availability.suggestedSlots && availability.suggestedSlots.length > 0) {
-                  suggestionMessage += '\n\nAvailable times nearby:';
-                  availability.suggestedSlots.forEach(slot => {
-                    suggestionMessage += `\n- ${slot.displayTime}`;
-                  });
-                  suggestionMessage += '\n\nPlease choose one of these times or suggest another.';
-                }
-                botResponse = suggestionMessage;
-                // Stay in the same state to ask for date/time again
-                newAppointmentState = conversation.appointmentState;
-              } else {
-                // Reserve the slot temporarily
-                const slotKey = await AppointmentSlotManager.reserveSlot(
-                  bookingResponse.data.appointmentDate,
-                  sessionId
-                );
-                conversation.appointmentData.slotKey = slotKey;
-
-                // Get next question (confirmation)
-                const nextQuestion = AppointmentService.getNextQuestion(conversation.appointmentState, conversation.appointmentData);
-                botResponse = nextQuestion.message;
-                newAppointmentState = nextQuestion.nextState;
-                conversation.appointmentState = newAppointmentState;
-              }
-            } else {
-              // Get next question based on the current state
-              const nextQuestion = AppointmentService.getNextQuestion(conversation.appointmentState, conversation.appointmentData);
-              botResponse = nextQuestion.message;
-              newAppointmentState = nextQuestion.nextState;
-              conversation.appointmentState = newAppointmentState;
-            }
-            console.log('Moving to new state:', newAppointmentState);
+
+            // Get next question (confirmation)
+            const nextQuestion = AppointmentService.getNextQuestion(conversation.appointmentState, conversation.appointmentData, pets);
+            botResponse = typoNote + nextQuestion.message;
+            newAppointmentState = nextQuestion.nextState;
+            conversation.appointmentState = newAppointmentState;
           }
+        } else {
+          // Valid input, move to next state
+          conversation.appointmentData = bookingResponse.data;
+
+          // Get next question based on the current state
+          const nextQuestion = AppointmentService.getNextQuestion(conversation.appointmentState, conversation.appointmentData, pets);
+          botResponse = typoNote + nextQuestion.message;
+          newAppointmentState = nextQuestion.nextState;
+          conversation.appointmentState = newAppointmentState;
         }
+        console.log('Appointment data after processing:', conversation.appointmentData);
+        console.log('Moving to new state:', newAppointmentState);
       }
-      // Check if user wants to book an appointment
-      else if (AppointmentService.detectBookingIntent(message)) {
-        console.log('APPOINTMENT BOOKING DETECTED for message:', message);
-        // Start appointment booking flow
-        const firstQuestion = AppointmentService.getNextQuestion('ASK_OWNER_NAME');
-        botResponse = firstQuestion.message;
-        newAppointmentState = firstQuestion.nextState;
-        conversation.appointmentState = newAppointmentState;
-      }
-      // Regular veterinary Q&A
-      else {
-        // Track analytics
-        AnalyticsService.trackSession(sessionId, 'message', { message });
+    }
+  }
+  // "Reschedule my appointment" - checked before booking intent, which it contains
+  else if (manageAction) {
+    botResponse = await startManagingAppointment(conversation, manageAction, message, sessionId);
+    newAppointmentState = conversation.appointmentState;
+  }
+  // Check if user wants to book an appointment
+  else if (AppointmentService.detectBookingIntent(message)) {
+    console.log('APPOINTMENT BOOKING DETECTED for message:', message);
+    // Start appointment booking flow
+    const firstQuestion = AppointmentService.getNextQuestion('ASK_OWNER_NAME');
 
-        // Check cache for similar questions first
-        const cachedResponse = CacheService.findSimilar(message);
+    // Start from scratch, keeping any species already mentioned in the chat
+    const recentUserText = conversation.messages
+      .filter(msg => msg.role === 'user')
+      .slice(-10)
+      .map(msg => msg.content)
+      .join(' ');
+    AnalyticsService.trackSession(sessionId, 'appointment_start', { channel: 'chat' });
+    conversation.appointmentData = {
+      petType: AppointmentService.detectPetType(recentUserText) || undefined,
+      clientTimeZone: ClinicTimeService.isValidTimeZone(conversation.context?.timeZone) ? conversation.context.timeZone : undefined
+    };
 
-        if (cachedResponse) {
-          console.log('Using cached response for similar question');
-          botResponse = cachedResponse;
-        } else {
-          // Get conversation history for context (last 10 messages)
-          const history = conversation.messages.slice(-10);
-
-          // Generate AI response with caching
-          const aiResponse = await CacheService.get(
-            { message, history, context },
-            async () => {
-              const response = await GeminiService.generateResponse(message, history, context);
-              // Track API call for analytics
-              AnalyticsService.trackGeminiCall(
-                message.length,
-                response.message.length,
-                response.duration || 0
-              );
-              return response;
-            },
-            { ttl: 3600000 } // Cache for 1 hour
-          );
+    botResponse = TriageService.isUrgent(conversation.triage?.level)
+      ? `I'll mark this as an urgent visit. ${firstQuestion.message}`
+      : firstQuestion.message;
+    newAppointmentState = firstQuestion.nextState;
+    conversation.appointmentState = newAppointmentState;
+  }
+  // Regular veterinary Q&A
+  else {
+    botResponse = await answerQuestion(message, conversation, pets, sessionId, onChunk);
+  }
 
-          botResponse = aiResponse.message;
-        }
-      }
+  // Booking funnel: the owner moved on to another question, went back or started over
+  const bookingStep = ConversationRecovery.toRecoveryState(conversation.appointmentState);
+  if (bookingStep && bookingStep !== ConversationRecovery.toRecoveryState(previousState)) {
+    AnalyticsService.trackSession(sessionId, 'appointment_stage', { stage: bookingStep });
+  }
 
-      // Add bot response to conversation
-      conversation.messages.push({
-        role: 'bot',
-        content: botResponse
-      });
+  // Add bot response to conversation
+  conversation.messages.push({
+    role: 'bot',
+    content: botResponse
+  });
+
+  // Save conversation
+  await conversation.save();
+  HandoffService.publish(conversation, conversation.messages.slice(firstNewMessage));
+
+  return {
+    sessionId,
+    message: botResponse,
+    appointmentState: newAppointmentState,
+    triage: triage.level,
+    handoff: HandoffService.describe(conversation),
+    activePetId: conversation.activePet || null,
+    // Just booked or moved - the widget offers it as a calendar file
+    bookedAppointmentId: conversation.$locals.bookedAppointmentId || null
+  };
+}
 
-      // Save conversation
-      await conversation.save();
+class ChatController {
+  async handleMessage(req, res) {
+    try {
+      const { message, sessionId: providedSessionId, context } = req.body;
+
+      // Validate input
+      if (!message || message.trim().length === 0) {
+        return res.status(400).json({
+          error: 'Message is required'
+        });
+      }
+
+      const result = await processMessage(message, providedSessionId, context);
 
       // Send response
-      res.json({
-        sessionId,
-        message: botResponse,
-        appointmentState: newAppointmentState
-      });
+      res.json(result);
 
     } catch (error) {
       console.error('Chat error:', error);
@@ -233,6 +956,71 @@ class ChatController {
     }
   }
 
+  /**
+   * Stream the bot reply as Server-Sent Events
+   * POST body or GET query (for EventSource): message, sessionId, context
+   *
+   * Events: "token" { text } while the LLM streams, then "done" with the same
+   * payload as POST /api/chat, or "error". Booking and cached replies have
+   * no tokens - only "done".
+   */
+  async handleStream(req, res) {
+    const input = req.method === 'GET' ? req.query : req.body;
+    const { message, sessionId: providedSessionId } = input;
+
+    // Validate input
+    if (!message || message.trim().length === 0) {
+      return res.status(400).json({
+        error: 'Message is required'
+      });
+    }
+
+    let context = input.context;
+    if (typeof context === 'string') {
+      try {
+        context = JSON.parse(context);
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Context must be valid JSON'
+        });
+      }
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Render)
+    });
+    res.flushHeaders();
+
+    // Keep generating after a disconnect so the full reply is still saved and cached
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = true;
+    });
+
+    const sendEvent = (event, data) => {
+      if (clientGone) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    try {
+      const result = await processMessage(message, providedSessionId, context, (text) => {
+        sendEvent('token', { text });
+      });
+
+      sendEvent('done', result);
+    } catch (error) {
+      console.error('Chat stream error:', error);
+      sendEvent('error', {
+        error: 'An error occurred while processing your message. Please try again.'
+      });
+    }
+
+    res.end();
+  }
+
   async getConversation(req, res) {
     try {
       const { sessionId } = req.params;
@@ -249,7 +1037,9 @@ class ChatController {
         sessionId: conversation.sessionId,
         messages: conversation.messages,
         context: conversation.context,
-        appointmentState: conversation.appointmentState
+        appointmentState: conversation.appointmentState,
+        activePetId: conversation.activePet || null,
+        handoff: HandoffService.describe(conversation)
       });
 
     } catch (error) {
@@ -259,6 +1049,38 @@ class ChatController {
       });
     }
   }
+
+  /**
+   * GET /api/chat/:sessionId/export?format=pdf|md|json
+   * The transcript as a download, PDF by default
+   */
+  async exportConversation(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const format = req.query.format || 'pdf';
+
+      if (!TranscriptService.isFormat(format)) {
+        return res.status(400).json({
+          error: `format must be one of: ${TranscriptService.formats.join(', ')}`
+        });
+      }
+
+      const transcript = await TranscriptService.build(sessionId);
+      if (!transcript) {
+        return res.status(404).json({
+          error: 'Conversation not found'
+        });
+      }
+
+      await TranscriptService.send(res, transcript, format);
+
+    } catch (error) {
+      console.error('Export conversation error:', error);
+      res.status(500).json({
+        error: 'Failed to export conversation'
+      });
+    }
+  }
 }
 
 export default new ChatController();
\ No newline at end of file
@@ -0,0 +1,405 @@
+import mongoose from 'mongoose';
+import Appointment from '../models/Appointment.js';
+import Pet, { PET_SPECIES } from '../models/Pet.js';
+import PetProfileService from '../services/PetProfileService.js';
+import PrivacyService from '../services/PrivacyService.js';
+import VaccinationService from '../services/VaccinationService.js';
+
+const PET_FIELDS = ['name', 'species', 'breed', 'birthdate', 'weightKg', 'allergies', 'microchipId'];
+const MICROCHIP_PATTERN = /^[0-9A-Za-z]{9,15}$/;
+
+/**
+ * Pick and check the pet fields present in body. Returns { error } or
+ * { values }; on create (partial = false) a name is required.
+ * Allergies may be an array or a comma-separated string.
+ */
+function readPetFields(body, partial = false) {
+  const values = Object.fromEntries(
+    PET_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+
+  if (!partial || values.name !== undefined) {
+    if (typeof values.name !== 'string' || !values.name.trim()) return { error: 'Pet name is required' };
+    values.name = values.name.trim();
+  }
+  if (values.species !== undefined && !PET_SPECIES.includes(values.species)) {
+    return { error: `Species must be one of: ${PET_SPECIES.join(', ')}` };
+  }
+  if (values.birthdate !== undefined && values.birthdate !== null) {
+    const birthdate = new Date(values.birthdate);
+    if (isNaN(birthdate) || birthdate > new Date()) return { error: 'Invalid birthdate' };
+    values.birthdate = birthdate;
+  }
+  if (values.weightKg !== undefined && values.weightKg !== null) {
+    const weight = Number(values.weightKg);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 200) return { error: 'Weight must be in kg, between 0 and 200' };
+    values.weightKg = weight;
+  }
+  if (values.allergies !== undefined) {
+    const allergies = typeof values.allergies === 'string' ? values.allergies.split(',') : values.allergies;
+    if (!Array.isArray(allergies)) return { error: 'Allergies must be a list' };
+    values.allergies = allergies.map(allergy => String(allergy).trim()).filter(Boolean);
+  }
+  if (values.microchipId) {
+    values.microchipId = String(values.microchipId).replace(/[\s-]/g, '');
+    if (!MICROCHIP_PATTERN.test(values.microchipId)) return { error: 'Microchip ID must be 9-15 letters or digits' };
+  } else if (values.microchipId !== undefined) {
+    values.microchipId = undefined;
+  }
+
+  return { values };
+}
+
+/**
+ * The session the request is made for, or null if none can identify an owner
+ */
+function sessionIdFrom(req) {
+  const sessionId = req.query.sessionId || req.body?.sessionId;
+  return PrivacyService.isOwnerSession(sessionId) ? sessionId : null;
+}
+
+/**
+ * The session's pet with this id, or null
+ */
+async function findSessionPet(sessionId, id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  const owner = await PetProfileService.findOwner(sessionId);
+  return owner ? Pet.findOne({ _id: id, owner: owner._id }) : null;
+}
+
+class OwnerController {
+  /**
+   * GET /api/owners/me?sessionId=
+   * The owner profile and pets for this chat session
+   */
+  async getProfile(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access a profile without proper session.'
+        });
+      }
+
+      const owner = await PetProfileService.findOwner(sessionId);
+      const pets = owner ? await Pet.find({ owner: owner._id }).sort({ createdAt: 1 }) : [];
+
+      res.json({
+        owner,
+        pets
+      });
+
+    } catch (error) {
+      console.error('Get owner profile error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve profile'
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/owners/me - { sessionId, name, email, phone }
+   */
+  async updateProfile(req, res) {
+    try {
+      const { sessionId, name, email, phone } = req.body;
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required. Only the session that owns a profile can change it.'
+        });
+      }
+
+      const owner = await PetProfileService.getOrCreateOwner(sessionId, { name, email, phone });
+
+      res.json({
+        message: 'Profile updated successfully',
+        owner
+      });
+
+    } catch (error) {
+      console.error('Update owner profile error:', error);
+      res.status(500).json({
+        error: 'Failed to update profile'
+      });
+    }
+  }
+
+  /**
+   * GET /api/owners/me/data?sessionId=
+   * Everything the clinic holds about this owner, as a JSON download
+   */
+  async exportData(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access data without proper session.'
+        });
+      }
+
+      const data = await PrivacyService.exportData(sessionId);
+
+      res.set({
+        'Content-Disposition': 'attachment; filename="my-data.json"',
+        'Cache-Control': 'no-store'
+      });
+      res.json(data);
+
+    } catch (error) {
+      console.error('Export owner data error:', error);
+      res.status(500).json({
+        error: 'Failed to export data'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/owners/me?sessionId=
+   * Erase the owner's profile, pets, chats and appointments for good
+   */
+  async deleteData(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required. Only the owner can delete their data.'
+        });
+      }
+
+      const entry = await PrivacyService.erase({ sessionId }, { type: 'owner' });
+
+      res.json({
+        message: entry ? 'Your data has been deleted' : 'There was no data to delete',
+        deleted: entry ? Object.fromEntries(entry.deleted) : {}
+      });
+
+    } catch (error) {
+      console.error('Delete owner data error:', error);
+      res.status(500).json({
+        error: 'Failed to delete data'
+      });
+    }
+  }
+
+  async listPets(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access pets without proper session.'
+        });
+      }
+
+      const owner = await PetProfileService.findOwner(sessionId);
+      const pets = owner ? await Pet.find({ owner: owner._id }).sort({ createdAt: 1 }) : [];
+
+      res.json({
+        pets
+      });
+
+    } catch (error) {
+      console.error('List pets error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve pets'
+      });
+    }
+  }
+
+  async createPet(req, res) {
+    try {
+      const { sessionId } = req.body;
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required. Pets are added to the session\'s own profile.'
+        });
+      }
+
+      const { values, error } = readPetFields(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const owner = await PetProfileService.getOrCreateOwner(sessionId);
+      const pet = await new Pet({ ...values, owner: owner._id }).save();
+
+      res.status(201).json({
+        message: 'Pet added successfully',
+        pet
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: 'A pet with this microchip ID is already registered'
+        });
+      }
+      console.error('Create pet error:', error);
+      res.status(500).json({
+        error: 'Failed to add pet'
+      });
+    }
+  }
+
+  async getPet(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access pets without proper session.'
+        });
+      }
+
+      const pet = await findSessionPet(sessionId, req.params.id);
+
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      const appointments = await Appointment.find({ pet: pet._id, sessionId }).sort({ scheduledAt: -1 });
+
+      res.json({
+        pet,
+        vaccinationSchedule: VaccinationService.getSchedule(pet),
+        appointments
+      });
+
+    } catch (error) {
+      console.error('Get pet error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve pet'
+      });
+    }
+  }
+
+  /**
+   * GET /api/owners/me/vaccinations?sessionId=
+   * Shots that are overdue or due soon across the household's pets
+   */
+  async getDueVaccinations(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required for privacy. Cannot access vaccinations without proper session.'
+        });
+      }
+
+      const pets = await PetProfileService.getPetsForSession(sessionId);
+      const now = new Date();
+      const due = pets.flatMap(pet =>
+        VaccinationService.getDueVaccinations(pet, now).map(item => ({
+          petId: pet._id,
+          petName: pet.name,
+          ...item
+        }))
+      ).sort((a, b) => a.dueAt - b.dueAt);
+
+      res.json({
+        due
+      });
+
+    } catch (error) {
+      console.error('Get due vaccinations error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve vaccinations'
+      });
+    }
+  }
+
+  /**
+   * PATCH /api/owners/me/pets/:id - replaces whichever pet fields are sent;
+   * null clears birthdate, weightKg and microchipId
+   */
+  async updatePet(req, res) {
+    try {
+      const { sessionId } = req.body;
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required. Only the pet\'s owner can change it.'
+        });
+      }
+
+      const { values, error } = readPetFields(req.body, true);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const pet = await findSessionPet(sessionId, req.params.id);
+
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      pet.set(values);
+      await pet.save();
+
+      res.json({
+        message: 'Pet updated successfully',
+        pet
+      });
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json({
+          error: 'A pet with this microchip ID is already registered'
+        });
+      }
+      console.error('Update pet error:', error);
+      res.status(500).json({
+        error: 'Failed to update pet'
+      });
+    }
+  }
+
+  /**
+   * DELETE /api/owners/me/pets/:id?sessionId=
+   * Appointments keep their petName/petType snapshot
+   */
+  async deletePet(req, res) {
+    try {
+      const sessionId = sessionIdFrom(req);
+
+      if (!sessionId) {
+        return res.status(403).json({
+          error: 'SessionId required. Only the pet\'s owner can remove it.'
+        });
+      }
+
+      const pet = await findSessionPet(sessionId, req.params.id);
+
+      if (!pet) {
+        return res.status(404).json({
+          error: 'Pet not found'
+        });
+      }
+
+      await pet.deleteOne();
+      await Appointment.updateMany({ pet: pet._id }, { $unset: { pet: 1 } });
+
+      res.json({
+        message: 'Pet removed successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete pet error:', error);
+      res.status(500).json({
+        error: 'Failed to remove pet'
+      });
+    }
+  }
+}
+
+export default new OwnerController();
@@ -0,0 +1,57 @@
+/**
+ * Staff authentication middleware
+ *
+ * requireStaff() lets any signed-in staff member through;
+ * requireStaff('admin') restricts the route to the listed roles.
+ * The staff record is reloaded on every request so deactivating an
+ * account or changing a role takes effect without waiting for token expiry.
+ */
+
+import AuthService from '../services/AuthService.js';
+import Staff from '../models/Staff.js';
+
+export function requireStaff(...roles) {
+  return async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    const payload = AuthService.verifyToken(token);
+    if (!payload) {
+      return res.status(401).json({
+        error: 'Invalid or expired token'
+      });
+    }
+
+    try {
+      const staff = await Staff.findById(payload.sub);
+
+      if (!staff || !staff.active) {
+        return res.status(401).json({
+          error: 'Account is disabled'
+        });
+      }
+
+      if (roles.length > 0 && !roles.includes(staff.role)) {
+        return res.status(403).json({
+          error: 'You do not have permission to do this'
+        });
+      }
+
+      req.staff = staff;
+      next();
+    } catch (error) {
+      console.error('Auth error:', error);
+      res.status(500).json({
+        error: 'Failed to authenticate'
+      });
+    }
+  };
+}
+
+export default requireStaff;
@@ -5,19 +5,24 @@
  * v1: No rate limiting - site crashed from spam bot sending 1000 req/sec
  * v2: Simple counter - memory leak from never clearing old IPs
  * v3: Sliding window - too complex, performance issues
- * v4: Token bucket algorithm - current implementation, best balance
+ * v4: Token bucket algorithm - best balance
+ * v5: Buckets and blocks in the shared state store - current implementation,
+ *     so a second instance doesn't double everyone's allowance
  *
  * Learned: Different endpoints need different limits
  * Chat API: 30 req/min (prevents abuse but allows conversation)
  * Appointment: 5 req/min (prevents spam bookings)
+ * Booking form events: 30 req/min, never blocks - they're fired by the form
+ *   itself, so going over must not lock the owner out of booking
  * Health check: 60 req/min (for monitoring tools)
+ * Staff login: 5 req/min, staff API: 120 req/min (dashboards poll)
  */
 
+import { getStateStore } from '../services/storage/index.js';
+import AnalyticsService from '../services/AnalyticsService.js';
+
 class RateLimiter {
   constructor() {
-    // Store buckets per IP address
-    this.buckets = new Map();
-
     // Different limits for different endpoints
     this.limits = {
       '/api/chat': {
@@ -26,12 +31,31 @@ class RateLimiter {
         interval: 60000, // 1 minute
         blockDuration: 300000 // 5 minutes if exceeded
       },
+      // Before /api/appointments, which would match it first
+      '/api/appointments/form-events': {
+        tokens: 30,
+        refillRate: 30,
+        interval: 60000,
+        blockDuration: 0 // Only this request is refused
+      },
       '/api/appointments': {
         tokens: 5,
         refillRate: 5,
         interval: 60000,
         blockDuration: 600000 // 10 minutes if exceeded
       },
+      '/api/admin/login': {
+        tokens: 5,
+        refillRate: 5,
+        interval: 60000,
+        blockDuration: 900000 // 15 minutes - slows down password guessing
+      },
+      '/api/admin': {
+        tokens: 120,
+        refillRate: 120,
+        interval: 60000,
+        blockDuration: 60000
+      },
       '/api/health': {
         tokens: 60,
         refillRate: 60,
@@ -46,9 +70,6 @@ class RateLimiter {
       }
     };
 
-    // Track blocked IPs
-    this.blockedIPs = new Map();
-
     // Suspicious patterns we've seen in production
     this.suspiciousPatterns = [
       /(<script|javascript:|onerror=|onclick=)/i, // XSS attempts
@@ -56,9 +77,11 @@ class RateLimiter {
       /(\.\.\/|\.\.\\|%2e%2e)/i, // Path traversal
       /(\${|`|\\x|\\u0)/i // Code injection
     ];
+  }
 
-    // Start cleanup interval
-    this.startCleanup();
+  // Buckets and blocks expire in the store by themselves
+  get store() {
+    return getStateStore();
   }
 
   /**
@@ -69,9 +92,18 @@ class RateLimiter {
       const ip = this.getClientIP(req);
       const endpoint = this.getEndpointKey(req.path);
 
+      let blockedUntil;
+      try {
+        blockedUntil = await this.getBlockedUntil(ip);
+      } catch (error) {
+        // Don't take the site down with the store - let the request through
+        console.error('Rate limiter store error:', error.message);
+        return next();
+      }
+
       // Check if IP is blocked
-      if (this.isBlocked(ip)) {
-        const blockedUntil = this.blockedIPs.get(ip);
+      if (blockedUntil) {
+        AnalyticsService.trackRateLimit('blocked', endpoint);
         const remainingTime = Math.ceil((blockedUntil - Date.now()) / 1000);
 
         return res.status(429).json({
@@ -85,9 +117,10 @@ class RateLimiter {
       if (this.hasSuspiciousContent(req)) {
         // Log potential attack
         this.logSecurityEvent(ip, 'suspicious_content', req);
+        AnalyticsService.trackRateLimit('suspicious', endpoint);
 
         // Block IP for 1 hour
-        this.blockIP(ip, 3600000);
+        await this.blockIP(ip, 3600000).catch(error => console.error('Rate limiter store error:', error.message));
 
         return res.status(403).json({
           error: 'Forbidden',
@@ -96,18 +129,27 @@ class RateLimiter {
       }
 
       // Apply rate limiting
-      const allowed = this.consumeToken(ip, endpoint);
+      let allowed;
+      try {
+        allowed = await this.consumeToken(ip, endpoint);
+      } catch (error) {
+        console.error('Rate limiter store error:', error.message);
+        allowed = true;
+      }
 
       if (!allowed) {
         const limit = this.limits[endpoint] || this.limits.default;
+        AnalyticsService.trackRateLimit('rate_limited', endpoint);
 
         // Block IP temporarily
-        this.blockIP(ip, limit.blockDuration);
+        if (limit.blockDuration > 0) {
+          await this.blockIP(ip, limit.blockDuration).catch(error => console.error('Rate limiter store error:', error.message));
+        }
 
         return res.status(429).json({
           error: 'Rate limit exceeded',
           message: 'Too many requests. Please slow down.',
-          retryAfter: Math.ceil(limit.blockDuration / 1000)
+          retryAfter: Math.ceil((limit.blockDuration || limit.interval / limit.refillRate) / 1000)
         });
       }
 
@@ -122,37 +164,11 @@ class RateLimiter {
    * Token bucket algorithm implementation
    * Each IP gets a bucket with tokens that refill over time
    */
-  consumeToken(ip, endpoint) {
+  async consumeToken(ip, endpoint) {
     const limit = this.limits[endpoint] || this.limits.default;
-    const now = Date.now();
-
-    // Get or create bucket for this IP-endpoint combination
-    const key = `${ip}-${endpoint}`;
-    let bucket = this.buckets.get(key);
-
-    if (!bucket) {
-      bucket = {
-        tokens: limit.tokens,
-        lastRefill: now
-      };
-      this.buckets.set(key, bucket);
-    }
 
-    // Calculate tokens to add based on time passed
-    const timePassed = now - bucket.lastRefill;
-    const tokensToAdd = (timePassed / limit.interval) * limit.refillRate;
-
-    // Refill bucket (up to max capacity)
-    bucket.tokens = Math.min(limit.tokens, bucket.tokens + tokensToAdd);
-    bucket.lastRefill = now;
-
-    // Try to consume a token
-    if (bucket.tokens >= 1) {
-      bucket.tokens -= 1;
-      return true;
-    }
-
-    return false;
+    // One bucket per IP-endpoint combination
+    return this.store.consumeToken(`ratelimit:bucket:${ip}-${endpoint}`, limit);
   }
 
   /**
@@ -205,29 +221,17 @@ class RateLimiter {
   /**
    * Block an IP address temporarily
    */
-  blockIP(ip, duration) {
+  async blockIP(ip, duration) {
     const unblockTime = Date.now() + duration;
-    this.blockedIPs.set(ip, unblockTime);
-
-    // Schedule unblock
-    setTimeout(() => {
-      this.blockedIPs.delete(ip);
-    }, duration);
+    await this.store.set(`ratelimit:blocked:${ip}`, unblockTime, { ttl: duration });
   }
 
   /**
-   * Check if IP is currently blocked
+   * When the IP's block ends, or null if it isn't blocked
    */
-  isBlocked(ip) {
-    const blockedUntil = this.blockedIPs.get(ip);
-    if (!blockedUntil) return false;
-
-    if (Date.now() > blockedUntil) {
-      this.blockedIPs.delete(ip);
-      return false;
-    }
-
-    return true;
+  async getBlockedUntil(ip) {
+    const blockedUntil = await this.store.get(`ratelimit:blocked:${ip}`);
+    return blockedUntil && blockedUntil > Date.now() ? blockedUntil : null;
   }
 
   /**
@@ -314,54 +318,32 @@ class RateLimiter {
     }
   }
 
-  /**
-   * Clean up old data periodically
-   * Prevents memory leaks from accumulating IPs
-   */
-  startCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      const oneHourAgo = now - 3600000;
-
-      // Clean old buckets
-      for (const [key, bucket] of this.buckets) {
-        if (bucket.lastRefill < oneHourAgo) {
-          this.buckets.delete(key);
-        }
-      }
-
-      // Clean expired blocks
-      for (const [ip, unblockTime] of this.blockedIPs) {
-        if (now > unblockTime) {
-          this.blockedIPs.delete(ip);
-        }
-      }
-    }, 60000); // Run every minute
-  }
-
   /**
    * Get statistics for monitoring
    */
-  getStatistics() {
+  async getStatistics() {
+    const activeBuckets = await this.store.countKeys('ratelimit:bucket:');
+    const blockedIPs = await this.store.countKeys('ratelimit:blocked:');
+
     return {
-      activeBuckets: this.buckets.size,
-      blockedIPs: this.blockedIPs.size,
+      activeBuckets,
+      blockedIPs,
       securityEvents: this.securityLog ? this.securityLog.length : 0,
-      memoryUsage: this.estimateMemoryUsage()
+      memoryUsage: this.estimateMemoryUsage(activeBuckets, blockedIPs)
     };
   }
 
   /**
    * Estimate memory usage
    */
-  estimateMemoryUsage() {
+  estimateMemoryUsage(activeBuckets, blockedIPs) {
     const bucketSize = 50; // bytes per bucket
     const blockSize = 30; // bytes per blocked IP
     const logSize = 500; // bytes per log entry
 
     const total =
-      (this.buckets.size * bucketSize) +
-      (this.blockedIPs.size * blockSize) +
+      (activeBuckets * bucketSize) +
+      (blockedIPs * blockSize) +
       ((this.securityLog?.length || 0) * logSize);
 
     return `${(total / 1024).toFixed(2)} KB`;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+export const ANALYTICS_EVENT_TYPES = ['session', 'message', 'question', 'funnel', 'triage', 'error'];
+
+// Booking funnel steps in order, per channel. Chat steps are the question
+// the owner is answering; the form is one screen.
+export const BOOKING_STEPS = {
+  chat: ['ASK_OWNER_NAME', 'ASK_PET_NAME', 'ASK_PHONE', 'ASK_DATE_TIME', 'CONFIRMATION'],
+  form: ['FORM']
+};
+
+const RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS, 10) || 90;
+
+/**
+ * One analytics event in a MongoDB time-series collection. meta is what
+ * MongoDB buckets on, so it only holds low-cardinality fields:
+ * type, and key - the question category, triage level, funnel event
+ * (started, entered, passed, invalid, slot_unavailable, abandoned,
+ * completed) or error source.
+ *
+ * Raw events expire after ANALYTICS_RETENTION_DAYS; the daily rollups in
+ * AnalyticsRollup are kept, so day and week reports go back further.
+ */
+const analyticsEventSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    type: {
+      type: String,
+      enum: ANALYTICS_EVENT_TYPES,
+      required: true
+    },
+    key: String
+  },
+  sessionId: String,
+  // Booking funnel events: the step, the channel (chat or form) and, for
+  // passed and completed, how long the step or the whole booking took
+  step: String,
+  channel: String,
+  elapsedMs: Number
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'minutes'
+  },
+  expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60,
+  versionKey: false
+});
+
+const AnalyticsEvent = mongoose.model('AnalyticsEvent', analyticsEventSchema);
+
+export default AnalyticsEvent;
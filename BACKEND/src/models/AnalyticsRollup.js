@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+const counts = {
+  type: Map,
+  of: Number,
+  default: {}
+};
+
+/**
+ * Totals for one clinic day, built from that day's AnalyticsEvents once
+ * the day is over. Day and week reports read these instead of scanning
+ * raw events.
+ */
+const analyticsRollupSchema = new mongoose.Schema({
+  date: {
+    type: String,   // 'YYYY-MM-DD' at the clinic
+    required: true,
+    unique: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  sessions: { type: Number, default: 0 },
+  messages: { type: Number, default: 0 },
+  errorCount: { type: Number, default: 0 },
+  questions: counts,      // category -> count
+  triage: counts,         // level -> count
+  funnel: counts,         // started, completed, abandoned -> count
+  dropoff: counts,        // step an abandoned booking stopped at -> count
+  errorSources: counts,   // source -> count
+  hours: counts,          // clinic hour 0-23 -> messages
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+const AnalyticsRollup = mongoose.model('AnalyticsRollup', analyticsRollupSchema);
+
+export default AnalyticsRollup;
@@ -23,6 +23,16 @@ const appointmentSchema = new mongoose.Schema({
     enum: ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'other'],
     default: 'dog'
   },
+  // Profile records; petName/petType stay as a snapshot of what was booked
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner'
+  },
   phone: {
     type: String,
     required: true
@@ -39,6 +49,13 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  scheduledAt: {
+    type: Date,
+    index: true  // UTC instant of the visit, used by the staff API date filters
+  },
+  // Clinic zone scheduledAt was booked in; appointmentDate/appointmentTime are local to it
+  timeZone: String,
+  clientTimeZone: String,  // Owner's browser zone, if the widget sent one
   reason: {
     type: String,
     required: false,  // Not required for chat-based booking
@@ -51,13 +68,27 @@ const appointmentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled'],
+    enum: ['pending', 'confirmed', 'cancelled', 'no-show'],  // no-show: staff marked a past visit missed
     default: 'pending'
   },
+  veterinarian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Veterinarian'
+  },
+  veterinarianName: String,
+  rescheduledAt: Date,  // Last time the owner moved it through the chat
+  confirmedAt: Date,    // First time staff confirmed it - it's on the staff calendar feeds from then on
+  statusUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
+}, {
+  // updatedAt also moves on findOneAndUpdate, so calendar feeds see every change
+  timestamps: { createdAt: false, updatedAt: true }
 });
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = ['erasure', 'retention_purge'];
+
+/**
+ * One entry per deletion of personal data: an owner's erasure request (made
+ * by the owner or by staff on their behalf) or a retention purge run.
+ *
+ * Entries say what was deleted and how much, never whose data it was -
+ * no names, contact details or session IDs - so they can be kept after
+ * the data itself is gone.
+ */
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  requestedBy: {
+    type: {
+      type: String,
+      enum: ['owner', 'staff', 'system'],
+      required: true
+    },
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    }
+  },
+  // The erased owner's record id, which no longer points at anything
+  owner: mongoose.Schema.Types.ObjectId,
+  sessionCount: Number,
+  // Documents or keys removed, e.g. { conversations: 2, appointments: 1 }
+  deleted: {
+    type: Map,
+    of: Number
+  },
+  // Retention purges: the oldest activity each collection kept
+  cutoffs: {
+    type: Map,
+    of: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  versionKey: false
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * A chat transcript staff filed under a pet's record. content is the
+ * TranscriptService snapshot, kept as it was when attached - later messages
+ * in the chat, or the chat being deleted, don't change it.
+ */
+const chatTranscriptSchema = new mongoose.Schema({
+  pet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet',
+    required: true,
+    index: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  attachedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  attachedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Lists show what was filed, not the whole chat
+chatTranscriptSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    delete ret.content;
+    return ret;
+  }
+});
+
+const ChatTranscript = mongoose.model('ChatTranscript', chatTranscriptSchema);
+
+export default ChatTranscript;
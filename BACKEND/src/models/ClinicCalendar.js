@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import { dayScheduleSchema } from './Veterinarian.js';
+
+/**
+ * A change to the weekly hours for one date. Anything left out (open,
+ * close, breaks) keeps that weekday's usual value, so extended hours can
+ * set just `close`. Recurring overrides repeat on the same month and day
+ * every year, which covers fixed public holidays.
+ */
+const dateOverrideSchema = new mongoose.Schema({
+  date: {
+    type: String,   // 'YYYY-MM-DD' in clinic local time
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  },
+  open: String,
+  close: String,
+  breaks: {
+    type: [{
+      start: String,
+      end: String,
+      _id: false
+    }],
+    default: undefined
+  },
+  // Told to owners, e.g. "Christmas" -> "We're closed on ... for Christmas"
+  reason: String
+});
+
+/**
+ * The clinic's opening hours. There is a single document (key 'default');
+ * until an admin saves one, AppointmentSlotManager uses its built-in hours.
+ */
+const clinicCalendarSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  weeklyHours: {
+    monday: dayScheduleSchema,
+    tuesday: dayScheduleSchema,
+    wednesday: dayScheduleSchema,
+    thursday: dayScheduleSchema,
+    friday: dayScheduleSchema,
+    saturday: dayScheduleSchema,
+    sunday: dayScheduleSchema
+  },
+  overrides: [dateOverrideSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const ClinicCalendar = mongoose.model('ClinicCalendar', clinicCalendarSchema);
+
+export default ClinicCalendar;
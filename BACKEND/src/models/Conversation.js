@@ -1,15 +1,21 @@
 import mongoose from 'mongoose';
 
 const messageSchema = new mongoose.Schema({
+  // agent: clinic staff during a handoff; system: handoff events
   role: {
     type: String,
-    enum: ['user', 'bot'],
+    enum: ['user', 'bot', 'agent', 'system'],
     required: true
   },
   content: {
     type: String,
     required: true
   },
+  agentName: String,  // Who wrote an agent message, or joined/left for an event
+  event: {
+    type: String,
+    enum: ['handoff_requested', 'handoff', 'release']
+  },
   timestamp: {
     type: Date,
     default: Date.now
@@ -27,19 +33,67 @@ const conversationSchema = new mongoose.Schema({
     userId: String,
     userName: String,
     petName: String,
-    source: String
+    source: String,
+    timeZone: String  // Owner's browser zone (IANA), for "your time" hints
+  },
+  // Which of the owner's pets the chat is about - set from the widget's pet
+  // picker or when a pet is named, never taken from context as-is
+  activePet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Pet'
   },
   messages: [messageSchema],
   appointmentState: {
     type: String,
-    enum: ['NONE', 'ASK_OWNER_NAME', 'ASK_PET_NAME', 'ASK_PHONE', 'ASK_DATE_TIME', 'CONFIRMATION', 'COMPLETED'],
+    enum: [
+      'NONE', 'ASK_OWNER_NAME', 'ASK_PET_NAME', 'ASK_PHONE', 'ASK_DATE_TIME', 'CONFIRMATION', 'COMPLETED',
+      'MANAGE_SELECT', 'RESCHEDULE_DATE_TIME', 'MANAGE_CONFIRM'  // Rescheduling/cancelling a saved appointment
+    ],
     default: 'NONE'
   },
   appointmentData: {
     ownerName: String,
     petName: String,
     phone: String,
-    preferredDateTime: String
+    preferredDateTime: String,
+    appointmentDate: Date,
+    petType: String,
+    petId: String,        // Profile the pet name matched, if any
+    clientTimeZone: String,
+    slotKey: String,
+    vetId: String,        // Vet whose calendar holds slotKey
+    veterinarian: String,
+    pendingCorrection: String,  // Field awaiting a corrected value, or 'any'
+    manageAction: String,       // 'reschedule' or 'cancel' while changing a saved appointment
+    appointmentId: String       // The appointment being changed
+  },
+  // Live chat with clinic staff. requested: waiting for someone to take
+  // over; active: the bot stays silent and owner messages go to the agent
+  handoff: {
+    status: {
+      type: String,
+      enum: ['none', 'requested', 'active'],
+      default: 'none',
+      index: true
+    },
+    reason: String,  // 'owner_request' or 'emergency'
+    requestedAt: Date,
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    agentName: String,
+    startedAt: Date
+  },
+  // Most severe triage level seen in this session
+  triage: {
+    level: {
+      type: String,
+      enum: ['routine', 'urgent', 'emergency'],
+      default: 'routine'
+    },
+    reasons: [String],
+    updatedAt: Date
   },
   createdAt: {
     type: Date,
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_CHANNELS = ['email', 'sms'];
+
+/**
+ * One message to one owner on one channel, waiting to be sent or already
+ * sent. Jobs survive restarts: the worker picks up anything pending whose
+ * runAt has passed, so reminders queued days ahead still go out.
+ */
+const notificationJobSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    enum: NOTIFICATION_CHANNELS,
+    required: true
+  },
+  template: {
+    type: String,
+    required: true   // e.g. 'appointment_confirmation', 'appointment_reminder'
+  },
+  to: {
+    name: String,
+    email: String,
+    phone: String
+  },
+  // Rendered when the job runs, so reminders show the appointment as it is then
+  data: mongoose.Schema.Types.Mixed,
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lastError: String,
+  lockedAt: Date,   // Set while a worker is sending it
+  sentAt: Date,
+  notifier: String,
+  providerId: String,   // Message id from the SMTP server or SMS gateway
+  // Same key = same message; a second enqueue is ignored
+  dedupeKey: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+notificationJobSchema.index({ status: 1, runAt: 1 });
+notificationJobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+
+const NotificationJob = mongoose.model('NotificationJob', notificationJobSchema);
+
+export default NotificationJob;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Pet owners have no login - an owner is whoever holds one of these chat
+// sessions, the same rule the public appointments API uses
+const ownerSchema = new mongoose.Schema({
+  sessionIds: {
+    type: [String],
+    index: true
+  },
+  name: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  phone: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ownerSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Session IDs act as the owner's credentials, never send them back
+ownerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.sessionIds;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Owner = mongoose.model('Owner', ownerSchema);
+
+export default Owner;
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+// Same values as Appointment.petType
+export const PET_SPECIES = ['dog', 'cat', 'bird', 'rabbit', 'hamster', 'other'];
+
+// Medical records are written by clinic staff only, so the assistant can rely on them
+
+// A dose that was given
+const vaccinationSchema = new mongoose.Schema({
+  vaccine: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  administeredAt: {
+    type: Date,
+    required: true
+  },
+  nextDueAt: Date,  // Booster date set by the vet
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+});
+
+const medicationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  dosage: String,   // e.g. '5 mg twice daily'
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,     // Unset while ongoing
+  notes: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+});
+
+// One per vaccine due date, so each booster is only reminded once
+const vaccineReminderSchema = new mongoose.Schema({
+  vaccine: String,          // Schedule code, or the recorded name
+  dueAt: Date,
+  queuedAt: Date,
+  notificationIds: [String]   // NotificationJob ids, one per channel
+}, { _id: false });
+
+const petSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Owner',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  species: {
+    type: String,
+    enum: PET_SPECIES,
+    default: 'other'
+  },
+  breed: String,
+  birthdate: Date,
+  weightKg: {
+    type: Number,
+    min: 0
+  },
+  allergies: [String],
+  microchipId: {
+    type: String,
+    trim: true
+  },
+  vaccinations: [vaccinationSchema],
+  medications: [medicationSchema],
+  vaccineReminders: [vaccineReminderSchema],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A chip number identifies one animal, but most pets don't have one
+petSchema.index({ microchipId: 1 }, { unique: true, sparse: true });
+
+petSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+petSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.__v;
+    delete ret.vaccineReminders;
+    return ret;
+  }
+});
+
+const Pet = mongoose.model('Pet', petSchema);
+
+export default Pet;
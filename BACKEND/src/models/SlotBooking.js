@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+/**
+ * One document per taken slot. The unique (slotKey, vetId) index is what
+ * prevents double-booking: two sessions racing for the same slot can't
+ * both insert, whichever write lands second gets a duplicate key error.
+ */
+const slotBookingSchema = new mongoose.Schema({
+  slotKey: {
+    type: String,
+    required: true
+  },
+  vetId: {
+    type: String,
+    default: 'clinic'  // Clinic-wide calendar until per-vet schedules exist
+  },
+  date: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['reserved', 'confirmed'],
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  // Only set on holds - MongoDB's TTL monitor deletes them after this time.
+  // It runs about once a minute, so queries also check expiresAt themselves.
+  expiresAt: Date,
+  confirmedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slotBookingSchema.index({ slotKey: 1, vetId: 1 }, { unique: true });
+slotBookingSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlotBooking = mongoose.model('SlotBooking', slotBookingSchema);
+
+export default SlotBooking;
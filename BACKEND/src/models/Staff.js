@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+const staffSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['receptionist', 'vet', 'admin'],
+    default: 'receptionist'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Never send the password hash back over the API
+staffSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const Staff = mongoose.model('Staff', staffSchema);
+
+export default Staff;
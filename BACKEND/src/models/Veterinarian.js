@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+// Same shape as AppointmentSlotManager.businessHours entries
+export const dayScheduleSchema = new mongoose.Schema({
+  open: String,   // 'HH:MM'
+  close: String,  // 'HH:MM'
+  breaks: [{
+    start: String,
+    end: String
+  }],
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const timeOffSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  reason: String
+});
+
+const veterinarianSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // e.g. 'exotics' lets a vet see birds, rabbits and hamsters
+  specialties: {
+    type: [String],
+    default: []
+  },
+  weeklySchedule: {
+    monday: dayScheduleSchema,
+    tuesday: dayScheduleSchema,
+    wednesday: dayScheduleSchema,
+    thursday: dayScheduleSchema,
+    friday: dayScheduleSchema,
+    saturday: dayScheduleSchema,
+    sunday: dayScheduleSchema
+  },
+  timeOff: [timeOffSchema],
+  maxDailyAppointments: {
+    type: Number,
+    default: 12
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const Veterinarian = mongoose.model('Veterinarian', veterinarianSchema);
+
+export default Veterinarian;
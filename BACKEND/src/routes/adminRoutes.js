@@ -0,0 +1,81 @@
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { requireStaff } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// POST /api/admin/login - Exchange staff email/password for a JWT
+router.post('/login', adminController.login);
+
+// GET /api/admin/me - Current staff member
+router.get('/me', requireStaff(), adminController.getCurrentStaff);
+
+// Staff accounts (admin only)
+router.get('/staff', requireStaff('admin'), adminController.listStaff);
+router.post('/staff', requireStaff('admin'), adminController.createStaff);
+router.patch('/staff/:id', requireStaff('admin'), adminController.updateStaff);
+
+// Veterinarians - schedules, time off, specialties (editing is admin only)
+router.get('/veterinarians', requireStaff(), adminController.listVeterinarians);
+router.post('/veterinarians', requireStaff('admin'), adminController.createVeterinarian);
+router.patch('/veterinarians/:id', requireStaff('admin'), adminController.updateVeterinarian);
+
+// GET /api/admin/calendar-feeds - iCal subscription URLs for the clinic and each vet
+router.get('/calendar-feeds', requireStaff(), adminController.getCalendarFeeds);
+
+// Clinic calendar - weekly hours (admin only) and holidays, closures, extended hours
+router.get('/calendar', requireStaff(), adminController.getCalendar);
+router.put('/calendar/hours', requireStaff('admin'), adminController.updateWeeklyHours);
+router.post('/calendar/overrides', requireStaff('admin', 'receptionist'), adminController.addCalendarOverride);
+router.delete('/calendar/overrides/:id', requireStaff('admin', 'receptionist'), adminController.removeCalendarOverride);
+
+// Pets - profiles with medical records; vaccinations and medications are recorded by vets
+router.get('/pets', requireStaff(), adminController.listPets);
+router.get('/pets/:id', requireStaff(), adminController.getPet);
+router.post('/pets/:id/vaccinations', requireStaff('vet', 'admin'), adminController.addVaccination);
+router.delete('/pets/:id/vaccinations/:recordId', requireStaff('vet', 'admin'), adminController.removeVaccination);
+router.post('/pets/:id/medications', requireStaff('vet', 'admin'), adminController.addMedication);
+router.patch('/pets/:id/medications/:recordId', requireStaff('vet', 'admin'), adminController.updateMedication);
+router.delete('/pets/:id/medications/:recordId', requireStaff('vet', 'admin'), adminController.removeMedication);
+
+// Chat transcripts filed under a pet - a snapshot of the chat, downloadable as pdf, md or json
+router.post('/pets/:id/transcripts', requireStaff(), adminController.attachTranscript);
+router.get('/pets/:id/transcripts/:transcriptId', requireStaff(), adminController.downloadTranscript);
+router.delete('/pets/:id/transcripts/:transcriptId', requireStaff('vet', 'admin'), adminController.removeTranscript);
+
+// POST /api/admin/vaccinations/reminders - Run the vaccine reminder check now (admin only)
+router.post('/vaccinations/reminders', requireStaff('admin'), adminController.sendVaccineReminders);
+
+// Owner notifications - confirmations, reminders, cancellations; failed ones can be retried
+router.get('/notifications', requireStaff(), adminController.listNotifications);
+router.post('/notifications/:id/retry', requireStaff('admin', 'receptionist'), adminController.retryNotification);
+
+// GET /api/admin/appointments - List with filters (date, from, to, status, urgency, petType, veterinarian) and pagination
+router.get('/appointments', requireStaff(), adminController.listAppointments);
+
+// GET /api/admin/appointments/:id - Any appointment
+router.get('/appointments/:id', requireStaff(), adminController.getAppointment);
+
+// PATCH /api/admin/appointments/:id/status - Confirm, cancel, mark no-show or reset to pending
+router.patch('/appointments/:id/status', requireStaff(), adminController.updateAppointmentStatus);
+
+// Conversation transcripts - search by text, triage level and date
+router.get('/conversations', requireStaff(), adminController.searchConversations);
+router.get('/conversations/:sessionId', requireStaff(), adminController.getConversation);
+router.get('/conversations/:sessionId/export', requireStaff(), adminController.exportConversation);
+
+// Live handoff - the queue of chats asking for a person; take over, reply, hand back to the bot
+router.get('/handoffs', requireStaff(), adminController.listHandoffs);
+router.post('/conversations/:sessionId/takeover', requireStaff(), adminController.takeOverConversation);
+router.post('/conversations/:sessionId/release', requireStaff(), adminController.releaseConversation);
+router.post('/conversations/:sessionId/messages', requireStaff(), adminController.sendAgentMessage);
+
+// Personal data - erase an owner on request, the audit log, run the retention purge now (admin only)
+router.delete('/owners/:id', requireStaff('admin'), adminController.eraseOwner);
+router.get('/audit-log', requireStaff('admin'), adminController.listAuditLog);
+router.post('/retention/purge', requireStaff('admin'), adminController.purgeExpiredData);
+
+// GET /api/admin/analytics - Analytics report for the dashboard
+router.get('/analytics', requireStaff(), adminController.getAnalytics);
+
+export default router;
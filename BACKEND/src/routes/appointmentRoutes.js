@@ -6,13 +6,19 @@ const router = express.Router();
 // POST /api/appointments - Create a new appointment
 router.post('/', appointmentController.createAppointment);
 
+// POST /api/appointments/form-events - Booking form opened, invalid or closed (funnel analytics)
+router.post('/form-events', appointmentController.trackFormEvent);
+
 // GET /api/appointments - Get all appointments (optionally filtered by sessionId)
 router.get('/', appointmentController.getAppointments);
 
-// GET /api/appointments/:id - Get specific appointment
+// GET /api/appointments/:id?sessionId= - Get specific appointment (owning session only)
 router.get('/:id', appointmentController.getAppointmentById);
 
-// PATCH /api/appointments/:id/status - Update appointment status
+// GET /api/appointments/:id/calendar.ics?sessionId= - Add to calendar (owning session only)
+router.get('/:id/calendar.ics', appointmentController.downloadCalendar);
+
+// PATCH /api/appointments/:id/status - Cancel appointment (owning session only)
 router.patch('/:id/status', appointmentController.updateAppointmentStatus);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,15 @@
+import express from 'express';
+import calendarController from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+// Subscribable iCal feeds for staff calendars. Calendar apps can't send
+// headers, so the feed token from GET /api/admin/calendar-feeds goes in the URL.
+
+// GET /api/calendar/clinic.ics?token= - Whole clinic
+router.get('/clinic.ics', calendarController.getClinicFeed);
+
+// GET /api/calendar/vets/:vetId.ics?token= - One veterinarian
+router.get('/vets/:vetId.ics', calendarController.getVetFeed);
+
+export default router;
@@ -6,6 +6,13 @@ const router = express.Router();
 // POST /api/chat - Send a message and get response
 router.post('/', chatController.handleMessage);
 
+// GET|POST /api/chat/stream - Send a message and stream the response (SSE)
+router.get('/stream', chatController.handleStream);
+router.post('/stream', chatController.handleStream);
+
+// GET /api/chat/:sessionId/export - Download the transcript (?format=pdf|md|json)
+router.get('/:sessionId/export', chatController.exportConversation);
+
 // GET /api/chat/:sessionId - Get conversation history
 router.get('/:sessionId', chatController.getConversation);
 
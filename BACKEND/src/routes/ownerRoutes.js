@@ -0,0 +1,28 @@
+import express from 'express';
+import ownerController from '../controllers/ownerController.js';
+
+const router = express.Router();
+
+// Owners have no login - every route is scoped to the sessionId sent with it
+
+// GET /api/owners/me?sessionId= - Owner profile and pets
+router.get('/me', ownerController.getProfile);
+
+// PATCH /api/owners/me - Update name, email, phone
+router.patch('/me', ownerController.updateProfile);
+
+// Your data - download everything held about you, or erase it
+router.get('/me/data', ownerController.exportData);
+router.delete('/me', ownerController.deleteData);
+
+// Pets - species, breed, birthdate, weight, allergies, microchip ID
+router.get('/me/pets', ownerController.listPets);
+router.post('/me/pets', ownerController.createPet);
+router.get('/me/pets/:id', ownerController.getPet);
+router.patch('/me/pets/:id', ownerController.updatePet);
+router.delete('/me/pets/:id', ownerController.deletePet);
+
+// GET /api/owners/me/vaccinations?sessionId= - Overdue and due-soon shots for all pets
+router.get('/me/vaccinations', ownerController.getDueVaccinations);
+
+export default router;
@@ -4,6 +4,14 @@ import './loadEnv.js';
 import mongoose from 'mongoose';
 import app from './app.js';
 import selfPingService from './services/SelfPingService.js';
+import AuthService from './services/AuthService.js';
+import AppointmentSlotManager from './services/AppointmentSlotManager.js';
+import NotificationService from './services/NotificationService.js';
+import VaccinationService from './services/VaccinationService.js';
+import RealtimeService from './services/RealtimeService.js';
+import AnalyticsHistoryService from './services/AnalyticsHistoryService.js';
+import PrivacyService from './services/PrivacyService.js';
+import { getStateStore } from './services/storage/index.js';
 
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/veterinary-chatbot';
@@ -15,6 +23,12 @@ mongoose.connect(MONGODB_URI, {
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  AuthService.ensureBootstrapAdmin();
+  AppointmentSlotManager.loadCalendar(true);
+  NotificationService.start();
+  VaccinationService.start();
+  AnalyticsHistoryService.start();
+  PrivacyService.start();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -22,10 +36,14 @@ mongoose.connect(MONGODB_URI, {
 });
 
 // Start server regardless of MongoDB status
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+  console.log(`State store: ${getStateStore().name}`);
 
   // Start self-ping service to keep Render server awake
   selfPingService.start();
-});
\ No newline at end of file
+});
+
+// Live chat with clinic staff (WebSocket on /ws)
+RealtimeService.attach(server);
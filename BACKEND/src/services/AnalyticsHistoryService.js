@@ -0,0 +1,505 @@
+/**
+ * Analytics History Service
+ *
+ * AnalyticsService answers "what's happening now" from the state store,
+ * which forgets everything on restart (or when the Redis keys expire).
+ * This keeps the record: sessions, messages, question categories, booking
+ * funnel steps, triage levels and errors go to the AnalyticsEvent
+ * time-series collection, and each finished clinic day is rolled up into
+ * one AnalyticsRollup document so day and week reports stay fast.
+ *
+ * Events are buffered and written in batches every few seconds. Writes
+ * never block or fail a request: if MongoDB is down the buffer waits (up
+ * to MAX_BUFFER events), and a failed batch is logged and dropped.
+ *
+ * Days are clinic days (CLINIC_TIMEZONE), like the rest of the app.
+ */
+
+import mongoose from 'mongoose';
+import AnalyticsEvent, { BOOKING_STEPS } from '../models/AnalyticsEvent.js';
+import AnalyticsRollup from '../models/AnalyticsRollup.js';
+import ClinicTimeService from './ClinicTimeService.js';
+
+const GRANULARITIES = ['hour', 'day', 'week'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Longest range per granularity, and the default when no from is given (in days)
+const MAX_RANGE_DAYS = { hour: 31, day: 366, week: 728 };
+const DEFAULT_RANGE_DAYS = { hour: 2, day: 30, week: 84 };
+
+const FLUSH_INTERVAL = 5000;
+const FLUSH_BATCH = 200;
+const MAX_BUFFER = 5000;
+const ROLLUP_INTERVAL = HOUR_MS;
+const ROLLUP_LOOKBACK_DAYS = 7;
+const ROLLUP_DELAY = 60000;   // Let the last batch of a day land before rolling it up
+
+const emptySummary = () => ({
+  sessions: 0,
+  messages: 0,
+  errorCount: 0,
+  questions: {},
+  triage: {},
+  funnel: {},
+  dropoff: {},
+  errorSources: {},
+  hours: {}
+});
+
+const addTo = (counts, key, count) => {
+  counts[key] = (counts[key] || 0) + count;
+};
+
+/**
+ * Add one aggregated { type, key, step } count to a summary
+ */
+function addCount(summary, { type, key, step }, count) {
+  switch (type) {
+    case 'session':
+      summary.sessions += count;
+      break;
+    case 'message':
+      summary.messages += count;
+      break;
+    case 'question':
+      addTo(summary.questions, key, count);
+      break;
+    case 'triage':
+      addTo(summary.triage, key, count);
+      break;
+    case 'funnel':
+      addTo(summary.funnel, key, count);
+      if (key === 'abandoned' && step) addTo(summary.dropoff, step, count);
+      break;
+    case 'error':
+      summary.errorCount += count;
+      addTo(summary.errorSources, key || 'unknown', count);
+      break;
+  }
+}
+
+function mergeSummary(target, source) {
+  target.sessions += source.sessions || 0;
+  target.messages += source.messages || 0;
+  target.errorCount += source.errorCount || 0;
+  for (const field of ['questions', 'triage', 'funnel', 'dropoff', 'errorSources', 'hours']) {
+    for (const [key, count] of Object.entries(source[field] || {})) {
+      addTo(target[field], key, count);
+    }
+  }
+  return target;
+}
+
+const sortedEntries = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]);
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : null);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+class AnalyticsHistoryService {
+  constructor() {
+    this.buffer = [];
+    this.flushing = false;
+    this.droppedWarning = false;
+  }
+
+  /**
+   * Queue an event. fields: key (category, level, funnel event or error
+   * source), sessionId, and for booking funnel events step, channel and
+   * elapsedMs
+   */
+  record(type, { key, sessionId, step, channel, elapsedMs } = {}) {
+    this.buffer.push({ timestamp: new Date(), meta: { type, key }, sessionId, step, channel, elapsedMs });
+
+    if (this.buffer.length > MAX_BUFFER) {
+      this.buffer.splice(0, this.buffer.length - MAX_BUFFER);
+      if (!this.droppedWarning) {
+        console.warn('Analytics history buffer full - dropping the oldest events (MongoDB unavailable?)');
+        this.droppedWarning = true;
+      }
+    }
+
+    if (this.buffer.length >= FLUSH_BATCH) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write buffered events. Waits for MongoDB rather than letting mongoose
+   * buffer the insert.
+   */
+  async flush() {
+    if (this.flushing || this.buffer.length === 0 || mongoose.connection.readyState !== 1) return;
+
+    this.flushing = true;
+    const events = this.buffer.splice(0, this.buffer.length);
+    try {
+      await AnalyticsEvent.insertMany(events, { ordered: false, lean: true });
+      this.droppedWarning = false;
+    } catch (error) {
+      console.error(`Analytics history write failed, ${events.length} events dropped:`, error.message);
+    } finally {
+      this.flushing = false;
+    }
+  }
+
+  /**
+   * Counts for events in [start, end), grouped by bucket (a $group
+   * expression, or null for one bucket). Returns a Map of bucket -> summary.
+   */
+  async summarize(start, end, bucket = null) {
+    const timezone = ClinicTimeService.timeZone;
+    const [result] = await AnalyticsEvent.aggregate([
+      { $match: { timestamp: { $gte: start, $lt: end } } },
+      {
+        $facet: {
+          counts: [
+            { $group: { _id: { bucket, type: '$meta.type', key: '$meta.key', step: '$step' }, count: { $sum: 1 } } }
+          ],
+          hours: [
+            { $match: { 'meta.type': 'message' } },
+            { $group: { _id: { bucket, hour: { $hour: { date: '$timestamp', timezone } } }, count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
+
+    const summaries = new Map();
+    const summaryFor = (id) => {
+      const key = id.bucket ? id.bucket.getTime() : null;
+      if (!summaries.has(key)) summaries.set(key, emptySummary());
+      return summaries.get(key);
+    };
+
+    for (const { _id, count } of result.counts) {
+      addCount(summaryFor(_id), _id, count);
+    }
+    for (const { _id, count } of result.hours) {
+      addTo(summaryFor(_id).hours, String(_id.hour), count);
+    }
+    return summaries;
+  }
+
+  dayStart(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return ClinicTimeService.toInstant({ year, month, day });
+  }
+
+  /**
+   * Build (or rebuild) the rollup for one finished clinic day
+   */
+  async rollupDay(dateKey) {
+    const start = this.dayStart(dateKey);
+    const end = ClinicTimeService.startOfDay(start, 1);
+    const summary = (await this.summarize(start, end)).get(null) || emptySummary();
+
+    await AnalyticsRollup.updateOne(
+      { date: dateKey },
+      { $set: { start, ...summary, generatedAt: new Date() } },
+      { upsert: true }
+    );
+    return summary;
+  }
+
+  /**
+   * Roll up any of the last ROLLUP_LOOKBACK_DAYS finished days that
+   * aren't yet
+   */
+  async rollupPending(now = new Date()) {
+    const today = ClinicTimeService.startOfDay(now);
+    const dateKeys = [];
+    for (let back = ROLLUP_LOOKBACK_DAYS; back >= 1; back--) {
+      dateKeys.push(ClinicTimeService.getDateKey(ClinicTimeService.startOfDay(today, -back)));
+    }
+
+    // Yesterday waits until its last events have been written
+    if (now - today < ROLLUP_DELAY) dateKeys.pop();
+
+    const existing = new Set(
+      (await AnalyticsRollup.find({ date: { $in: dateKeys } }, { date: 1 }).lean()).map(rollup => rollup.date)
+    );
+    const missing = dateKeys.filter(dateKey => !existing.has(dateKey));
+
+    for (const dateKey of missing) {
+      await this.rollupDay(dateKey);
+    }
+    return { rolledUp: missing.length };
+  }
+
+  /**
+   * Check the query string: from and to are clinic dates (YYYY-MM-DD,
+   * inclusive), granularity is hour, day or week
+   */
+  parseRange(query, now = new Date()) {
+    const granularity = query.granularity || 'day';
+    if (!GRANULARITIES.includes(granularity)) {
+      return { error: `Invalid granularity. Must be: ${GRANULARITIES.join(', ')}` };
+    }
+
+    for (const field of ['from', 'to']) {
+      // The round trip catches dates like 2025-02-30
+      if (query[field] && (!DATE_PATTERN.test(query[field]) || ClinicTimeService.getDateKey(this.dayStart(query[field])) !== query[field])) {
+        return { error: `Invalid ${field} date. Use YYYY-MM-DD` };
+      }
+    }
+
+    const to = query.to || ClinicTimeService.getDateKey(now);
+    const toStart = this.dayStart(to);
+    const from = query.from
+      || ClinicTimeService.getDateKey(ClinicTimeService.startOfDay(toStart, -(DEFAULT_RANGE_DAYS[granularity] - 1)));
+    const fromStart = this.dayStart(from);
+
+    if (fromStart > toStart) {
+      return { error: 'from must be on or before to' };
+    }
+    if (Math.round((toStart - fromStart) / DAY_MS) + 1 > MAX_RANGE_DAYS[granularity]) {
+      return { error: `${granularity === 'hour' ? 'An' : 'A'} ${granularity} report can cover at most ${MAX_RANGE_DAYS[granularity]} days` };
+    }
+
+    return { from, to, fromStart, end: ClinicTimeService.startOfDay(toStart, 1), granularity };
+  }
+
+  /**
+   * Daily summaries from rollups. Finished days without one are rolled up
+   * now; today is summarized live and not saved.
+   */
+  async getDailySummaries(fromStart, end, now = new Date()) {
+    const days = [];
+    for (let start = fromStart; start < end; start = ClinicTimeService.startOfDay(start, 1)) {
+      days.push({ dateKey: ClinicTimeService.getDateKey(start), start });
+    }
+
+    const rollups = new Map(
+      (await AnalyticsRollup.find({ date: { $in: days.map(day => day.dateKey) } }).lean())
+        .map(rollup => [rollup.date, rollup])
+    );
+
+    for (const day of days) {
+      const dayEnd = ClinicTimeService.startOfDay(day.start, 1);
+      if (rollups.has(day.dateKey)) {
+        day.summary = mergeSummary(emptySummary(), rollups.get(day.dateKey));
+      } else if (dayEnd <= now - ROLLUP_DELAY) {
+        day.summary = await this.rollupDay(day.dateKey);
+      } else if (day.start <= now) {
+        day.summary = (await this.summarize(day.start, dayEnd)).get(null) || emptySummary();
+      } else {
+        day.summary = emptySummary();
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Historical report for /api/analytics?from=&to=&granularity=.
+   * Returns { report } or { error } for a bad query.
+   */
+  async getReport(query = {}, now = new Date()) {
+    const range = this.parseRange(query, now);
+    if (range.error) return { error: range.error };
+
+    const { fromStart, end, granularity } = range;
+    let buckets;
+
+    if (granularity === 'hour') {
+      const bucket = { $dateTrunc: { date: '$timestamp', unit: 'hour', timezone: ClinicTimeService.timeZone } };
+      const summaries = await this.summarize(fromStart, end, bucket);
+      buckets = [];
+      for (let start = fromStart; start < end; start = new Date(start.getTime() + HOUR_MS)) {
+        buckets.push({
+          period: `${ClinicTimeService.getDateKey(start)} ${ClinicTimeService.getTimeString(start)}`,
+          start,
+          summary: summaries.get(start.getTime()) || emptySummary()
+        });
+      }
+    } else {
+      const days = await this.getDailySummaries(fromStart, end, now);
+
+      if (granularity === 'day') {
+        buckets = days.map(day => ({ period: day.dateKey, start: day.start, summary: day.summary }));
+      } else {
+        // Weeks start on Monday; the first and last may be partial
+        const weeks = new Map();
+        for (const day of days) {
+          const weekStart = ClinicTimeService.startOfDay(day.start, -((ClinicTimeService.getWeekdayIndex(day.start) + 6) % 7));
+          const period = ClinicTimeService.getDateKey(weekStart);
+          if (!weeks.has(period)) weeks.set(period, { period, start: weekStart, summary: emptySummary() });
+          mergeSummary(weeks.get(period).summary, day.summary);
+        }
+        buckets = Array.from(weeks.values());
+      }
+    }
+
+    const totals = buckets.reduce((sum, bucket) => mergeSummary(sum, bucket.summary), emptySummary());
+
+    return {
+      report: {
+        range: {
+          from: range.from,
+          to: range.to,
+          granularity,
+          timeZone: ClinicTimeService.timeZone
+        },
+        totals: this.formatTotals(totals),
+        series: buckets.map(({ period, start, summary }) => ({
+          period,
+          start: start.toISOString(),
+          sessions: summary.sessions,
+          messages: summary.messages,
+          errors: summary.errorCount,
+          appointments: this.formatFunnel(summary.funnel),
+          questions: summary.questions,
+          triage: summary.triage
+        }))
+      }
+    };
+  }
+
+  /**
+   * Booking funnel for /api/analytics/funnel?from=&to=, per channel (chat,
+   * form): how many sessions reached each step and went on to the next,
+   * the median time spent on it, and what went wrong there. Read from raw
+   * events, so it reaches back ANALYTICS_RETENTION_DAYS at most.
+   * Returns { report } or { error } for a bad query.
+   */
+  async getFunnelReport(query = {}, now = new Date()) {
+    // granularity only sets the default range, so it matches the history report
+    const range = this.parseRange(query, now);
+    if (range.error) return { error: range.error };
+
+    const groups = await AnalyticsEvent.aggregate([
+      { $match: { timestamp: { $gte: range.fromStart, $lt: range.end }, 'meta.type': 'funnel' } },
+      {
+        $group: {
+          _id: { channel: '$channel', key: '$meta.key', step: '$step' },
+          count: { $sum: 1 },
+          sessions: { $addToSet: '$sessionId' },
+          durations: { $push: '$elapsedMs' }
+        }
+      }
+    ]);
+
+    const find = (channel, key, step) => groups.filter(({ _id }) =>
+      _id.channel === channel && _id.key === key && (step === undefined || _id.step === step));
+    const sessionsOf = (matches) => new Set(matches.flatMap(group => group.sessions)).size;
+    const durationsOf = (matches) => matches.flatMap(group => group.durations).filter(Number.isFinite);
+    const countOf = (matches) => matches.reduce((sum, group) => sum + group.count, 0);
+
+    const channels = {};
+    for (const [channel, steps] of Object.entries(BOOKING_STEPS)) {
+      const started = sessionsOf(find(channel, 'started'));
+      const completed = sessionsOf(find(channel, 'completed'));
+
+      channels[channel] = {
+        started,
+        completed,
+        conversionRate: percent(completed, started),
+        medianTimeToBookMs: median(durationsOf(find(channel, 'completed'))),
+        steps: steps.map(step => {
+          // The first step is entered by starting; going back enters a step again
+          const entered = sessionsOf([...find(channel, 'started', step), ...find(channel, 'entered', step)]);
+          const passed = sessionsOf(find(channel, 'passed', step));
+          const abandoned = sessionsOf(find(channel, 'abandoned', step));
+
+          return {
+            step,
+            entered,
+            passed,
+            conversionRate: percent(passed, entered),
+            medianTimeMs: median(durationsOf(find(channel, 'passed', step))),
+            invalid: countOf(find(channel, 'invalid', step)),
+            slotUnavailable: countOf(find(channel, 'slot_unavailable', step)),
+            abandoned,
+            droppedOff: Math.max(0, entered - passed - abandoned)
+          };
+        })
+      };
+    }
+
+    return {
+      report: {
+        range: { from: range.from, to: range.to, timeZone: ClinicTimeService.timeZone },
+        channels
+      }
+    };
+  }
+
+  formatFunnel(funnel) {
+    const started = funnel.started || 0;
+    const completed = funnel.completed || 0;
+    return {
+      started,
+      completed,
+      abandoned: funnel.abandoned || 0,
+      conversionRate: started > 0 ? Math.round((completed / started) * 1000) / 10 : null   // percent
+    };
+  }
+
+  formatTotals(summary) {
+    const hours = sortedEntries(summary.hours);
+    return {
+      sessions: summary.sessions,
+      messages: summary.messages,
+      errors: summary.errorCount,
+      appointments: this.formatFunnel(summary.funnel),
+      topQuestions: sortedEntries(summary.questions).slice(0, 5),
+      triage: summary.triage,
+      dropOffPoints: sortedEntries(summary.dropoff),
+      errorSources: sortedEntries(summary.errorSources),
+      peakHour: hours.length > 0 ? `${hours[0][0]}:00` : null
+    };
+  }
+
+  /**
+   * Delete the events of these sessions, buffered or stored. Deleting from
+   * a time-series collection by sessionId needs MongoDB 7.0; on older
+   * servers the stored events stay until ANALYTICS_RETENTION_DAYS expires
+   * them, and this returns null instead of a count.
+   */
+  async forgetSessions(sessionIds) {
+    const forget = new Set(sessionIds);
+    this.buffer = this.buffer.filter(event => !forget.has(event.sessionId));
+
+    try {
+      const { deletedCount } = await AnalyticsEvent.deleteMany({ sessionId: { $in: sessionIds } });
+      return deletedCount;
+    } catch (error) {
+      console.error('Analytics history erase failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write buffered events every few seconds and roll up finished days hourly
+   */
+  start() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    this.flushTimer.unref?.();
+
+    const rollup = () => this.rollupPending()
+      .then(({ rolledUp }) => rolledUp > 0 && console.log(`Analytics rollups: ${rolledUp} day(s)`))
+      .catch(error => console.error('Analytics rollup failed:', error));
+
+    rollup();
+    this.rollupTimer = setInterval(rollup, ROLLUP_INTERVAL);
+    this.rollupTimer.unref?.();
+  }
+
+  async stop() {
+    clearInterval(this.flushTimer);
+    clearInterval(this.rollupTimer);
+    this.flushTimer = null;
+    this.rollupTimer = null;
+    await this.flush();
+  }
+}
+
+export default new AnalyticsHistoryService();
@@ -4,63 +4,100 @@
  * Built after receiving user complaints about slow responses but having no data
  * to diagnose the issue. Started with simple console.time(), evolved to full
  * telemetry system tracking user behavior and system performance.
+ *
+ * Metrics and behavior counts live in the shared state store, so reports
+ * cover every instance behind the load balancer. System health (memory,
+ * alerts) describes this process and stays here. Tracking never throws:
+ * a store outage loses data points, not requests.
+ *
+ * Every tracked event also updates the Prometheus registry behind /metrics.
+ * Sessions, questions, funnel steps, triage and errors are also kept in
+ * MongoDB by AnalyticsHistoryService for reports over any date range.
  */
 
 import EventEmitter from 'events';
+import { getStateStore } from './storage/index.js';
+import MetricsRegistry from './MetricsRegistry.js';
+import AnalyticsHistoryService from './AnalyticsHistoryService.js';
+import { BOOKING_STEPS } from '../models/AnalyticsEvent.js';
+
+const SESSION_TTL = 24 * 60 * 60 * 1000;  // Per-session tracking state
+const MAX_LIST_LENGTH = 1000;
+
+// A booking still in progress - later events for a finished one are ignored
+const isOpenFunnel = (funnel) => Boolean(funnel) && !funnel.completed && funnel.stage !== 'abandoned';
 
 class AnalyticsService extends EventEmitter {
   constructor() {
     super();
 
-    // Performance metrics storage
+    // Performance metrics storage (state store keys)
     this.metrics = {
-      responseTime: [],
-      geminiApiTime: [],
-      dbQueryTime: [],
-      sessionDuration: new Map(),
-      errorRate: [],
-      userDropoff: new Map()
+      responseTime: 'analytics:responseTime',        // list
+      llmApiTime: 'analytics:llmApiTime',            // list
+      sessionDuration: 'analytics:session:',         // + sessionId
+      errorRate: 'analytics:errors',                 // list
+      userDropoff: 'analytics:dropoff'               // hash
     };
 
-    // User behavior tracking
+    // User behavior tracking (state store keys)
     this.userBehavior = {
-      messageCount: new Map(),
-      appointmentFunnel: new Map(),
-      popularQuestions: new Map(),
-      peakHours: new Array(24).fill(0)
+      messageCount: 'analytics:messages:',           // + sessionId
+      appointmentFunnel: 'analytics:funnel:',        // + sessionId
+      appointmentTotals: 'analytics:funnelTotals',   // hash: started, completed
+      popularQuestions: 'analytics:questions',       // hash
+      peakHours: 'analytics:peakHours',              // hash: 0-23
+      triageLevels: 'analytics:triage',              // hash
+      triageEvents: 'analytics:triageEvents'         // list
     };
 
-    // System health metrics
+    // System health metrics (this process)
     this.systemHealth = {
       memoryUsage: [],
       cpuUsage: [],
-      activeConnections: 0,
+      activeConnections: 'analytics:activeConnections',  // shared counter
       queueLength: 0,
       cacheHitRate: []
     };
+    this.cacheLookups = { hits: 0, misses: 0 };  // Since the last hit rate sample
+
+    this.startTime = Date.now();
+    this.percentileCheckInterval = 10000;  // Percentiles read the whole list
+    this.lastPercentileCheck = 0;
 
     // Start collection intervals
     this.startMetricsCollection();
   }
 
+  get store() {
+    return getStateStore();
+  }
+
+  /**
+   * Run a tracking update, logging rather than throwing if the store fails
+   */
+  async record(update) {
+    try {
+      await update();
+    } catch (error) {
+      console.error('Analytics store error:', error.message);
+    }
+  }
+
   /**
    * Track API response times
    * Discovered p95 was 5x higher than average - led to implementing caching
    */
-  trackResponseTime(endpoint, duration, metadata = {}) {
+  async trackResponseTime(endpoint, duration, metadata = {}) {
+    const { route = 'unmatched', ...details } = metadata;
     const metric = {
       endpoint,
       duration,
       timestamp: Date.now(),
-      ...metadata
+      ...details
     };
 
-    this.metrics.responseTime.push(metric);
-
-    // Keep only last 1000 entries
-    if (this.metrics.responseTime.length > 1000) {
-      this.metrics.responseTime.shift();
-    }
+    MetricsRegistry.observeRequest({ route, method: details.method, status: details.statusCode, duration });
 
     // Alert if response time exceeds threshold
     if (duration > 3000) {
@@ -71,16 +108,26 @@ class AnalyticsService extends EventEmitter {
       });
     }
 
-    // Track percentiles
-    this.calculatePercentiles();
+    await this.record(async () => {
+      // Keep only last 1000 entries
+      await this.store.listPush(this.metrics.responseTime, metric, { maxLength: MAX_LIST_LENGTH });
+
+      // Track percentiles
+      if (Date.now() - this.lastPercentileCheck > this.percentileCheckInterval) {
+        this.lastPercentileCheck = Date.now();
+        await this.calculatePercentiles();
+      }
+    });
   }
 
   /**
-   * Track Gemini API performance
+   * Track LLM API performance (any provider - gemini, openai, scripted)
    * Found that certain prompts took 10x longer - optimized prompt structure
    */
-  trackGeminiCall(promptLength, responseLength, duration, error = null) {
+  async trackLLMCall(promptLength, responseLength, duration, error = null, metadata = {}) {
     const metric = {
+      provider: metadata.provider || 'unknown',
+      model: metadata.model,
       promptLength,
       responseLength,
       duration,
@@ -89,7 +136,10 @@ class AnalyticsService extends EventEmitter {
       errorType: error?.message
     };
 
-    this.metrics.geminiApiTime.push(metric);
+    MetricsRegistry.observeLLMCall(metric);
+
+    // Keep only last 1000 entries
+    await this.record(() => this.store.listPush(this.metrics.llmApiTime, metric, { maxLength: MAX_LIST_LENGTH }));
 
     // Analyze prompt efficiency
     const efficiency = responseLength / promptLength;
@@ -104,98 +154,210 @@ class AnalyticsService extends EventEmitter {
 
     // Track API errors
     if (error) {
-      this.trackError('gemini_api', error);
+      await this.trackError('llm_api', error, { provider: metric.provider, model: metric.model });
     }
   }
 
   /**
    * Track user session behavior
    * Identified that 60% of users drop off at phone number input
+   *
+   * Booking funnel events, per session:
+   *   appointment_start    { channel: 'chat' | 'form' } - enters the channel's first step
+   *   appointment_stage    { stage } - moved to another step (forward, or back);
+   *                        { stage: 'abandoned', abandonedAt } - the owner cancelled
+   *   appointment_invalid  { reason } - an answer failed validation at the current step
+   *   appointment_slot_unavailable - the requested time was taken
+   *   appointment_complete { channel } - booked
    */
-  trackSession(sessionId, event, data = {}) {
-    switch (event) {
-      case 'start':
-        this.metrics.sessionDuration.set(sessionId, {
-          startTime: Date.now(),
-          events: []
-        });
-        this.systemHealth.activeConnections++;
-        break;
-
-      case 'message':
-        const session = this.sessionDuration.get(sessionId);
-        if (session) {
-          session.events.push({
-            type: 'message',
-            timestamp: Date.now(),
-            ...data
-          });
+  async trackSession(sessionId, event, data = {}) {
+    const store = this.store;
+    const sessionKey = `${this.metrics.sessionDuration}${sessionId}`;
+    const funnelKey = `${this.userBehavior.appointmentFunnel}${sessionId}`;
+
+    await this.record(async () => {
+      switch (event) {
+        case 'start':
+          // Every request with a sessionId restarts the clock; only the first is a new session
+          if (!(await store.get(sessionKey))) {
+            AnalyticsHistoryService.record('session', { sessionId });
+          }
+          await store.set(sessionKey, { startTime: Date.now() }, { ttl: SESSION_TTL });
+          await store.increment(this.systemHealth.activeConnections);
+          break;
+
+        case 'message':
+          AnalyticsHistoryService.record('message', { sessionId });
+
+          // The request middleware sees the session before the body is parsed,
+          // so a session's first message is what starts it
+          if (!(await store.get(sessionKey))) {
+            AnalyticsHistoryService.record('session', { sessionId });
+            await store.set(sessionKey, { startTime: Date.now() }, { ttl: SESSION_TTL });
+          }
 
           // Track message count
-          const count = this.userBehavior.messageCount.get(sessionId) || 0;
-          this.userBehavior.messageCount.set(sessionId, count + 1);
+          await store.increment(`${this.userBehavior.messageCount}${sessionId}`, 1, { ttl: SESSION_TTL });
 
           // Track popular questions
           if (data.message) {
-            this.categorizeQuestion(data.message);
+            await this.categorizeQuestion(data.message);
           }
-        }
-        break;
+          break;
 
-      case 'appointment_start':
-        this.userBehavior.appointmentFunnel.set(sessionId, {
-          startTime: Date.now(),
-          stage: 'started',
-          completed: false
-        });
-        break;
+        case 'appointment_start':
+          await this.startFunnel(sessionId, data.channel);
+          break;
 
-      case 'appointment_stage':
-        const funnel = this.userBehavior.appointmentFunnel.get(sessionId);
-        if (funnel) {
-          funnel.stage = data.stage;
-          funnel[`${data.stage}_time`] = Date.now();
+        case 'appointment_stage': {
+          const funnel = await store.get(funnelKey);
+          if (!isOpenFunnel(funnel) || funnel.stage === data.stage) break;
+
+          const { channel } = funnel;
+          const now = Date.now();
 
           // Track drop-off points
           if (data.stage === 'abandoned') {
-            this.userBehavior.userDropoff.set(data.abandonedAt,
-              (this.userBehavior.userDropoff.get(data.abandonedAt) || 0) + 1
-            );
+            funnel.stage = 'abandoned';
+            funnel.abandoned_time = now;
+            await store.set(funnelKey, funnel, { ttl: SESSION_TTL });
+            await store.hashIncrement(this.metrics.userDropoff, data.abandonedAt);
+            MetricsRegistry.bookingFunnel.inc({ event: 'abandoned', channel });
+            AnalyticsHistoryService.record('funnel', { key: 'abandoned', sessionId, step: data.abandonedAt, channel });
+            break;
           }
+
+          // Time on a step counts when the owner gets past it, not when they go back
+          const steps = BOOKING_STEPS[channel];
+          if (steps.indexOf(data.stage) > steps.indexOf(funnel.stage)) {
+            AnalyticsHistoryService.record('funnel', {
+              key: 'passed', sessionId, step: funnel.stage, channel, elapsedMs: now - funnel[`${funnel.stage}_time`]
+            });
+          }
+          AnalyticsHistoryService.record('funnel', { key: 'entered', sessionId, step: data.stage, channel });
+
+          funnel.stage = data.stage;
+          funnel[`${data.stage}_time`] = now;
+          await store.set(funnelKey, funnel, { ttl: SESSION_TTL });
+          break;
+        }
+
+        case 'appointment_invalid':
+        case 'appointment_slot_unavailable': {
+          const funnel = await store.get(funnelKey);
+          if (!isOpenFunnel(funnel)) break;
+
+          const key = event === 'appointment_invalid' ? 'invalid' : 'slot_unavailable';
+          MetricsRegistry.bookingFunnel.inc({ event: key, channel: funnel.channel });
+          AnalyticsHistoryService.record('funnel', { key, sessionId, step: funnel.stage, channel: funnel.channel });
+          break;
         }
-        break;
 
-      case 'appointment_complete':
-        const appointment = this.userBehavior.appointmentFunnel.get(sessionId);
-        if (appointment) {
+        case 'appointment_complete': {
+          const channel = data.channel || 'chat';
+          const current = await store.get(funnelKey);
+          // Form bookings posted without opening the form (API clients) start here
+          const appointment = isOpenFunnel(current) && current.channel === channel
+            ? current
+            : await this.startFunnel(sessionId, channel);
+          const now = Date.now();
+
+          AnalyticsHistoryService.record('funnel', {
+            key: 'passed', sessionId, step: appointment.stage, channel, elapsedMs: now - appointment[`${appointment.stage}_time`]
+          });
+
           appointment.completed = true;
-          appointment.completionTime = Date.now() - appointment.startTime;
+          appointment.completionTime = now - appointment.startTime;
+          await store.set(funnelKey, appointment, { ttl: SESSION_TTL });
+          await store.hashIncrement(this.userBehavior.appointmentTotals, 'completed');
+          MetricsRegistry.bookingFunnel.inc({ event: 'completed', channel });
+          AnalyticsHistoryService.record('funnel', {
+            key: 'completed', sessionId, step: appointment.stage, channel, elapsedMs: appointment.completionTime
+          });
+          break;
         }
-        break;
 
-      case 'end':
-        const endSession = this.metrics.sessionDuration.get(sessionId);
-        if (endSession) {
-          const duration = Date.now() - endSession.startTime;
-          endSession.duration = duration;
+        case 'end': {
+          const endSession = await store.get(sessionKey);
+          if (endSession) {
+            const duration = Date.now() - endSession.startTime;
+            endSession.duration = duration;
 
-          // Track peak hours
-          const hour = new Date().getHours();
-          this.userBehavior.peakHours[hour]++;
+            // Track peak hours
+            const hour = new Date().getHours();
+            await store.hashIncrement(this.userBehavior.peakHours, String(hour));
 
-          // Analyze session quality
-          this.analyzeSessionQuality(sessionId, endSession);
+            // Analyze session quality
+            await this.analyzeSessionQuality(sessionId, endSession);
+          }
+          await store.increment(this.systemHealth.activeConnections, -1);
+          break;
         }
-        this.systemHealth.activeConnections--;
-        break;
-    }
+      }
+    });
+  }
+
+  /**
+   * Begin a booking in the funnel at the channel's first step
+   */
+  async startFunnel(sessionId, channel = 'chat') {
+    const stage = BOOKING_STEPS[channel][0];
+    const now = Date.now();
+    const funnel = {
+      startTime: now,
+      channel,
+      stage,
+      [`${stage}_time`]: now,
+      completed: false
+    };
+
+    await this.store.set(`${this.userBehavior.appointmentFunnel}${sessionId}`, funnel, { ttl: SESSION_TTL });
+    await this.store.hashIncrement(this.userBehavior.appointmentTotals, 'started');
+    MetricsRegistry.bookingFunnel.inc({ event: 'started', channel });
+    AnalyticsHistoryService.record('funnel', { key: 'started', sessionId, step: stage, channel });
+    return funnel;
+  }
+
+  /**
+   * Drop a session's live counters (duration, message count, funnel)
+   */
+  async forgetSession(sessionId) {
+    await Promise.all([
+      this.store.delete(`${this.metrics.sessionDuration}${sessionId}`),
+      this.store.delete(`${this.userBehavior.messageCount}${sessionId}`),
+      this.store.delete(`${this.userBehavior.appointmentFunnel}${sessionId}`)
+    ]);
+  }
+
+  /**
+   * Track triage outcome for a message
+   * Emergencies are emitted so on-call staff can be alerted
+   */
+  async trackTriage(sessionId, triage) {
+    MetricsRegistry.triage.inc({ level: triage.level });
+    AnalyticsHistoryService.record('triage', { key: triage.level, sessionId });
+    await this.record(() => this.store.hashIncrement(this.userBehavior.triageLevels, triage.level));
+
+    if (triage.level === 'routine') return;
+
+    const event = {
+      sessionId,
+      level: triage.level,
+      reasons: triage.reasons,
+      timestamp: Date.now()
+    };
+
+    this.emit('triage', event);
+
+    // Keep only last 1000 entries
+    await this.record(() => this.store.listPush(this.userBehavior.triageEvents, event, { maxLength: MAX_LIST_LENGTH }));
   }
 
   /**
    * Categorize user questions to identify common topics
    * Discovered 40% of questions were about vaccination schedules
    */
-  categorizeQuestion(message) {
+  async categorizeQuestion(message) {
     const categories = {
       vaccination: /vaccin|shot|immuniz/i,
       emergency: /emergency|urgent|immediately|asap/i,
@@ -209,17 +371,40 @@ class AnalyticsService extends EventEmitter {
 
     for (const [category, pattern] of Object.entries(categories)) {
       if (pattern.test(message)) {
-        const count = this.userBehavior.popularQuestions.get(category) || 0;
-        this.userBehavior.popularQuestions.set(category, count + 1);
+        AnalyticsHistoryService.record('question', { key: category });
+        await this.store.hashIncrement(this.userBehavior.popularQuestions, category);
       }
     }
   }
 
+  /**
+   * Track an answer cache lookup - layer is 'exact' or 'semantic'
+   */
+  trackCacheLookup(layer, hit) {
+    if (hit) {
+      this.cacheLookups.hits++;
+    } else {
+      this.cacheLookups.misses++;
+    }
+    MetricsRegistry.countCacheLookup(layer, hit);
+  }
+
+  /**
+   * Track a request the rate limiter turned away
+   * reason: rate_limited, blocked (still serving a block) or suspicious
+   */
+  trackRateLimit(reason, endpoint) {
+    MetricsRegistry.rateLimitRejections.inc({ reason, endpoint });
+  }
+
   /**
    * Track errors with context
    * Found most errors happened during MongoDB connection drops
    */
-  trackError(source, error, context = {}) {
+  async trackError(source, error, context = {}) {
+    MetricsRegistry.errors.inc({ source });
+    AnalyticsHistoryService.record('error', { key: source, sessionId: context.sessionId });
+
     const errorMetric = {
       source,
       message: error.message,
@@ -228,36 +413,38 @@ class AnalyticsService extends EventEmitter {
       context
     };
 
-    this.metrics.errorRate.push(errorMetric);
+    await this.record(async () => {
+      await this.store.listPush(this.metrics.errorRate, errorMetric, { maxLength: MAX_LIST_LENGTH });
 
-    // Calculate error rate
-    const recentErrors = this.metrics.errorRate.filter(
-      e => e.timestamp > Date.now() - 60000 // Last minute
-    );
+      // Calculate error rate
+      const recentErrors = (await this.store.listRange(this.metrics.errorRate)).filter(
+        e => e.timestamp > Date.now() - 60000 // Last minute
+      );
 
-    const errorRate = recentErrors.length;
-    if (errorRate > 10) {
-      this.emit('highErrorRate', {
-        rate: errorRate,
-        errors: recentErrors
-      });
-    }
+      const errorRate = recentErrors.length;
+      if (errorRate > 10) {
+        this.emit('highErrorRate', {
+          rate: errorRate,
+          errors: recentErrors
+        });
+      }
+    });
   }
 
   /**
    * Analyze session quality for insights
    */
-  analyzeSessionQuality(sessionId, session) {
+  async analyzeSessionQuality(sessionId, session) {
     const quality = {
       sessionId,
       duration: session.duration,
-      messageCount: this.userBehavior.messageCount.get(sessionId) || 0,
+      messageCount: (await this.store.get(`${this.userBehavior.messageCount}${sessionId}`)) || 0,
       completedAppointment: false,
       satisfactionScore: null
     };
 
     // Check if appointment was completed
-    const appointment = this.userBehavior.appointmentFunnel.get(sessionId);
+    const appointment = await this.store.get(`${this.userBehavior.appointmentFunnel}${sessionId}`);
     if (appointment?.completed) {
       quality.completedAppointment = true;
     }
@@ -279,10 +466,11 @@ class AnalyticsService extends EventEmitter {
    * Calculate response time percentiles
    * p50, p95, p99 for SLA monitoring
    */
-  calculatePercentiles() {
-    if (this.metrics.responseTime.length === 0) return;
+  async calculatePercentiles(responseTimes = null) {
+    const metrics = responseTimes || await this.store.listRange(this.metrics.responseTime);
+    if (metrics.length === 0) return;
 
-    const times = this.metrics.responseTime
+    const times = metrics
       .map(m => m.duration)
       .sort((a, b) => a - b);
 
@@ -331,32 +519,70 @@ class AnalyticsService extends EventEmitter {
           threshold: 500 * 1024 * 1024
         });
       }
-    }, 60000);
+    }, 60000).unref?.();
 
-    // Track cache performance
+    // Track cache performance over the last 30 seconds of lookups
     setInterval(() => {
-      // This would connect to actual cache implementation
-      const hitRate = Math.random(); // Placeholder
+      const { hits, misses } = this.cacheLookups;
+      this.cacheLookups = { hits: 0, misses: 0 };
+      if (hits + misses === 0) return;
+
+      const hitRate = hits / (hits + misses);
       this.systemHealth.cacheHitRate.push({
         rate: hitRate,
         timestamp: Date.now()
       });
 
+      // Keep only last hour
+      const oneHourAgo = Date.now() - 3600000;
+      this.systemHealth.cacheHitRate = this.systemHealth.cacheHitRate.filter(
+        m => m.timestamp > oneHourAgo
+      );
+
       if (hitRate < 0.7) {
         this.emit('lowCacheHitRate', { rate: hitRate });
       }
-    }, 30000);
+    }, 30000).unref?.();
+  }
+
+  /**
+   * Read the shared metrics once for a report
+   */
+  async loadMetrics() {
+    const store = this.store;
+    const [responseTime, errorRate, activeConnections, appointmentTotals, popularQuestions, userDropoff, peakHours, triageLevels] = await Promise.all([
+      store.listRange(this.metrics.responseTime),
+      store.listRange(this.metrics.errorRate),
+      store.get(this.systemHealth.activeConnections),
+      store.hashGetAll(this.userBehavior.appointmentTotals),
+      store.hashGetAll(this.userBehavior.popularQuestions),
+      store.hashGetAll(this.metrics.userDropoff),
+      store.hashGetAll(this.userBehavior.peakHours),
+      store.hashGetAll(this.userBehavior.triageLevels)
+    ]);
+
+    return {
+      responseTime,
+      errorRate,
+      activeConnections: Math.max(0, activeConnections || 0),
+      appointmentTotals,
+      popularQuestions,
+      userDropoff,
+      peakHours,
+      triageLevels
+    };
   }
 
   /**
    * Generate analytics report
    */
-  generateReport() {
+  async generateReport() {
     const now = Date.now();
     const oneHourAgo = now - 3600000;
+    const data = await this.loadMetrics();
 
     // Response time stats
-    const recentResponses = this.metrics.responseTime.filter(
+    const recentResponses = data.responseTime.filter(
       m => m.timestamp > oneHourAgo
     );
     const avgResponseTime = recentResponses.length > 0
@@ -364,34 +590,34 @@ class AnalyticsService extends EventEmitter {
       : 0;
 
     // Error stats
-    const recentErrors = this.metrics.errorRate.filter(
+    const recentErrors = data.errorRate.filter(
       e => e.timestamp > oneHourAgo
     );
 
     // Session stats
-    const activeSessions = this.systemHealth.activeConnections;
-    const completedAppointments = Array.from(this.userBehavior.appointmentFunnel.values())
-      .filter(a => a.completed).length;
+    const activeSessions = data.activeConnections;
+    const completedAppointments = data.appointmentTotals.completed || 0;
 
     // Popular questions
-    const topQuestions = Array.from(this.userBehavior.popularQuestions.entries())
+    const topQuestions = Object.entries(data.popularQuestions)
       .sort((a, b) => b[1] - a[1])
       .slice(0, 5);
 
     // Drop-off analysis
-    const dropOffPoints = Array.from(this.userBehavior.userDropoff.entries())
+    const dropOffPoints = Object.entries(data.userDropoff)
       .sort((a, b) => b[1] - a[1]);
 
     // Peak hours
-    const peakHour = this.userBehavior.peakHours.indexOf(
-      Math.max(...this.userBehavior.peakHours)
-    );
+    const hourCounts = Array.from({ length: 24 }, (_, hour) => data.peakHours[hour] || 0);
+    const peakHour = hourCounts.indexOf(Math.max(...hourCounts));
+
+    const percentiles = await this.calculatePercentiles(data.responseTime);
 
     return {
       timestamp: new Date().toISOString(),
       performance: {
         avgResponseTime: `${avgResponseTime.toFixed(0)}ms`,
-        percentiles: this.calculatePercentiles(),
+        percentiles,
         errorRate: `${recentErrors.length} errors/hour`,
         activeSessions
       },
@@ -399,24 +625,24 @@ class AnalyticsService extends EventEmitter {
         completedAppointments,
         topQuestions,
         dropOffPoints,
-        peakHour: `${peakHour}:00`
+        peakHour: `${peakHour}:00`,
+        triage: data.triageLevels
       },
       systemHealth: {
         memoryUsage: this.systemHealth.memoryUsage[this.systemHealth.memoryUsage.length - 1],
         cacheHitRate: this.systemHealth.cacheHitRate[this.systemHealth.cacheHitRate.length - 1]?.rate
       },
-      recommendations: this.generateRecommendations()
+      recommendations: this.generateRecommendations(data, percentiles)
     };
   }
 
   /**
    * Generate actionable recommendations
    */
-  generateRecommendations() {
+  generateRecommendations(data, percentiles) {
     const recommendations = [];
 
     // Check response times
-    const percentiles = this.calculatePercentiles();
     if (percentiles?.p95 > 3000) {
       recommendations.push({
         priority: 'high',
@@ -426,7 +652,7 @@ class AnalyticsService extends EventEmitter {
     }
 
     // Check error rate
-    const recentErrors = this.metrics.errorRate.filter(
+    const recentErrors = data.errorRate.filter(
       e => e.timestamp > Date.now() - 3600000
     );
     if (recentErrors.length > 50) {
@@ -438,8 +664,8 @@ class AnalyticsService extends EventEmitter {
     }
 
     // Check appointment completion
-    const appointments = Array.from(this.userBehavior.appointmentFunnel.values());
-    const completionRate = appointments.filter(a => a.completed).length / appointments.length;
+    const { started = 0, completed = 0 } = data.appointmentTotals;
+    const completionRate = completed / started;
     if (completionRate < 0.5) {
       recommendations.push({
         priority: 'medium',
@@ -454,26 +680,9 @@ class AnalyticsService extends EventEmitter {
   /**
    * Export metrics for external monitoring
    */
-  exportMetrics(format = 'prometheus') {
+  async exportMetrics(format = 'prometheus') {
     if (format === 'prometheus') {
-      // Format for Prometheus/Grafana
-      return `
-# HELP response_time_seconds API response time in seconds
-# TYPE response_time_seconds histogram
-response_time_seconds_bucket{le="0.5"} ${this.metrics.responseTime.filter(m => m.duration <= 500).length}
-response_time_seconds_bucket{le="1.0"} ${this.metrics.responseTime.filter(m => m.duration <= 1000).length}
-response_time_seconds_bucket{le="2.0"} ${this.metrics.responseTime.filter(m => m.duration <= 2000).length}
-response_time_seconds_bucket{le="5.0"} ${this.metrics.responseTime.filter(m => m.duration <= 5000).length}
-response_time_seconds_bucket{le="+Inf"} ${this.metrics.responseTime.length}
-
-# HELP active_sessions Number of active sessions
-# TYPE active_sessions gauge
-active_sessions ${this.systemHealth.activeConnections}
-
-# HELP error_total Total number of errors
-# TYPE error_total counter
-error_total ${this.metrics.errorRate.length}
-      `.trim();
+      return MetricsRegistry.metrics();
     }
 
     return this.generateReport();
@@ -482,21 +691,27 @@ error_total ${this.metrics.errorRate.length}
   /**
    * Get simplified statistics for health endpoint
    */
-  getStatistics() {
-    const recentErrors = this.metrics.errorRate.filter(
+  async getStatistics() {
+    const [responseTime, errorRate, activeConnections, totalSessions] = await Promise.all([
+      this.store.listRange(this.metrics.responseTime),
+      this.store.listRange(this.metrics.errorRate),
+      this.store.get(this.systemHealth.activeConnections),
+      this.store.countKeys(this.metrics.sessionDuration)
+    ]);
+    const recentErrors = errorRate.filter(
       e => e.timestamp > Date.now() - 3600000 // Last hour
     );
 
     return {
-      activeConnections: this.systemHealth.activeConnections,
-      totalSessions: this.metrics.sessionMetrics ? this.metrics.sessionMetrics.size : 0,
-      responseTimeCount: this.metrics.responseTime.length,
+      activeConnections: Math.max(0, activeConnections || 0),
+      totalSessions,
+      responseTimeCount: responseTime.length,
       errorCount: recentErrors.length,
-      cacheHitRate: this.metrics.cacheHitRate || 0,
-      percentiles: this.calculatePercentiles(),
+      cacheHitRate: this.systemHealth.cacheHitRate[this.systemHealth.cacheHitRate.length - 1]?.rate || 0,
+      percentiles: await this.calculatePercentiles(responseTime),
       uptime: Date.now() - this.startTime
     };
   }
 }
 
-export default new AnalyticsService();
\ No newline at end of file
+export default new AnalyticsService();
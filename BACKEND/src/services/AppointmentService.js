@@ -1,3 +1,5 @@
+import ClinicTimeService from './ClinicTimeService.js';
+
 class AppointmentService {
   // Check if user wants to book an appointment
   detectBookingIntent(message) {
@@ -34,7 +36,8 @@ class AppointmentService {
   }
 
   // Get the next question based on current state
-  getNextQuestion(state, appointmentData = {}) {
+  // pets: the household's saved pets, offered when asking for the pet's name
+  getNextQuestion(state, appointmentData = {}, pets = []) {
     switch (state) {
       case 'ASK_OWNER_NAME':
         return {
@@ -44,7 +47,7 @@ class AppointmentService {
 
       case 'ASK_PET_NAME':
         return {
-          message: 'Thank you! What\'s your pet\'s name?',
+          message: this.getPetQuestion(pets),
           nextState: 'ASK_PHONE'
         };
 
@@ -77,14 +80,31 @@ class AppointmentService {
     }
   }
 
-  // Generate confirmation message
+  // Ask for the pet's name, or which of the household's pets the visit is for
+  getPetQuestion(pets = []) {
+    if (pets.length === 0) {
+      return 'Thank you! What\'s your pet\'s name?';
+    }
+    if (pets.length === 1) {
+      return `Thank you! Is this appointment for ${pets[0].name}? If it's for another pet, just tell me their name.`;
+    }
+
+    const petList = pets.map((pet, index) => `${index + 1}. ${pet.name}`).join('\n');
+    return `Thank you! Which pet is this appointment for?\n\n${petList}\n\nOr tell me the name of another pet.`;
+  }
+
+  // Generate confirmation message (clinic time, plus the owner's when it differs)
   getConfirmationMessage(data) {
+    const yourTime = data.appointmentDate
+      ? ClinicTimeService.describeForClient(data.appointmentDate, data.clientTimeZone)
+      : '';
+
     return `Perfect! Let me confirm your appointment details:
 
 Owner Name: ${data.ownerName}
 Pet Name: ${data.petName}
 Phone: ${data.phone}
-Preferred Date/Time: ${data.preferredDateTime}
+Preferred Date/Time: ${data.preferredDateTime}${yourTime}${data.veterinarian ? `\nVeterinarian: ${data.veterinarian}` : ''}
 
 Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
   }
@@ -108,7 +128,8 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
     };
   }
 
-  // Validate date and time
+  // Validate date and time. Times are read on the clinic's clock
+  // (CLINIC_TIMEZONE), whatever zone the server or the owner is in.
   validateDateTime(dateTimeStr) {
     try {
       let inputDate;
@@ -117,8 +138,7 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
 
       // Parse natural language dates
       if (lowerStr.includes('tomorrow')) {
-        inputDate = new Date();
-        inputDate.setDate(inputDate.getDate() + 1);
+        const tomorrow = ClinicTimeService.addDays(now, 1);
 
         // Extract time if provided
         const timeMatch = lowerStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
@@ -130,9 +150,9 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
           if (meridiem === 'pm' && hours !== 12) hours += 12;
           if (meridiem === 'am' && hours === 12) hours = 0;
 
-          inputDate.setHours(hours, minutes, 0, 0);
+          inputDate = ClinicTimeService.atTime(tomorrow, hours, minutes);
         } else {
-          inputDate.setHours(10, 0, 0, 0); // Default to 10 AM
+          inputDate = ClinicTimeService.atTime(tomorrow, 10); // Default to 10 AM
         }
       }
       else if (lowerStr.includes('next')) {
@@ -148,11 +168,10 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
         }
 
         if (targetDay !== -1) {
-          inputDate = new Date();
-          const currentDay = inputDate.getDay();
+          const currentDay = ClinicTimeService.getWeekdayIndex(now);
           let daysToAdd = targetDay - currentDay;
           if (daysToAdd <= 0) daysToAdd += 7; // Next week
-          inputDate.setDate(inputDate.getDate() + daysToAdd);
+          const targetDate = ClinicTimeService.addDays(now, daysToAdd);
 
           // Extract time if provided
           const timeMatch = lowerStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
@@ -164,17 +183,16 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
             if (meridiem === 'pm' && hours !== 12) hours += 12;
             if (meridiem === 'am' && hours === 12) hours = 0;
 
-            inputDate.setHours(hours, minutes, 0, 0);
+            inputDate = ClinicTimeService.atTime(targetDate, hours, minutes);
           } else {
-            inputDate.setHours(10, 0, 0, 0); // Default to 10 AM
+            inputDate = ClinicTimeService.atTime(targetDate, 10); // Default to 10 AM
           }
         } else {
           // Try parsing as regular date
-          inputDate = new Date(dateTimeStr);
+          inputDate = this.parseClinicDate(dateTimeStr);
         }
       }
       else if (lowerStr.includes('today')) {
-        inputDate = new Date();
 
         // Extract time if provided
         const timeMatch = lowerStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
@@ -186,14 +204,15 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
           if (meridiem === 'pm' && hours !== 12) hours += 12;
           if (meridiem === 'am' && hours === 12) hours = 0;
 
-          inputDate.setHours(hours, minutes, 0, 0);
+          inputDate = ClinicTimeService.atTime(now, hours, minutes);
         } else {
-          inputDate.setHours(inputDate.getHours() + 2, 0, 0, 0); // 2 hours from now
+          const later = new Date(now.getTime() + 2 * 60 * 60 * 1000);
+          inputDate = ClinicTimeService.atTime(later, ClinicTimeService.getParts(later).hour); // 2 hours from now
         }
       }
       else {
         // Try to parse various date formats
-        inputDate = new Date(dateTimeStr);
+        inputDate = this.parseClinicDate(dateTimeStr);
       }
 
       // Check if date is valid
@@ -223,17 +242,8 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
         };
       }
 
-      // Format the date nicely for confirmation
-      const options = {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-      };
-      const formattedDate = inputDate.toLocaleDateString('en-US', options);
+      // Format the date nicely for confirmation, in clinic time
+      const formattedDate = ClinicTimeService.formatLong(inputDate);
 
       return {
         valid: true,
@@ -248,6 +258,19 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
     }
   }
 
+  // new Date() for free-form dates ("January 20, 2026 at 3pm") reads them in
+  // the server's zone; move them to the clinic's unless the text names a zone
+  parseClinicDate(dateTimeStr) {
+    const normalized = dateTimeStr
+      .replace(/\s+at\s+/i, ' ')
+      .replace(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b/i, (match, hours, minutes, meridiem) => `${hours}:${minutes || '00'} ${meridiem}`);
+    const parsed = new Date(normalized);
+    if (isNaN(parsed.getTime())) return parsed;
+
+    const hasZone = /(z|[+-]\d{2}:?\d{2}|\b(gmt|utc)\b)\s*$/i.test(dateTimeStr.trim());
+    return hasZone ? parsed : ClinicTimeService.fromServerLocal(parsed);
+  }
+
   // Process user response during booking flow
   processBookingResponse(state, userMessage, appointmentData) {
     console.log('Processing booking response for state:', state);
@@ -341,6 +364,97 @@ Is this information correct? (Type 'yes' to confirm or 'no' to start over)`;
     const lowerMessage = message.toLowerCase();
     return cancelPhrases.some(phrase => lowerMessage.includes(phrase));
   }
+
+  // Detect the kind of pet mentioned (decides which vets can see it)
+  detectPetType(message) {
+    const petTypes = {
+      dog: /\b(dogs?|pupp(y|ies)|pup)\b/i,
+      cat: /\b(cats?|kittens?|kitty)\b/i,
+      bird: /\b(birds?|parrots?|budgies?|parakeets?|cockatiels?|canar(y|ies))\b/i,
+      rabbit: /\b(rabbits?|bunn(y|ies))\b/i,
+      hamster: /\b(hamsters?|gerbils?|guinea pigs?)\b/i
+    };
+
+    for (const [petType, pattern] of Object.entries(petTypes)) {
+      if (pattern.test(message)) return petType;
+    }
+    return null;
+  }
+
+  // Detect a request to change an existing booking: 'reschedule', 'cancel' or null
+  detectManageIntent(message) {
+    const lowerMessage = message.toLowerCase();
+    const mentionsBooking = /\b(appointments?|appt|visits?|bookings?|consultations?|check-?ups?)\b/.test(lowerMessage);
+
+    if (/\breschedul/.test(lowerMessage)) return 'reschedule';
+    if (!mentionsBooking) return null;
+    if (/\b(re-?book|move|change|postpone|push back|bring forward)\b/.test(lowerMessage)) return 'reschedule';
+    if (/\b(cancel|call off)\b/.test(lowerMessage)) return 'cancel';
+    return null;
+  }
+
+  // Narrow a session's appointments to the ones a message refers to, by
+  // weekday ("Friday's visit"), today/tomorrow or pet name ("Buddy's appointment").
+  // With no such details every appointment matches.
+  findMentionedAppointments(message, appointments) {
+    const lowerMessage = message.toLowerCase();
+    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+    const filters = [];
+
+    const weekday = days.findIndex(day => lowerMessage.includes(day));
+    if (weekday !== -1) {
+      filters.push(appointment => ClinicTimeService.getWeekdayIndex(appointment.scheduledAt) === weekday);
+    }
+    if (/\btoday\b/.test(lowerMessage)) {
+      filters.push(appointment => ClinicTimeService.daysFromToday(appointment.scheduledAt) === 0);
+    }
+    if (/\b(tomorrow|tmrw)\b/.test(lowerMessage)) {
+      filters.push(appointment => ClinicTimeService.daysFromToday(appointment.scheduledAt) === 1);
+    }
+
+    const mentionedPets = appointments.filter(appointment => appointment.petName &&
+      new RegExp(`\\b${appointment.petName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(message)
+    );
+    if (mentionedPets.length > 0) {
+      filters.push(appointment => mentionedPets.includes(appointment));
+    }
+
+    return appointments.filter(appointment => filters.every(filter => filter(appointment)));
+  }
+
+  // Which item of a numbered list a reply picks ("2", "#2", "the second one"), or null
+  pickListItem(message, count) {
+    const lowerMessage = message.toLowerCase().trim();
+    const ordinals = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+
+    const numberMatch = lowerMessage.match(/^(?:#|no\.?\s*|number\s*)?(\d{1,2})\.?$/) ||
+      lowerMessage.match(/\b(?:#|number\s*)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:one|appointment|visit|booking)\b/);
+    let index = numberMatch ? parseInt(numberMatch[1], 10) - 1 : -1;
+
+    if (index === -1) {
+      const ordinal = ordinals.findIndex(word => new RegExp(`\\b${word}\\b`).test(lowerMessage));
+      index = /\blast\b/.test(lowerMessage) ? count - 1 : ordinal;
+    }
+
+    return index >= 0 && index < count ? index : null;
+  }
+
+  // "Buddy's appointment on Friday, October 23 at 2:00 PM with Dr. Patel"
+  describeAppointment(appointment) {
+    const when = appointment.scheduledAt
+      ? ClinicTimeService.format(appointment.scheduledAt, {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true
+      }).replace(/, (\d{1,2}:\d{2})/, ' at $1')
+      : appointment.preferredDateTime;
+
+    return `${appointment.petName}'s appointment on ${when}${appointment.veterinarianName ? ` with ${appointment.veterinarianName}` : ''}`;
+  }
 }
 
 export default new AppointmentService();
\ No newline at end of file
@@ -5,12 +5,34 @@
  * This was developed after discovering users were booking outside business hours
  * and double-booking the same slots. Started simple with hardcoded slots,
  * evolved to dynamic availability checking with buffer times.
+ *
+ * Bookings used to live in an in-memory Map, so a restart forgot every hold
+ * and confirmed slot. They are now SlotBooking documents: the unique
+ * (slotKey, vetId) index makes concurrent reservations atomic and holds
+ * expire through a TTL index.
+ *
+ * Each Veterinarian has their own weekly schedule, time off and daily
+ * capacity; a slot is free if any vet who can see the pet is free. Until
+ * vets are configured the clinic hours act as a single shared calendar.
+ *
+ * Clinic hours come from the admin-edited ClinicCalendar: weekly hours plus
+ * per-date overrides for holidays, closures and extended hours. Every
+ * availability check goes through getClinicHours(date), so nobody can book
+ * a vet on a day the clinic is shut.
+ *
+ * Hours, days and display times are all on the clinic's clock
+ * (ClinicTimeService), so a server running in UTC gets them right.
  */
 
+import ClinicCalendar from '../models/ClinicCalendar.js';
+import SlotBooking from '../models/SlotBooking.js';
+import Veterinarian from '../models/Veterinarian.js';
+import ClinicTimeService from './ClinicTimeService.js';
+
 class AppointmentSlotManager {
   constructor() {
-    // Business hours configuration
-    this.businessHours = {
+    // Business hours used until an admin saves a ClinicCalendar
+    this.defaultBusinessHours = {
       monday: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
       tuesday: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
       wednesday: { open: '09:00', close: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
@@ -19,89 +41,280 @@ class AppointmentSlotManager {
       saturday: { open: '10:00', close: '14:00', breaks: [] },
       sunday: { closed: true }
     };
+    this.businessHours = this.defaultBusinessHours;
+    this.calendarOverrides = [];
+    this.calendarLoadedAt = 0;
+    this.calendarCacheTime = 60 * 1000; // Re-read the calendar at most once a minute
 
     // Appointment duration defaults
     this.slotDuration = 30; // minutes
     this.bufferTime = 10; // minutes between appointments
 
-    // In-memory cache for booked slots (would use Redis in production)
-    this.bookedSlots = new Map();
-    this.loadBookedSlots();
+    this.holdDuration = 5 * 60 * 1000; // Temporary hold while the user confirms
+    this.maxDailyAppointments = 20; // Clinic calendar capacity when no vets are configured
+    this.searchDays = 14; // How far ahead to look for alternative slots
+    this.defaultVetId = 'clinic';
+
+    // Pet types only vets with the matching specialty can see
+    this.petTypeSpecialties = {
+      bird: 'exotics',
+      rabbit: 'exotics',
+      hamster: 'exotics',
+      other: 'exotics'
+    };
   }
 
   /**
-   * Load booked slots from database on initialization
-   * Added after discovering memory leak from never clearing old appointments
+   * Refresh weekly hours and date overrides from the ClinicCalendar.
+   * Cached for calendarCacheTime; admin edits call applyCalendar directly.
    */
-  async loadBookedSlots() {
+  async loadCalendar(force = false) {
+    if (!force && Date.now() - this.calendarLoadedAt < this.calendarCacheTime) return;
+
     try {
-      // In production, this would query MongoDB
-      // For now, using in-memory storage with periodic cleanup
-      this.startCleanupInterval();
+      this.applyCalendar(await ClinicCalendar.findOne({ key: 'default' }).lean());
     } catch (error) {
-      console.error('Failed to load booked slots:', error);
-      // Graceful degradation - continue without historical data
+      // Keep whatever hours we had rather than failing every availability check
+      console.error('Failed to load clinic calendar:', error);
     }
   }
 
+  applyCalendar(calendar) {
+    this.businessHours = calendar?.weeklyHours || this.defaultBusinessHours;
+    this.calendarOverrides = calendar?.overrides || [];
+    this.calendarLoadedAt = Date.now();
+  }
+
   /**
-   * Check if a requested date/time is available
-   * Evolution: v1 just checked if slot exists, v2 added conflict detection,
-   * v3 added buffer times, v4 added capacity management
+   * The override for date: an exact date wins over a recurring one
    */
-  async checkAvailability(requestedDate) {
-    const date = new Date(requestedDate);
-    const dayName = this.getDayName(date);
-    const timeStr = this.getTimeString(date);
+  getDateOverride(date) {
+    const dateKey = this.getDateKey(date);
+    const monthDay = dateKey.slice(5);
 
-    // Check 1: Is the clinic open?
-    if (!this.isBusinessHour(dayName, timeStr)) {
-      return {
-        available: false,
-        reason: 'outside_business_hours',
-        message: `We're closed at that time. ${this.getSuggestedTimes(date)}`,
-        suggestedSlots: this.getNextAvailableSlots(date, 3)
-      };
+    return this.calendarOverrides.find(override => override.date === dateKey)
+      || this.calendarOverrides.find(override => override.recurring && override.date.slice(5) === monthDay)
+      || null;
+  }
+
+  /**
+   * Clinic hours on date ({ open, close, breaks, closed, reason }): the
+   * weekday's hours with any override for that date applied on top
+   */
+  getClinicHours(date) {
+    const weekly = this.businessHours[ClinicTimeService.getWeekday(date)] || { closed: true };
+    const override = this.getDateOverride(date);
+
+    if (!override) return weekly;
+    if (override.closed) return { closed: true, reason: override.reason };
+
+    return {
+      open: override.open || weekly.open,
+      close: override.close || weekly.close,
+      breaks: override.breaks || weekly.breaks || [],
+      closed: false,
+      reason: override.reason
+    };
+  }
+
+  /**
+   * Is the clinic open at date (inside the day's hours, not on a break)?
+   */
+  isClinicOpen(date) {
+    return this.isWithinHours(this.getClinicHours(date), this.getTimeString(date));
+  }
+
+  /**
+   * Active vets who can see petType (any vet when petType is unknown).
+   * With no vets configured, the clinic calendar stands in as one vet.
+   */
+  async getVeterinarians(petType) {
+    const vets = await Veterinarian.find({ active: true }).lean();
+
+    if (vets.length === 0) {
+      return [{
+        _id: this.defaultVetId,
+        name: null,
+        followsClinicHours: true,
+        timeOff: [],
+        maxDailyAppointments: this.maxDailyAppointments
+      }];
     }
 
-    // Check 2: Is this slot already booked?
+    const specialty = this.petTypeSpecialties[petType];
+    return specialty
+      ? vets.filter(vet => vet.specialties?.includes(specialty))
+      : vets;
+  }
+
+  /**
+   * Is the vet scheduled to work for the whole slot starting at date?
+   * The clinic pseudo-vet works whenever the clinic is open.
+   */
+  isVetWorking(vet, date) {
+    const hours = vet.followsClinicHours
+      ? this.getClinicHours(date)
+      : vet.weeklySchedule?.[ClinicTimeService.getWeekday(date)];
+    if (!this.isWithinHours(hours, this.getTimeString(date))) return false;
+
+    const slotEnd = new Date(date.getTime() + this.slotDuration * 60000);
+    return !(vet.timeOff || []).some(off =>
+      new Date(off.start) < slotEnd && new Date(off.end) > date
+    );
+  }
+
+  /**
+   * Confirmed bookings and unexpired holds on the same clinic day as date.
+   * options.excludeAppointmentId leaves out that appointment's own slot,
+   * so a reschedule can move it next to its current time.
+   */
+  async getBookingsForDay(date, options = {}) {
+    const dayStart = ClinicTimeService.startOfDay(date);
+    const nextDayStart = ClinicTimeService.startOfDay(date, 1);
+
+    return SlotBooking.find({
+      date: { $gte: dayStart, $lt: nextDayStart },
+      $or: [
+        { type: 'confirmed' },
+        { expiresAt: { $gt: new Date() } }
+      ],
+      ...(options.excludeAppointmentId && { appointmentId: { $ne: options.excludeAppointmentId } })
+    }).lean();
+  }
+
+  /**
+   * Why vet can't take date given their bookings that day, or null if they can
+   */
+  findConflict(date, vet, bookings) {
     const slotKey = this.getSlotKey(date);
-    if (this.isSlotBooked(slotKey)) {
-      return {
-        available: false,
-        reason: 'slot_taken',
-        message: 'That time slot is already booked.',
-        suggestedSlots: this.getNearbyAvailableSlots(date, 3)
-      };
+
+    if (!this.isVetWorking(vet, date)) {
+      return 'vet_unavailable';
+    }
+
+    if (bookings.some(booking => booking.slotKey === slotKey)) {
+      return 'slot_taken';
+    }
+
+    if (this.hasConflictWithBuffer(date, bookings)) {
+      return 'too_close_to_existing';
+    }
+
+    // Veterinarian capacity (max appointments per day)
+    if (bookings.length >= (vet.maxDailyAppointments || this.maxDailyAppointments)) {
+      return 'day_fully_booked';
+    }
+
+    return null;
+  }
+
+  /**
+   * Pick the least busy free vet for date. If nobody is free, returns the
+   * conflict that best explains why (an existing booking before a rota gap).
+   */
+  pickVeterinarian(date, vets, bookings) {
+    const conflictOrder = ['slot_taken', 'too_close_to_existing', 'day_fully_booked', 'vet_unavailable'];
+    let bestVet = null;
+    let bestLoad = Infinity;
+    let conflict = 'vet_unavailable';
+
+    for (const vet of vets) {
+      const vetBookings = bookings.filter(booking => booking.vetId === String(vet._id));
+      const vetConflict = this.findConflict(date, vet, vetBookings);
+
+      if (!vetConflict) {
+        if (vetBookings.length < bestLoad) {
+          bestVet = vet;
+          bestLoad = vetBookings.length;
+        }
+      } else if (conflictOrder.indexOf(vetConflict) < conflictOrder.indexOf(conflict)) {
+        conflict = vetConflict;
+      }
     }
 
-    // Check 3: Check for conflicts with buffer time
-    if (this.hasConflictWithBuffer(date)) {
+    return bestVet ? { vet: bestVet } : { conflict };
+  }
+
+  /**
+   * Check if a requested date/time is available
+   * Evolution: v1 just checked if slot exists, v2 added conflict detection,
+   * v3 added buffer times, v4 added capacity management, v5 per-vet schedules
+   *
+   * options.petType limits the search to vets who can see that animal;
+   * options.excludeAppointmentId ignores the slot of an appointment being moved.
+   */
+  async checkAvailability(requestedDate, options = {}) {
+    const date = new Date(requestedDate);
+    await this.loadCalendar();
+
+    // Check 1: Is the clinic open? (holidays and closures included)
+    if (!this.isClinicOpen(date)) {
+      const hours = this.getClinicHours(date);
       return {
         available: false,
-        reason: 'too_close_to_existing',
-        message: 'This time is too close to another appointment.',
-        suggestedSlots: this.getNearbyAvailableSlots(date, 3)
+        reason: hours.closed ? 'clinic_closed' : 'outside_business_hours',
+        closureReason: hours.reason,
+        message: this.getClosedMessage(date),
+        suggestedSlots: await this.getNextAvailableSlots(date, 3, options)
       };
     }
 
-    // Check 4: Veterinarian capacity (max appointments per day)
-    const dailyCount = this.getDailyAppointmentCount(date);
-    if (dailyCount >= 20) { // Max 20 appointments per day
+    // Check 2: Does anyone here treat this kind of pet?
+    const vets = await this.getVeterinarians(options.petType);
+    if (vets.length === 0) {
       return {
         available: false,
-        reason: 'day_fully_booked',
-        message: 'We\'re fully booked for that day.',
-        suggestedSlots: this.getNextDaySlots(date)
+        reason: 'no_veterinarian',
+        message: `Sorry, none of our veterinarians currently see ${options.petType}s. Please call the clinic and we can refer you to a specialist.`,
+        suggestedSlots: []
       };
     }
 
+    // Checks 3-6: vet on duty, already booked, too close to another booking, day full
+    const bookings = await this.getBookingsForDay(date, options);
+    const { vet, conflict } = this.pickVeterinarian(date, vets, bookings);
+
+    switch (conflict) {
+      case 'slot_taken':
+        return {
+          available: false,
+          reason: 'slot_taken',
+          message: 'That time slot is already booked.',
+          suggestedSlots: await this.getNearbyAvailableSlots(date, 3, options)
+        };
+
+      case 'too_close_to_existing':
+        return {
+          available: false,
+          reason: 'too_close_to_existing',
+          message: 'This time is too close to another appointment.',
+          suggestedSlots: await this.getNearbyAvailableSlots(date, 3, options)
+        };
+
+      case 'day_fully_booked':
+        return {
+          available: false,
+          reason: 'day_fully_booked',
+          message: 'We\'re fully booked for that day.',
+          suggestedSlots: await this.getNextDaySlots(date, options)
+        };
+
+      case 'vet_unavailable':
+        return {
+          available: false,
+          reason: 'vet_unavailable',
+          message: 'None of our vets who can see your pet are working at that time.',
+          suggestedSlots: await this.getNearbyAvailableSlots(date, 3, options)
+        };
+    }
+
     return {
       available: true,
       slotDetails: {
         date: date.toISOString(),
         duration: this.slotDuration,
-        veterinarian: this.assignVeterinarian(date)
+        vetId: String(vet._id),
+        veterinarian: vet.name
       }
     };
   }
@@ -109,67 +322,157 @@ class AppointmentSlotManager {
   /**
    * Reserve a slot temporarily while user confirms
    * Added after users complained about slots being taken during confirmation
+   *
+   * Returns the slotKey, or null if another session holds or booked the slot.
+   * A single upsert decides the race: it refreshes our own hold or takes over
+   * an expired one, and otherwise inserts - where the unique index rejects
+   * every session but the first.
    */
-  async reserveSlot(date, sessionId) {
+  async reserveSlot(date, sessionId, vetId = this.defaultVetId) {
     const slotKey = this.getSlotKey(date);
+    const now = new Date();
 
-    // Temporary reservation expires in 5 minutes
-    this.bookedSlots.set(slotKey, {
-      type: 'reserved',
-      sessionId,
-      expiresAt: Date.now() + (5 * 60 * 1000),
-      date: date.toISOString()
-    });
+    try {
+      await SlotBooking.findOneAndUpdate(
+        {
+          slotKey,
+          vetId,
+          type: 'reserved',
+          $or: [
+            { sessionId },
+            { expiresAt: { $lte: now } }
+          ]
+        },
+        {
+          $set: {
+            sessionId,
+            date: new Date(date),
+            expiresAt: new Date(now.getTime() + this.holdDuration)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      return slotKey;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check availability and hold the slot for sessionId - what every booking
+   * does before saving. The reservation, not the check, decides races
+   * between sessions; losing one re-checks, which picks another vet if one
+   * is still free.
+   *
+   * Returns { slotKey, vetId, veterinarian }, or { slotKey: null,
+   * availability } when the time can't be held. availability.available is
+   * still true if other sessions took every free vet in the meantime.
+   * options are passed on to checkAvailability (petType, excludeAppointmentId).
+   */
+  async holdSlot(date, sessionId, options = {}) {
+    let availability;
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      availability = await this.checkAvailability(date, options);
+      if (!availability.available) break;
+
+      const { vetId, veterinarian } = availability.slotDetails;
+      const slotKey = await this.reserveSlot(date, sessionId, vetId);
 
-    // Set timeout to auto-release if not confirmed
-    setTimeout(() => {
-      this.releaseReservation(slotKey, sessionId);
-    }, 5 * 60 * 1000);
+      if (slotKey) {
+        return { slotKey, vetId, veterinarian };
+      }
+    }
 
-    return slotKey;
+    return { slotKey: null, availability };
   }
 
   /**
    * Confirm a reservation and make it permanent
    */
-  async confirmReservation(slotKey, sessionId) {
-    const reservation = this.bookedSlots.get(slotKey);
-
-    if (!reservation || reservation.sessionId !== sessionId) {
+  async confirmReservation(slotKey, sessionId, appointmentId = null, vetId = this.defaultVetId) {
+    const booking = await SlotBooking.findOneAndUpdate(
+      {
+        slotKey,
+        vetId,
+        sessionId,
+        type: 'reserved',
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          type: 'confirmed',
+          confirmedAt: new Date(),
+          ...(appointmentId && { appointmentId })
+        },
+        $unset: { expiresAt: 1 } // Confirmed bookings never expire
+      },
+      { new: true }
+    );
+
+    if (!booking) {
       throw new Error('Invalid or expired reservation');
     }
 
-    // Convert to permanent booking
-    this.bookedSlots.set(slotKey, {
-      type: 'confirmed',
+    return true;
+  }
+
+  /**
+   * Release a reservation if not confirmed
+   */
+  async releaseReservation(slotKey, sessionId, vetId = this.defaultVetId) {
+    await SlotBooking.deleteOne({
+      slotKey,
+      vetId,
       sessionId,
-      date: reservation.date,
-      confirmedAt: Date.now()
+      type: 'reserved'
     });
+  }
 
-    return true;
+  /**
+   * Free the confirmed slot(s) of an appointment that was cancelled or moved.
+   * keepSlotKey is the new slot when rescheduling, which is linked to the
+   * same appointment.
+   */
+  async releaseAppointmentSlots(appointmentId, keepSlotKey = null) {
+    await SlotBooking.deleteMany({
+      appointmentId,
+      type: 'confirmed',
+      ...(keepSlotKey && { slotKey: { $ne: keepSlotKey } })
+    });
   }
 
   /**
-   * Release a reservation if not confirmed
+   * Can any of vets take date? Used while searching for alternatives, so
+   * only future times in business hours reach the database, and
+   * bookingsByDay keeps it to one query per day searched.
    */
-  releaseReservation(slotKey, sessionId) {
-    const reservation = this.bookedSlots.get(slotKey);
+  async isSlotAvailable(date, vets, bookingsByDay = new Map(), options = {}) {
+    if (date <= new Date()) return false;
+    if (!this.isClinicOpen(date)) return false;
 
-    if (reservation &&
-        reservation.type === 'reserved' &&
-        reservation.sessionId === sessionId) {
-      this.bookedSlots.delete(slotKey);
+    const dayKey = this.getDateKey(date);
+    if (!bookingsByDay.has(dayKey)) {
+      bookingsByDay.set(dayKey, await this.getBookingsForDay(date, options));
     }
+
+    return Boolean(this.pickVeterinarian(date, vets, bookingsByDay.get(dayKey)).vet);
   }
 
   /**
    * Get suggested available slots near a requested time
    * This feature was requested after users got frustrated with trial-and-error
    */
-  getNearbyAvailableSlots(requestedDate, count = 3) {
+  async getNearbyAvailableSlots(requestedDate, count = 3, options = {}) {
     const slots = [];
     const baseDate = new Date(requestedDate);
+    await this.loadCalendar();
+    const vets = await this.getVeterinarians(options.petType);
+    const bookingsByDay = new Map();
 
     // Search strategy: alternate between before and after requested time
     const searchOffsets = [
@@ -181,9 +484,8 @@ class AppointmentSlotManager {
       if (slots.length >= count) break;
 
       const testDate = new Date(baseDate.getTime() + offsetMinutes * 60000);
-      const availability = this.checkAvailability(testDate);
 
-      if (availability.available) {
+      if (await this.isSlotAvailable(testDate, vets, bookingsByDay, options)) {
         slots.push({
           date: testDate.toISOString(),
           displayTime: this.formatDisplayTime(testDate),
@@ -196,7 +498,9 @@ class AppointmentSlotManager {
   }
 
   /**
-   * Format time for user-friendly display
+   * Format time for user-friendly display, in clinic time.
+   * Today/Tomorrow go by calendar day - counting 24h periods called
+   * tomorrow morning "Today" when asked the evening before.
    */
   formatDisplayTime(date) {
     const options = {
@@ -208,26 +512,23 @@ class AppointmentSlotManager {
       hour12: true
     };
 
-    const formatted = date.toLocaleDateString('en-US', options);
+    const formatted = ClinicTimeService.format(date, options);
+    const time = ClinicTimeService.format(date, { hour: 'numeric', minute: '2-digit', hour12: true });
 
-    // Add relative time if within 7 days
-    const now = new Date();
-    const diffDays = Math.floor((date - now) / (1000 * 60 * 60 * 24));
+    const diffDays = ClinicTimeService.daysFromToday(date);
 
-    if (diffDays === 0) return `Today at ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}`;
-    if (diffDays === 1) return `Tomorrow at ${date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}`;
-    if (diffDays <= 7) return formatted;
+    if (diffDays === 0) return `Today at ${time}`;
+    if (diffDays === 1) return `Tomorrow at ${time}`;
 
     return formatted;
   }
 
   /**
-   * Business hours validation
+   * Is timeStr inside one day's hours ({ open, close, breaks, closed })?
+   * Shared by the clinic hours and each vet's weekly schedule.
    */
-  isBusinessHour(dayName, timeStr) {
-    const hours = this.businessHours[dayName.toLowerCase()];
-
-    if (!hours || hours.closed) return false;
+  isWithinHours(hours, timeStr) {
+    if (!hours || hours.closed || !hours.open || !hours.close) return false;
 
     const requestedMinutes = this.timeToMinutes(timeStr);
     const openMinutes = this.timeToMinutes(hours.open);
@@ -255,20 +556,18 @@ class AppointmentSlotManager {
    * Conflict detection with buffer times
    * Added after veterinarians complained about back-to-back appointments
    */
-  hasConflictWithBuffer(date) {
+  hasConflictWithBuffer(date, bookings) {
     const checkStart = new Date(date.getTime() - this.bufferTime * 60000);
     const checkEnd = new Date(date.getTime() + (this.slotDuration + this.bufferTime) * 60000);
 
     // Check all booked slots for conflicts
-    for (const [key, booking] of this.bookedSlots) {
-      if (booking.type === 'confirmed' || booking.type === 'reserved') {
-        const bookedDate = new Date(booking.date);
-        const bookedEnd = new Date(bookedDate.getTime() + this.slotDuration * 60000);
-
-        // Check for overlap
-        if ((checkStart < bookedEnd) && (checkEnd > bookedDate)) {
-          return true;
-        }
+    for (const booking of bookings) {
+      const bookedDate = new Date(booking.date);
+      const bookedEnd = new Date(bookedDate.getTime() + this.slotDuration * 60000);
+
+      // Check for overlap
+      if ((checkStart < bookedEnd) && (checkEnd > bookedDate)) {
+        return true;
       }
     }
 
@@ -276,38 +575,70 @@ class AppointmentSlotManager {
   }
 
   /**
-   * Get friendly suggestion message for closed times
+   * Friendly explanation for a closed time, naming the holiday or closure
+   * when there is one ("We're closed on Thursday, December 25 for Christmas.")
    */
-  getSuggestedTimes(date) {
-    const dayName = this.getDayName(date);
-    const hours = this.businessHours[dayName.toLowerCase()];
+  getClosedMessage(date) {
+    const hours = this.getClinicHours(date);
+    const dayLabel = ClinicTimeService.format(date, { weekday: 'long', month: 'long', day: 'numeric' });
+
+    if (hours.closed || !hours.open) {
+      const because = hours.reason ? ` for ${hours.reason}` : '';
 
-    if (!hours || hours.closed) {
       // Find next open day
-      for (let i = 1; i <= 7; i++) {
-        const nextDate = new Date(date);
-        nextDate.setDate(date.getDate() + i);
-        const nextDay = this.getDayName(nextDate).toLowerCase();
-        const nextHours = this.businessHours[nextDay];
-
-        if (nextHours && !nextHours.closed) {
-          return `We're open ${this.capitalize(nextDay)} from ${nextHours.open} to ${nextHours.close}.`;
+      for (let i = 1; i <= this.searchDays; i++) {
+        const nextDate = ClinicTimeService.addDays(date, i);
+        const nextHours = this.getClinicHours(nextDate);
+
+        if (!nextHours.closed && nextHours.open) {
+          const nextLabel = ClinicTimeService.format(nextDate, { weekday: 'long', month: 'long', day: 'numeric' });
+          return `We're closed on ${dayLabel}${because}. We're open again ${nextLabel} from ${nextHours.open} to ${nextHours.close}.`;
         }
       }
+
+      return `We're closed on ${dayLabel}${because}.`;
     }
 
-    return `Our hours are ${hours.open} to ${hours.close} on ${dayName}s.`;
+    const special = hours.reason ? ` (${hours.reason})` : '';
+    return `We're closed at that time. Our hours on ${dayLabel} are ${hours.open} to ${hours.close}${special}.`;
+  }
+
+  /**
+   * Weekly hours as one line for help text, grouping days with the same
+   * hours: "Monday-Thursday 09:00-18:00, Friday 09:00-17:00, ..."
+   */
+  getWeeklyHoursSummary() {
+    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    const groups = [];
+
+    days.forEach((day, index) => {
+      const hours = this.businessHours[day];
+      if (!hours || hours.closed || !hours.open) return;
+
+      const range = `${hours.open}-${hours.close}`;
+      const last = groups[groups.length - 1];
+      if (last && last.range === range && last.lastIndex === index - 1) {
+        last.to = day;
+        last.lastIndex = index;
+      } else {
+        groups.push({ from: day, to: day, range, lastIndex: index });
+      }
+    });
+
+    return groups.map(({ from, to, range }) =>
+      `${this.capitalize(from)}${from === to ? '' : `-${this.capitalize(to)}`} ${range}`
+    ).join(', ');
   }
 
   /**
    * Utility functions
    */
-  getDayName(date) {
-    return date.toLocaleDateString('en-US', { weekday: 'long' });
+  getDateKey(date) {
+    return ClinicTimeService.getDateKey(date);
   }
 
   getTimeString(date) {
-    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+    return ClinicTimeService.getTimeString(date);
   }
 
   timeToMinutes(timeStr) {
@@ -316,60 +647,34 @@ class AppointmentSlotManager {
   }
 
   getSlotKey(date) {
-    // Create unique key for each 30-minute slot
+    // Create unique key for each 30-minute slot (UTC, so the server's zone doesn't matter)
     const roundedDate = new Date(date);
-    roundedDate.setMinutes(Math.floor(roundedDate.getMinutes() / 30) * 30);
-    roundedDate.setSeconds(0);
-    roundedDate.setMilliseconds(0);
+    roundedDate.setUTCMinutes(Math.floor(roundedDate.getUTCMinutes() / 30) * 30, 0, 0);
     return roundedDate.toISOString();
   }
 
-  isSlotBooked(slotKey) {
-    const booking = this.bookedSlots.get(slotKey);
-
-    if (!booking) return false;
-
-    // Check if reservation has expired
-    if (booking.type === 'reserved' && booking.expiresAt < Date.now()) {
-      this.bookedSlots.delete(slotKey);
-      return false;
-    }
-
-    return true;
+  async getDailyAppointmentCount(date) {
+    const bookings = await this.getBookingsForDay(date);
+    return bookings.length;
   }
 
-  getDailyAppointmentCount(date) {
-    const dayStart = new Date(date);
-    dayStart.setHours(0, 0, 0, 0);
-    const dayEnd = new Date(date);
-    dayEnd.setHours(23, 59, 59, 999);
-
-    let count = 0;
-    for (const booking of this.bookedSlots.values()) {
-      const bookingDate = new Date(booking.date);
-      if (bookingDate >= dayStart && bookingDate <= dayEnd) {
-        count++;
-      }
-    }
-
-    return count;
-  }
-
-  getNextAvailableSlots(date, count) {
+  /**
+   * Walk forward slot by slot. Bounded by searchDays - this used to loop
+   * forever when nothing was free (or checkAvailability's promise was
+   * mistaken for a result).
+   */
+  async getNextAvailableSlots(date, count, options = {}) {
     const slots = [];
-    const testDate = new Date(date);
-
-    while (slots.length < count) {
-      testDate.setMinutes(testDate.getMinutes() + 30);
+    const testDate = new Date(this.getSlotKey(date));
+    const searchEnd = new Date(testDate.getTime() + this.searchDays * 24 * 60 * 60 * 1000);
+    await this.loadCalendar();
+    const vets = await this.getVeterinarians(options.petType);
+    const bookingsByDay = new Map();
 
-      // Skip to next day if past business hours
-      if (testDate.getHours() >= 18) {
-        testDate.setDate(testDate.getDate() + 1);
-        testDate.setHours(9, 0, 0, 0);
-      }
+    while (slots.length < count && testDate < searchEnd && vets.length > 0) {
+      testDate.setMinutes(testDate.getMinutes() + this.slotDuration);
 
-      const availability = this.checkAvailability(testDate);
-      if (availability.available) {
+      if (await this.isSlotAvailable(testDate, vets, bookingsByDay, options)) {
         slots.push({
           date: testDate.toISOString(),
           displayTime: this.formatDisplayTime(new Date(testDate))
@@ -380,77 +685,31 @@ class AppointmentSlotManager {
     return slots;
   }
 
-  getNextDaySlots(date) {
-    const nextDay = new Date(date);
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(9, 0, 0, 0);
-    return this.getNextAvailableSlots(nextDay, 3);
-  }
-
-  assignVeterinarian(date) {
-    // Simple round-robin assignment
-    // In production, would check veterinarian schedules
-    const vets = ['Dr. Smith', 'Dr. Johnson', 'Dr. Williams'];
-    const index = date.getDate() % vets.length;
-    return vets[index];
+  getNextDaySlots(date, options = {}) {
+    return this.getNextAvailableSlots(ClinicTimeService.startOfDay(date, 1), 3, options);
   }
 
   capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
-  /**
-   * Cleanup old appointments from memory
-   * Added after memory usage grew too high in production
-   */
-  startCleanupInterval() {
-    setInterval(() => {
-      const now = Date.now();
-      const oneDayAgo = now - (24 * 60 * 60 * 1000);
-
-      for (const [key, booking] of this.bookedSlots) {
-        const bookingTime = new Date(booking.date).getTime();
-
-        // Remove appointments older than 24 hours
-        if (bookingTime < oneDayAgo) {
-          this.bookedSlots.delete(key);
-        }
-
-        // Remove expired reservations
-        if (booking.type === 'reserved' && booking.expiresAt < now) {
-          this.bookedSlots.delete(key);
-        }
-      }
-    }, 60 * 60 * 1000); // Run every hour
-  }
-
   /**
    * Get statistics for monitoring
    */
-  getStatistics() {
-    const stats = {
-      totalSlots: this.bookedSlots.size,
-      confirmed: 0,
-      reserved: 0,
-      todayCount: 0
-    };
-
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+  async getStatistics() {
+    const activeHold = { type: 'reserved', expiresAt: { $gt: new Date() } };
+    const [confirmed, reserved, todayBookings] = await Promise.all([
+      SlotBooking.countDocuments({ type: 'confirmed' }),
+      SlotBooking.countDocuments(activeHold),
+      this.getBookingsForDay(new Date())
+    ]);
 
-    for (const booking of this.bookedSlots.values()) {
-      if (booking.type === 'confirmed') stats.confirmed++;
-      if (booking.type === 'reserved') stats.reserved++;
-
-      const bookingDate = new Date(booking.date);
-      if (bookingDate >= today && bookingDate < tomorrow) {
-        stats.todayCount++;
-      }
-    }
-
-    return stats;
+    return {
+      totalSlots: confirmed + reserved,
+      confirmed,
+      reserved,
+      todayCount: todayBookings.length
+    };
   }
 }
 
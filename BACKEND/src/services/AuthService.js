@@ -0,0 +1,130 @@
+/**
+ * Staff Authentication Service
+ *
+ * Appointment status used to be changeable by anyone holding an ObjectId.
+ * Clinic staff now sign in with email/password and receive a JWT that the
+ * admin API checks on every request.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import jwt from 'jsonwebtoken';
+import Staff from '../models/Staff.js';
+
+class AuthService {
+  constructor() {
+    this.roles = ['receptionist', 'vet', 'admin'];
+    this.tokenExpiry = process.env.JWT_EXPIRES_IN || '8h';
+    this.secret = process.env.JWT_SECRET;
+
+    if (!this.secret) {
+      // Tokens stop working on restart - fine locally, never in production
+      this.secret = crypto.randomBytes(32).toString('hex');
+      console.warn('JWT_SECRET not set - using a temporary secret, staff sessions will not survive a restart');
+    }
+  }
+
+  async hashPassword(password) {
+    return bcrypt.hash(password, 10);
+  }
+
+  async verifyPassword(password, passwordHash) {
+    return bcrypt.compare(password, passwordHash);
+  }
+
+  /**
+   * Check email/password and return { token, staff }, or null
+   */
+  async login(email, password) {
+    const staff = await Staff.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (!staff || !staff.active || !(await this.verifyPassword(password, staff.passwordHash))) {
+      return null;
+    }
+
+    staff.lastLoginAt = new Date();
+    await staff.save();
+
+    return { token: this.issueToken(staff), staff };
+  }
+
+  issueToken(staff) {
+    return jwt.sign(
+      { sub: staff._id.toString(), role: staff.role },
+      this.secret,
+      { expiresIn: this.tokenExpiry }
+    );
+  }
+
+  /**
+   * Returns the token payload, or null if it is invalid or expired.
+   * Feed tokens don't sign anyone in.
+   */
+  verifyToken(token) {
+    try {
+      const payload = jwt.verify(token, this.secret);
+      return payload.purpose ? null : payload;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Token for a calendar feed URL - calendar apps can't sign in, so it
+   * doesn't expire. scope is 'clinic' or a veterinarian id. Deactivating
+   * the staff member it was issued to, or changing JWT_SECRET, revokes it.
+   */
+  issueFeedToken(staff, scope) {
+    return jwt.sign(
+      { sub: staff._id.toString(), purpose: 'calendar-feed', scope },
+      this.secret
+    );
+  }
+
+  /**
+   * The feed token's payload ({ sub, scope }), or null
+   */
+  verifyFeedToken(token) {
+    try {
+      const payload = jwt.verify(token, this.secret);
+      return payload.purpose === 'calendar-feed' ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async createStaff({ email, name, password, role = 'receptionist' }) {
+    return new Staff({
+      email,
+      name,
+      role,
+      passwordHash: await this.hashPassword(password)
+    }).save();
+  }
+
+  /**
+   * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD so a fresh
+   * install can sign in. Does nothing once any admin exists.
+   */
+  async ensureBootstrapAdmin() {
+    const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+    try {
+      const existingAdmin = await Staff.exists({ role: 'admin' });
+      if (existingAdmin) return;
+
+      await this.createStaff({
+        email: ADMIN_EMAIL,
+        name: 'Administrator',
+        password: ADMIN_PASSWORD,
+        role: 'admin'
+      });
+      console.log(`Created bootstrap admin account: ${ADMIN_EMAIL}`);
+    } catch (error) {
+      console.error('Bootstrap admin error:', error);
+    }
+  }
+}
+
+export default new AuthService();
@@ -5,74 +5,71 @@
  * v1: No caching - Gemini API quota exceeded daily
  * v2: Simple in-memory cache - Memory leak, no expiration
  * v3: LRU cache - Good but lost data on restart
- * v4: Hybrid cache with persistence - Current implementation
+ * v4: Hybrid cache with persistence
+ * v5: TF-IDF index of answered questions, per species, replaces the
+ *     preloaded answers and keyword patterns
+ * v6: L2 moved to the shared state store, so instances behind a load
+ *     balancer reuse each other's answers - Current implementation
  *
  * Discoveries:
  * - 60% of questions are repeated (vaccine schedule, emergency signs)
  * - Peak hours have 5x normal traffic
  * - Users ask follow-up questions 80% of the time
+ * - Repeats are rarely word for word ("my dog ate chocolate" / "is
+ *   chocolate bad for dogs"), and a dog answer is often wrong for a cat
  */
 
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import path from 'path';
+import SemanticIndex from './cache/SemanticIndex.js';
+import { getStateStore } from './storage/index.js';
+import AnalyticsService from './AnalyticsService.js';
 
 class CacheService {
   constructor() {
     // Multi-layer cache strategy
     this.layers = {
-      l1: new Map(), // Hot cache - most recent/frequent
-      l2: new Map(), // Warm cache - less frequent
+      l1: new Map(), // Hot cache - most recent/frequent, this instance only
+      l2: null,      // Warm cache - the state store, shared by all instances
       l3: null       // Cold cache - disk storage
     };
 
     // Cache configuration
     this.config = {
       l1MaxSize: 100,
-      l2MaxSize: 500,
       ttl: 3600000, // 1 hour default
       persistInterval: 300000, // Save to disk every 5 minutes
-      cacheDir: './cache'
+      cacheDir: './cache',
+      // Cosine similarity (0-1) a rephrased question needs to reuse an answer
+      semanticThreshold: parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD) || 0.75,
+      semanticMaxEntries: 1000,
+      semanticTtl: (parseFloat(process.env.SEMANTIC_CACHE_TTL_HOURS) || 24) * 3600000
     };
 
-    // Statistics for monitoring
+    // Statistics for monitoring (this instance)
     this.stats = {
       hits: 0,
       misses: 0,
       evictions: 0,
       apiCalls: 0,
-      savedApiCalls: 0
+      savedApiCalls: 0,
+      semanticHits: 0
     };
 
-    // Frequently asked questions we discovered
-    this.preloadedResponses = new Map([
-      ['vaccination schedule', {
-        response: 'Puppies need vaccines at 6-8 weeks, 10-12 weeks, and 14-16 weeks...',
-        category: 'health',
-        ttl: 86400000 // 24 hours for static info
-      }],
-      ['emergency signs', {
-        response: 'Seek immediate vet care for: difficulty breathing, seizures, unconsciousness...',
-        category: 'emergency',
-        ttl: 86400000
-      }],
-      ['toxic foods', {
-        response: 'Never feed dogs: chocolate, grapes, onions, garlic, xylitol...',
-        category: 'safety',
-        ttl: 86400000
-      }]
-    ]);
-
-    // Pattern matching for similar questions
-    this.patterns = [
-      { regex: /vaccin|shot|immuniz/i, key: 'vaccination' },
-      { regex: /emergency|urgent|asap/i, key: 'emergency' },
-      { regex: /poison|toxic|dangerous.*food/i, key: 'toxic' },
-      { regex: /flea|tick|parasite/i, key: 'parasites' },
-      { regex: /spay|neuter|fix/i, key: 'spay-neuter' }
-    ];
+    // Earlier answers, found by meaning rather than exact wording
+    this.semanticIndex = new SemanticIndex({
+      threshold: this.config.semanticThreshold,
+      maxEntries: this.config.semanticMaxEntries,
+      ttl: this.config.semanticTtl
+    });
+
+    // Resolves once the disk cache is loaded (loading replaces what's in memory)
+    this.ready = this.initialize();
+  }
 
-    this.initialize();
+  get store() {
+    return getStateStore();
   }
 
   /**
@@ -87,34 +84,41 @@ class CacheService {
       console.error('Cache initialization error:', error);
     }
 
-    // Start persistence interval
-    setInterval(() => this.persistToDisk(), this.config.persistInterval);
-
-    // Start cleanup interval
-    setInterval(() => this.cleanup(), 60000); // Every minute
+    // Start persistence and cleanup intervals. Neither keeps the process
+    // alive on its own (scripts and tests that import the cache can exit).
+    setInterval(() => this.persistToDisk(), this.config.persistInterval).unref?.();
+    setInterval(() => this.cleanup(), 60000).unref?.(); // Every minute
   }
 
   /**
    * Get cached response or generate new one
+   * With options.sessionId the entry belongs to that session: other
+   * sessions can't hit it and it's never written to disk.
+   * options.cacheIf(value) can turn the write down, e.g. for a failed answer.
    */
   async get(key, generator, options = {}) {
-    const cacheKey = this.generateKey(key);
+    const sessionId = options.sessionId || null;
+    const cacheKey = this.generateKey(sessionId ? { sessionId, key } : key);
     const ttl = options.ttl || this.config.ttl;
 
     // Check all cache layers
-    let cached = this.checkLayers(cacheKey);
+    let cached = await this.checkLayers(cacheKey, sessionId);
 
     if (cached && !this.isExpired(cached)) {
+      AnalyticsService.trackCacheLookup('exact', true);
       this.stats.hits++;
       this.stats.savedApiCalls++;
 
-      // Promote to L1 if accessed frequently
-      this.promote(cacheKey, cached);
+      // Keep a copy in L1 for the next time
+      if (!sessionId) {
+        this.promote(cacheKey, cached);
+      }
 
       return cached.value;
     }
 
     // Cache miss - generate new value
+    AnalyticsService.trackCacheLookup('exact', false);
     this.stats.misses++;
     this.stats.apiCalls++;
 
@@ -122,7 +126,9 @@ class CacheService {
       const value = await generator();
 
       // Store in cache
-      this.set(cacheKey, value, ttl);
+      if (!options.cacheIf || options.cacheIf(value)) {
+        await this.set(cacheKey, value, ttl, sessionId);
+      }
 
       return value;
     } catch (error) {
@@ -137,110 +143,66 @@ class CacheService {
 
   /**
    * Set cache value with TTL
+   * A session's answers skip L1, so forgetting the session on one instance
+   * forgets them on all of them.
    */
-  set(key, value, ttl) {
+  async set(key, value, ttl, sessionId = null) {
     const entry = {
       value,
       timestamp: Date.now(),
       ttl,
+      sessionId,
       hits: 0,
       lastAccessed: Date.now()
     };
 
-    // Add to L1 cache
-    this.layers.l1.set(key, entry);
-
-    // Evict if necessary
-    if (this.layers.l1.size > this.config.l1MaxSize) {
-      this.evictLRU('l1');
-    }
-  }
-
-  /**
-   * Check for semantic similarity to cached questions
-   * This reduced API calls by 30% by matching similar questions
-   */
-  findSimilar(question) {
-    const normalized = question.toLowerCase().trim();
-
-    // Check exact matches first
-    for (const [key, response] of this.preloadedResponses) {
-      if (normalized.includes(key)) {
-        this.stats.hits++;
-        this.stats.savedApiCalls++;
-        return response.response;
-      }
-    }
+    if (!sessionId) {
+      // Add to L1 cache
+      this.layers.l1.set(key, entry);
 
-    // Check patterns
-    for (const pattern of this.patterns) {
-      if (pattern.regex.test(normalized)) {
-        const cached = this.layers.l1.get(pattern.key) ||
-                      this.layers.l2.get(pattern.key);
-        if (cached && !this.isExpired(cached)) {
-          this.stats.hits++;
-          this.stats.savedApiCalls++;
-          return cached.value;
-        }
+      // Evict if necessary
+      if (this.layers.l1.size > this.config.l1MaxSize) {
+        this.evictLRU('l1');
       }
     }
 
-    // Fuzzy matching for similar questions
-    const threshold = 0.8;
-    for (const [cacheKey, entry] of this.layers.l1) {
-      if (entry.value?.question) {
-        const similarity = this.calculateSimilarity(
-          normalized,
-          entry.value.question.toLowerCase()
-        );
-        if (similarity > threshold) {
-          this.stats.hits++;
-          this.stats.savedApiCalls++;
-          return entry.value.response;
-        }
-      }
+    try {
+      await this.store.set(this.getStoreKey(key, sessionId), entry, { ttl });
+    } catch (error) {
+      // Still cached here; other instances just miss it
+      console.error('Cache store error:', error.message);
     }
-
-    return null;
   }
 
   /**
-   * Calculate string similarity (Levenshtein distance)
+   * L2 key - a session's answers are grouped so they can be deleted together
    */
-  calculateSimilarity(str1, str2) {
-    const len1 = str1.length;
-    const len2 = str2.length;
-    const matrix = [];
-
-    if (len1 === 0) return 0;
-    if (len2 === 0) return 0;
-
-    // Initialize matrix
-    for (let i = 0; i <= len2; i++) {
-      matrix[i] = [i];
-    }
-    for (let j = 0; j <= len1; j++) {
-      matrix[0][j] = j;
-    }
+  getStoreKey(key, sessionId = null) {
+    return sessionId ? `cache:session:${sessionId}:${key}` : `cache:answer:${key}`;
+  }
 
-    // Calculate distances
-    for (let i = 1; i <= len2; i++) {
-      for (let j = 1; j <= len1; j++) {
-        if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-          matrix[i][j] = matrix[i - 1][j - 1];
-        } else {
-          matrix[i][j] = Math.min(
-            matrix[i - 1][j - 1] + 1,
-            matrix[i][j - 1] + 1,
-            matrix[i - 1][j] + 1
-          );
-        }
-      }
-    }
+  /**
+   * Answer from an earlier question that asks the same thing in other words,
+   * about the same species (null or undefined for questions that don't
+   * name one). Returns the answer text or null.
+   */
+  findSimilar(question, { species } = {}) {
+    const match = this.semanticIndex.search(question, { species });
+    AnalyticsService.trackCacheLookup('semantic', Boolean(match));
+    if (!match) return null;
+
+    this.stats.hits++;
+    this.stats.savedApiCalls++;
+    this.stats.semanticHits++;
+    return match.entry.answer;
+  }
 
-    const distance = matrix[len2][len1];
-    const maxLen = Math.max(len1, len2);
-    return 1 - (distance / maxLen);
+  /**
+   * Add an answered question for findSimilar. Every owner can get this
+   * answer, so it must not be about anyone's pet in particular.
+   */
+  remember(question, answer, { species } = {}) {
+    return this.semanticIndex.add(question, answer, { species });
   }
 
   /**
@@ -258,17 +220,22 @@ class CacheService {
   /**
    * Check all cache layers
    */
-  checkLayers(key) {
+  async checkLayers(key, sessionId = null) {
     // L1 - Hot cache
-    let entry = this.layers.l1.get(key);
+    let entry = sessionId ? null : this.layers.l1.get(key);
     if (entry) {
       entry.hits++;
       entry.lastAccessed = Date.now();
       return entry;
     }
 
-    // L2 - Warm cache
-    entry = this.layers.l2.get(key);
+    // L2 - Warm cache, possibly written by another instance
+    try {
+      entry = await this.store.get(this.getStoreKey(key, sessionId));
+    } catch (error) {
+      console.error('Cache store error:', error.message);
+      return null;
+    }
     if (entry) {
       entry.hits++;
       entry.lastAccessed = Date.now();
@@ -282,13 +249,11 @@ class CacheService {
   }
 
   /**
-   * Promote frequently accessed items to L1
+   * Copy an L2 entry used on this instance into L1
    */
   promote(key, entry) {
-    if (entry.hits > 5 && !this.layers.l1.has(key)) {
-      // Move to L1
+    if (!this.layers.l1.has(key)) {
       this.layers.l1.set(key, entry);
-      this.layers.l2.delete(key);
 
       // Evict from L1 if needed
       if (this.layers.l1.size > this.config.l1MaxSize) {
@@ -306,6 +271,7 @@ class CacheService {
 
   /**
    * Evict least recently used items
+   * L2 keeps its own copy until the TTL runs out
    */
   evictLRU(layer) {
     const cache = this.layers[layer];
@@ -320,17 +286,6 @@ class CacheService {
     }
 
     if (lruKey) {
-      // Move to lower layer instead of deleting
-      if (layer === 'l1') {
-        const entry = cache.get(lruKey);
-        this.layers.l2.set(lruKey, entry);
-
-        // Evict from L2 if needed
-        if (this.layers.l2.size > this.config.l2MaxSize) {
-          this.evictLRU('l2');
-        }
-      }
-
       cache.delete(lruKey);
       this.stats.evictions++;
     }
@@ -342,15 +297,14 @@ class CacheService {
   cleanup() {
     let cleaned = 0;
 
-    for (const layer of ['l1', 'l2']) {
-      const cache = this.layers[layer];
-      for (const [key, entry] of cache) {
-        if (this.isExpired(entry)) {
-          cache.delete(key);
-          cleaned++;
-        }
+    // L2 entries expire in the store
+    for (const [key, entry] of this.layers.l1) {
+      if (this.isExpired(entry)) {
+        this.layers.l1.delete(key);
+        cleaned++;
       }
     }
+    cleaned += this.semanticIndex.cleanup();
 
     if (cleaned > 0) {
       console.log(`Cleaned ${cleaned} expired cache entries`);
@@ -363,8 +317,9 @@ class CacheService {
   async persistToDisk() {
     try {
       const data = {
+        // Answers for one session never reach L1, so never the disk either
         l1: Array.from(this.layers.l1.entries()),
-        l2: Array.from(this.layers.l2.entries()),
+        semantic: this.semanticIndex.toJSON(),
         stats: this.stats,
         timestamp: Date.now()
       };
@@ -387,7 +342,7 @@ class CacheService {
 
       // Restore cache layers
       this.layers.l1 = new Map(parsed.l1 || []);
-      this.layers.l2 = new Map(parsed.l2 || []);
+      this.semanticIndex.load(parsed.semantic || []);
 
       // Restore stats
       if (parsed.stats) {
@@ -397,7 +352,7 @@ class CacheService {
       // Clean expired entries
       this.cleanup();
 
-      console.log(`Loaded cache: ${this.layers.l1.size} L1, ${this.layers.l2.size} L2 entries`);
+      console.log(`Loaded cache: ${this.layers.l1.size} L1 entries, ${this.semanticIndex.size} indexed questions`);
     } catch (error) {
       // Cache file doesn't exist or is corrupted
       console.log('No cache file found, starting fresh');
@@ -406,28 +361,40 @@ class CacheService {
 
   /**
    * Invalidate cache entries
+   * A RegExp is matched against this instance's L1 and question index; other
+   * instances keep their copies until they expire. A key is removed from L2 too.
    */
-  invalidate(pattern) {
+  async invalidate(pattern) {
     let invalidated = 0;
 
-    for (const layer of ['l1', 'l2']) {
-      const cache = this.layers[layer];
-      for (const [key, entry] of cache) {
-        if (pattern instanceof RegExp) {
-          if (pattern.test(key) || pattern.test(JSON.stringify(entry.value))) {
-            cache.delete(key);
-            invalidated++;
-          }
-        } else if (key === pattern) {
-          cache.delete(key);
+    for (const [key, entry] of this.layers.l1) {
+      if (pattern instanceof RegExp) {
+        if (pattern.test(key) || pattern.test(JSON.stringify(entry.value))) {
+          this.layers.l1.delete(key);
           invalidated++;
         }
+      } else if (key === pattern) {
+        this.layers.l1.delete(key);
+        invalidated++;
       }
     }
 
+    if (pattern instanceof RegExp) {
+      invalidated += this.semanticIndex.invalidate(pattern);
+    } else {
+      await this.store.delete(this.getStoreKey(pattern));
+    }
+
     return invalidated;
   }
 
+  /**
+   * Drop a session's own answers, on every instance
+   */
+  async forgetSession(sessionId) {
+    return this.store.deleteMatching(`cache:session:${sessionId}:`);
+  }
+
   /**
    * Warm up cache with common questions
    * Run this on startup to pre-populate cache
@@ -453,7 +420,7 @@ class CacheService {
     for (const question of commonQuestions) {
       const key = this.generateKey(question);
       // Check if already cached
-      if (!this.checkLayers(key)) {
+      if (!(await this.checkLayers(key))) {
         // Would generate response here
         console.log(`Pre-caching: ${question}`);
       }
@@ -463,7 +430,7 @@ class CacheService {
   /**
    * Get cache statistics
    */
-  getStatistics() {
+  async getStatistics() {
     const hitRate = this.stats.hits / (this.stats.hits + this.stats.misses) || 0;
     const savingsRate = this.stats.savedApiCalls / this.stats.apiCalls || 0;
 
@@ -472,7 +439,8 @@ class CacheService {
       hitRate: `${(hitRate * 100).toFixed(2)}%`,
       savingsRate: `${(savingsRate * 100).toFixed(2)}%`,
       l1Size: this.layers.l1.size,
-      l2Size: this.layers.l2.size,
+      l2Size: await this.store.countKeys('cache:').catch(() => null),
+      semanticIndexSize: this.semanticIndex.size,
       memoryUsage: this.estimateMemoryUsage()
     };
   }
@@ -483,7 +451,7 @@ class CacheService {
   estimateMemoryUsage() {
     // Rough estimation
     const avgEntrySize = 1024; // 1KB average
-    const totalEntries = this.layers.l1.size + this.layers.l2.size;
+    const totalEntries = this.layers.l1.size + this.semanticIndex.size;
     const bytes = totalEntries * avgEntrySize;
     return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
   }
@@ -491,15 +459,17 @@ class CacheService {
   /**
    * Clear all caches
    */
-  clear() {
+  async clear() {
     this.layers.l1.clear();
-    this.layers.l2.clear();
+    await this.store.deleteMatching('cache:');
+    this.semanticIndex.clear();
     this.stats = {
       hits: 0,
       misses: 0,
       evictions: 0,
       apiCalls: 0,
-      savedApiCalls: 0
+      savedApiCalls: 0,
+      semanticHits: 0
     };
     console.log('Cache cleared');
   }
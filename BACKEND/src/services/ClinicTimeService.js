@@ -0,0 +1,224 @@
+/**
+ * Clinic Time Service
+ *
+ * Every appointment happens at the clinic, so "tomorrow at 10am" means 10am
+ * on the clinic's wall clock - not the server's (Render runs in UTC) and not
+ * the browser's. This converts between UTC instants and clinic local dates
+ * and times using the zone in CLINIC_TIMEZONE (an IANA name such as
+ * "America/New_York"), with the built-in Intl data so no date library is needed.
+ *
+ * Evolution:
+ * v1: new Date() / setHours() everywhere - fine until the server moved to UTC
+ * v2: Clinic time zone with explicit conversions - Current implementation
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class ClinicTimeService {
+  constructor() {
+    const serverZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const configured = process.env.CLINIC_TIMEZONE;
+
+    if (configured && !this.isValidTimeZone(configured)) {
+      console.warn(`CLINIC_TIMEZONE "${configured}" is not a valid IANA time zone - using ${serverZone}`);
+    } else if (!configured) {
+      console.warn(`CLINIC_TIMEZONE not set - using the server time zone (${serverZone})`);
+    }
+
+    this.timeZone = configured && this.isValidTimeZone(configured) ? configured : serverZone;
+    this.formatters = new Map();
+  }
+
+  isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Wall-clock fields of date in timeZone:
+   * { year, month (1-12), day, hour, minute, second, weekday ('monday'...) }
+   */
+  getParts(date, timeZone = this.timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric',
+        weekday: 'long'
+      }));
+    }
+
+    const parts = {};
+    for (const { type, value } of this.formatters.get(timeZone).formatToParts(new Date(date))) {
+      parts[type] = value;
+    }
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      weekday: parts.weekday.toLowerCase()
+    };
+  }
+
+  /**
+   * Minutes timeZone is ahead of UTC at the instant date
+   */
+  getOffsetMinutes(date, timeZone = this.timeZone) {
+    const { year, month, day, hour, minute, second } = this.getParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * The instant at which the clinic's clock shows the given wall-clock time.
+   * Out-of-range fields roll over like Date.UTC (day 32 is next month).
+   * In the spring-forward gap the time lands an hour later.
+   */
+  toInstant({ year, month, day, hour = 0, minute = 0 }, timeZone = this.timeZone) {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the wall-clock time read as UTC is right except near a
+    // DST change, where a second pass settles it
+    const firstPass = wallClock - this.getOffsetMinutes(wallClock, timeZone) * 60000;
+    const secondPass = wallClock - this.getOffsetMinutes(firstPass, timeZone) * 60000;
+
+    const { hour: shownHour, minute: shownMinute } = this.getParts(secondPass, timeZone);
+    const wanted = new Date(wallClock);
+    if (shownHour === wanted.getUTCHours() && shownMinute === wanted.getUTCMinutes()) {
+      return new Date(secondPass);
+    }
+
+    // The time doesn't exist (clocks went forward) - take the later reading
+    return new Date(Math.max(firstPass, secondPass));
+  }
+
+  /**
+   * Reinterpret a Date parsed in the server's zone (new Date("Jan 20 3pm"))
+   * as the same wall-clock time at the clinic
+   */
+  fromServerLocal(date) {
+    return this.toInstant({
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes()
+    });
+  }
+
+  /**
+   * Midnight at the clinic on date's clinic day, moved by addDays days
+   */
+  startOfDay(date, addDays = 0) {
+    const { year, month, day } = this.getParts(date);
+    return this.toInstant({ year, month, day: day + addDays });
+  }
+
+  /**
+   * Same clinic wall-clock time days later (stays 10:00 across DST changes)
+   */
+  addDays(date, days) {
+    const { year, month, day, hour, minute } = this.getParts(date);
+    return this.toInstant({ year, month, day: day + days, hour, minute });
+  }
+
+  /**
+   * Clinic-local time of day on date's clinic day, e.g. atTime(date, 9, 30)
+   */
+  atTime(date, hour, minute = 0) {
+    const { year, month, day } = this.getParts(date);
+    return this.toInstant({ year, month, day, hour, minute });
+  }
+
+  /**
+   * 'monday'...'sunday' at the clinic
+   */
+  getWeekday(date) {
+    return this.getParts(date).weekday;
+  }
+
+  getWeekdayIndex(date) {
+    return WEEKDAYS.indexOf(this.getWeekday(date));
+  }
+
+  /**
+   * 'YYYY-MM-DD' at the clinic
+   */
+  getDateKey(date) {
+    const { year, month, day } = this.getParts(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * 'HH:MM' (24h) at the clinic
+   */
+  getTimeString(date) {
+    const { hour, minute } = this.getParts(date);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whole clinic calendar days from today to date (0 = today, 1 = tomorrow)
+   */
+  daysFromToday(date, now = new Date()) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const toDayNumber = (d) => Date.parse(`${this.getDateKey(d)}T00:00:00Z`) / dayMs;
+    return toDayNumber(date) - toDayNumber(now);
+  }
+
+  /**
+   * toLocaleString in the clinic's zone (or another, e.g. the owner's)
+   */
+  format(date, options, timeZone = this.timeZone) {
+    return new Date(date).toLocaleString('en-US', { ...options, timeZone });
+  }
+
+  /**
+   * "Tuesday, January 20, 2026 at 10:00 AM" - the long form used in confirmations
+   */
+  formatLong(date, timeZone = this.timeZone) {
+    return this.format(date, {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+      hour12: true
+    }, timeZone).replace(/(\d{4}), (\d{1,2}:\d{2})/, '$1 at $2');
+  }
+
+  /**
+   * " (9:00 AM your time)" when the owner's zone shows date differently,
+   * otherwise ''
+   */
+  describeForClient(date, clientTimeZone) {
+    if (!this.isValidTimeZone(clientTimeZone) ||
+        this.getOffsetMinutes(date, clientTimeZone) === this.getOffsetMinutes(date)) {
+      return '';
+    }
+
+    const sameDay = this.getParts(date, clientTimeZone).day === this.getParts(date).day;
+    const clientTime = this.format(date, sameDay
+      ? { hour: 'numeric', minute: '2-digit', hour12: true }
+      : { weekday: 'short', hour: 'numeric', minute: '2-digit', hour12: true }, clientTimeZone);
+
+    return ` (${clientTime} your time)`;
+  }
+}
+
+export default new ClinicTimeService();
@@ -3,12 +3,15 @@
  * Handles interruptions, corrections, context switches, and invalid inputs
  */
 
+import AppointmentSlotManager from './AppointmentSlotManager.js';
+import ClinicTimeService from './ClinicTimeService.js';
+
 class ConversationRecovery {
   constructor() {
     // Patterns for detecting user intentions
     this.correctionPatterns = [
-      /actually|wait|no|sorry|mistake|wrong|change|correct|update|modify/i,
-      /i meant|i mean|let me|instead/i,
+      /\b(?:actually|wait|no|sorry|mistake|wrong|change|correct|update|modify)\b/i,
+      /\b(?:i meant|i mean|let me|instead)\b/i,
       /not\s+(\w+),?\s+(?:it's|its)\s+(\w+)/i,  // "not X, it's Y"
       /change\s+(?:that|it|the)\s+to\s+(\w+)/i  // "change that to X"
     ];
@@ -20,6 +23,7 @@ class ConversationRecovery {
 
     this.clarificationPatterns = [
       /what\s+(?:do you mean|did you say|was that)/i,
+      /what\s+(?:do|did)\s+you\s+(?:need|want)/i,
       /can you repeat|say that again|pardon|sorry\?/i,
       /i don't understand|confused|not sure/i
     ];
@@ -30,12 +34,44 @@ class ConversationRecovery {
       /let me ask|i need to know|tell me/i
     ];
 
+    // Plain yes/no replies ("yes, that's correct", "no") belong to the
+    // confirmation step, not the correction handler
+    this.confirmationReplyPattern = /^(?:(?:yes|yep|yeah|y|ok|okay|confirm)\b.*|(?:no|n|nope)[.!]?)$/i;
+
+    this.restartPattern = /start over|restart|begin again|from the beginning/i;
+
     // Appointment field mappings
+    // Order matters: "my pet's name" must resolve to pet before name
     this.fieldMappings = {
-      name: ['name', 'owner', 'my name', 'full name'],
       pet: ['pet', 'pet name', 'animal', 'dog', 'cat', 'pet\'s name'],
       phone: ['phone', 'number', 'contact', 'mobile', 'cell'],
-      date: ['date', 'time', 'when', 'appointment', 'schedule']
+      date: ['date', 'time', 'when', 'appointment', 'schedule'],
+      name: ['name', 'owner', 'my name', 'full name']
+    };
+
+    // Recovery fields to Conversation.appointmentData keys
+    this.dataFields = {
+      name: 'ownerName',
+      pet: 'petName',
+      phone: 'phone',
+      date: 'preferredDateTime'
+    };
+
+    this.fieldLabels = {
+      name: 'name',
+      pet: 'pet\'s name',
+      phone: 'phone number',
+      date: 'appointment time'
+    };
+
+    // Conversation.appointmentState names the NEXT question to ask, while the
+    // recovery states below name the question currently awaiting an answer
+    this.bookingStateMap = {
+      ASK_PET_NAME: 'ASK_OWNER_NAME',
+      ASK_PHONE: 'ASK_PET_NAME',
+      ASK_DATE_TIME: 'ASK_PHONE',
+      CONFIRMATION: 'ASK_DATE_TIME',
+      COMPLETED: 'CONFIRMATION'
     };
 
     // Common typos and corrections
@@ -76,7 +112,7 @@ class ConversationRecovery {
         return this.handleCorrection(message, conversationState, appointmentData);
 
       case 'go_back':
-        return this.handleGoBack(conversationState, appointmentData);
+        return this.handleGoBack(message, conversationState, appointmentData);
 
       case 'clarification':
         return this.handleClarification(conversationState, appointmentData);
@@ -96,8 +132,8 @@ class ConversationRecovery {
    * Detect what type of recovery is needed
    */
   detectRecoveryType(message) {
-    if (this.matchesPatterns(message, this.correctionPatterns)) {
-      return 'correction';
+    if (this.matchesPatterns(message, this.contextSwitchPatterns)) {
+      return 'context_switch';
     }
     if (this.matchesPatterns(message, this.goBackPatterns)) {
       return 'go_back';
@@ -105,8 +141,9 @@ class ConversationRecovery {
     if (this.matchesPatterns(message, this.clarificationPatterns)) {
       return 'clarification';
     }
-    if (this.matchesPatterns(message, this.contextSwitchPatterns)) {
-      return 'context_switch';
+    if (this.matchesPatterns(message, this.correctionPatterns) &&
+        !this.confirmationReplyPattern.test(message.trim())) {
+      return 'correction';
     }
 
     // Check if input is invalid for current state
@@ -121,10 +158,14 @@ class ConversationRecovery {
    * Handle corrections (e.g., "Actually, my name is John, not Jon")
    */
   handleCorrection(message, conversationState, appointmentData) {
-    // Extract what field they're correcting
-    const field = this.detectFieldBeingCorrected(message, appointmentData);
+    // Extract what field they're correcting, falling back to the answer given last
+    const field = this.detectFieldBeingCorrected(message, appointmentData) ||
+                  this.getLastAnsweredField(conversationState);
 
     if (!field) {
+      // Nothing collected yet - treat the message as a regular answer
+      if (conversationState === 'ASK_OWNER_NAME') return null;
+
       return {
         message: "What would you like to correct? Your name, pet's name, phone number, or appointment time?",
         action: 'clarify_correction',
@@ -140,45 +181,82 @@ class ConversationRecovery {
     // Extract the new value
     const newValue = this.extractCorrectedValue(message, field);
 
+    const label = this.fieldLabels[field];
+    const dataKey = this.dataFields[field];
+
     if (!newValue) {
       return {
-        message: `I couldn't understand the new ${field}. Could you please provide just the ${field}?`,
+        message: `I couldn't understand the new ${label}. Could you please provide just the ${label}?`,
         action: 'request_correction_value',
-        field: field
+        field: field,
+        dataKey: dataKey
       };
     }
 
     // Apply the correction
     const updatedData = { ...appointmentData };
-    updatedData[field] = newValue;
+    updatedData[dataKey] = newValue;
+
+    return {
+      message: `Got it! I've updated your ${label} to "${newValue}".`,
+      action: 'correction_applied',
+      field: field,
+      dataKey: dataKey,
+      value: newValue,
+      updatedData: updatedData
+    };
+  }
+
+  /**
+   * Resolve the reply to a correction follow-up ("What would you like to
+   * correct?" or "Could you please provide just the phone number?")
+   */
+  handlePendingCorrection(message, pendingCorrection, conversationState, appointmentData) {
+    if (pendingCorrection === 'any') {
+      return this.handleCorrection(message, conversationState, appointmentData);
+    }
+
+    const field = Object.keys(this.dataFields)
+      .find(key => this.dataFields[key] === pendingCorrection);
+    const newValue = message.trim();
 
     return {
-      message: `Got it! I've updated your ${field} to "${newValue}". Is this correct?`,
+      message: `Got it! I've updated your ${this.fieldLabels[field]} to "${newValue}".`,
       action: 'correction_applied',
-      updatedData: updatedData,
-      confirmationRequired: true
+      field: field,
+      dataKey: pendingCorrection,
+      value: newValue,
+      updatedData: { ...appointmentData, [pendingCorrection]: newValue }
     };
   }
 
   /**
    * Handle go back requests
    */
-  handleGoBack(conversationState, appointmentData) {
+  handleGoBack(message, conversationState, appointmentData) {
+    if (this.restartPattern.test(message)) {
+      return {
+        message: `No problem, let's start over. ${this.getQuestionForState('ASK_OWNER_NAME')}`,
+        action: 'restarted',
+        newState: 'ASK_OWNER_NAME',
+        updatedData: {}
+      };
+    }
+
     const previousState = this.getPreviousState(conversationState);
 
     if (!previousState) {
+      // Already at the first question - nothing to go back to
       return {
-        message: "Would you like to start over with booking a new appointment?",
-        action: 'confirm_restart',
-        suggestedActions: [
-          { label: 'Yes, start over', value: 'restart' },
-          { label: 'No, continue', value: 'continue' }
-        ]
+        message: `This is the first step. ${this.getQuestionForState(conversationState)}`,
+        action: 'went_back',
+        newState: conversationState,
+        updatedData: { ...appointmentData }
       };
     }
 
-    // Remove the last collected field
-    const fieldToRemove = this.getFieldForState(conversationState);
+    // Remove the field we're about to ask for again
+    const fieldToRemove = this.getFieldForState(previousState);
     const updatedData = { ...appointmentData };
     delete updatedData[fieldToRemove];
 
@@ -194,11 +272,11 @@ class ConversationRecovery {
    * Handle clarification requests
    */
   handleClarification(conversationState, appointmentData) {
-    const currentQuestion = this.getQuestionForState(conversationState);
+    const helpText = this.getHelpTextForState(conversationState);
     const example = this.getExampleForState(conversationState);
 
     return {
-      message: `${currentQuestion}\n\nFor example: ${example}`,
+      message: `${helpText}\n\nFor example: ${example}`,
       action: 'clarification_provided',
       helpText: this.getHelpTextForState(conversationState),
       suggestedValues: this.getSuggestedValuesForState(conversationState)
@@ -264,7 +342,7 @@ class ConversationRecovery {
 
     for (const [field, keywords] of Object.entries(this.fieldMappings)) {
       for (const keyword of keywords) {
-        if (lowerMessage.includes(keyword)) {
+        if (new RegExp(`\\b${keyword}\\b`).test(lowerMessage)) {
           return field;
         }
       }
@@ -285,18 +363,42 @@ class ConversationRecovery {
    * Extract corrected value from message
    */
   extractCorrectedValue(message, field) {
+    // Most specific pattern first ("this is wrong, my name is John")
     const patterns = {
-      name: /(?:it's|its|is|name is)\s+([A-Z][a-z]+(?:\s+[A-Z][a-z]+)*)/i,
-      pet: /(?:it's|its|is|named?)\s+([A-Z][a-z]+)/i,
-      phone: /(\d{3}[-.]?\d{3}[-.]?\d{4})/,
-      date: /(?:change to|make it|schedule for)\s+(.+)/i
+      name: [
+        /\bname is\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)*)/i,
+        /\b(?:it's|its|is)\s+(?!is\b)([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)*)/i
+      ],
+      pet: [
+        /\b(?:name is|named|called)\s+([A-Z][a-z]+)/i,
+        /\b(?:it's|its|is)\s+(?!(?:is|named?|called)\b)([A-Z][a-z]+)/i
+      ],
+      phone: [/(\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4})/],
+      date: [/(?:change (?:it |that |the (?:date|time) )?to|move (?:it )?to|make it|schedule (?:it )?for|(?:date|time) is)\s+(.+)/i]
     };
 
-    const pattern = patterns[field];
-    if (!pattern) return null;
+    if (!patterns[field]) return null;
 
-    const match = message.match(pattern);
-    return match ? match[1].trim() : null;
+    const match = patterns[field]
+      .map(pattern => message.match(pattern))
+      .find(Boolean);
+    if (!match) return null;
+
+    // "John Smith, not Jon" -> "John Smith"
+    return match[1].split(/,?\s+not\s+/i)[0].replace(/[.!]+$/, '').trim();
+  }
+
+  /**
+   * Field answered just before the current question, used when a correction
+   * doesn't say what it corrects ("sorry, it's Jon")
+   */
+  getLastAnsweredField(conversationState) {
+    const lastAnswered = {
+      'ASK_PET_NAME': 'name',
+      'ASK_PHONE': 'pet',
+      'ASK_DATE_TIME': 'phone'
+    };
+    return lastAnswered[conversationState] || null;
   }
 
   /**
@@ -386,7 +488,11 @@ class ConversationRecovery {
   extractValidParts(message, state) {
     const extractors = {
       ASK_PHONE: (input) => {
-        const digits = input.replace(/\D/g, '');
+        let digits = input.replace(/\D/g, '');
+        // Drop a leading US country code ("+1 555 123 4567")
+        if (digits.length === 11 && digits.startsWith('1')) {
+          digits = digits.substr(1);
+        }
         if (digits.length === 10) {
           return `${digits.substr(0,3)}-${digits.substr(3,3)}-${digits.substr(6,4)}`;
         }
@@ -404,16 +510,20 @@ class ConversationRecovery {
 
         let processed = input.toLowerCase();
         for (const [short, full] of Object.entries(informal)) {
-          processed = processed.replace(short, full);
+          processed = processed.replace(new RegExp(`\\b${short}\\b`, 'g'), full);
         }
 
+        // Only rewrite relative days we know how to parse
+        const dayMatch = processed.match(/\b(today|tomorrow|next\s+(?:sun|mon|tues|wednes|thurs|fri|satur)day)\b/);
+        if (!dayMatch) return null;
+
         // Try to extract time
-        const timeMatch = processed.match(/(\d{1,2})\s*(?::|\.)?(\d{2})?\s*(am|pm)?/i);
+        const timeMatch = processed.match(/\b(\d{1,2})\s*(?::|\.)?(\d{2})?\s*(am|pm)?\b/i);
         if (timeMatch) {
           const hour = parseInt(timeMatch[1]);
           const minute = timeMatch[2] ? parseInt(timeMatch[2]) : 0;
           const ampm = timeMatch[3] || (hour < 8 ? 'pm' : 'am');
-          return `tomorrow at ${hour}:${minute.toString().padStart(2, '0')} ${ampm}`;
+          return `${dayMatch[1]} at ${hour}:${minute.toString().padStart(2, '0')} ${ampm}`;
         }
 
         return null;
@@ -453,6 +563,31 @@ class ConversationRecovery {
     return mapping[state];
   }
 
+  /**
+   * Get the state that asks for an appointmentData field
+   */
+  getStateForField(dataKey) {
+    return ['ASK_OWNER_NAME', 'ASK_PET_NAME', 'ASK_PHONE', 'ASK_DATE_TIME']
+      .find(state => this.getFieldForState(state) === dataKey) || null;
+  }
+
+  /**
+   * Translate a Conversation.appointmentState into the recovery state
+   * for the question the user is currently answering
+   */
+  toRecoveryState(bookingState) {
+    return this.bookingStateMap[bookingState] || null;
+  }
+
+  /**
+   * Translate a recovery state back into the Conversation.appointmentState
+   * that awaits an answer to that question
+   */
+  toBookingState(recoveryState) {
+    return Object.keys(this.bookingStateMap)
+      .find(bookingState => this.bookingStateMap[bookingState] === recoveryState) || null;
+  }
+
   /**
    * Get question for a state
    */
@@ -461,7 +596,8 @@ class ConversationRecovery {
       'ASK_OWNER_NAME': 'What is your full name?',
       'ASK_PET_NAME': 'What is your pet\'s name?',
       'ASK_PHONE': 'What is the best phone number to reach you?',
-      'ASK_DATE_TIME': 'When would you like to schedule the appointment?'
+      'ASK_DATE_TIME': 'When would you like to schedule the appointment?',
+      'CONFIRMATION': 'Is this information correct?'
     };
     return questions[state];
   }
@@ -474,7 +610,8 @@ class ConversationRecovery {
       'ASK_OWNER_NAME': 'John Smith',
       'ASK_PET_NAME': 'Buddy',
       'ASK_PHONE': '555-123-4567',
-      'ASK_DATE_TIME': 'tomorrow at 2:30 PM'
+      'ASK_DATE_TIME': 'tomorrow at 2:30 PM',
+      'CONFIRMATION': 'yes'
     };
     return examples[state];
   }
@@ -487,7 +624,8 @@ class ConversationRecovery {
       'ASK_OWNER_NAME': 'Please provide your first and last name. This helps us identify your appointment.',
       'ASK_PET_NAME': 'Please tell us your pet\'s name. If you have multiple pets, provide the name of the pet who needs the appointment.',
       'ASK_PHONE': 'Please provide a phone number where we can reach you. Include area code (10 digits).',
-      'ASK_DATE_TIME': 'Please suggest a date and time that works for you. We\'re open Monday-Friday 9am-6pm, Saturday 9am-2pm.'
+      'ASK_DATE_TIME': `Please suggest a date and time that works for you. We're open ${AppointmentSlotManager.getWeeklyHoursSummary()}.`,
+      'CONFIRMATION': 'Please type \'yes\' to book the appointment, \'no\' to start over, or tell me what to change (e.g., "actually my phone is 555-123-4567").'
     };
     return helpTexts[state];
   }
@@ -499,20 +637,20 @@ class ConversationRecovery {
     if (state === 'ASK_DATE_TIME') {
       const suggestions = [];
       const now = new Date();
+      // Clinic calendar days - the server's "tomorrow" can be a day off
+      const dayLabel = (date) => ClinicTimeService.format(date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
 
       // Tomorrow slots
-      const tomorrow = new Date(now);
-      tomorrow.setDate(tomorrow.getDate() + 1);
+      const tomorrow = ClinicTimeService.addDays(now, 1);
       suggestions.push(
-        { label: 'Tomorrow 10:00 AM', value: `${tomorrow.toDateString()} 10:00 AM` },
-        { label: 'Tomorrow 2:00 PM', value: `${tomorrow.toDateString()} 2:00 PM` }
+        { label: 'Tomorrow 10:00 AM', value: `${dayLabel(tomorrow)} 10:00 AM` },
+        { label: 'Tomorrow 2:00 PM', value: `${dayLabel(tomorrow)} 2:00 PM` }
       );
 
       // Next week
-      const nextWeek = new Date(now);
-      nextWeek.setDate(nextWeek.getDate() + 7);
+      const nextWeek = ClinicTimeService.addDays(now, 7);
       suggestions.push(
-        { label: 'Next week', value: `${nextWeek.toDateString()} 10:00 AM` }
+        { label: 'Next week', value: `${dayLabel(nextWeek)} 10:00 AM` }
       );
 
       return suggestions;
@@ -1,14 +1,18 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createProvider } from './llm/index.js';
 
+/**
+ * Veterinary assistant prompt + LLM access
+ *
+ * Kept the GeminiService name since Gemini was the only backend for a long
+ * time; the actual model now comes from a pluggable provider (see ./llm).
+ */
 class GeminiService {
   constructor() {
-    // Log to verify API key is loaded
-    const apiKey = process.env.GEMINI_API_KEY;
-    console.log('Gemini API Key status:', apiKey ? `Loaded (${apiKey.substring(0, 10)}...)` : 'Missing');
+    // LLM_PROVIDER=gemini|openai|scripted
+    this.provider = createProvider();
+    console.log(`LLM provider: ${this.provider.name} (${this.provider.model})`);
 
-    this.genAI = new GoogleGenerativeAI(apiKey);
-    // Use latest gemini-2.0-flash-exp model with premium API key
-    this.model = this.genAI.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+    this.fallbackMessage = 'I apologize, but I\'m having trouble processing your request right now. Please try again later or contact your veterinarian directly for urgent matters.';
 
     this.systemPrompt = `You are a helpful veterinary assistant chatbot. Your role is to provide simple, easy-to-understand information about pet care.
 
@@ -48,64 +52,170 @@ IMPORTANT RESPONSE RULES:
 Remember: Keep it SIMPLE and SHORT. Talk like you're chatting with a friend about their pet.`;
   }
 
+  /**
+   * Swap the provider at runtime (tests, admin tooling)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
   async generateResponse(userMessage, conversationHistory = [], context = {}) {
+    const startTime = Date.now();
+
     try {
-      // Build context information
-      let contextPrompt = '';
-
-      if (context) {
-        // Add user profile context
-        if (context.userProfile) {
-          contextPrompt += `\nUser Profile:
-- Owner Name: ${context.userProfile.ownerName || 'Not provided'}
-- Pet Name: ${context.userProfile.petName || 'Not provided'}
-- Pet Type: ${context.userProfile.petType || 'Not provided'}
-- Email: ${context.userProfile.email || 'Not provided'}
-- Phone: ${context.userProfile.phone || 'Not provided'}\n`;
-        }
-
-        // Add appointments context
-        if (context.appointments) {
-          contextPrompt += `\nAppointment Information:
-- Total Appointments: ${context.appointments.total || 0}
-- Upcoming Appointments: ${context.appointments.upcoming || 0}`;
-
-          if (context.appointments.next) {
-            const next = context.appointments.next;
-            contextPrompt += `
-- Next Appointment: ${next.appointmentDate} at ${next.appointmentTime}
-  Reason: ${next.reason}
-  Status: ${next.status}`;
-          }
-
-          if (context.appointments.recent && context.appointments.recent.length > 0) {
-            contextPrompt += '\n- Recent Appointments:';
-            context.appointments.recent.forEach((apt, index) => {
-              contextPrompt += `
-  ${index + 1}. ${apt.appointmentDate} - ${apt.petName} - ${apt.reason} (${apt.status})`;
-            });
-          }
-          contextPrompt += '\n';
-        }
+      const request = this.buildRequest(userMessage, conversationHistory, context);
+
+      // Generate response
+      const result = await this.provider.generate(request);
+
+      return {
+        success: true,
+        message: result.text,
+        duration: Date.now() - startTime,
+        promptLength: this.getPromptLength(request),
+        usage: result.usage || null,
+        ...this.provider.describe()
+      };
+    } catch (error) {
+      console.error(`LLM API error (${this.provider.name}):`, error);
+
+      // Fallback response for API errors
+      return {
+        success: false,
+        message: this.fallbackMessage,
+        duration: Date.now() - startTime,
+        error,
+        ...this.provider.describe()
+      };
+    }
+  }
+
+  /**
+   * Same as generateResponse, but calls onChunk with each piece of text as
+   * the provider streams it. Resolves with the full response once done.
+   */
+  async streamResponse(userMessage, conversationHistory = [], context = {}, onChunk = () => {}) {
+    const startTime = Date.now();
+    let text = '';
+
+    try {
+      const request = this.buildRequest(userMessage, conversationHistory, context);
+
+      for await (const chunk of this.provider.stream(request)) {
+        text += chunk;
+        onChunk(chunk);
+      }
+
+      if (!text) {
+        throw new Error('Empty completion returned');
       }
 
-      // Enhanced system prompt with context awareness
-      const enhancedSystemPrompt = this.systemPrompt + `
+      return {
+        success: true,
+        message: text,
+        duration: Date.now() - startTime,
+        promptLength: this.getPromptLength(request),
+        ...this.provider.describe()
+      };
+    } catch (error) {
+      console.error(`LLM streaming error (${this.provider.name}):`, error);
+
+      // Keep whatever already reached the user; otherwise fall back
+      if (!text) {
+        onChunk(this.fallbackMessage);
+      }
+
+      return {
+        success: false,
+        message: text || this.fallbackMessage,
+        duration: Date.now() - startTime,
+        error,
+        ...this.provider.describe()
+      };
+    }
+  }
+
+  /**
+   * Render MedicalHistoryService.buildContext() output as prompt text
+   */
+  buildContextPrompt(context = {}) {
+    if (!context) return '';
+
+    let contextPrompt = context.today ? `\nToday's date: ${context.today}\n` : '';
+
+    if (context.pet) {
+      const pet = context.pet;
+      contextPrompt += `\nPet Being Discussed:
+- Name: ${pet.name}
+- Species: ${pet.species || 'Not recorded'}
+- Breed: ${pet.breed || 'Not recorded'}
+- Age: ${pet.age || 'Not recorded'}
+- Weight: ${pet.weightKg ? `${pet.weightKg} kg` : 'Not recorded'}
+- Allergies: ${pet.allergies?.length ? pet.allergies.join(', ') : 'None recorded'}\n`;
+
+      const statusText = {
+        overdue: 'OVERDUE',
+        due_soon: 'due soon',
+        upcoming: 'up to date',
+        unknown: 'no date - birthdate not recorded'
+      };
+      contextPrompt += '\nVaccinations:';
+      contextPrompt += pet.vaccinations?.length
+        ? pet.vaccinations.map(vaccination => `
+- ${vaccination.vaccine}${vaccination.dose ? ` (${vaccination.dose})` : ''}: ${vaccination.lastGiven ? `last given ${vaccination.lastGiven}` : 'not given yet'}${vaccination.nextDue ? `, next due ${vaccination.nextDue}` : ''} (${statusText[vaccination.status]})`).join('')
+        : ' None recorded';
+
+      contextPrompt += '\nCurrent Medications:';
+      contextPrompt += pet.medications?.length
+        ? pet.medications.map(medication => `
+- ${medication.name}${medication.dosage ? ` (${medication.dosage})` : ''} since ${medication.since}${medication.until ? ` until ${medication.until}` : ''}`).join('')
+        : ' None recorded';
+
+      contextPrompt += '\nPast Visits:';
+      contextPrompt += pet.pastVisits?.length
+        ? pet.pastVisits.map(visit => `
+- ${visit.date}: ${visit.reason}`).join('')
+        : ' None recorded';
+      contextPrompt += '\n';
+    } else if (context.pets) {
+      contextPrompt += `\nThe owner has several pets: ${context.pets.join('; ')}.
+If it matters which one they mean and it isn't clear, ask.\n`;
+    }
+
+    if (context.appointments) {
+      contextPrompt += '\nUpcoming Appointments:';
+      contextPrompt += context.appointments.upcoming?.length
+        ? context.appointments.upcoming.map(appointment => `
+- ${appointment.petName}: ${appointment.when} - ${appointment.reason} (${appointment.status})${appointment.veterinarian ? ` with ${appointment.veterinarian}` : ''}`).join('')
+        : ' None';
+      contextPrompt += '\n';
+    }
+
+    return contextPrompt;
+  }
+
+  /**
+   * Build the provider request: system prompt with the clinic's records + chat history
+   */
+  buildRequest(userMessage, conversationHistory = [], context = {}) {
+    const contextPrompt = this.buildContextPrompt(context);
+
+    // Enhanced system prompt with context awareness
+    const enhancedSystemPrompt = this.systemPrompt + `
 
 CONTEXT AWARENESS:
-You have access to the user's profile and appointment history. Use this information to:
-1. Personalize responses with pet and owner names when appropriate
-2. Reference upcoming or past appointments when relevant
-3. Remind about scheduled appointments if discussing related health issues
-4. Suggest checking appointment details if user asks about their bookings
-5. Offer to help reschedule if user mentions conflicts with existing appointments
+Below are the clinic's records for this owner (built by the clinic's system, not typed by the user). Use them to:
+1. Personalize responses with pet names when appropriate
+2. Mention vaccines that are overdue or due soon, and upcoming appointments, when relevant (e.g. "Bella's rabies booster is due next month")
+3. Take allergies and current medications into account in any advice
+4. Offer to help reschedule if user mentions conflicts with existing appointments (they can say "reschedule my appointment" or "cancel my appointment")
+5. Treat these records as the only source of truth about the pet's history - if the user's description contradicts them, suggest checking with the clinic
+If a record isn't listed, say you don't have it rather than guessing.
 
 APPOINTMENT QUERIES:
 If user asks about their appointments:
-- "Do I have any appointments?" → Check context.appointments
-- "When is my next appointment?" → Reference context.appointments.next
-- "What appointments have I booked?" → List from context.appointments.recent
-- "Tell me about my pet's history" → Reference past appointments and reasons
+- "Do I have any appointments?" / "When is my next appointment?" → Use Upcoming Appointments
+- "Tell me about my pet's history" → Use Past Visits, Vaccinations and Medications
 
 PROFILE UPDATES:
 If user wants to update their information:
@@ -117,34 +227,25 @@ If user wants to update their information:
 
 ${contextPrompt}`;
 
-      // Build the conversation context
-      const messages = [
-        enhancedSystemPrompt,
-        ...conversationHistory.map(msg =>
-          `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
-        ),
-        `User: ${userMessage}`,
-        'Assistant:'
-      ].join('\n\n');
-
-      // Generate response
-      const result = await this.model.generateContent(messages);
-      const response = result.response;
-      const text = response.text();
-
-      return {
-        success: true,
-        message: text
-      };
-    } catch (error) {
-      console.error('Gemini API error:', error);
+    // Build the conversation context
+    return {
+      systemPrompt: enhancedSystemPrompt,
+      messages: [
+        // Staff replies read as the clinic's side; handoff notices aren't conversation
+        ...conversationHistory.filter(msg => msg.role !== 'system').map(msg => ({
+          role: msg.role === 'user' ? 'user' : 'assistant',
+          content: msg.content
+        })),
+        { role: 'user', content: userMessage }
+      ]
+    };
+  }
 
-      // Fallback response for API errors
-      return {
-        success: false,
-        message: 'I apologize, but I\'m having trouble processing your request right now. Please try again later or contact your veterinarian directly for urgent matters.'
-      };
-    }
+  /**
+   * Prompt size in characters, for analytics
+   */
+  getPromptLength({ systemPrompt, messages }) {
+    return messages.reduce((total, msg) => total + msg.content.length, systemPrompt.length);
   }
 
   // Check if the message is about veterinary topics
@@ -0,0 +1,279 @@
+/**
+ * Human Handoff Service
+ *
+ * Lets clinic staff take over a chat. A chat asks for a person when the
+ * owner says so ("can I talk to a real person?") or triage flags an
+ * emergency; staff see it in the dashboard queue. While a staff member has
+ * taken over, the bot stays silent and owner messages go to them. Taking
+ * over and releasing are recorded in the transcript as system messages.
+ *
+ * Takeover, release and agent messages are single conditional updates, so
+ * two staff members can't take the same chat and a released chat can't get
+ * a stray agent reply.
+ */
+
+import Conversation from '../models/Conversation.js';
+import RealtimeService from './RealtimeService.js';
+
+const HUMAN_REQUEST_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a|an|the|your|some)?\s*(real\s+|actual\s+|live\s+)?(human|person|people|someone|somebody|vet|veterinarian|doctor|nurse|staff|receptionist|agent)\b/i,
+  /\b(real|live|actual)\s+(person|human|agent)\b/i,
+  /\bhuman\s+(agent|being|please)\b/i
+];
+
+class HandoffService {
+  /**
+   * Is the owner asking for a person?
+   */
+  detectRequest(message) {
+    return HUMAN_REQUEST_PATTERNS.some(pattern => pattern.test(message));
+  }
+
+  isActive(conversation) {
+    return conversation.handoff?.status === 'active';
+  }
+
+  /**
+   * How the owner sees the staff member: vets as "Dr. Name"
+   */
+  getAgentName(staff) {
+    return staff.role === 'vet' && !/^dr\.?\s/i.test(staff.name)
+      ? `Dr. ${staff.name}`
+      : staff.name;
+  }
+
+  /**
+   * The handoff state the widget and dashboard need
+   */
+  describe(conversation) {
+    const handoff = conversation.handoff || {};
+    return {
+      status: handoff.status || 'none',
+      reason: handoff.reason || null,
+      agentName: handoff.agentName || null,
+      staffId: handoff.staff ? String(handoff.staff) : null,
+      requestedAt: handoff.requestedAt || null,
+      startedAt: handoff.startedAt || null
+    };
+  }
+
+  /**
+   * Put the chat in the staff queue; the caller saves the conversation and
+   * then calls publish(). Returns false if it's already waiting or taken.
+   */
+  request(conversation, reason) {
+    if (conversation.handoff?.status && conversation.handoff.status !== 'none') {
+      return false;
+    }
+
+    conversation.handoff = {
+      status: 'requested',
+      reason,
+      requestedAt: new Date()
+    };
+    conversation.messages.push({
+      role: 'system',
+      event: 'handoff_requested',
+      content: reason === 'emergency'
+        ? 'Emergency - the clinic team was alerted'
+        : 'The owner asked to talk to a person'
+    });
+    return true;
+  }
+
+  /**
+   * Is any staff member on the dashboard to see a request?
+   */
+  isStaffOnline() {
+    return RealtimeService.isStaffOnline();
+  }
+
+  /**
+   * What the bot tells the owner after they ask for a person
+   */
+  getRequestReply(clinic = {}) {
+    if (this.isStaffOnline()) {
+      return 'I\'ve asked the clinic team to join this chat - someone will be with you shortly. You can keep chatting with me in the meantime.';
+    }
+
+    const phone = clinic.emergencyPhone ? ` or call us on ${clinic.emergencyPhone}` : '';
+    return `No one from the clinic team is online right now, but I've flagged this chat so they see it. You can keep chatting with me${phone}.`;
+  }
+
+  /**
+   * Tell staff dashboards about new messages in a chat that's waiting for,
+   * or with, a person
+   */
+  publish(conversation, messages = []) {
+    if (!conversation.handoff?.status || conversation.handoff.status === 'none') return;
+
+    RealtimeService.toStaff({
+      type: 'conversation',
+      sessionId: conversation.sessionId,
+      userName: conversation.context?.userName || null,
+      triage: conversation.triage?.level || 'routine',
+      handoff: this.describe(conversation),
+      messages
+    });
+  }
+
+  /**
+   * Staff member takes over the chat.
+   * Returns { conversation } or { error, status }.
+   */
+  async takeOver(sessionId, staff) {
+    const agentName = this.getAgentName(staff);
+    const now = new Date();
+    const event = {
+      role: 'system',
+      event: 'handoff',
+      agentName,
+      content: `You're now chatting with ${agentName}`,
+      timestamp: now
+    };
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { sessionId, 'handoff.status': { $ne: 'active' } },
+      {
+        $set: {
+          'handoff.status': 'active',
+          'handoff.staff': staff._id,
+          'handoff.agentName': agentName,
+          'handoff.startedAt': now,
+          updatedAt: now
+        },
+        $push: { messages: event }
+      },
+      { new: true }
+    );
+
+    if (!conversation) {
+      const existing = await Conversation.findOne({ sessionId }).lean();
+      if (!existing) {
+        return { error: 'Conversation not found', status: 404 };
+      }
+      if (String(existing.handoff?.staff) === String(staff._id)) {
+        return { conversation: existing };
+      }
+      return { error: `${existing.handoff.agentName} is already chatting with this owner`, status: 409 };
+    }
+
+    this.announce(conversation);
+    return { conversation };
+  }
+
+  /**
+   * Hand the chat back to the bot, or close a request nobody took.
+   * Any staff member can release, e.g. when covering for a colleague.
+   */
+  async release(sessionId, staff) {
+    const current = await Conversation.findOne({ sessionId }).lean();
+    if (!current) {
+      return { error: 'Conversation not found', status: 404 };
+    }
+    if (!current.handoff?.status || current.handoff.status === 'none') {
+      return { error: 'This chat isn\'t waiting for or with a person', status: 409 };
+    }
+
+    const wasActive = current.handoff.status === 'active';
+    const now = new Date();
+    const event = {
+      role: 'system',
+      event: 'release',
+      agentName: wasActive ? current.handoff.agentName : this.getAgentName(staff),
+      content: wasActive
+        ? `${current.handoff.agentName} has left the chat. The assistant is back to help.`
+        : `${this.getAgentName(staff)} closed the request for a person`,
+      timestamp: now
+    };
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { sessionId, 'handoff.status': current.handoff.status, 'handoff.startedAt': current.handoff.startedAt ?? null },
+      {
+        $set: { handoff: { status: 'none' }, updatedAt: now },
+        $push: { messages: event }
+      },
+      { new: true }
+    );
+
+    // Someone else took over or released it in the meantime
+    if (!conversation) {
+      return { error: 'The chat changed hands - reload and try again', status: 409 };
+    }
+
+    this.announce(conversation, wasActive);
+    return { conversation };
+  }
+
+  /**
+   * Staff reply in a chat they've taken over
+   */
+  async sendMessage(sessionId, staff, content) {
+    const message = {
+      role: 'agent',
+      content,
+      agentName: this.getAgentName(staff),
+      timestamp: new Date()
+    };
+
+    const conversation = await Conversation.findOneAndUpdate(
+      { sessionId, 'handoff.status': 'active', 'handoff.staff': staff._id },
+      { $push: { messages: message }, $set: { updatedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!conversation) {
+      const exists = await Conversation.exists({ sessionId });
+      return exists
+        ? { error: 'Take over the chat before replying', status: 409 }
+        : { error: 'Conversation not found', status: 404 };
+    }
+
+    const saved = conversation.messages[conversation.messages.length - 1];
+    RealtimeService.toSession(sessionId, { type: 'message', message: saved });
+    this.publish(conversation, [saved]);
+    return { conversation, message: saved };
+  }
+
+  /**
+   * Push a takeover or release to the owner's widget and staff dashboards
+   */
+  announce(conversation, notifyOwner = true) {
+    const event = conversation.messages[conversation.messages.length - 1];
+    const handoff = this.describe(conversation);
+
+    if (notifyOwner) {
+      RealtimeService.toSession(conversation.sessionId, { type: 'handoff', handoff, message: event });
+    }
+    RealtimeService.toStaff({
+      type: 'conversation',
+      sessionId: conversation.sessionId,
+      userName: conversation.context?.userName || null,
+      triage: conversation.triage?.level || 'routine',
+      handoff,
+      messages: [event]
+    });
+  }
+
+  /**
+   * Chats waiting for a person (oldest first), then those with one
+   */
+  async getQueue() {
+    const conversations = await Conversation.find({ 'handoff.status': { $in: ['requested', 'active'] } })
+      .sort({ 'handoff.requestedAt': 1, updatedAt: 1 })
+      .lean();
+
+    return conversations
+      .map(conversation => ({
+        sessionId: conversation.sessionId,
+        userName: conversation.context?.userName || null,
+        triage: conversation.triage?.level || 'routine',
+        handoff: this.describe(conversation),
+        lastMessage: conversation.messages[conversation.messages.length - 1]?.content?.slice(0, 120) || null,
+        updatedAt: conversation.updatedAt
+      }))
+      .sort((a, b) => (a.handoff.status === b.handoff.status ? 0 : a.handoff.status === 'requested' ? -1 : 1));
+  }
+}
+
+export default new HandoffService();
@@ -0,0 +1,188 @@
+/**
+ * iCalendar Service
+ *
+ * Turns appointments into iCalendar (RFC 5545) text: a single event the
+ * owner can add to their own calendar, and the clinic-wide and per-vet
+ * feeds staff subscribe to.
+ *
+ * Events keep the appointment's id as their UID, so when a visit is moved
+ * or cancelled a calendar app updates the event it already has instead of
+ * adding another one.
+ */
+
+import Appointment from '../models/Appointment.js';
+import AppointmentSlotManager from './AppointmentSlotManager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ICalendarService {
+  constructor() {
+    this.productId = '-//Vet Chatbot//Appointments//EN';
+    this.uidDomain = process.env.ICAL_UID_DOMAIN || 'vet-chatbot';
+    this.feedPastDays = 30;       // Feeds keep recent visits for reference
+    this.feedFutureDays = 365;
+    this.feedRefreshMinutes = 15; // Hint to subscribing calendar apps
+  }
+
+  clinicName() {
+    return process.env.CLINIC_NAME || 'Veterinary clinic';
+  }
+
+  /**
+   * 20261019T150000Z
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Backslash, semicolon, comma and newline have to be escaped in text values
+   */
+  escapeText(value) {
+    return String(value ?? '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Lines longer than 75 octets continue on the next line after a space
+   */
+  foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+      const charSize = Buffer.byteLength(char, 'utf8');
+      // Continuation lines start with a space, which counts towards the 75
+      if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += charSize;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Changes since the booking, as a count of seconds - grows with every
+   * reschedule or status change, which is all SEQUENCE needs to do
+   */
+  getSequence(appointment) {
+    if (!appointment.updatedAt || !appointment.createdAt) return 0;
+    return Math.max(0, Math.floor((new Date(appointment.updatedAt) - new Date(appointment.createdAt)) / 1000));
+  }
+
+  /**
+   * VEVENT lines for one appointment. audience 'owner' shows the visit from
+   * the owner's side; 'staff' adds the owner's contact details.
+   */
+  buildEvent(appointment, audience = 'owner', now = new Date()) {
+    const start = new Date(appointment.scheduledAt);
+    const end = new Date(start.getTime() + AppointmentSlotManager.slotDuration * 60 * 1000);
+    const vet = appointment.veterinarianName;
+
+    const summary = audience === 'staff'
+      ? `${appointment.petName} (${appointment.petType}) - ${appointment.reason || 'Appointment'}`
+      : `${appointment.petName}'s vet appointment${vet ? ` with ${vet}` : ''}`;
+
+    const description = [
+      `Pet: ${appointment.petName} (${appointment.petType})`,
+      appointment.reason ? `Reason: ${appointment.reason}` : null,
+      vet ? `Vet: ${vet}` : null,
+      audience === 'staff' ? `Owner: ${appointment.ownerName}, ${appointment.phone}${appointment.email ? `, ${appointment.email}` : ''}` : null,
+      audience === 'staff' && appointment.urgency !== 'normal' ? `Urgency: ${appointment.urgency}` : null,
+      `Status: ${appointment.status}`
+    ].filter(Boolean).join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:${appointment._id}@${this.uidDomain}`,
+      `DTSTAMP:${this.formatDate(now)}`,
+      `DTSTART:${this.formatDate(start)}`,
+      `DTEND:${this.formatDate(end)}`,
+      `SEQUENCE:${this.getSequence(appointment)}`,
+      `LAST-MODIFIED:${this.formatDate(appointment.updatedAt || appointment.createdAt || now)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      `LOCATION:${this.escapeText(this.clinicName())}`,
+      `STATUS:${appointment.status === 'cancelled' ? 'CANCELLED' : appointment.status === 'pending' ? 'TENTATIVE' : 'CONFIRMED'}`,
+      'END:VEVENT'
+    ];
+  }
+
+  /**
+   * A complete VCALENDAR document from event line arrays, CRLF-terminated
+   */
+  buildCalendar(events, { name, refresh = false } = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${this.productId}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...(name ? [`X-WR-CALNAME:${this.escapeText(name)}`] : []),
+      ...(refresh ? [
+        `REFRESH-INTERVAL;VALUE=DURATION:PT${this.feedRefreshMinutes}M`,
+        `X-PUBLISHED-TTL:PT${this.feedRefreshMinutes}M`
+      ] : []),
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * .ics for one appointment, for the owner's calendar
+   */
+  buildAppointmentCalendar(appointment) {
+    return this.buildCalendar([this.buildEvent(appointment, 'owner')]);
+  }
+
+  /**
+   * Confirmed appointments from feedPastDays ago to feedFutureDays ahead,
+   * for one vet or the whole clinic. Once confirmed, an appointment stays in
+   * the feed: moved by the owner it shows as tentative at the new time
+   * until it's confirmed again, cancelled it shows as cancelled so
+   * subscribed calendars drop it.
+   */
+  async buildFeed({ vetId = null, name } = {}, now = new Date()) {
+    const filter = {
+      scheduledAt: {
+        $gte: new Date(now.getTime() - this.feedPastDays * DAY_MS),
+        $lte: new Date(now.getTime() + this.feedFutureDays * DAY_MS)
+      },
+      $or: [
+        { status: 'confirmed' },
+        { confirmedAt: { $exists: true } }
+      ]
+    };
+    if (vetId) filter.veterinarian = vetId;
+
+    const appointments = await Appointment.find(filter).sort({ scheduledAt: 1 }).lean();
+
+    return this.buildCalendar(
+      appointments.map(appointment => this.buildEvent(appointment, 'staff', now)),
+      { name, refresh: true }
+    );
+  }
+
+  /**
+   * Safe file name for the download: "bella-2026-10-19.ics"
+   */
+  getFileName(appointment) {
+    const pet = String(appointment.petName || 'appointment').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'appointment';
+    const date = appointment.scheduledAt ? new Date(appointment.scheduledAt).toISOString().slice(0, 10) : 'visit';
+    return `${pet}-${date}.ics`;
+  }
+}
+
+export default new ICalendarService();
@@ -0,0 +1,133 @@
+/**
+ * Medical History Service
+ *
+ * Builds what the assistant is told about the owner's pets and visits from
+ * the clinic's own records - pet profiles, staff-recorded vaccinations and
+ * medications, and saved appointments - so it can say "Bella's rabies
+ * booster is due next month".
+ *
+ * Evolution:
+ * v1: Profile and appointment summary sent by the widget from localStorage -
+ *     anything typed there reached the prompt as fact
+ * v2: Server-side records only - Current implementation
+ */
+
+import Appointment from '../models/Appointment.js';
+import ClinicTimeService from './ClinicTimeService.js';
+import PetProfileService from './PetProfileService.js';
+import VaccinationService from './VaccinationService.js';
+
+class MedicalHistoryService {
+  constructor() {
+    this.maxPastVisits = 5;
+    this.maxAppointments = 20;
+  }
+
+  formatDate(date) {
+    return ClinicTimeService.format(date, { month: 'long', day: 'numeric', year: 'numeric' });
+  }
+
+  /**
+   * Shots from the pet's schedule, skipping non-core vaccines it never had:
+   * [{ vaccine, dose, lastGiven, nextDue, status: 'overdue' | 'due_soon' | 'upcoming' | 'unknown' }]
+   */
+  summarizeVaccinations(pet, now = new Date()) {
+    return VaccinationService.getSchedule(pet, now)
+      .filter(item => item.status !== 'optional')
+      .map(item => ({
+        vaccine: item.name,
+        dose: item.dose,
+        lastGiven: item.lastGiven ? this.formatDate(item.lastGiven) : null,
+        nextDue: item.dueAt ? this.formatDate(item.dueAt) : null,
+        status: item.status
+      }));
+  }
+
+  /**
+   * Medications still being given: [{ name, dosage, since, until }]
+   */
+  summarizeMedications(medications = [], now = new Date()) {
+    return medications
+      .filter(medication => !medication.endsAt || new Date(medication.endsAt) > now)
+      .map(medication => ({
+        name: medication.name,
+        dosage: medication.dosage || null,
+        since: this.formatDate(medication.startedAt),
+        until: medication.endsAt ? this.formatDate(medication.endsAt) : null
+      }));
+  }
+
+  /**
+   * Whether an appointment is for this pet - older bookings only have the name
+   */
+  isForPet(appointment, pet) {
+    return appointment.pet
+      ? String(appointment.pet) === String(pet._id)
+      : appointment.petName?.toLowerCase() === pet.name.toLowerCase();
+  }
+
+  summarizeAppointment(appointment) {
+    return {
+      petName: appointment.petName,
+      when: appointment.scheduledAt ? ClinicTimeService.formatLong(appointment.scheduledAt) : appointment.preferredDateTime,
+      reason: appointment.reason,
+      status: appointment.status,
+      veterinarian: appointment.veterinarianName || null
+    };
+  }
+
+  /**
+   * Trusted context for GeminiService:
+   * { today, pet?, pets?, appointments: { upcoming, past } }
+   * pet (the one being discussed) carries its profile, vaccinations,
+   * medications and past visits; otherwise pets lists the household.
+   */
+  async buildContext(sessionId, pets = [], activePetId = null, now = new Date()) {
+    // Bookings from any of the owner's sessions, plus this one's
+    const ownerId = pets[0]?.owner;
+    const appointments = await Appointment.find({
+      $or: ownerId ? [{ sessionId }, { owner: ownerId }] : [{ sessionId }],
+      status: { $ne: 'cancelled' }
+    })
+      .sort({ scheduledAt: -1 })
+      .limit(this.maxAppointments)
+      .lean();
+
+    const isPast = appointment => appointment.scheduledAt && new Date(appointment.scheduledAt) < now;
+    const upcoming = appointments.filter(appointment => !isPast(appointment)).reverse();
+    const past = appointments.filter(isPast);
+
+    const context = {
+      today: ClinicTimeService.format(now, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' }),
+      appointments: {
+        upcoming: upcoming.map(appointment => this.summarizeAppointment(appointment)),
+        past: past.slice(0, this.maxPastVisits).map(appointment => this.summarizeAppointment(appointment))
+      }
+    };
+
+    // With one pet there's nothing to choose
+    const activePet = pets.find(pet => String(pet._id) === String(activePetId)) ||
+      (pets.length === 1 ? pets[0] : null);
+
+    if (activePet) {
+      context.pet = {
+        ...PetProfileService.toPromptProfile(activePet),
+        vaccinations: this.summarizeVaccinations(activePet, now),
+        medications: this.summarizeMedications(activePet.medications, now),
+        pastVisits: past
+          .filter(appointment => this.isForPet(appointment, activePet))
+          .slice(0, this.maxPastVisits)
+          .map(appointment => ({
+            date: this.formatDate(appointment.scheduledAt),
+            reason: appointment.reason
+          }))
+      };
+    } else if (pets.length > 1) {
+      context.pets = pets.map(pet => PetProfileService.describePet(pet));
+    }
+
+    return context;
+  }
+}
+
+export default new MedicalHistoryService();
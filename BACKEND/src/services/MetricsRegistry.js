@@ -0,0 +1,159 @@
+/**
+ * Prometheus Metrics Registry
+ *
+ * Counters, gauges and histograms for /metrics, in the Prometheus text
+ * format. AnalyticsService records into these alongside its own reports;
+ * the rate limiter and cache report through AnalyticsService too.
+ *
+ * Like any Prometheus client, counts are per process: scrape every
+ * instance and sum in the query. Gauges read at scrape time (active
+ * sessions) come from the shared state store, so they're the same on
+ * every instance.
+ *
+ * Route labels are Express route patterns (/api/chat/:sessionId), never
+ * raw URLs, so session ids can't blow up the number of series.
+ */
+
+import client from 'prom-client';
+import { getStateStore } from './storage/index.js';
+import RealtimeService from './RealtimeService.js';
+
+const PREFIX = 'vet_chatbot_';
+
+class MetricsRegistry {
+  constructor() {
+    this.register = new client.Registry();
+    this.cacheLookups = { hit: 0, miss: 0 };
+
+    client.collectDefaultMetrics({ register: this.register, prefix: PREFIX });
+
+    const register = this.register;
+    const cacheLookups = this.cacheLookups;
+
+    this.httpRequests = new client.Counter({
+      name: `${PREFIX}http_requests_total`,
+      help: 'HTTP requests by route, method and status',
+      labelNames: ['route', 'method', 'status'],
+      registers: [register]
+    });
+
+    this.httpDuration = new client.Histogram({
+      name: `${PREFIX}http_request_duration_seconds`,
+      help: 'HTTP response time in seconds by route, method and status',
+      labelNames: ['route', 'method', 'status'],
+      buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+      registers: [register]
+    });
+
+    this.llmDuration = new client.Histogram({
+      name: `${PREFIX}llm_request_duration_seconds`,
+      help: 'LLM API call time in seconds by provider, model and outcome',
+      labelNames: ['provider', 'model', 'outcome'],
+      buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60],
+      registers: [register]
+    });
+
+    this.cacheRequests = new client.Counter({
+      name: `${PREFIX}cache_lookups_total`,
+      help: 'Answer cache lookups by layer (exact, semantic) and result (hit, miss)',
+      labelNames: ['layer', 'result'],
+      registers: [register]
+    });
+
+    this.cacheHitRatio = new client.Gauge({
+      name: `${PREFIX}cache_hit_ratio`,
+      help: 'Share of answer cache lookups served from the cache since start',
+      registers: [register],
+      collect() {
+        const total = cacheLookups.hit + cacheLookups.miss;
+        this.set(total > 0 ? cacheLookups.hit / total : 0);
+      }
+    });
+
+    this.rateLimitRejections = new client.Counter({
+      name: `${PREFIX}rate_limit_rejections_total`,
+      help: 'Requests turned away by the rate limiter by reason (rate_limited, blocked, suspicious) and endpoint',
+      labelNames: ['reason', 'endpoint'],
+      registers: [register]
+    });
+
+    this.bookingFunnel = new client.Counter({
+      name: `${PREFIX}booking_funnel_total`,
+      help: 'Bookings by funnel event (started, completed, abandoned, invalid, slot_unavailable) and channel (chat, form)',
+      labelNames: ['event', 'channel'],
+      registers: [register]
+    });
+
+    this.triage = new client.Counter({
+      name: `${PREFIX}triage_total`,
+      help: 'Triaged owner messages by level',
+      labelNames: ['level'],
+      registers: [register]
+    });
+
+    this.errors = new client.Counter({
+      name: `${PREFIX}errors_total`,
+      help: 'Tracked errors by source',
+      labelNames: ['source'],
+      registers: [register]
+    });
+
+    this.activeSessions = new client.Gauge({
+      name: `${PREFIX}active_sessions`,
+      help: 'Chat sessions currently open across all instances',
+      registers: [register],
+      async collect() {
+        try {
+          // AnalyticsService's shared session counter
+          this.set(Math.max(0, (await getStateStore().get('analytics:activeConnections')) || 0));
+        } catch (error) {
+          console.error('Metrics store error:', error.message);
+        }
+      }
+    });
+
+    this.realtimeConnections = new client.Gauge({
+      name: `${PREFIX}realtime_connections`,
+      help: 'Open live chat sockets on this instance by role',
+      labelNames: ['role'],
+      registers: [register],
+      collect() {
+        const { ownerSockets, staffSockets } = RealtimeService.getStatistics();
+        this.set({ role: 'owner' }, ownerSockets);
+        this.set({ role: 'staff' }, staffSockets);
+      }
+    });
+  }
+
+  get contentType() {
+    return this.register.contentType;
+  }
+
+  observeRequest({ route, method, status, duration }) {
+    const labels = { route, method, status: String(status) };
+    this.httpRequests.inc(labels);
+    this.httpDuration.observe(labels, duration / 1000);
+  }
+
+  observeLLMCall({ provider, model, success, duration }) {
+    this.llmDuration.observe(
+      { provider: provider || 'unknown', model: model || 'unknown', outcome: success ? 'success' : 'error' },
+      duration / 1000
+    );
+  }
+
+  countCacheLookup(layer, hit) {
+    const result = hit ? 'hit' : 'miss';
+    this.cacheLookups[result]++;
+    this.cacheRequests.inc({ layer, result });
+  }
+
+  /**
+   * The whole registry in the Prometheus text format
+   */
+  metrics() {
+    return this.register.metrics();
+  }
+}
+
+export default new MetricsRegistry();
@@ -0,0 +1,382 @@
+/**
+ * Notification Service
+ *
+ * Tells owners about their appointments - booking confirmations, reminders
+ * 24 hours and 2 hours before, moves and cancellations - by email and SMS.
+ *
+ * Every message is a NotificationJob in MongoDB. A worker sends the jobs
+ * whose time has come through the channel's notifier and retries failures
+ * with backoff, so a restart or a mail server outage doesn't lose messages
+ * and reminders can be queued days ahead.
+ *
+ * Evolution:
+ * v1: "We'll contact you shortly" - nothing was ever sent
+ * v2: Templated messages through a persistent job queue and pluggable
+ *     email/SMS notifiers - Current implementation
+ */
+
+import Appointment from '../models/Appointment.js';
+import NotificationJob, { NOTIFICATION_CHANNELS } from '../models/NotificationJob.js';
+import Owner from '../models/Owner.js';
+import ClinicTimeService from './ClinicTimeService.js';
+import { createChannelNotifier } from './notifiers/index.js';
+import { renderNotification } from './notifiers/templates.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+class NotificationService {
+  constructor() {
+    this.reminders = [
+      { key: '24h', beforeMs: 24 * HOUR_MS, leadTime: 'tomorrow' },
+      { key: '2h', beforeMs: 2 * HOUR_MS, leadTime: 'in 2 hours' }
+    ];
+    // Wait before retry n; the last delay repeats until maxAttempts
+    this.retryDelaysMs = [1 * MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS, HOUR_MS];
+    this.staleLockMs = 10 * MINUTE_MS;   // A job stuck in 'sending' this long is retried
+    this.batchSize = 20;
+    this.pollIntervalMs = (parseFloat(process.env.NOTIFICATION_POLL_SECONDS) || 30) * 1000;
+
+    this.transports = {};
+    this.unavailable = new Set();   // Channels whose notifier couldn't be created, logged once
+    this.intervalId = null;
+    this.processing = null;
+  }
+
+  /**
+   * The notifier for a channel, created on first use so NOTIFIER_* can be
+   * set after import
+   */
+  getTransport(channel) {
+    if (!this.transports[channel]) {
+      this.transports[channel] = createChannelNotifier(channel);
+      console.log(`${channel} notifications via ${this.transports[channel].name} notifier`);
+    }
+    return this.transports[channel];
+  }
+
+  /**
+   * Whether the channel has a notifier that can deliver on it - NOTIFIER=smtp
+   * alone leaves SMS without one, and a misconfigured SMS gateway shouldn't
+   * stop the emails
+   */
+  canDeliver(channel) {
+    try {
+      return this.getTransport(channel).channels.includes(channel);
+    } catch (error) {
+      if (!this.unavailable.has(channel)) {
+        console.error(`No ${channel} notifier:`, error.message);
+        this.unavailable.add(channel);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Swap a channel's notifier at runtime (tests use a CaptureNotifier);
+   * without a channel, both
+   */
+  setTransport(channel, notifier) {
+    for (const name of channel ? [channel] : NOTIFICATION_CHANNELS) {
+      this.transports[name] = notifier;
+      this.unavailable.delete(name);
+    }
+  }
+
+  /**
+   * Queue a message on every channel the recipient can be reached on and
+   * that has a notifier (channels limits which). Returns the queued jobs.
+   * With a dedupeKey, a message already queued under that key isn't queued
+   * again; a cancelled one is revived instead.
+   */
+  async enqueue({ template, to, data, appointment, runAt = new Date(), dedupeKey, channels = NOTIFICATION_CHANNELS }) {
+    const reachable = channels.filter(channel =>
+      (channel === 'email' ? to?.email : to?.phone) && this.canDeliver(channel)
+    );
+    const jobs = [];
+
+    for (const channel of reachable) {
+      const fields = { channel, template, to, data, appointment, runAt };
+      const key = dedupeKey ? `${dedupeKey}:${channel}` : undefined;
+
+      try {
+        jobs.push(await new NotificationJob({ ...fields, dedupeKey: key }).save());
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        const revived = await NotificationJob.findOneAndUpdate(
+          { dedupeKey: key, status: 'cancelled' },
+          { $set: { ...fields, status: 'pending', attempts: 0 }, $unset: { lastError: 1, lockedAt: 1 } },
+          { new: true }
+        );
+        if (revived) jobs.push(revived);
+      }
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Who to tell about an appointment. Chat bookings don't ask for an email,
+   * so fall back to the owner profile's.
+   */
+  async getRecipient(appointment) {
+    let email = appointment.email;
+    if (!email && appointment.owner) {
+      const owner = await Owner.findById(appointment.owner).lean();
+      email = owner?.email;
+    }
+
+    return { name: appointment.ownerName, email, phone: appointment.phone };
+  }
+
+  /**
+   * Template data for an appointment as it is now
+   */
+  describeAppointment(appointment) {
+    return {
+      ownerName: appointment.ownerName,
+      petName: appointment.petName,
+      when: appointment.scheduledAt ? ClinicTimeService.formatLong(appointment.scheduledAt) : appointment.preferredDateTime,
+      yourTime: appointment.scheduledAt ? ClinicTimeService.describeForClient(appointment.scheduledAt, appointment.clientTimeZone) : '',
+      veterinarian: appointment.veterinarianName || null,
+      reason: appointment.reason,
+      scheduledAt: appointment.scheduledAt
+    };
+  }
+
+  async notifyAppointment(template, appointment, to, extra = {}) {
+    return this.enqueue({
+      template,
+      to,
+      data: this.describeAppointment(appointment),
+      appointment: appointment._id,
+      ...extra
+    });
+  }
+
+  /**
+   * Queue the 24h and 2h reminders still ahead of the visit
+   */
+  async scheduleReminders(appointment, to, now = new Date()) {
+    if (!appointment.scheduledAt) return [];
+
+    const jobs = [];
+    for (const reminder of this.reminders) {
+      const runAt = new Date(appointment.scheduledAt.getTime() - reminder.beforeMs);
+      if (runAt <= now) continue;
+
+      jobs.push(...await this.enqueue({
+        template: 'appointment_reminder',
+        to,
+        data: { ...this.describeAppointment(appointment), leadTime: reminder.leadTime },
+        appointment: appointment._id,
+        runAt,
+        dedupeKey: `${appointment._id}:reminder_${reminder.key}:${appointment.scheduledAt.toISOString()}`
+      }));
+    }
+    return jobs;
+  }
+
+  async cancelReminders(appointmentId) {
+    await NotificationJob.updateMany(
+      { appointment: appointmentId, template: 'appointment_reminder', status: 'pending' },
+      { status: 'cancelled' }
+    );
+  }
+
+  // The appointment events below never throw: the booking itself matters
+  // more than its messages. Each returns the jobs it queued.
+
+  /**
+   * Confirmation now, reminders later
+   */
+  async appointmentBooked(appointment) {
+    try {
+      const to = await this.getRecipient(appointment);
+      const jobs = await this.notifyAppointment('appointment_confirmation', appointment, to, {
+        dedupeKey: `${appointment._id}:confirmation`
+      });
+      await this.scheduleReminders(appointment, to);
+      return jobs;
+    } catch (error) {
+      console.error('Queue booking notifications error:', error);
+      return [];
+    }
+  }
+
+  async appointmentRescheduled(appointment) {
+    try {
+      const to = await this.getRecipient(appointment);
+      await this.cancelReminders(appointment._id);
+      const jobs = await this.notifyAppointment('appointment_rescheduled', appointment, to);
+      await this.scheduleReminders(appointment, to);
+      return jobs;
+    } catch (error) {
+      console.error('Queue reschedule notifications error:', error);
+      return [];
+    }
+  }
+
+  async appointmentCancelled(appointment) {
+    try {
+      await this.cancelReminders(appointment._id);
+      const to = await this.getRecipient(appointment);
+      return await this.notifyAppointment('appointment_cancelled', appointment, to, {
+        dedupeKey: `${appointment._id}:cancelled:${appointment.scheduledAt?.toISOString() || appointment.preferredDateTime}`
+      });
+    } catch (error) {
+      console.error('Queue cancellation notifications error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * A staff member reopened a cancelled appointment - bring its reminders back
+   */
+  async appointmentReinstated(appointment) {
+    try {
+      return await this.scheduleReminders(appointment, await this.getRecipient(appointment));
+    } catch (error) {
+      console.error('Queue reminder notifications error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Messages the appointment has overtaken since they were queued: a
+   * reminder for a visit that was cancelled, moved or has already happened,
+   * or a cancellation notice for one staff reinstated
+   */
+  async isStale(job, now) {
+    if (!job.appointment || !['appointment_reminder', 'appointment_cancelled'].includes(job.template)) {
+      return false;
+    }
+
+    const appointment = await Appointment.findById(job.appointment).lean();
+    if (!appointment) return true;
+    if (job.template === 'appointment_cancelled') return appointment.status !== 'cancelled';
+
+    return appointment.status === 'cancelled' ||
+      !appointment.scheduledAt ||
+      appointment.scheduledAt <= now ||
+      new Date(job.data?.scheduledAt).getTime() !== appointment.scheduledAt.getTime();
+  }
+
+  getRetryDelay(attempts) {
+    return this.retryDelaysMs[Math.min(attempts, this.retryDelaysMs.length) - 1];
+  }
+
+  /**
+   * Send one claimed job and record how it went
+   */
+  async deliver(job, now = new Date()) {
+    try {
+      if (await this.isStale(job, now)) {
+        job.status = 'cancelled';
+        job.lockedAt = undefined;
+        return await job.save();
+      }
+
+      const { subject, text } = renderNotification(job.template, job.channel, job.data);
+      const result = await this.getTransport(job.channel).send({
+        channel: job.channel,
+        to: job.to,
+        subject,
+        text,
+        category: job.template,
+        metadata: { jobId: String(job._id), appointmentId: job.appointment ? String(job.appointment) : undefined }
+      });
+
+      Object.assign(job, {
+        status: 'sent',
+        sentAt: result.sentAt,
+        notifier: result.notifier,
+        providerId: result.providerId,
+        lockedAt: undefined
+      });
+    } catch (error) {
+      console.error(`Notification ${job._id} (${job.template}, ${job.channel}) attempt ${job.attempts} failed:`, error.message);
+
+      const exhausted = job.attempts >= job.maxAttempts;
+      Object.assign(job, {
+        status: exhausted ? 'failed' : 'pending',
+        runAt: exhausted ? job.runAt : new Date(now.getTime() + this.getRetryDelay(job.attempts)),
+        lastError: error.message,
+        lockedAt: undefined
+      });
+    }
+
+    return job.save();
+  }
+
+  /**
+   * Send every job that's due. Jobs are claimed one at a time with an
+   * atomic update, so two server instances never send the same message.
+   * Returns { sent, failed, retrying, cancelled }.
+   */
+  async processDue(now = new Date()) {
+    const summary = { sent: 0, failed: 0, retrying: 0, cancelled: 0 };
+
+    // A worker that died mid-send left these behind
+    await NotificationJob.updateMany(
+      { status: 'sending', lockedAt: { $lt: new Date(now.getTime() - this.staleLockMs) } },
+      { status: 'pending' }
+    );
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const job = await NotificationJob.findOneAndUpdate(
+        { status: 'pending', runAt: { $lte: now } },
+        { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+        { sort: { runAt: 1 }, new: true }
+      );
+      if (!job) break;
+
+      const result = await this.deliver(job, now);
+      if (result.status === 'sent') summary.sent++;
+      else if (result.status === 'failed') summary.failed++;
+      else if (result.status === 'cancelled') summary.cancelled++;
+      else summary.retrying++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Failed job back in the queue for another round of attempts
+   */
+  async retry(jobId) {
+    return NotificationJob.findOneAndUpdate(
+      { _id: jobId, status: 'failed' },
+      { $set: { status: 'pending', runAt: new Date(), attempts: 0 }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Poll for due jobs every pollIntervalMs
+   */
+  start() {
+    if (this.intervalId) return;
+
+    const run = () => {
+      if (this.processing) return;   // Previous batch still sending
+      this.processing = this.processDue()
+        .then(summary => {
+          if (summary.sent || summary.failed || summary.retrying) console.log('Notifications:', summary);
+        })
+        .catch(error => console.error('Notification run failed:', error))
+        .finally(() => { this.processing = null; });
+    };
+
+    run();
+    this.intervalId = setInterval(run, this.pollIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+}
+
+export default new NotificationService();
@@ -0,0 +1,144 @@
+/**
+ * Pet Profile Service
+ *
+ * Owner and pet records on the server, so a household with several pets can
+ * say which one it means and every appointment points at a real pet.
+ *
+ * Evolution:
+ * v1: petName/petType text on each appointment, one pet in the browser's
+ *     localStorage profile
+ * v2: Owner and Pet collections, linked from appointments - Current implementation
+ */
+
+import mongoose from 'mongoose';
+import Owner from '../models/Owner.js';
+import Pet from '../models/Pet.js';
+
+class PetProfileService {
+  async findOwner(sessionId) {
+    if (!sessionId) return null;
+    return Owner.findOne({ sessionIds: sessionId });
+  }
+
+  /**
+   * The session's owner, created on first use. Contact details that are
+   * given replace the stored ones - the latest booking is the freshest.
+   */
+  async getOrCreateOwner(sessionId, details = {}) {
+    const owner = await this.findOwner(sessionId) || new Owner({ sessionIds: [sessionId] });
+
+    for (const field of ['name', 'email', 'phone']) {
+      if (details[field]) owner[field] = details[field];
+    }
+
+    if (owner.isNew || owner.isModified()) {
+      await owner.save();
+    }
+    return owner;
+  }
+
+  async getPetsForSession(sessionId) {
+    const owner = await this.findOwner(sessionId);
+    if (!owner) return [];
+    return Pet.find({ owner: owner._id }).sort({ createdAt: 1 }).lean();
+  }
+
+  /**
+   * A pet of this session's owner, or null - never someone else's
+   */
+  async findOwnedPet(sessionId, petId) {
+    if (!mongoose.isValidObjectId(petId)) return null;
+    const owner = await this.findOwner(sessionId);
+    if (!owner) return null;
+    return Pet.findOne({ _id: petId, owner: owner._id }).lean();
+  }
+
+  findPetByName(pets, name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    return pets.find(pet => pet.name.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * The one pet a message names ("is Bella due for shots?"), or null when it
+   * names none or several
+   */
+  findMentionedPet(message, pets) {
+    const mentioned = pets.filter(pet =>
+      new RegExp(`\\b${pet.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(message)
+    );
+    return mentioned.length === 1 ? mentioned[0] : null;
+  }
+
+  /**
+   * Whole years, or months for pets under a year: "3 years", "5 months"
+   */
+  describeAge(birthdate, now = new Date()) {
+    if (!birthdate) return null;
+    const born = new Date(birthdate);
+    const months = (now.getFullYear() - born.getFullYear()) * 12 + now.getMonth() - born.getMonth() -
+      (now.getDate() < born.getDate() ? 1 : 0);
+
+    if (months < 12) return `${Math.max(months, 0)} month${months === 1 ? '' : 's'}`;
+    const years = Math.floor(months / 12);
+    return `${years} year${years === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * "Bella (cat, Siamese, 3 years)"
+   */
+  describePet(pet) {
+    const details = [
+      pet.species !== 'other' ? pet.species : null,
+      pet.breed,
+      this.describeAge(pet.birthdate)
+    ].filter(Boolean);
+
+    return details.length > 0 ? `${pet.name} (${details.join(', ')})` : pet.name;
+  }
+
+  /**
+   * The profile fields the assistant may use when answering about a pet
+   */
+  toPromptProfile(pet) {
+    return {
+      name: pet.name,
+      species: pet.species,
+      breed: pet.breed,
+      age: this.describeAge(pet.birthdate),
+      weightKg: pet.weightKg,
+      allergies: pet.allergies || []
+    };
+  }
+
+  /**
+   * Attach a booking to its owner and pet records, creating them the first
+   * time. petId (from the chat's pet choice or the booking form) wins over
+   * the name; otherwise the pet is matched by name within the household.
+   * Returns { owner, pet } documents.
+   */
+  async linkBooking(sessionId, { ownerName, email, phone, petName, petType, petId }) {
+    const owner = await this.getOrCreateOwner(sessionId, { name: ownerName, email, phone });
+
+    let pet = mongoose.isValidObjectId(petId)
+      ? await Pet.findOne({ _id: petId, owner: owner._id })
+      : null;
+
+    if (!pet) {
+      const pets = await Pet.find({ owner: owner._id });
+      pet = this.findPetByName(pets, petName);
+    }
+
+    if (!pet) {
+      pet = new Pet({ owner: owner._id, name: petName.trim(), species: petType || 'other' });
+      await pet.save();
+    } else if (pet.species === 'other' && petType && petType !== 'other') {
+      // Learned the species from this booking
+      pet.species = petType;
+      await pet.save();
+    }
+
+    return { owner, pet };
+  }
+}
+
+export default new PetProfileService();
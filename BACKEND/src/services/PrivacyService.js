@@ -0,0 +1,294 @@
+/**
+ * Privacy Service
+ *
+ * Owners' right to their data: a copy of everything the clinic holds about
+ * them, and erasure of all of it. An owner is whoever holds one of the chat
+ * sessions on their Owner record, so both cover every session of that
+ * owner - or just the one session when no profile was ever created.
+ *
+ * Erasure removes conversations, appointments (freeing their slots),
+ * notifications, the owner profile, pets and the transcripts filed under
+ * them, cached answers and live analytics counters. Analytics history only
+ * holds the random session ID and expires on its own (see
+ * AnalyticsHistoryService.forgetSessions).
+ *
+ * A purge job enforces retention windows, in days (0 keeps forever):
+ *   CONVERSATION_RETENTION_DAYS  - chats with no message for this long
+ *   APPOINTMENT_RETENTION_DAYS   - appointments whose visit was this long ago
+ *   NOTIFICATION_RETENTION_DAYS  - sent, failed and cancelled notifications
+ * Owner profiles and pets are the patient record and stay until erased.
+ *
+ * Every erasure and every purge that deletes something is written to the
+ * audit log.
+ */
+
+import Appointment from '../models/Appointment.js';
+import AuditLog from '../models/AuditLog.js';
+import ChatTranscript from '../models/ChatTranscript.js';
+import Conversation from '../models/Conversation.js';
+import NotificationJob from '../models/NotificationJob.js';
+import Owner from '../models/Owner.js';
+import Pet from '../models/Pet.js';
+import SlotBooking from '../models/SlotBooking.js';
+import AnalyticsHistoryService from './AnalyticsHistoryService.js';
+import AnalyticsService from './AnalyticsService.js';
+import CacheService from './CacheService.js';
+import PetProfileService from './PetProfileService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FINISHED_NOTIFICATIONS = ['sent', 'failed', 'cancelled'];
+
+// The session ID every booking made without a chat session used to share.
+// Nobody holds it, so it can't stand for an owner.
+const SHARED_SESSION_ID = 'direct-booking';
+
+/**
+ * Days from an env var; unset or invalid is the default, 0 means forever
+ */
+function readDays(name, fallback) {
+  const days = parseInt(process.env[name], 10);
+  return Number.isNaN(days) || days < 0 ? fallback : days;
+}
+
+class PrivacyService {
+  constructor() {
+    this.retentionDays = {
+      conversations: readDays('CONVERSATION_RETENTION_DAYS', 365),
+      appointments: readDays('APPOINTMENT_RETENTION_DAYS', 3 * 365),
+      notifications: readDays('NOTIFICATION_RETENTION_DAYS', 90)
+    };
+    this.purgeIntervalMs = (parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+    this.intervalId = null;
+  }
+
+  /**
+   * Whether sessionId can identify an owner
+   */
+  isOwnerSession(sessionId) {
+    return typeof sessionId === 'string' && sessionId !== '' && sessionId !== SHARED_SESSION_ID;
+  }
+
+  /**
+   * { owner, sessionIds } for a session; owner is null without a profile.
+   * A session ID that can't identify an owner resolves to nothing.
+   */
+  async resolve(sessionId) {
+    if (!this.isOwnerSession(sessionId)) return { owner: null, sessionIds: [] };
+
+    const owner = await PetProfileService.findOwner(sessionId);
+    return this.forOwner(owner, sessionId);
+  }
+
+  forOwner(owner, sessionId = null) {
+    const sessionIds = new Set(owner?.sessionIds || []);
+    if (sessionId) sessionIds.add(sessionId);
+    return { owner, sessionIds: [...sessionIds] };
+  }
+
+  /**
+   * Notifications about these appointments, and the vaccine reminders
+   * queued for these pets. Never matched on email or phone - owners can
+   * put anyone's on their profile.
+   */
+  notificationFilter(appointmentIds, pets) {
+    const reminderIds = pets.flatMap(pet =>
+      (pet.vaccineReminders || []).flatMap(reminder => reminder.notificationIds || [])
+    );
+    return { $or: [{ appointment: { $in: appointmentIds } }, { _id: { $in: reminderIds } }] };
+  }
+
+  /**
+   * Everything held about the session's owner, as plain JSON. Session IDs
+   * are left out - they're the owner's credentials.
+   */
+  async exportData(sessionId) {
+    const { owner, sessionIds } = await this.resolve(sessionId);
+
+    const [conversations, appointments, pets] = await Promise.all([
+      Conversation.find({ sessionId: { $in: sessionIds } }).sort({ createdAt: 1 }).lean(),
+      Appointment.find({ sessionId: { $in: sessionIds } }).sort({ createdAt: 1 }).lean(),
+      owner ? Pet.find({ owner: owner._id }).sort({ createdAt: 1 }).lean() : []
+    ]);
+
+    const [notifications, transcripts] = await Promise.all([
+      NotificationJob.find(this.notificationFilter(appointments.map(appointment => appointment._id), pets))
+        .sort({ createdAt: 1 }).lean(),
+      ChatTranscript.find({ pet: { $in: pets.map(pet => pet._id) } }).sort({ attachedAt: 1 }).lean()
+    ]);
+
+    return {
+      exportedAt: new Date(),
+      clinic: process.env.CLINIC_NAME || 'Veterinary clinic',
+      owner: owner ? owner.toJSON() : null,
+      pets,
+      appointments: appointments.map(({ sessionId: _sessionId, ...appointment }) => appointment),
+      conversations: conversations.map(conversation => ({
+        context: conversation.context,
+        triage: conversation.triage,
+        messages: conversation.messages,
+        createdAt: conversation.createdAt,
+        updatedAt: conversation.updatedAt
+      })),
+      notifications: notifications.map(job => ({
+        channel: job.channel,
+        template: job.template,
+        to: job.to,
+        status: job.status,
+        createdAt: job.createdAt,
+        sentAt: job.sentAt
+      })),
+      transcripts: transcripts.map(transcript => ({
+        pet: transcript.pet,
+        title: transcript.title,
+        attachedAt: transcript.attachedAt
+      })),
+      retentionDays: this.retentionDays
+    };
+  }
+
+  /**
+   * Delete everything held about an owner - found by session, or given
+   * directly when staff act on a request - and log it. requestedBy is
+   * { type: 'owner' } or { type: 'staff', staff }.
+   * Returns the audit entry, or null if there was nothing to delete.
+   */
+  async erase({ sessionId, owner }, requestedBy) {
+    const subject = owner ? this.forOwner(owner) : await this.resolve(sessionId);
+    const { sessionIds } = subject;
+    owner = subject.owner;
+
+    const appointments = await Appointment.find({
+      $or: [{ sessionId: { $in: sessionIds } }, ...(owner ? [{ owner: owner._id }] : [])]
+    }, { _id: 1 }).lean();
+    const appointmentIds = appointments.map(appointment => appointment._id);
+    const pets = owner ? await Pet.find({ owner: owner._id }, { _id: 1, vaccineReminders: 1 }).lean() : [];
+    const petIds = pets.map(pet => pet._id);
+
+    const deleted = {
+      conversations: (await Conversation.deleteMany({ sessionId: { $in: sessionIds } })).deletedCount,
+      // Frees the slots of upcoming visits and drops any hold in progress
+      slotBookings: (await SlotBooking.deleteMany({
+        $or: [{ sessionId: { $in: sessionIds } }, { appointmentId: { $in: appointmentIds } }]
+      })).deletedCount,
+      notifications: (await NotificationJob.deleteMany(this.notificationFilter(appointmentIds, pets))).deletedCount,
+      appointments: (await Appointment.deleteMany({ _id: { $in: appointmentIds } })).deletedCount,
+      transcripts: (await ChatTranscript.deleteMany({
+        $or: [{ pet: { $in: petIds } }, { sessionId: { $in: sessionIds } }]
+      })).deletedCount,
+      pets: petIds.length > 0 ? (await Pet.deleteMany({ _id: { $in: petIds } })).deletedCount : 0,
+      owners: owner ? (await Owner.deleteOne({ _id: owner._id })).deletedCount : 0,
+      cachedAnswers: 0
+    };
+
+    for (const id of sessionIds) {
+      deleted.cachedAnswers += await CacheService.forgetSession(id);
+      await AnalyticsService.forgetSession(id);
+    }
+    const analyticsEvents = await AnalyticsHistoryService.forgetSessions(sessionIds);
+    if (analyticsEvents !== null) deleted.analyticsEvents = analyticsEvents;
+
+    if (Object.values(deleted).every(count => !count)) return null;
+
+    return AuditLog.create({
+      action: 'erasure',
+      requestedBy,
+      owner: owner?._id,
+      sessionCount: sessionIds.length,
+      deleted
+    });
+  }
+
+  /**
+   * The oldest date each window keeps, null for windows that are off
+   */
+  getCutoffs(now = new Date()) {
+    return Object.fromEntries(Object.entries(this.retentionDays).map(([name, days]) => [
+      name,
+      days > 0 ? new Date(now.getTime() - days * DAY_MS) : null
+    ]));
+  }
+
+  /**
+   * Delete everything past its retention window. Returns
+   * { deleted, cutoffs } and logs the run if it deleted anything.
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoffs = this.getCutoffs(now);
+    const deleted = { conversations: 0, appointments: 0, slotBookings: 0, notifications: 0, cachedAnswers: 0 };
+
+    if (cutoffs.conversations) {
+      const conversations = await Conversation.find({ updatedAt: { $lt: cutoffs.conversations } }, { sessionId: 1 }).lean();
+      const sessionIds = conversations.map(conversation => conversation.sessionId);
+
+      if (sessionIds.length > 0) {
+        deleted.conversations = (await Conversation.deleteMany({
+          sessionId: { $in: sessionIds },
+          updatedAt: { $lt: cutoffs.conversations }
+        })).deletedCount;
+        for (const id of sessionIds) {
+          deleted.cachedAnswers += await CacheService.forgetSession(id);
+          await AnalyticsService.forgetSession(id);
+        }
+      }
+    }
+
+    if (cutoffs.appointments) {
+      const appointments = await Appointment.find({
+        $or: [
+          { scheduledAt: { $lt: cutoffs.appointments } },
+          { scheduledAt: null, createdAt: { $lt: cutoffs.appointments } }
+        ]
+      }, { _id: 1 }).lean();
+      const appointmentIds = appointments.map(appointment => appointment._id);
+
+      if (appointmentIds.length > 0) {
+        deleted.slotBookings = (await SlotBooking.deleteMany({ appointmentId: { $in: appointmentIds } })).deletedCount;
+        deleted.notifications += (await NotificationJob.deleteMany({ appointment: { $in: appointmentIds } })).deletedCount;
+        deleted.appointments = (await Appointment.deleteMany({ _id: { $in: appointmentIds } })).deletedCount;
+      }
+    }
+
+    if (cutoffs.notifications) {
+      deleted.notifications += (await NotificationJob.deleteMany({
+        status: { $in: FINISHED_NOTIFICATIONS },
+        createdAt: { $lt: cutoffs.notifications }
+      })).deletedCount;
+    }
+
+    if (Object.values(deleted).some(count => count > 0)) {
+      await AuditLog.create({
+        action: 'retention_purge',
+        requestedBy: { type: 'system' },
+        deleted,
+        cutoffs: Object.fromEntries(Object.entries(cutoffs).filter(([, cutoff]) => cutoff))
+      });
+    }
+
+    return { deleted, cutoffs };
+  }
+
+  /**
+   * Run the purge now and every purgeIntervalMs
+   */
+  start() {
+    if (this.intervalId) return;
+    if (process.env.RETENTION_PURGE === 'off') {
+      console.log('Retention purge disabled (RETENTION_PURGE=off)');
+      return;
+    }
+
+    const run = () => this.purgeExpired()
+      .then(({ deleted }) => console.log('Retention purge:', deleted))
+      .catch(error => console.error('Retention purge failed:', error));
+
+    run();
+    this.intervalId = setInterval(run, this.purgeIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+}
+
+export default new PrivacyService();
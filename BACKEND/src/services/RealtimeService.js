@@ -0,0 +1,172 @@
+/**
+ * Realtime Service
+ *
+ * WebSocket push for live chats with clinic staff. The widget listens to its
+ * own session for agent messages and handoff events; staff dashboards get
+ * every update to chats that are waiting for, or with, a person.
+ *
+ * Sockets only receive. Owners still send through /api/chat and staff through
+ * the admin API, so rate limits, auth and saving the transcript stay where
+ * they already are.
+ *
+ * Connect to /ws and send one hello within 10 seconds:
+ *   { "type": "hello", "sessionId": "..." }   owner widget
+ *   { "type": "hello", "token": "<staff JWT>" }  staff dashboard
+ * The token goes in the hello rather than the URL so it stays out of
+ * proxy logs.
+ *
+ * Sockets belong to this process. Behind a load balancer, route /ws and the
+ * chat API with sticky sessions so an owner and their agent share an instance.
+ */
+
+import { WebSocketServer, WebSocket } from 'ws';
+import AuthService from './AuthService.js';
+import Staff from '../models/Staff.js';
+
+const HELLO_TIMEOUT = 10000;
+const HEARTBEAT_INTERVAL = 30000;
+
+class RealtimeService {
+  constructor() {
+    this.path = '/ws';
+    this.server = null;
+    this.sessions = new Map();   // sessionId -> Set of owner sockets
+    this.staffSockets = new Set();
+  }
+
+  /**
+   * Accept WebSocket upgrades on /ws from the HTTP server
+   */
+  attach(httpServer) {
+    this.server = new WebSocketServer({ noServer: true, maxPayload: 16 * 1024 });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== this.path) {
+        socket.destroy();
+        return;
+      }
+      this.server.handleUpgrade(req, socket, head, ws => this.handleConnection(ws));
+    });
+
+    // Drop sockets whose browser went away without closing them
+    this.heartbeat = setInterval(() => {
+      for (const ws of this.server.clients) {
+        if (!ws.isAlive) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, HEARTBEAT_INTERVAL);
+    this.heartbeat.unref?.();
+  }
+
+  handleConnection(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    const helloTimer = setTimeout(() => ws.close(4401, 'Send a hello first'), HELLO_TIMEOUT);
+
+    ws.once('message', async (raw) => {
+      clearTimeout(helloTimer);
+      try {
+        await this.handleHello(ws, JSON.parse(raw));
+      } catch (error) {
+        console.error('Realtime hello error:', error.message);
+        ws.close(4400, 'Invalid hello');
+      }
+    });
+
+    ws.on('close', () => {
+      clearTimeout(helloTimer);
+      this.remove(ws);
+    });
+    ws.on('error', error => console.error('Realtime socket error:', error.message));
+  }
+
+  async handleHello(ws, hello) {
+    if (hello?.type !== 'hello') {
+      return ws.close(4400, 'Invalid hello');
+    }
+
+    if (hello.token) {
+      const payload = AuthService.verifyToken(String(hello.token));
+      const staff = payload ? await Staff.findById(payload.sub) : null;
+
+      if (!staff || !staff.active) {
+        return ws.close(4401, 'Invalid or expired token');
+      }
+
+      ws.staffId = String(staff._id);
+      this.staffSockets.add(ws);
+      return this.send(ws, { type: 'ready', role: 'staff' });
+    }
+
+    if (typeof hello.sessionId === 'string' && hello.sessionId) {
+      ws.sessionId = hello.sessionId;
+      if (!this.sessions.has(ws.sessionId)) {
+        this.sessions.set(ws.sessionId, new Set());
+      }
+      this.sessions.get(ws.sessionId).add(ws);
+      return this.send(ws, { type: 'ready', role: 'owner' });
+    }
+
+    ws.close(4400, 'Invalid hello');
+  }
+
+  remove(ws) {
+    this.staffSockets.delete(ws);
+
+    const sockets = this.sessions.get(ws.sessionId);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) this.sessions.delete(ws.sessionId);
+    }
+  }
+
+  send(ws, event) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(event));
+    }
+  }
+
+  /**
+   * Push an event to the owner's open widgets for this session
+   */
+  toSession(sessionId, event) {
+    for (const ws of this.sessions.get(sessionId) || []) {
+      this.send(ws, event);
+    }
+  }
+
+  /**
+   * Push an event to every signed-in staff dashboard
+   */
+  toStaff(event) {
+    for (const ws of this.staffSockets) {
+      this.send(ws, event);
+    }
+  }
+
+  isStaffOnline() {
+    return this.staffSockets.size > 0;
+  }
+
+  getStatistics() {
+    return {
+      ownerSockets: Array.from(this.sessions.values()).reduce((sum, sockets) => sum + sockets.size, 0),
+      staffSockets: this.staffSockets.size
+    };
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.server?.close();
+  }
+}
+
+export default new RealtimeService();
@@ -0,0 +1,289 @@
+/**
+ * Transcript Service
+ *
+ * Exports a chat as JSON, Markdown or PDF: every message with its time,
+ * the household's pets and the appointments booked in the chat. Owners
+ * download their own from the widget; staff can download any chat and file
+ * a copy under a pet's record.
+ *
+ * Everything renders from one snapshot (build), which is also what's stored
+ * when staff attach a transcript, so a filed copy exports the same way.
+ * Times are clinic time, like the rest of the app.
+ *
+ * The PDF uses the standard PDF fonts, which only cover Latin-1: emoji and
+ * other scripts are left out there. JSON and Markdown keep everything.
+ */
+
+import PDFDocument from 'pdfkit';
+import Conversation from '../models/Conversation.js';
+import Appointment from '../models/Appointment.js';
+import ClinicTimeService from './ClinicTimeService.js';
+import PetProfileService from './PetProfileService.js';
+
+const FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+// What the standard PDF fonts (WinAnsi) can draw
+const NOT_PDF_TEXT = /[^\t\n\r\x20-\x7E\xA0-\xFF–—‘’‚“”„•…€™]/gu;
+
+class TranscriptService {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+  }
+
+  clinicName() {
+    return process.env.CLINIC_NAME || 'Veterinary clinic';
+  }
+
+  isFormat(format) {
+    return Object.hasOwn(FORMATS, format);
+  }
+
+  /**
+   * The snapshot every format renders from, or null if there's no such chat
+   */
+  async build(sessionId) {
+    const conversation = await Conversation.findOne({ sessionId }).lean();
+    if (!conversation) return null;
+
+    const [appointments, pets] = await Promise.all([
+      Appointment.find({ sessionId }).sort({ scheduledAt: 1 }).lean(),
+      PetProfileService.getPetsForSession(sessionId)
+    ]);
+
+    const ownerName = conversation.context?.userName ||
+      appointments.find(appointment => appointment.ownerName)?.ownerName ||
+      null;
+
+    return {
+      sessionId,
+      clinic: this.clinicName(),
+      timeZone: ClinicTimeService.timeZone,
+      ownerName,
+      startedAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      exportedAt: new Date(),
+      pets: pets.map(pet => ({
+        id: String(pet._id),
+        name: pet.name,
+        species: pet.species,
+        breed: pet.breed || null,
+        birthdate: pet.birthdate || null,
+        weightKg: pet.weightKg ?? null,
+        allergies: pet.allergies || [],
+        microchipId: pet.microchipId || null
+      })),
+      appointments: appointments.map(appointment => ({
+        id: String(appointment._id),
+        petName: appointment.petName,
+        petType: appointment.petType,
+        scheduledAt: appointment.scheduledAt || null,
+        preferredDateTime: appointment.preferredDateTime,
+        veterinarian: appointment.veterinarianName || null,
+        reason: appointment.reason || null,
+        urgency: appointment.urgency,
+        status: appointment.status
+      })),
+      messages: conversation.messages.map(message => ({
+        role: message.role,
+        author: this.getAuthor(message, ownerName),
+        content: message.content,
+        timestamp: message.timestamp
+      }))
+    };
+  }
+
+  getAuthor(message, ownerName) {
+    switch (message.role) {
+      case 'user':
+        return ownerName || 'Owner';
+      case 'agent':
+        return message.agentName || 'Clinic staff';
+      case 'system':
+        return 'Notice';
+      default:
+        return 'Assistant';
+    }
+  }
+
+  /**
+   * "Jan 20, 2026, 10:02 AM"
+   */
+  formatTime(date) {
+    return ClinicTimeService.format(date, {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  describePet(pet) {
+    const details = [
+      pet.species,
+      pet.breed,
+      pet.birthdate && `born ${ClinicTimeService.format(pet.birthdate, { year: 'numeric', month: 'short', day: 'numeric' })}`,
+      pet.weightKg !== null && `${pet.weightKg} kg`
+    ].filter(Boolean).join(', ');
+
+    const extras = [
+      pet.allergies.length > 0 && `Allergies: ${pet.allergies.join(', ')}`,
+      pet.microchipId && `Microchip: ${pet.microchipId}`
+    ].filter(Boolean).join('. ');
+
+    return extras ? `${details}. ${extras}` : details;
+  }
+
+  describeAppointment(appointment) {
+    const when = appointment.scheduledAt
+      ? ClinicTimeService.formatLong(appointment.scheduledAt)
+      : appointment.preferredDateTime;
+    const who = [
+      `${appointment.petName} (${appointment.petType})`,
+      appointment.veterinarian,
+      appointment.urgency === 'urgent' && 'urgent'
+    ].filter(Boolean).join(', ');
+
+    return {
+      when,
+      details: `${who} - ${appointment.status}${appointment.reason ? `. Reason: ${appointment.reason}` : ''}`
+    };
+  }
+
+  getTitle(transcript) {
+    return `Chat with ${transcript.ownerName || 'an owner'} on ${ClinicTimeService.format(transcript.startedAt, { year: 'numeric', month: 'short', day: 'numeric' })}`;
+  }
+
+  toMarkdown(transcript) {
+    const lines = [
+      `# ${this.getTitle(transcript)}`,
+      '',
+      `${transcript.clinic}  `,
+      `Session: \`${transcript.sessionId}\`  `,
+      `Exported: ${this.formatTime(transcript.exportedAt)} (${transcript.timeZone})`,
+      ''
+    ];
+
+    if (transcript.pets.length > 0) {
+      lines.push('## Pets', '');
+      for (const pet of transcript.pets) {
+        lines.push(`- **${pet.name}** - ${this.describePet(pet)}`);
+      }
+      lines.push('');
+    }
+
+    if (transcript.appointments.length > 0) {
+      lines.push('## Appointments', '');
+      for (const appointment of transcript.appointments) {
+        const { when, details } = this.describeAppointment(appointment);
+        lines.push(`- **${when}** - ${details}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## Conversation', '');
+    for (const message of transcript.messages) {
+      lines.push(`**${message.author}** · ${this.formatTime(message.timestamp)}`, '');
+      // Quoted, so each message reads apart from the sections around it
+      lines.push(...String(message.content).split('\n').map(line => `> ${line}`), '');
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Resolves to the PDF as a Buffer
+   */
+  toPDF(transcript) {
+    const clean = (text) => String(text ?? '').replace(NOT_PDF_TEXT, '');
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 50,
+        info: { Title: clean(this.getTitle(transcript)), Author: clean(transcript.clinic) }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const heading = (text) => {
+        doc.moveDown(0.8).font('Helvetica-Bold').fontSize(13).fillColor('#1a1a1a').text(clean(text));
+        doc.moveDown(0.3);
+      };
+
+      doc.font('Helvetica-Bold').fontSize(18).text(clean(this.getTitle(transcript)));
+      doc.font('Helvetica').fontSize(9).fillColor('#666666')
+        .text(clean(transcript.clinic))
+        .text(`Session ${transcript.sessionId}`)
+        .text(`Exported ${this.formatTime(transcript.exportedAt)} (${transcript.timeZone})`);
+
+      if (transcript.pets.length > 0) {
+        heading('Pets');
+        for (const pet of transcript.pets) {
+          doc.font('Helvetica-Bold').fontSize(10).fillColor('#1a1a1a').text(`${clean(pet.name)}: `, { continued: true })
+            .font('Helvetica').text(clean(this.describePet(pet)));
+        }
+      }
+
+      if (transcript.appointments.length > 0) {
+        heading('Appointments');
+        for (const appointment of transcript.appointments) {
+          const { when, details } = this.describeAppointment(appointment);
+          doc.font('Helvetica-Bold').fontSize(10).fillColor('#1a1a1a').text(`${clean(when)}: `, { continued: true })
+            .font('Helvetica').text(clean(details));
+        }
+      }
+
+      heading('Conversation');
+      for (const message of transcript.messages) {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor(message.role === 'user' ? '#1a1a1a' : '#555555')
+          .text(`${clean(message.author)} · ${this.formatTime(message.timestamp)}`);
+        doc.font('Helvetica').fontSize(10).fillColor('#1a1a1a').text(clean(message.content));
+        doc.moveDown(0.6);
+      }
+
+      doc.end();
+    });
+  }
+
+  /**
+   * { body, contentType, filename } for a download
+   */
+  async render(transcript, format) {
+    const { contentType, extension } = FORMATS[format];
+    const date = ClinicTimeService.getDateKey(transcript.startedAt || transcript.exportedAt);
+    const filename = `chat-${date}-${transcript.sessionId.replace(/[^\w-]/g, '').slice(0, 12)}.${extension}`;
+
+    let body;
+    if (format === 'pdf') {
+      body = await this.toPDF(transcript);
+    } else if (format === 'md') {
+      body = this.toMarkdown(transcript);
+    } else {
+      body = JSON.stringify(transcript, null, 2);
+    }
+
+    return { body, contentType, filename };
+  }
+
+  /**
+   * Send a transcript as a download; format is checked by the caller
+   */
+  async send(res, transcript, format) {
+    const { body, contentType, filename } = await this.render(transcript, format);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(body);
+  }
+}
+
+export default new TranscriptService();
@@ -0,0 +1,148 @@
+/**
+ * Emergency Triage Service
+ *
+ * Classifies every message as emergency / urgent / routine before it reaches
+ * the LLM. Emergencies get fixed clinic instructions immediately - no model
+ * latency, no cache, no chance of a chatty answer while a pet is seizing.
+ *
+ * Evolution:
+ * v1: "emergency signs" preloaded cache entry - only answered the general
+ *     question, never "my dog just ate a bar of chocolate"
+ * v2: Keyword list in the widget - only suggested a regular appointment
+ * v3: Rule-based triage on the backend - Current implementation
+ */
+
+class TriageService {
+  constructor() {
+    // Least to most severe
+    this.levels = ['routine', 'urgent', 'emergency'];
+
+    // Ordered by severity; the first matching level wins
+    this.rules = {
+      emergency: [
+        {
+          reason: 'seizure',
+          regex: /\b(seiz(ure|ures|ing|ed)|convuls\w*|fitting)\b/i,
+          advice: 'Move furniture away and keep your hands away from their mouth. Note how long the seizure lasts.'
+        },
+        {
+          reason: 'breathing_difficulty',
+          regex: /\b(can'?t|cannot|not|isn'?t|struggling to|trouble|difficult\w*|hard to)\b.{0,20}\bbreath\w*|\b(choking|gasping|blue gums|purple gums|pale gums)\b/i,
+          advice: 'Keep them calm and cool, and do not restrict the neck or chest.'
+        },
+        {
+          reason: 'toxin_ingestion',
+          regex: /\b(ate|eaten|swallowed|ingested|got into|licked|chewed)\b.{0,40}\b(chocolate|xylitol|grapes?|raisins?|onions?|garlic|antifreeze|rat poison|poison|bait|ibuprofen|tylenol|acetaminophen|advil|pills?|medication|lil(y|ies)|bleach|cleaner|insecticide|slug pellets?)\b|\bpoisoned\b/i,
+          advice: 'Do not make them vomit unless a vet tells you to. Bring the packaging or a photo of what they ate. ASPCA Animal Poison Control: (888) 426-4435.'
+        },
+        {
+          reason: 'unconscious',
+          regex: /\b(unconscious|unresponsive|collapsed?|passed out|fainted|won'?t wake( up)?)\b/i,
+          advice: 'Check they are breathing and keep their airway clear.'
+        },
+        {
+          reason: 'severe_bleeding',
+          regex: /\b(won'?t stop bleeding|bleeding (heavily|a lot|badly|profusely)|severe bleeding|lots of blood)\b/i,
+          advice: 'Press firmly on the wound with a clean cloth and keep the pressure on.'
+        },
+        {
+          reason: 'trauma',
+          regex: /\b(hit by a (car|vehicle|truck)|run over|fell (from|off) (a |the )?(window|balcony|roof|height|stairs)|attacked by)\b/i,
+          advice: 'Move them as little as possible - slide them onto a board or blanket to carry them.'
+        },
+        {
+          reason: 'bloat',
+          regex: /\b(bloat(ed)?|swollen (belly|abdomen|stomach)|(retching|trying to vomit)\b.{0,30}\bnothing)\b/i,
+          advice: 'Do not give food or water.'
+        },
+        {
+          reason: 'urinary_blockage',
+          regex: /\b(can'?t|cannot|unable to|not able to|straining to)\s+(pee|urinate)\b/i,
+          advice: 'A blocked bladder can be fatal within hours, especially in male cats.'
+        },
+        {
+          reason: 'heatstroke',
+          regex: /\b(heat ?stroke|overheat\w*)\b/i,
+          advice: 'Move them somewhere shaded and wet their body with cool (not ice-cold) water.'
+        }
+      ],
+      urgent: [
+        { reason: 'vomiting', regex: /\b(vomit\w*|throwing up|threw up|keeps? being sick)\b/i },
+        { reason: 'diarrhea', regex: /\b(diarrh?o?ea|loose stools?|runny poop)\b/i },
+        { reason: 'blood', regex: /\bblood(y)?\b.{0,20}\b(stool|poop|urine|pee|vomit)\b|\b(stool|poop|urine|pee|vomit)\b.{0,20}\bblood\b/i },
+        { reason: 'not_eating', regex: /\b(not eating|won'?t eat|stopped eating|refus\w* (to eat|food)|no appetite|loss of appetite)\b/i },
+        { reason: 'lethargy', regex: /\b(letharg\w*|very tired|weak|listless)\b/i },
+        { reason: 'pain', regex: /\b(pain|crying out|yelp\w*|whimper\w*)\b/i },
+        { reason: 'limping', regex: /\b(limp\w*|can'?t walk|won'?t put weight)\b/i },
+        { reason: 'eye_problem', regex: /\b(eye\b.{0,20}\b(injur\w*|swollen|red|cloudy|closed)|squint\w*)\b/i },
+        { reason: 'fever', regex: /\b(fever|feels hot|high temperature)\b/i },
+        { reason: 'swelling', regex: /\b(swollen|swelling|lump)\b/i },
+        { reason: 'injury', regex: /\b(injur\w*|wound|cut (paw|leg)|bitten|bleeding)\b/i }
+      ]
+    };
+
+    this.clinic = {
+      name: process.env.CLINIC_NAME || 'the clinic',
+      emergencyPhone: process.env.CLINIC_EMERGENCY_PHONE || null
+    };
+  }
+
+  /**
+   * Classify a message. Returns { level, reasons } where level is
+   * 'emergency', 'urgent' or 'routine'.
+   */
+  classify(message) {
+    for (const level of ['emergency', 'urgent']) {
+      const reasons = this.rules[level]
+        .filter(rule => rule.regex.test(message))
+        .map(rule => rule.reason);
+
+      if (reasons.length > 0) {
+        return { level, reasons };
+      }
+    }
+
+    return { level: 'routine', reasons: [] };
+  }
+
+  /**
+   * The more severe of two levels - a session never de-escalates
+   */
+  escalate(currentLevel, newLevel) {
+    return this.levels.indexOf(newLevel) > this.levels.indexOf(currentLevel)
+      ? newLevel
+      : currentLevel;
+  }
+
+  /**
+   * True when bookings started in this conversation should jump the queue
+   */
+  isUrgent(level) {
+    return level === 'emergency' || level === 'urgent';
+  }
+
+  /**
+   * Fixed emergency instructions, with first-aid advice for each matched rule.
+   * followUp closes the message (offer to book, or the pending booking question).
+   */
+  getEmergencyResponse(triage, followUp = 'Once your pet is safe, I can book an urgent follow-up - just say "book appointment".') {
+    const callLine = this.clinic.emergencyPhone
+      ? `Call ${this.clinic.name} now on ${this.clinic.emergencyPhone}, or go to the nearest 24-hour emergency vet.`
+      : `Call ${this.clinic.name} now, or go straight to the nearest 24-hour emergency vet.`;
+
+    const advice = this.rules.emergency
+      .filter(rule => triage.reasons.includes(rule.reason))
+      .map(rule => `- ${rule.advice}`);
+
+    return [
+      'This sounds like an emergency. Please don\'t wait for an appointment slot.',
+      '',
+      callLine,
+      ...(advice.length > 0 ? ['', 'While you get there:', ...advice] : []),
+      '',
+      followUp
+    ].join('\n');
+  }
+}
+
+export default new TriageService();
@@ -0,0 +1,293 @@
+/**
+ * Vaccination Service
+ *
+ * Works out which shots each pet needs and when, from its species, age and
+ * the doses clinic staff have recorded, and reminds owners before boosters
+ * fall due.
+ *
+ * Evolution:
+ * v1: One preloaded "vaccination schedule" answer in CacheService - puppies only
+ * v2: Per-pet schedule from species, age and recorded doses, with reminders
+ *     queued through NotificationService - Current implementation
+ */
+
+import Pet from '../models/Pet.js';
+import ClinicTimeService from './ClinicTimeService.js';
+import NotificationService from './NotificationService.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  return result;
+}
+
+class VaccinationService {
+  constructor() {
+    // Puppy/kitten series by age in weeks, then a first booster a year after
+    // the series and regular boosters after that. Non-core vaccines depend on
+    // lifestyle, so they're only tracked once the vet has given one.
+    this.schedules = {
+      dog: [
+        { code: 'dhpp', name: 'DHPP (distemper, parvo)', core: true, aliases: ['dhpp', 'da2pp', 'dapp', 'dhlpp', 'distemper', 'parvo'], primaryWeeks: [8, 12, 16], firstBoosterMonths: 12, boosterMonths: 36 },
+        { code: 'rabies', name: 'Rabies', core: true, aliases: ['rabies'], primaryWeeks: [16], firstBoosterMonths: 12, boosterMonths: 36 },
+        { code: 'leptospirosis', name: 'Leptospirosis', core: false, aliases: ['lepto'], primaryWeeks: [12, 16], firstBoosterMonths: 12, boosterMonths: 12 },
+        { code: 'bordetella', name: 'Bordetella (kennel cough)', core: false, aliases: ['bordetella', 'kennel cough'], primaryWeeks: [8], firstBoosterMonths: 12, boosterMonths: 12 }
+      ],
+      cat: [
+        { code: 'fvrcp', name: 'FVRCP (cat flu, panleukopenia)', core: true, aliases: ['fvrcp', 'feline distemper', 'panleukopenia', 'cat flu'], primaryWeeks: [8, 12, 16], firstBoosterMonths: 12, boosterMonths: 36 },
+        { code: 'rabies', name: 'Rabies', core: true, aliases: ['rabies'], primaryWeeks: [16], firstBoosterMonths: 12, boosterMonths: 12 },
+        { code: 'felv', name: 'FeLV (feline leukemia)', core: false, aliases: ['felv', 'leukemia', 'leukaemia'], primaryWeeks: [8, 12], firstBoosterMonths: 12, boosterMonths: 24 }
+      ],
+      rabbit: [
+        { code: 'myxomatosis', name: 'Myxomatosis', core: true, aliases: ['myxo'], primaryWeeks: [5], firstBoosterMonths: 12, boosterMonths: 12 },
+        { code: 'rhdv2', name: 'RHDV2 (haemorrhagic disease)', core: true, aliases: ['rhdv', 'rhd', 'rvhd', 'haemorrhagic', 'hemorrhagic'], primaryWeeks: [10], firstBoosterMonths: 12, boosterMonths: 12 }
+      ]
+    };
+
+    this.dueSoonDays = 30;              // Flagged as due within this many days
+    this.minDoseGapWeeks = 3;           // Between doses of a primary series
+    this.reminderLeadDays = parseInt(process.env.VACCINE_REMINDER_DAYS, 10) || 14;
+    this.reminderIntervalMs = (parseFloat(process.env.VACCINE_REMINDER_INTERVAL_HOURS) || 12) * 60 * 60 * 1000;
+
+    this.intervalId = null;
+  }
+
+  /**
+   * The schedule entry a recorded vaccine name refers to ("Nobivac DHPPi" → dhpp), or null
+   */
+  identifyVaccine(species, vaccineName) {
+    const name = String(vaccineName || '').toLowerCase();
+    return (this.schedules[species] || []).find(vaccine =>
+      [vaccine.code, ...vaccine.aliases].some(alias => name.includes(alias))
+    ) || null;
+  }
+
+  /**
+   * Next dose of one vaccine from the doses given so far (oldest first)
+   */
+  getNextDose(vaccine, doses, birthdate, now = new Date()) {
+    const lastPrimaryWeek = vaccine.primaryWeeks[vaccine.primaryWeeks.length - 1];
+    const ageInWeeks = date => birthdate ? (new Date(date) - birthdate) / WEEK_MS : null;
+
+    // A dose given once the pet is past the puppy/kitten series completes it
+    let primaryDoses = 0;
+    let completedAt = -1;
+    doses.forEach((dose, index) => {
+      if (completedAt !== -1) return;
+      primaryDoses++;
+      const age = ageInWeeks(dose.administeredAt);
+      if (primaryDoses >= vaccine.primaryWeeks.length || (age !== null && age >= lastPrimaryWeek)) {
+        completedAt = index;
+      }
+    });
+
+    const lastDose = doses[doses.length - 1];
+
+    if (doses.length === 0) {
+      // One dose is enough for a pet that has outgrown the series
+      const inSeries = vaccine.primaryWeeks.length > 1 && (ageInWeeks(now) ?? 0) < lastPrimaryWeek;
+      return {
+        dueAt: birthdate ? new Date(birthdate.getTime() + vaccine.primaryWeeks[0] * WEEK_MS) : null,
+        dose: inSeries ? `primary 1 of ${vaccine.primaryWeeks.length}` : 'first dose'
+      };
+    }
+
+    if (completedAt === -1) {
+      const minimumGap = new Date(new Date(lastDose.administeredAt).getTime() + this.minDoseGapWeeks * WEEK_MS);
+      const byAge = birthdate ? new Date(birthdate.getTime() + vaccine.primaryWeeks[primaryDoses] * WEEK_MS) : minimumGap;
+      return {
+        dueAt: byAge > minimumGap ? byAge : minimumGap,
+        dose: `primary ${primaryDoses + 1} of ${vaccine.primaryWeeks.length}`
+      };
+    }
+
+    const hadBooster = doses.length - 1 > completedAt;
+    return {
+      dueAt: addMonths(lastDose.administeredAt, hadBooster ? vaccine.boosterMonths : vaccine.firstBoosterMonths),
+      dose: 'booster'
+    };
+  }
+
+  getStatus(dueAt, now) {
+    if (!dueAt) return 'unknown';
+    if (dueAt < ClinicTimeService.startOfDay(now)) return 'overdue';
+    if (dueAt - now <= this.dueSoonDays * DAY_MS) return 'due_soon';
+    return 'upcoming';
+  }
+
+  /**
+   * The pet's vaccination schedule:
+   * [{ code, name, core, dosesGiven, lastGiven, dueAt, dose, status }]
+   * status: 'overdue' | 'due_soon' | 'upcoming' | 'unknown' (no age or doses
+   * to go on) | 'optional' (non-core, never given).
+   * A booster date the vet recorded with the last dose wins over the
+   * computed one. Recorded vaccines outside the species schedule are listed
+   * with the vet's date only.
+   */
+  getSchedule(pet, now = new Date()) {
+    const birthdate = pet.birthdate ? new Date(pet.birthdate) : null;
+    const recorded = [...(pet.vaccinations || [])]
+      .sort((a, b) => new Date(a.administeredAt) - new Date(b.administeredAt));
+
+    const byVaccine = new Map();
+    const unscheduled = new Map();
+    for (const dose of recorded) {
+      const vaccine = this.identifyVaccine(pet.species, dose.vaccine);
+      const groups = vaccine ? byVaccine : unscheduled;
+      const key = vaccine ? vaccine.code : dose.vaccine.toLowerCase();
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(dose);
+    }
+
+    const schedule = (this.schedules[pet.species] || []).map(vaccine => {
+      const doses = byVaccine.get(vaccine.code) || [];
+      const lastDose = doses[doses.length - 1];
+
+      if (!vaccine.core && doses.length === 0) {
+        return { code: vaccine.code, name: vaccine.name, core: false, dosesGiven: 0, lastGiven: null, dueAt: null, dose: null, status: 'optional' };
+      }
+
+      const next = this.getNextDose(vaccine, doses, birthdate, now);
+      const dueAt = lastDose?.nextDueAt ? new Date(lastDose.nextDueAt) : next.dueAt;
+
+      return {
+        code: vaccine.code,
+        name: vaccine.name,
+        core: vaccine.core,
+        dosesGiven: doses.length,
+        lastGiven: lastDose ? new Date(lastDose.administeredAt) : null,
+        dueAt,
+        dose: next.dose,
+        status: this.getStatus(dueAt, now)
+      };
+    });
+
+    for (const doses of unscheduled.values()) {
+      const lastDose = doses[doses.length - 1];
+      const dueAt = lastDose.nextDueAt ? new Date(lastDose.nextDueAt) : null;
+      schedule.push({
+        code: null,
+        name: lastDose.vaccine,
+        core: false,
+        dosesGiven: doses.length,
+        lastGiven: new Date(lastDose.administeredAt),
+        dueAt,
+        dose: dueAt ? 'booster' : null,
+        status: dueAt ? this.getStatus(dueAt, now) : 'optional'
+      });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Only the shots that need attention (overdue or due soon)
+   */
+  getDueVaccinations(pet, now = new Date()) {
+    return this.getSchedule(pet, now).filter(item => item.status === 'overdue' || item.status === 'due_soon');
+  }
+
+  formatDate(date) {
+    return ClinicTimeService.format(date, { month: 'long', day: 'numeric', year: 'numeric' });
+  }
+
+  /**
+   * "Rabies booster: due November 10, 2026" / "FVRCP (...) primary 2 of 3: overdue since May 1, 2026"
+   */
+  describeDue(item, now = new Date()) {
+    const what = item.dose ? `${item.name} ${item.dose}` : item.name;
+    return item.dueAt < now
+      ? `${what}: overdue since ${this.formatDate(item.dueAt)}`
+      : `${what}: due ${this.formatDate(item.dueAt)}`;
+  }
+
+  /**
+   * Queue reminders about shots that are overdue or due within
+   * reminderLeadDays. Each due date is reminded once per pet.
+   * Returns { checked, queued, skipped, failed }.
+   */
+  async sendDueReminders(now = new Date()) {
+    const summary = { checked: 0, queued: 0, skipped: 0, failed: 0 };
+    const leadMs = this.reminderLeadDays * DAY_MS;
+
+    const pets = await Pet.find({ 'vaccinations.0': { $exists: true } }).populate('owner');
+
+    for (const pet of pets) {
+      summary.checked++;
+
+      const reminded = new Set((pet.vaccineReminders || []).map(reminder =>
+        `${reminder.vaccine}|${ClinicTimeService.getDateKey(reminder.dueAt)}`
+      ));
+      const due = this.getSchedule(pet, now).filter(item =>
+        item.dueAt &&
+        item.dueAt - now <= leadMs &&
+        !reminded.has(`${item.code || item.name}|${ClinicTimeService.getDateKey(item.dueAt)}`)
+      );
+
+      if (due.length === 0) continue;
+
+      try {
+        const { owner } = pet;
+        const jobs = await NotificationService.enqueue({
+          template: 'vaccine_reminder',
+          to: { name: owner?.name, email: owner?.email, phone: owner?.phone },
+          data: {
+            ownerName: owner?.name,
+            petName: pet.name,
+            vaccines: due.map(item => this.describeDue(item, now))
+          }
+        });
+
+        // No email or phone on the owner profile
+        if (jobs.length === 0) {
+          summary.skipped++;
+          continue;
+        }
+
+        for (const item of due) {
+          pet.vaccineReminders.push({
+            vaccine: item.code || item.name,
+            dueAt: item.dueAt,
+            queuedAt: now,
+            notificationIds: jobs.map(job => String(job._id))
+          });
+        }
+        await pet.save();
+        summary.queued++;
+      } catch (error) {
+        console.error(`Vaccine reminder failed for pet ${pet._id}:`, error.message);
+        summary.failed++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Check for due reminders now and every reminderIntervalMs
+   */
+  start() {
+    if (this.intervalId) return;
+    if (process.env.VACCINE_REMINDERS === 'off') {
+      console.log('Vaccine reminders disabled (VACCINE_REMINDERS=off)');
+      return;
+    }
+
+    const run = () => this.sendDueReminders()
+      .then(summary => console.log('Vaccine reminders:', summary))
+      .catch(error => console.error('Vaccine reminder run failed:', error));
+
+    run();
+    this.intervalId = setInterval(run, this.reminderIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+  }
+}
+
+export default new VaccinationService();
@@ -0,0 +1,305 @@
+/**
+ * TF-IDF index over questions the assistant has already answered, so the
+ * same question asked in other words gets the earlier answer:
+ * "my dog ate chocolate" and "is chocolate bad for dogs" both come down to
+ * the terms chocolate + toxic.
+ *
+ * Entries are scoped by species. A question only matches earlier questions
+ * about the same kind of pet, and questions that don't name one only match
+ * each other. The species is the scope, so species words are left out of
+ * the vectors.
+ */
+
+import crypto from 'crypto';
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'hello', 'her', 'hers', 'hi', 'him',
+  'his', 'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'might', 'my',
+  'need', 'of', 'ok', 'okay', 'on', 'or', 'our', 'please', 'she', 'should', 'so', 'some',
+  'tell', 'thanks', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'those', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// The scope already says which animal; "pet" and "animal" say nothing
+const SPECIES_WORDS = new Set([
+  'dog', 'dogs', 'doggy', 'doggie', 'canine', 'cat', 'cats', 'kitty', 'feline', 'bird', 'birds',
+  'parrot', 'parrots', 'budgie', 'budgies', 'rabbit', 'rabbits', 'bunny', 'bunnies', 'hamster',
+  'hamsters', 'gerbil', 'gerbils', 'pet', 'pets', 'animal', 'animals'
+]);
+
+// Words that ask the same thing, reduced to one term
+const SYNONYM_GROUPS = {
+  toxic: ['toxic', 'toxicity', 'poison', 'poisonous', 'poisoned', 'poisoning', 'bad', 'dangerous',
+    'harmful', 'safe', 'ate', 'eaten', 'swallowed', 'ingested', 'consumed'],
+  vaccine: ['vaccine', 'vaccines', 'vaccination', 'vaccinations', 'vaccinate', 'vaccinated',
+    'shot', 'shots', 'jab', 'jabs', 'booster', 'boosters', 'immunization', 'immunisation'],
+  neuter: ['neuter', 'neutered', 'neutering', 'spay', 'spayed', 'spaying', 'castrate',
+    'castration', 'desex', 'desexing', 'fix', 'fixed'],
+  vomit: ['vomit', 'vomits', 'vomiting', 'vomited', 'puke', 'puking', 'throwing'],
+  diarrhea: ['diarrhea', 'diarrhoea', 'runs'],
+  food: ['food', 'foods', 'feed', 'feeding', 'eat', 'eating', 'diet', 'meal', 'meals', 'kibble'],
+  medicine: ['medicine', 'medicines', 'medication', 'medications', 'meds', 'pill', 'pills',
+    'tablet', 'tablets', 'dose', 'dosage'],
+  sign: ['sign', 'signs', 'symptom', 'symptoms'],
+  emergency: ['emergency', 'urgent', 'asap'],
+  young: ['puppy', 'puppies', 'pup', 'pups', 'kitten', 'kittens']
+};
+
+const SYNONYMS = new Map(
+  Object.entries(SYNONYM_GROUPS).flatMap(([term, words]) => words.map(word => [word, term]))
+);
+
+/**
+ * Light suffix stripping - enough for "fleas"/"flea" and "limping"/"limp"
+ */
+function stem(word) {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+  if (/(ch|sh|x|ss|z)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+  if (word.endsWith('ing') && word.length > 5) {
+    const base = word.slice(0, -3);
+    // running -> run
+    return /([^aeiouls])\1$/.test(base) ? base.slice(0, -1) : base;
+  }
+  if (word.endsWith('ed') && !word.endsWith('eed') && word.length > 4) return word.slice(0, -2);
+  return word;
+}
+
+/**
+ * Question text to index terms
+ */
+export function tokenize(text) {
+  const words = String(text || '').toLowerCase().replace(/['’]s\b/g, '').match(/[a-z0-9]+/g) || [];
+  const terms = [];
+
+  for (const word of words) {
+    if (STOPWORDS.has(word)) continue;
+    const term = SYNONYMS.get(word) || SYNONYMS.get(stem(word)) || stem(word);
+    if (SPECIES_WORDS.has(word) || SPECIES_WORDS.has(term)) continue;
+    terms.push(term);
+  }
+
+  return terms;
+}
+
+function countTerms(terms) {
+  const counts = {};
+  for (const term of terms) {
+    counts[term] = (counts[term] || 0) + 1;
+  }
+  return counts;
+}
+
+class SemanticIndex {
+  constructor(options = {}) {
+    this.threshold = options.threshold ?? 0.75;   // Cosine similarity needed to reuse an answer
+    this.maxEntries = options.maxEntries ?? 1000;
+    this.ttl = options.ttl ?? 86400000;
+    this.minTerms = options.minTerms ?? 2;        // Fewer and it's too vague to match on
+    this.entries = new Map();
+    this.documentFrequency = new Map();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 'other' covers everything from ferrets to snakes, so those answers
+   * aren't shared; no species is its own scope
+   */
+  resolveScope(species) {
+    if (species === 'other') return null;
+    return species || 'general';
+  }
+
+  entryId(scope, question) {
+    const normalized = String(question).toLowerCase().trim().replace(/\s+/g, ' ');
+    return crypto.createHash('md5').update(`${scope}:${normalized}`).digest('hex');
+  }
+
+  isExpired(entry, now = Date.now()) {
+    return now - entry.timestamp > entry.ttl;
+  }
+
+  /**
+   * Index an answered question. Asking the same question again replaces
+   * the answer. Returns the entry, or null if it can't be indexed.
+   */
+  add(question, answer, { species, ttl } = {}) {
+    const scope = this.resolveScope(species);
+    const terms = tokenize(question);
+    if (!scope || !answer || terms.length < this.minTerms) return null;
+
+    const id = this.entryId(scope, question);
+    this.delete(id);
+
+    const entry = {
+      id,
+      question,
+      answer,
+      species: scope,
+      terms: countTerms(terms),
+      timestamp: Date.now(),
+      ttl: ttl || this.ttl,
+      hits: 0,
+      lastAccessed: Date.now()
+    };
+    this.insert(entry);
+
+    if (this.entries.size > this.maxEntries) {
+      this.evictLRU();
+    }
+
+    return entry;
+  }
+
+  insert(entry) {
+    this.entries.set(entry.id, entry);
+    for (const term of Object.keys(entry.terms)) {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  delete(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+
+    this.entries.delete(id);
+    for (const term of Object.keys(entry.terms)) {
+      const count = this.documentFrequency.get(term) - 1;
+      if (count > 0) {
+        this.documentFrequency.set(term, count);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Smoothed, so a term only one entry has still counts for something
+   */
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log((this.entries.size + 1) / (df + 1)) + 1;
+  }
+
+  weigh(counts) {
+    const vector = {};
+    let norm = 0;
+    for (const [term, count] of Object.entries(counts)) {
+      vector[term] = count * this.idf(term);
+      norm += vector[term] ** 2;
+    }
+    return { vector, norm: Math.sqrt(norm) };
+  }
+
+  /**
+   * Closest earlier question in the same scope at or above the threshold:
+   * { entry, score } or null
+   */
+  search(question, { species } = {}) {
+    const scope = this.resolveScope(species);
+    const terms = tokenize(question);
+    if (!scope || terms.length < this.minTerms || this.entries.size === 0) return null;
+
+    const query = this.weigh(countTerms(terms));
+    const now = Date.now();
+    let best = null;
+
+    for (const entry of this.entries.values()) {
+      if (entry.species !== scope || this.isExpired(entry, now)) continue;
+
+      const candidate = this.weigh(entry.terms);
+      let dot = 0;
+      for (const [term, weight] of Object.entries(query.vector)) {
+        if (candidate.vector[term]) dot += weight * candidate.vector[term];
+      }
+      const score = dot / (query.norm * candidate.norm);
+
+      if (score >= this.threshold && (!best || score > best.score)) {
+        best = { entry, score };
+      }
+    }
+
+    if (best) {
+      best.entry.hits++;
+      best.entry.lastAccessed = now;
+    }
+    return best;
+  }
+
+  evictLRU() {
+    let lru = null;
+    for (const entry of this.entries.values()) {
+      if (!lru || entry.lastAccessed < lru.lastAccessed) lru = entry;
+    }
+    if (lru) this.delete(lru.id);
+  }
+
+  /**
+   * Drop expired entries, returns how many
+   */
+  cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (this.isExpired(entry, now)) {
+        this.delete(entry.id);
+        cleaned++;
+      }
+    }
+    return cleaned;
+  }
+
+  /**
+   * Drop entries whose question or answer matches
+   */
+  invalidate(pattern) {
+    let invalidated = 0;
+    for (const entry of [...this.entries.values()]) {
+      if (pattern.test(entry.question) || pattern.test(entry.answer)) {
+        this.delete(entry.id);
+        invalidated++;
+      }
+    }
+    return invalidated;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.documentFrequency.clear();
+  }
+
+  toJSON() {
+    return [...this.entries.values()];
+  }
+
+  /**
+   * Restore entries saved with toJSON; the term counts are recalculated
+   * so a change to the tokenizer applies to old entries too
+   */
+  load(entries = []) {
+    this.clear();
+    for (const saved of entries) {
+      const scope = this.resolveScope(saved.species);
+      const terms = tokenize(saved.question);
+      if (!scope || !saved.answer || terms.length < this.minTerms) continue;
+
+      this.insert({
+        ...saved,
+        id: this.entryId(scope, saved.question),
+        species: scope,
+        terms: countTerms(terms)
+      });
+    }
+    this.cleanup();
+  }
+}
+
+export default SemanticIndex;
@@ -0,0 +1,121 @@
+/**
+ * Whether a question or answer is about one household, and so must not be
+ * shared with other owners through the cache.
+ *
+ * An answer is personal when the assistant saw the household's records, when
+ * it follows on from earlier messages, or when the question or answer carries
+ * personal details: pet and vet names, names the owner typed, email
+ * addresses and phone or microchip numbers.
+ */
+
+const EMAIL = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+const LONG_NUMBER = /(?:\+?\d[\s().-]?){7,}/;   // Phone and microchip numbers
+
+// "it", "she", "that one" only make sense after earlier messages
+const FOLLOW_UP = /\b(it|its|that|this|those|these|they|them|their|he|him|his|she|her|hers|one)\b/i;
+
+// About the household's own bookings or records rather than pets in general
+const OWN_RECORDS = /\b(my|our|his|her|their)\b[^.?!]*\b(appointments?|bookings?|visits?|records?|history|results?|prescriptions?|medications?|due|overdue)\b/i;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Capitalized words that don't start a sentence - usually names
+ * ("my dog Max", "seen by Dr. Patel")
+ */
+function findCapitalizedWords(text) {
+  const words = [];
+  for (const sentence of String(text || '').split(/(?<=[.!?])\s+|\n+/)) {
+    const tokens = sentence.trim().split(/\s+/).slice(1);
+    for (const token of tokens) {
+      const word = token.replace(/^[^A-Za-z]+|[^A-Za-z]+$/g, '');
+      if (/^[A-Z][a-z]+$/.test(word) && !/^(Dr|Mr|Mrs|Ms)$/.test(word)) {
+        words.push(word);
+      }
+    }
+  }
+  return words;
+}
+
+function mentionsSomeone(text, names) {
+  return containsPersonalDetails(text, names) || findCapitalizedWords(text).length > 0;
+}
+
+/**
+ * Whether the prompt carried anything from the household's records
+ */
+export function hasHouseholdRecords(context = {}) {
+  return Boolean(
+    context.pet ||
+    context.pets?.length ||
+    context.appointments?.upcoming?.length ||
+    context.appointments?.past?.length
+  );
+}
+
+/**
+ * Names the household's records would put in an answer
+ */
+export function getPersonalNames({ pets = [], context = {} } = {}) {
+  const appointments = [
+    ...(context.appointments?.upcoming || []),
+    ...(context.appointments?.past || [])
+  ];
+
+  const names = [
+    ...pets.map(pet => pet.name),
+    context.pet?.name,
+    ...appointments.flatMap(appointment => [appointment.petName, appointment.veterinarian])
+  ];
+
+  return [...new Set(names.filter(Boolean))];
+}
+
+/**
+ * Email addresses, phone or microchip numbers, or any of names
+ */
+export function containsPersonalDetails(text, names = []) {
+  const value = String(text || '');
+  if (EMAIL.test(value) || LONG_NUMBER.test(value)) return true;
+
+  return names.some(name =>
+    new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(value)
+  );
+}
+
+/**
+ * Whether an earlier owner's answer may be given for this question: it has
+ * to stand on its own and not be about this household's pets or records.
+ * history is the conversation before this message.
+ */
+export function canUseSharedAnswer({ message, history = [], names = [] }) {
+  if (history.length > 0 && FOLLOW_UP.test(message)) return false;
+  if (names.length > 0 && OWN_RECORDS.test(message)) return false;
+  return !mentionsSomeone(message, names);
+}
+
+/**
+ * Whether the exchange depends on this household, so its answer is cached
+ * for the session only. Decided before the answer exists; see
+ * isShareableAnswer for the answer itself.
+ */
+export function isPersonalized({ message, history = [], context = {}, names = [] }) {
+  if (hasHouseholdRecords(context)) return true;
+  if (!canUseSharedAnswer({ message, history, names })) return true;
+
+  // The model sees the earlier messages too
+  return history.some(entry => entry.role === 'user' && mentionsSomeone(entry.content, names));
+}
+
+/**
+ * Whether a generic exchange's answer is free of personal details - the
+ * model can still echo a name the owner typed in lower case ("my dog max")
+ */
+export function isShareableAnswer({ message, answer, names = [] }) {
+  if (containsPersonalDetails(answer, names)) return false;
+
+  const typed = new Set(String(message || '').toLowerCase().match(/[a-z]+/g) || []);
+  return !findCapitalizedWords(answer).some(word => typed.has(word.toLowerCase()));
+}
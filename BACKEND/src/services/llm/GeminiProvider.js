@@ -0,0 +1,43 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Google Gemini adapter
+ */
+class GeminiProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('gemini', options.model || process.env.GEMINI_MODEL || 'gemini-2.0-flash-exp');
+
+    // Log to verify API key is loaded
+    const apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    console.log('Gemini API Key status:', apiKey ? `Loaded (${apiKey.substring(0, 10)}...)` : 'Missing');
+
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.client = this.genAI.getGenerativeModel({ model: this.model });
+  }
+
+  async generate(request) {
+    const result = await this.client.generateContent(this.toTranscript(request));
+    const response = result.response;
+    const usage = response.usageMetadata;
+
+    return {
+      text: response.text(),
+      usage: usage ? {
+        promptTokens: usage.promptTokenCount,
+        completionTokens: usage.candidatesTokenCount
+      } : null
+    };
+  }
+
+  async *stream(request) {
+    const result = await this.client.generateContentStream(this.toTranscript(request));
+
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+    }
+  }
+}
+
+export default GeminiProvider;
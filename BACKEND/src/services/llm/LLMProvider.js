@@ -0,0 +1,60 @@
+/**
+ * Base class for LLM providers used by GeminiService
+ *
+ * A provider receives a fully built request and returns the generated text:
+ *   generate({ systemPrompt, messages: [{ role: 'user' | 'assistant', content }] })
+ *     -> { text, usage? }
+ *   stream(request) -> async iterable of text chunks
+ *
+ * Prompt building, fallbacks and analytics stay in GeminiService so every
+ * provider behaves the same way towards the rest of the app.
+ */
+
+class LLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  /**
+   * Generate a completion for the request
+   */
+  async generate(request) {
+    throw new Error(`${this.name} provider does not implement generate()`);
+  }
+
+  /**
+   * Stream a completion as text chunks
+   * Providers without native streaming yield the whole completion at once
+   */
+  async *stream(request) {
+    const { text } = await this.generate(request);
+    yield text;
+  }
+
+  /**
+   * Flatten a request into a single transcript prompt
+   * Used by providers that take plain text rather than chat messages
+   */
+  toTranscript({ systemPrompt, messages }) {
+    return [
+      systemPrompt,
+      ...messages.map(msg =>
+        `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`
+      ),
+      'Assistant:'
+    ].join('\n\n');
+  }
+
+  /**
+   * Provider details for health checks and analytics
+   */
+  describe() {
+    return {
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,112 @@
+import fetch from 'node-fetch';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Adapter for any OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, Azure OpenAI, OpenRouter, vLLM, Ollama, LM Studio...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('openai', options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini');
+
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.timeout = options.timeout || 30000;
+    this.temperature = options.temperature ?? 0.4;
+
+    console.log(`OpenAI-compatible endpoint: ${this.baseUrl} (API key ${this.apiKey ? 'present' : 'missing'})`);
+  }
+
+  async generate(request) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await this.post(request, { stream: false }, controller.signal);
+      const data = await response.json();
+      const text = data.choices?.[0]?.message?.content;
+
+      if (!text) {
+        throw new Error('Empty completion returned');
+      }
+
+      return {
+        text,
+        usage: data.usage ? {
+          promptTokens: data.usage.prompt_tokens,
+          completionTokens: data.usage.completion_tokens
+        } : null
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Parse the SSE stream ("data: {...}" lines, ended by "data: [DONE]")
+   */
+  async *stream(request) {
+    const controller = new AbortController();
+    // Timeout covers the wait for the first byte; once streaming, let it finish
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await this.post(request, { stream: true }, controller.signal);
+      clearTimeout(timer);
+
+      // A network chunk can end partway through a multibyte character; the
+      // decoder keeps those bytes until the rest arrives
+      const decoder = new TextDecoder();
+      let buffer = '';
+      for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          if (!line.startsWith('data:')) continue;
+
+          const payload = line.slice(5).trim();
+          if (payload === '[DONE]') return;
+
+          const delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+          if (delta) yield delta;
+        }
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Send the chat completion request, throwing on non-2xx responses
+   */
+  async post({ systemPrompt, messages }, options, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: this.temperature,
+        stream: options.stream,
+        messages: [
+          { role: 'system', content: systemPrompt },
+          ...messages
+        ]
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`HTTP ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    return response;
+  }
+}
+
+export default OpenAICompatibleProvider;
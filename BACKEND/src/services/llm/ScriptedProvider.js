@@ -0,0 +1,66 @@
+import fs from 'fs';
+import LLMProvider from './LLMProvider.js';
+
+/**
+ * Deterministic offline provider for tests and air-gapped demos
+ *
+ * Replies are picked by matching the latest user message against an ordered
+ * list of rules. Rules can be loaded from a JSON file (LLM_SCRIPT_PATH):
+ *   [{ "match": "chocolate", "response": "Chocolate is toxic to dogs..." }]
+ * "match" is a case-insensitive regular expression.
+ */
+class ScriptedProvider extends LLMProvider {
+  constructor(options = {}) {
+    super('scripted', 'scripted-v1');
+
+    this.rules = options.rules || this.loadRules(options.scriptPath || process.env.LLM_SCRIPT_PATH);
+    this.fallback = options.fallback ||
+      'I\'m running in offline mode, so I can only answer a few common questions. For anything about your pet\'s health, please contact your veterinarian.';
+  }
+
+  loadRules(scriptPath) {
+    if (scriptPath) {
+      try {
+        const rules = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+        console.log(`Loaded ${rules.length} scripted LLM rules from ${scriptPath}`);
+        return rules;
+      } catch (error) {
+        console.error('Failed to load LLM script, using defaults:', error.message);
+      }
+    }
+
+    return [
+      { match: '^(hi|hello|hey)\\b', response: 'Hello! How can I help with your pet today?' },
+      { match: 'chocolate|grape|raisin|xylitol|onion', response: 'That food can be toxic to pets. If your pet ate some, call your vet or an animal poison hotline right away.' },
+      { match: 'vaccin|shot', response: 'Puppies and kittens usually get vaccines every 3-4 weeks from 6-8 weeks old until about 16 weeks, then boosters. Your vet can give you the exact schedule.' },
+      { match: 'vomit|diarrh', response: 'If your pet is vomiting, hold food for a few hours and offer small sips of water. If it keeps happening or your pet seems weak, see a vet.' },
+      { match: 'feed|food|diet', response: 'Most adult dogs and cats do well with two measured meals a day of a complete pet food. Ask your vet about the right amount for your pet\'s weight.' }
+    ];
+  }
+
+  async generate({ messages }) {
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+    const text = lastUserMessage?.content || '';
+
+    const rule = this.rules.find(candidate => new RegExp(candidate.match, 'i').test(text));
+
+    return {
+      text: rule ? rule.response : this.fallback,
+      usage: null
+    };
+  }
+
+  /**
+   * Stream the scripted reply word by word so clients can exercise
+   * partial rendering without a real model
+   */
+  async *stream(request) {
+    const { text } = await this.generate(request);
+
+    for (const word of text.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+  }
+}
+
+export default ScriptedProvider;
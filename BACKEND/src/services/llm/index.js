@@ -0,0 +1,27 @@
+import GeminiProvider from './GeminiProvider.js';
+import OpenAICompatibleProvider from './OpenAICompatibleProvider.js';
+import ScriptedProvider from './ScriptedProvider.js';
+
+const providers = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  scripted: ScriptedProvider
+};
+
+/**
+ * Create the LLM provider for this environment
+ * LLM_PROVIDER picks the adapter; tests default to the scripted provider
+ * so they never call a paid API.
+ */
+export function createProvider(name = process.env.LLM_PROVIDER, options = {}) {
+  const providerName = (name || (process.env.NODE_ENV === 'test' ? 'scripted' : 'gemini')).toLowerCase();
+  const Provider = providers[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${providerName}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+export { GeminiProvider, OpenAICompatibleProvider, ScriptedProvider };
@@ -0,0 +1,58 @@
+import Notifier from './Notifier.js';
+
+/**
+ * Keeps sent notifications in memory so tests can assert on them:
+ *
+ *   const capture = new CaptureNotifier();
+ *   NotificationService.setTransport('email', capture);
+ *   ...
+ *   capture.find({ category: 'appointment_confirmation' })
+ *
+ * failNext(n) makes the next n sends throw, to exercise retries.
+ */
+class CaptureNotifier extends Notifier {
+  constructor() {
+    super('capture');
+    this.sent = [];
+    this.failures = 0;
+  }
+
+  async send(message) {
+    this.validate(message);
+
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('Simulated delivery failure');
+    }
+
+    const entry = {
+      id: this.createId(),
+      sentAt: new Date(),
+      ...message
+    };
+    this.sent.push(entry);
+
+    return { id: entry.id, notifier: this.name, sentAt: entry.sentAt };
+  }
+
+  /**
+   * Sent messages whose fields equal every field in filter
+   * ({ channel: 'sms', category: 'appointment_reminder' })
+   */
+  find(filter = {}) {
+    return this.sent.filter(entry =>
+      Object.entries(filter).every(([key, value]) => entry[key] === value)
+    );
+  }
+
+  failNext(count = 1) {
+    this.failures = count;
+  }
+
+  clear() {
+    this.sent = [];
+    this.failures = 0;
+  }
+}
+
+export default CaptureNotifier;
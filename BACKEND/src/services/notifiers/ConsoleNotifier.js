@@ -0,0 +1,23 @@
+import Notifier from './Notifier.js';
+
+/**
+ * Logs notifications instead of sending them - the development default,
+ * so reminders are visible without any mail or SMS account
+ */
+class ConsoleNotifier extends Notifier {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    this.validate(message);
+
+    const id = this.createId();
+    const recipient = message.channel === 'sms' ? message.to.phone : message.to.email || message.to.phone;
+    console.log(`📨 [${message.category || 'notification'}] to ${recipient}: ${message.subject || ''}\n${message.text}`);
+
+    return { id, notifier: this.name, sentAt: new Date() };
+  }
+}
+
+export default ConsoleNotifier;
@@ -0,0 +1,61 @@
+/**
+ * Base class for notifiers - how reminders and appointment messages reach pet owners
+ *
+ * A notifier delivers one message and reports what happened:
+ *   send({ channel, to: { name, email, phone }, subject, text, category, metadata })
+ *     -> { id, notifier, sentAt, providerId? }
+ *
+ * channel is 'email' or 'sms'; channels lists the ones a notifier can
+ * deliver. Deciding who to notify and when stays in NotificationService, so
+ * every notifier behaves the same way towards the rest of the app.
+ */
+
+import crypto from 'crypto';
+
+class Notifier {
+  constructor(name, channels = ['email', 'sms']) {
+    this.name = name;
+    this.channels = channels;
+  }
+
+  /**
+   * Deliver a message to its recipient
+   */
+  async send(message) {
+    throw new Error(`${this.name} notifier does not implement send()`);
+  }
+
+  /**
+   * Reject messages nobody can receive
+   */
+  validate(message) {
+    if (message.channel && !this.channels.includes(message.channel)) {
+      throw new Error(`${this.name} notifier cannot send ${message.channel} messages`);
+    }
+    if (message.channel === 'email' && !message.to?.email) {
+      throw new Error('Email notification needs an email recipient');
+    }
+    if (message.channel === 'sms' && !message.to?.phone) {
+      throw new Error('SMS notification needs a phone recipient');
+    }
+    if (!message.to?.email && !message.to?.phone) {
+      throw new Error('Notification needs an email or phone recipient');
+    }
+    if (!message.text) {
+      throw new Error('Notification text is required');
+    }
+  }
+
+  createId() {
+    return crypto.randomUUID();
+  }
+
+  describe() {
+    return {
+      notifier: this.name,
+      channels: this.channels
+    };
+  }
+}
+
+export default Notifier;
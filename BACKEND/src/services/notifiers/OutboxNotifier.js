@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import Notifier from './Notifier.js';
+
+/**
+ * Appends every notification to a JSON-lines file instead of sending it.
+ * Tests and demos read the outbox to see exactly what owners would get.
+ *
+ * NOTIFIER_OUTBOX_PATH sets the file (default ./outbox/notifications.jsonl).
+ */
+class OutboxNotifier extends Notifier {
+  constructor(options = {}) {
+    super('outbox');
+    this.filePath = options.filePath || process.env.NOTIFIER_OUTBOX_PATH || './outbox/notifications.jsonl';
+  }
+
+  async send(message) {
+    this.validate(message);
+
+    const entry = {
+      id: this.createId(),
+      sentAt: new Date(),
+      ...message
+    };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return { id: entry.id, notifier: this.name, sentAt: entry.sentAt };
+  }
+
+  /**
+   * Everything sent so far, oldest first
+   */
+  async read() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async clear() {
+    await fs.rm(this.filePath, { force: true });
+  }
+
+  describe() {
+    return {
+      ...super.describe(),
+      filePath: this.filePath
+    };
+  }
+}
+
+export default OutboxNotifier;
@@ -0,0 +1,59 @@
+import fetch from 'node-fetch';
+import Notifier from './Notifier.js';
+
+/**
+ * Sends text messages through the Twilio Messages API, or any gateway that
+ * accepts the same form post (SMS_API_URL)
+ *
+ * SMS_ACCOUNT_SID, SMS_AUTH_TOKEN and SMS_FROM (the clinic's number) configure it.
+ */
+class SmsNotifier extends Notifier {
+  constructor(options = {}) {
+    super('sms', ['sms']);
+
+    this.accountSid = options.accountSid || process.env.SMS_ACCOUNT_SID;
+    this.authToken = options.authToken || process.env.SMS_AUTH_TOKEN;
+    this.from = options.from || process.env.SMS_FROM;
+    this.timeout = options.timeout || 15000;
+
+    if (!this.accountSid || !this.authToken || !this.from) {
+      throw new Error('SMS_ACCOUNT_SID, SMS_AUTH_TOKEN and SMS_FROM are required for the sms notifier');
+    }
+
+    this.apiUrl = options.apiUrl || process.env.SMS_API_URL ||
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`;
+
+    console.log(`SMS notifier: ${this.apiUrl} (from ${this.from})`);
+  }
+
+  async send(message) {
+    this.validate({ channel: 'sms', ...message });
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(this.apiUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`
+        },
+        body: new URLSearchParams({ To: message.to.phone, From: this.from, Body: message.text }).toString(),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`HTTP ${response.status}: ${body.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      return { id: this.createId(), notifier: this.name, sentAt: new Date(), providerId: data.sid };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default SmsNotifier;
@@ -0,0 +1,46 @@
+import nodemailer from 'nodemailer';
+import Notifier from './Notifier.js';
+
+/**
+ * Sends email through any SMTP server (SendGrid, Mailgun, SES, Gmail...)
+ *
+ * SMTP_HOST, SMTP_PORT (587), SMTP_SECURE ('true' for port 465),
+ * SMTP_USER / SMTP_PASS and SMTP_FROM configure it.
+ */
+class SmtpNotifier extends Notifier {
+  constructor(options = {}) {
+    super('smtp', ['email']);
+
+    const host = options.host || process.env.SMTP_HOST;
+    if (!host && !options.transporter) {
+      throw new Error('SMTP_HOST is required for the smtp notifier');
+    }
+
+    this.from = options.from || process.env.SMTP_FROM || process.env.SMTP_USER;
+    this.transporter = options.transporter || nodemailer.createTransport({
+      host,
+      port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+      secure: (options.secure ?? process.env.SMTP_SECURE) === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    console.log(`SMTP notifier: ${host || 'custom transport'} (from ${this.from || 'missing'})`);
+  }
+
+  async send(message) {
+    this.validate({ channel: 'email', ...message });
+
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      to: message.to.name ? { name: message.to.name, address: message.to.email } : message.to.email,
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { id: this.createId(), notifier: this.name, sentAt: new Date(), providerId: info.messageId };
+  }
+}
+
+export default SmtpNotifier;
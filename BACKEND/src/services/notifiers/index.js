@@ -0,0 +1,39 @@
+import CaptureNotifier from './CaptureNotifier.js';
+import ConsoleNotifier from './ConsoleNotifier.js';
+import OutboxNotifier from './OutboxNotifier.js';
+import SmsNotifier from './SmsNotifier.js';
+import SmtpNotifier from './SmtpNotifier.js';
+
+const notifiers = {
+  console: ConsoleNotifier,
+  outbox: OutboxNotifier,
+  capture: CaptureNotifier,
+  smtp: SmtpNotifier,
+  sms: SmsNotifier
+};
+
+/**
+ * Create the notifier for this environment
+ * NOTIFIER picks the adapter; tests default to the outbox file so nothing
+ * is ever sent to a real owner.
+ */
+export function createNotifier(name = process.env.NOTIFIER, options = {}) {
+  const notifierName = (name || (process.env.NODE_ENV === 'test' ? 'outbox' : 'console')).toLowerCase();
+  const Notifier = notifiers[notifierName];
+
+  if (!Notifier) {
+    throw new Error(`Unknown NOTIFIER "${notifierName}". Use one of: ${Object.keys(notifiers).join(', ')}`);
+  }
+
+  return new Notifier(options);
+}
+
+/**
+ * The notifier for one channel - NOTIFIER_EMAIL / NOTIFIER_SMS, falling
+ * back to NOTIFIER (e.g. NOTIFIER_EMAIL=smtp with NOTIFIER_SMS=sms)
+ */
+export function createChannelNotifier(channel, options = {}) {
+  return createNotifier(process.env[`NOTIFIER_${channel.toUpperCase()}`] || process.env.NOTIFIER, options);
+}
+
+export { CaptureNotifier, ConsoleNotifier, OutboxNotifier, SmsNotifier, SmtpNotifier };
@@ -0,0 +1,96 @@
+/**
+ * Owner-facing message templates. Each renders { subject, text } for one
+ * channel from the data stored on the NotificationJob; SMS versions are a
+ * single short line.
+ */
+
+const clinicName = () => process.env.CLINIC_NAME || 'the clinic';
+
+const greeting = data => data.ownerName ? `Hi ${data.ownerName.split(' ')[0]},` : 'Hi,';
+
+// "Tuesday, March 3, 2026 at 10:00 AM (9:00 AM your time) with Dr. Smith"
+const describeVisit = data =>
+  `${data.when}${data.yourTime || ''}${data.veterinarian ? ` with ${data.veterinarian}` : ''}`;
+
+const visitDetails = data => [
+  `Pet: ${data.petName}`,
+  `When: ${data.when}${data.yourTime || ''}`,
+  data.veterinarian ? `Vet: ${data.veterinarian}` : null,
+  data.reason ? `Reason: ${data.reason}` : null
+].filter(Boolean).join('\n');
+
+const templates = {
+  appointment_confirmation: {
+    subject: data => `${data.petName}'s appointment is booked`,
+    email: data => `${greeting(data)}
+
+Thanks for booking with ${clinicName()}. Here are the details:
+
+${visitDetails(data)}
+
+We'll be in touch to confirm. To reschedule or cancel, just ask our chat assistant.`,
+    sms: data => `${clinicName()}: ${data.petName}'s appointment is booked for ${describeVisit(data)}. Ask our chat assistant to reschedule or cancel.`
+  },
+
+  appointment_rescheduled: {
+    subject: data => `${data.petName}'s appointment has moved`,
+    email: data => `${greeting(data)}
+
+${data.petName}'s appointment has been moved. The new details:
+
+${visitDetails(data)}
+
+We'll be in touch to confirm the new time.`,
+    sms: data => `${clinicName()}: ${data.petName}'s appointment has moved to ${describeVisit(data)}.`
+  },
+
+  appointment_reminder: {
+    subject: data => `Reminder: ${data.petName}'s appointment ${data.leadTime}`,
+    email: data => `${greeting(data)}
+
+Just a reminder that ${data.petName} is booked in ${data.leadTime}:
+
+${visitDetails(data)}
+
+If you can't make it, please let us know through the chat so someone else can have the slot.`,
+    sms: data => `${clinicName()}: reminder, ${data.petName}'s appointment is ${data.leadTime} - ${describeVisit(data)}.`
+  },
+
+  appointment_cancelled: {
+    subject: data => `${data.petName}'s appointment is cancelled`,
+    email: data => `${greeting(data)}
+
+${data.petName}'s appointment on ${data.when}${data.yourTime || ''} has been cancelled.
+
+If that's a surprise, or you'd like a new time, just chat with us.`,
+    sms: data => `${clinicName()}: ${data.petName}'s appointment on ${data.when} has been cancelled. Chat with us to book a new time.`
+  },
+
+  vaccine_reminder: {
+    subject: data => `${data.petName}'s vaccinations are due`,
+    email: data => `${greeting(data)}
+
+${data.petName} has vaccinations coming up:
+${data.vaccines.map(line => `- ${line}`).join('\n')}
+
+Chat with us to book a visit.`,
+    sms: data => `${clinicName()}: ${data.petName} has vaccinations due (${data.vaccines.join('; ')}). Chat with us to book a visit.`
+  }
+};
+
+export const TEMPLATE_NAMES = Object.keys(templates);
+
+/**
+ * { subject, text } for a template on a channel
+ */
+export function renderNotification(name, channel, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template "${name}"`);
+  }
+
+  return {
+    subject: template.subject(data),
+    text: template[channel](data)
+  };
+}
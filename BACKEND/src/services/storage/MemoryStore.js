@@ -0,0 +1,135 @@
+import StateStore from './StateStore.js';
+
+/**
+ * Keeps state in this process - the default, and what tests use. Nothing is
+ * shared with other instances and everything is gone after a restart.
+ *
+ * Expired keys are dropped when read and swept once a minute.
+ */
+class MemoryStore extends StateStore {
+  constructor(options = {}) {
+    super('memory');
+    this.data = new Map();   // key -> { value, expiresAt }
+
+    const sweepInterval = options.sweepInterval ?? 60000;
+    if (sweepInterval > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+      this.sweepTimer.unref?.();
+    }
+  }
+
+  read(key) {
+    const entry = this.data.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  write(key, value, ttl) {
+    const entry = { value, expiresAt: ttl ? Date.now() + ttl : null };
+    this.data.set(key, entry);
+    return entry;
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.data) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.data.delete(key);
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    // Copies, like a round trip through Redis, so callers can't change stored state
+    return entry ? structuredClone(entry.value) : null;
+  }
+
+  async set(key, value, { ttl } = {}) {
+    this.write(key, structuredClone(value), ttl);
+  }
+
+  async delete(key) {
+    this.data.delete(key);
+  }
+
+  async deleteMatching(prefix) {
+    let deleted = 0;
+    for (const key of [...this.data.keys()]) {
+      if (key.startsWith(prefix) && this.read(key)) {
+        this.data.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async countKeys(prefix) {
+    let count = 0;
+    for (const key of [...this.data.keys()]) {
+      if (key.startsWith(prefix) && this.read(key)) count++;
+    }
+    return count;
+  }
+
+  async increment(key, amount = 1, { ttl } = {}) {
+    const value = (this.read(key)?.value || 0) + amount;
+    this.write(key, value, ttl || this.remainingTtl(key));
+    return value;
+  }
+
+  remainingTtl(key) {
+    const expiresAt = this.read(key)?.expiresAt;
+    return expiresAt ? expiresAt - Date.now() : null;
+  }
+
+  async hashIncrement(key, field, amount = 1) {
+    const entry = this.read(key) || this.write(key, {});
+    entry.value[field] = (entry.value[field] || 0) + amount;
+    return entry.value[field];
+  }
+
+  async hashGetAll(key) {
+    return { ...(this.read(key)?.value || {}) };
+  }
+
+  async listPush(key, value, { maxLength = 1000 } = {}) {
+    const entry = this.read(key) || this.write(key, []);
+    entry.value.push(structuredClone(value));
+    if (entry.value.length > maxLength) {
+      entry.value.splice(0, entry.value.length - maxLength);
+    }
+  }
+
+  async listRange(key) {
+    return structuredClone(this.read(key)?.value || []);
+  }
+
+  async consumeToken(key, limit) {
+    const now = Date.now();
+    const bucket = this.read(key)?.value || { tokens: limit.tokens, lastRefill: now };
+
+    // Calculate tokens to add based on time passed, up to max capacity
+    const tokensToAdd = ((now - bucket.lastRefill) / limit.interval) * limit.refillRate;
+    bucket.tokens = Math.min(limit.tokens, bucket.tokens + tokensToAdd);
+    bucket.lastRefill = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+
+    // Left alone this long a bucket is full again, same as a new one
+    this.write(key, bucket, Math.ceil((limit.tokens / limit.refillRate) * limit.interval));
+    return allowed;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+export default MemoryStore;
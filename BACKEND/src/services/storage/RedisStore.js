@@ -0,0 +1,161 @@
+import Redis from 'ioredis';
+import StateStore from './StateStore.js';
+
+// Refill and take a token in one step, so instances can't race for the last one
+const CONSUME_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillRate = tonumber(ARGV[2])
+local interval = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'lastRefill')
+local tokens = tonumber(bucket[1]) or capacity
+local lastRefill = tonumber(bucket[2]) or now
+
+tokens = math.min(capacity, tokens + ((now - lastRefill) / interval) * refillRate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'lastRefill', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity / refillRate) * interval))
+return allowed
+`;
+
+/**
+ * Keeps state in Redis so every instance sees the same rate limits,
+ * analytics and cached answers.
+ *
+ * REDIS_URL (default redis://localhost:6379) picks the server;
+ * STATE_STORE_PREFIX (default "vet-chatbot:") namespaces the keys so
+ * several apps can share one Redis. Commands fail fast while Redis is down
+ * instead of queueing, and the services fall back to letting requests
+ * through.
+ */
+class RedisStore extends StateStore {
+  constructor(options = {}) {
+    super('redis');
+    this.prefix = options.prefix ?? process.env.STATE_STORE_PREFIX ?? 'vet-chatbot:';
+
+    this.client = options.client || new Redis(options.url || process.env.REDIS_URL || 'redis://localhost:6379', {
+      keyPrefix: this.prefix,
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+    // Without a listener ioredis reports every failed reconnect as unhandled
+    this.client.on?.('error', error => {
+      if (this.lastError !== error.message) {
+        console.error('Redis store error:', error.message);
+        this.lastError = error.message;
+      }
+    });
+    this.client.on?.('ready', () => {
+      this.lastError = null;
+    });
+
+    this.client.defineCommand('consumeToken', {
+      numberOfKeys: 1,
+      lua: CONSUME_TOKEN_SCRIPT
+    });
+  }
+
+  serialize(value) {
+    return JSON.stringify(value);
+  }
+
+  parse(raw) {
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  async get(key) {
+    return this.parse(await this.client.get(key));
+  }
+
+  async set(key, value, { ttl } = {}) {
+    if (ttl) {
+      await this.client.set(key, this.serialize(value), 'PX', Math.ceil(ttl));
+    } else {
+      await this.client.set(key, this.serialize(value));
+    }
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+
+  /**
+   * SCAN returns full key names; keyPrefix only applies to commands, so
+   * both the pattern and the keys handed back to DEL need adjusting
+   */
+  async scanKeys(prefix) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.client.scan(cursor, 'MATCH', `${this.prefix}${prefix}*`, 'COUNT', 200);
+      keys.push(...batch.map(key => key.slice(this.prefix.length)));
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  async deleteMatching(prefix) {
+    const keys = await this.scanKeys(prefix);
+    for (let i = 0; i < keys.length; i += 500) {
+      await this.client.del(...keys.slice(i, i + 500));
+    }
+    return keys.length;
+  }
+
+  async countKeys(prefix) {
+    return (await this.scanKeys(prefix)).length;
+  }
+
+  async increment(key, amount = 1, { ttl } = {}) {
+    const pipeline = this.client.multi().incrbyfloat(key, amount);
+    if (ttl) pipeline.pexpire(key, Math.ceil(ttl));
+    const [[error, value]] = await pipeline.exec();
+    if (error) throw error;
+    return Number(value);
+  }
+
+  async hashIncrement(key, field, amount = 1) {
+    return Number(await this.client.hincrbyfloat(key, field, amount));
+  }
+
+  async hashGetAll(key) {
+    const hash = await this.client.hgetall(key);
+    return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, Number(value)]));
+  }
+
+  async listPush(key, value, { maxLength = 1000 } = {}) {
+    await this.client.multi()
+      .rpush(key, this.serialize(value))
+      .ltrim(key, -maxLength, -1)
+      .exec();
+  }
+
+  async listRange(key) {
+    return (await this.client.lrange(key, 0, -1)).map(raw => this.parse(raw));
+  }
+
+  async consumeToken(key, limit) {
+    const allowed = await this.client.consumeToken(key, limit.tokens, limit.refillRate, limit.interval, Date.now());
+    return Number(allowed) === 1;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+
+  describe() {
+    return {
+      store: this.name,
+      shared: true,
+      status: this.client.status
+    };
+  }
+}
+
+export default RedisStore;
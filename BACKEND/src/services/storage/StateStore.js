@@ -0,0 +1,104 @@
+/**
+ * Base class for state stores - where counters, rate-limit buckets and
+ * cached answers live while the server runs
+ *
+ * With one server process the memory store is enough. Running several
+ * instances behind a load balancer needs them to share this state, or each
+ * one rate-limits and counts on its own; the Redis store does that.
+ *
+ * Values are anything JSON can hold. ttl is in milliseconds. Every method is
+ * async, including on the memory store, so services don't care which one
+ * they have.
+ */
+
+class StateStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Value for key, or null
+   */
+  async get(key) {
+    throw new Error(`${this.name} store does not implement get()`);
+  }
+
+  async set(key, value, { ttl } = {}) {
+    throw new Error(`${this.name} store does not implement set()`);
+  }
+
+  async delete(key) {
+    throw new Error(`${this.name} store does not implement delete()`);
+  }
+
+  /**
+   * Delete every key starting with prefix, returns how many
+   */
+  async deleteMatching(prefix) {
+    throw new Error(`${this.name} store does not implement deleteMatching()`);
+  }
+
+  /**
+   * Count keys starting with prefix
+   */
+  async countKeys(prefix) {
+    throw new Error(`${this.name} store does not implement countKeys()`);
+  }
+
+  /**
+   * Add amount to a number (0 if missing) and return the new value.
+   * ttl, when given, restarts the key's expiry.
+   */
+  async increment(key, amount = 1, { ttl } = {}) {
+    throw new Error(`${this.name} store does not implement increment()`);
+  }
+
+  /**
+   * Add amount to one field of a hash of numbers, returns the new value
+   */
+  async hashIncrement(key, field, amount = 1) {
+    throw new Error(`${this.name} store does not implement hashIncrement()`);
+  }
+
+  /**
+   * { field: number } for a hash, {} if missing
+   */
+  async hashGetAll(key) {
+    throw new Error(`${this.name} store does not implement hashGetAll()`);
+  }
+
+  /**
+   * Append to a list, keeping only the newest maxLength values
+   */
+  async listPush(key, value, { maxLength = 1000 } = {}) {
+    throw new Error(`${this.name} store does not implement listPush()`);
+  }
+
+  /**
+   * Every value in a list, oldest first
+   */
+  async listRange(key) {
+    throw new Error(`${this.name} store does not implement listRange()`);
+  }
+
+  /**
+   * Token bucket: refill the bucket at key for the time since it was last
+   * used, then take one token. Returns whether there was one. Atomic, so
+   * two instances can't both spend the last token.
+   *   limit: { tokens, refillRate, interval }
+   */
+  async consumeToken(key, limit) {
+    throw new Error(`${this.name} store does not implement consumeToken()`);
+  }
+
+  async close() {}
+
+  describe() {
+    return {
+      store: this.name,
+      shared: false
+    };
+  }
+}
+
+export default StateStore;
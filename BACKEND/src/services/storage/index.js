@@ -0,0 +1,44 @@
+import MemoryStore from './MemoryStore.js';
+import RedisStore from './RedisStore.js';
+
+const stores = {
+  memory: MemoryStore,
+  redis: RedisStore
+};
+
+/**
+ * Create a state store
+ * STATE_STORE picks the adapter: memory (default) for a single instance,
+ * redis when several instances must share rate limits and analytics.
+ */
+export function createStore(name = process.env.STATE_STORE, options = {}) {
+  const storeName = (name || 'memory').toLowerCase();
+  const Store = stores[storeName];
+
+  if (!Store) {
+    throw new Error(`Unknown STATE_STORE "${storeName}". Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+
+  return new Store(options);
+}
+
+let sharedStore = null;
+
+/**
+ * The store every service uses, created on first use
+ */
+export function getStateStore() {
+  if (!sharedStore) {
+    sharedStore = createStore();
+  }
+  return sharedStore;
+}
+
+/**
+ * Swap the shared store, e.g. for a Redis fake in tests
+ */
+export function setStateStore(store) {
+  sharedStore = store;
+}
+
+export { MemoryStore, RedisStore };
@@ -0,0 +1,230 @@
+import './helpers/env.js';
+import { afterEach, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import CacheService from '../src/services/CacheService.js';
+import GeminiService from '../src/services/GeminiService.js';
+import PetProfileService from '../src/services/PetProfileService.js';
+import { ScriptedProvider } from '../src/services/llm/index.js';
+import { MemoryStore, setStateStore } from '../src/services/storage/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+import * as api from './helpers/requests.js';
+
+const QUESTION = 'How often do puppies need vaccines?';
+const ANSWER = 'Puppies and kittens usually get vaccines every 3-4 weeks from 6-8 weeks old until about 16 weeks, then boosters. Your vet can give you the exact schedule.';
+
+let db;
+let store;
+const provider = GeminiService.provider;
+
+before(async () => {
+  db = installMemoryDb();
+  await CacheService.ready;
+});
+
+beforeEach(async () => {
+  db.reset();
+  store = new MemoryStore({ sweepInterval: 0 }); // Fresh rate limits and cache
+  setStateStore(store);
+  await CacheService.clear();
+});
+
+afterEach(() => {
+  GeminiService.setProvider(provider);
+});
+
+const chat = (sessionId, message) => api.chat(app, sessionId, message);
+
+/**
+ * Scripted provider that counts its calls, optionally failing them
+ */
+class CountingProvider extends ScriptedProvider {
+  constructor({ fail = null, rules } = {}) {
+    super({ rules });
+    this.calls = 0;
+    this.fail = fail;
+  }
+
+  async generate(request) {
+    this.calls++;
+    if (this.fail === 'generate') throw new Error('Service unavailable');
+    return super.generate(request);
+  }
+
+  // ScriptedProvider streams what generate() returns, so that call is counted
+  async *stream(request) {
+    if (this.fail === 'stream') {
+      this.calls++;
+      yield 'Puppies and kittens ';
+      throw new Error('Connection reset');
+    }
+    yield* super.stream(request);
+  }
+}
+
+/**
+ * POST /api/chat/stream, returning the events in order
+ */
+async function chatStream(sessionId, message) {
+  const res = await request(app)
+    .post('/api/chat/stream')
+    .send({ message, sessionId })
+    .expect(200)
+    .expect('Content-Type', /text\/event-stream/);
+
+  return res.text.trim().split('\n\n').map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+}
+
+describe('LLM answer cache', () => {
+  test('serves a complete answer to the next owner who asks', async () => {
+    const counting = new CountingProvider();
+    GeminiService.setProvider(counting);
+
+    assert.equal((await chat(randomUUID(), QUESTION)).message, ANSWER);
+    assert.equal((await chat(randomUUID(), QUESTION)).message, ANSWER);
+    assert.equal(counting.calls, 1);
+  });
+
+  test('does not cache a stream cut off partway', async () => {
+    const flaky = new CountingProvider({ fail: 'stream' });
+    GeminiService.setProvider(flaky);
+
+    const events = await chatStream(randomUUID(), QUESTION);
+    assert.deepEqual(events.map(({ event }) => event), ['token', 'done']);
+    assert.equal(events.at(-1).data.message, 'Puppies and kittens ');
+
+    // The next owner gets a fresh, whole answer instead of the fragment
+    const counting = new CountingProvider();
+    GeminiService.setProvider(counting);
+
+    const events2 = await chatStream(randomUUID(), QUESTION);
+    assert.equal(events2.at(-1).data.message, ANSWER);
+    assert.equal(events2.filter(({ event }) => event === 'token').map(({ data }) => data.text).join(''), ANSWER);
+    assert.equal(counting.calls, 1);
+  });
+
+  test('does not cache the fallback sent when the LLM fails', async () => {
+    GeminiService.setProvider(new CountingProvider({ fail: 'generate' }));
+    const reply = await chat(randomUUID(), QUESTION);
+    assert.equal(reply.message, GeminiService.fallbackMessage);
+
+    const counting = new CountingProvider();
+    GeminiService.setProvider(counting);
+
+    assert.equal((await chat(randomUUID(), QUESTION)).message, ANSWER);
+    assert.equal(counting.calls, 1);
+  });
+});
+
+/**
+ * Cached answers under the shared key and under sessionId's
+ */
+async function countCached(sessionId) {
+  return {
+    shared: await store.countKeys('cache:answer:'),
+    session: await store.countKeys(`cache:session:${sessionId}:`),
+    similar: CacheService.semanticIndex.size
+  };
+}
+
+describe('Personalized answers', () => {
+  test('a question naming a pet is only cached for the session that asked', async () => {
+    const counting = new CountingProvider();
+    GeminiService.setProvider(counting);
+    const [first, second] = [randomUUID(), randomUUID()];
+
+    await chat(first, 'How much food should Biscuit get?');
+    assert.deepEqual(await countCached(first), { shared: 0, session: 1, similar: 0 });
+
+    // Another owner with a pet of the same name gets their own answer
+    await chat(second, 'How much food should Biscuit get?');
+    assert.equal(counting.calls, 2);
+    assert.deepEqual(await countCached(second), { shared: 0, session: 1, similar: 0 });
+  });
+
+  test('an answer drawing on the household\'s records stays with that session', async () => {
+    const counting = new CountingProvider();
+    GeminiService.setProvider(counting);
+    const [household, stranger, another] = [randomUUID(), randomUUID(), randomUUID()];
+
+    await PetProfileService.linkBooking(household, {
+      ownerName: 'Alex Kim', email: 'alex@example.com', phone: '+15551234567', petName: 'Biscuit', petType: 'dog'
+    });
+
+    // The question is generic, but the prompt carried Biscuit's records
+    assert.equal((await chat(household, QUESTION)).message, ANSWER);
+    assert.deepEqual(await countCached(household), { shared: 0, session: 1, similar: 0 });
+
+    // Nobody else gets it; an owner with no records gets a fresh answer
+    // that can be shared
+    assert.equal((await chat(stranger, QUESTION)).message, ANSWER);
+    assert.equal(counting.calls, 2);
+    assert.deepEqual(await countCached(stranger), { shared: 1, session: 0, similar: 1 });
+
+    assert.equal((await chat(another, QUESTION)).message, ANSWER);
+    assert.equal(counting.calls, 2);
+  });
+
+  test('an answer echoing a name the owner typed is not shared', async () => {
+    GeminiService.setProvider(new CountingProvider({
+      rules: [{ match: 'vaccin', response: 'Puppies like Max need a booster every 3-4 weeks until they are 16 weeks old.' }]
+    }));
+    const sessionId = randomUUID();
+
+    // Lower case, so the question itself looks generic
+    await chat(sessionId, 'how often does my puppy max need vaccines?');
+    assert.deepEqual(await countCached(sessionId), { shared: 0, session: 0, similar: 0 });
+  });
+
+  test('a session\'s cached answers are separate from every other session\'s', async () => {
+    const key = { message: QUESTION, history: [], context: {} };
+
+    await CacheService.get(key, async () => ({ success: true, message: 'For session a' }), { sessionId: 'a' });
+    const other = await CacheService.get(key, async () => ({ success: true, message: 'For session b' }), { sessionId: 'b' });
+    assert.equal(other.message, 'For session b');
+
+    const again = await CacheService.get(key, async () => assert.fail('should be cached'), { sessionId: 'a' });
+    assert.equal(again.message, 'For session a');
+
+    // Never in this instance's shared layer, which is written to disk
+    assert.equal(CacheService.layers.l1.size, 0);
+
+    await CacheService.forgetSession('a');
+    assert.equal((await countCached('a')).session, 0);
+    assert.equal((await countCached('b')).session, 1);
+  });
+});
+
+describe('CacheService.get', () => {
+  test('skips the write when cacheIf turns the value down', async () => {
+    const key = { message: QUESTION, history: [], context: {} };
+    const cacheIf = response => response.success;
+    let calls = 0;
+
+    const failed = await CacheService.get(key, async () => {
+      calls++;
+      return { success: false, message: 'Puppies and kittens ' };
+    }, { cacheIf });
+    assert.equal(failed.message, 'Puppies and kittens ');
+
+    const answered = await CacheService.get(key, async () => {
+      calls++;
+      return { success: true, message: ANSWER };
+    }, { cacheIf });
+    assert.equal(answered.message, ANSWER);
+
+    // Now cached
+    const cached = await CacheService.get(key, async () => {
+      calls++;
+      return { success: true, message: 'Something else' };
+    }, { cacheIf });
+    assert.equal(cached.message, ANSWER);
+    assert.equal(calls, 2);
+  });
+});
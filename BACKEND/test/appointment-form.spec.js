@@ -0,0 +1,309 @@
+import './helpers/env.js';
+import { before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import ClinicCalendar from '../src/models/ClinicCalendar.js';
+import Veterinarian from '../src/models/Veterinarian.js';
+import AppointmentSlotManager from '../src/services/AppointmentSlotManager.js';
+import AuthService from '../src/services/AuthService.js';
+import ClinicTimeService from '../src/services/ClinicTimeService.js';
+import { MemoryStore, setStateStore } from '../src/services/storage/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+import { bookingForm, chat, nextWeekday } from './helpers/requests.js';
+
+let db;
+
+before(() => {
+  db = installMemoryDb();
+});
+
+beforeEach(() => {
+  db.reset();
+  setStateStore(new MemoryStore({ sweepInterval: 0 })); // Fresh rate limits
+  AppointmentSlotManager.applyCalendar(null); // Built-in hours, no overrides
+});
+
+function submit(fields) {
+  return request(app).post('/api/appointments').send(bookingForm(fields));
+}
+
+/**
+ * Walk a chat booking up to the confirmation question, holding the slot
+ */
+async function holdInChat(sessionId, dateTime) {
+  await chat(app, sessionId, 'I want to book an appointment for my dog');
+  await chat(app, sessionId, 'Jane Doe');
+  await chat(app, sessionId, 'Rex');
+  await chat(app, sessionId, '5559876543');
+  return chat(app, sessionId, dateTime);
+}
+
+describe('POST /api/appointments', () => {
+  test('takes the slot for the new appointment', async () => {
+    const res = await submit({ sessionId: randomUUID() }).expect(201);
+
+    const [appointment] = db.documents('Appointment');
+    assert.equal(String(appointment._id), res.body.appointment.id);
+    assert.equal(appointment.appointmentDate, nextWeekday('tuesday'));
+    assert.equal(appointment.appointmentTime, '10:00');
+
+    const slots = db.documents('SlotBooking');
+    assert.equal(slots.length, 1);
+    assert.equal(slots[0].type, 'confirmed');
+    assert.equal(slots[0].slotKey, appointment.scheduledAt.toISOString());
+    assert.equal(String(slots[0].appointmentId), String(appointment._id));
+  });
+
+  test('reads the chat widget\'s typed dates and times', async () => {
+    await submit({ appointmentDate: 'next Tuesday', appointmentTime: '2:30 PM' }).expect(201);
+
+    const [appointment] = db.documents('Appointment');
+    assert.equal(appointment.appointmentDate, nextWeekday('tuesday'));
+    assert.equal(appointment.appointmentTime, '14:30');
+    assert.equal(db.documents('SlotBooking').length, 1);
+  });
+
+  test('rejects times in the past without taking a slot', async () => {
+    const res = await submit({ appointmentDate: '2001-01-02', appointmentTime: '10:00' }).expect(400);
+
+    assert.match(res.body.error, /future date and time/);
+    assert.equal(db.documents('Appointment').length, 0);
+    assert.equal(db.documents('SlotBooking').length, 0);
+  });
+
+  test('refuses a slot another form booking has taken and suggests others', async () => {
+    await submit({ sessionId: randomUUID() }).expect(201);
+
+    const res = await submit({ sessionId: randomUUID(), ownerName: 'Sam Lee' }).expect(409);
+    assert.equal(res.body.reason, 'slot_taken');
+    assert.equal(res.body.error, 'That time slot is already booked.');
+    assert.ok(res.body.suggestedSlots.length > 0);
+    assert.equal(db.documents('Appointment').length, 1);
+  });
+
+  test('refuses a slot held by a chat booking in progress', async () => {
+    const reply = await holdInChat(randomUUID(), 'next Tuesday at 10am');
+    assert.equal(reply.appointmentState, 'COMPLETED');
+
+    const res = await submit({ sessionId: randomUUID() }).expect(409);
+    assert.equal(res.body.reason, 'slot_taken');
+    assert.equal(db.documents('Appointment').length, 0);
+  });
+
+  test('a chat booking can\'t take a slot booked through the form', async () => {
+    await submit({ sessionId: randomUUID() }).expect(201);
+
+    const reply = await holdInChat(randomUUID(), 'next Tuesday at 10am');
+    assert.match(reply.message, /That time slot is already booked\./);
+    assert.match(reply.message, /Available times nearby:/);
+    assert.equal(reply.appointmentState, 'CONFIRMATION');
+
+    const [slot] = db.documents('SlotBooking');
+    assert.equal(db.documents('SlotBooking').length, 1);
+    assert.equal(ClinicTimeService.getTimeString(slot.date), '10:00');
+  });
+});
+
+describe('POST /api/appointments/form-events', () => {
+  function sendEvent(sessionId, event) {
+    return request(app).post('/api/appointments/form-events').send({ sessionId, event });
+  }
+
+  test('a form session\'s events don\'t use up its bookings', async () => {
+    const sessionId = randomUUID();
+
+    // Opened, then several failed submits - more than the booking limit
+    await sendEvent(sessionId, 'opened').expect(204);
+    for (let i = 0; i < 8; i++) {
+      await sendEvent(sessionId, 'invalid').expect(204);
+    }
+
+    await submit({ sessionId }).expect(201);
+  });
+
+  test('going over the events limit refuses events without locking the owner out', async () => {
+    const sessionId = randomUUID();
+
+    let res;
+    for (let i = 0; i < 31; i++) {
+      res = await sendEvent(sessionId, 'invalid');
+    }
+    assert.equal(res.status, 429);
+
+    await submit({ sessionId }).expect(201);
+    await chat(app, sessionId, 'Hi');
+  });
+});
+
+describe('POST /api/appointments and clinic hours', () => {
+  /**
+   * Save a calendar with the built-in weekly hours and one override, as the
+   * admin calendar endpoints do
+   */
+  async function saveOverride(override) {
+    await ClinicCalendar.create({
+      weeklyHours: AppointmentSlotManager.defaultBusinessHours,
+      overrides: [override]
+    });
+    await AppointmentSlotManager.loadCalendar(true);
+  }
+
+  function assertNothingBooked() {
+    assert.equal(db.documents('Appointment').length, 0);
+    assert.equal(db.documents('SlotBooking').length, 0);
+  }
+
+  test('rejects a day the clinic is closed every week', async () => {
+    const res = await submit({ sessionId: randomUUID(), appointmentDate: nextWeekday('sunday') }).expect(400);
+
+    assert.equal(res.body.reason, 'clinic_closed');
+    assert.match(res.body.error, /^We're closed on Sunday, .+\. We're open again Monday, .+ from 09:00 to 18:00\.$/);
+    assert.ok(res.body.suggestedSlots.length > 0);
+    assertNothingBooked();
+  });
+
+  test('rejects times outside opening hours and during the lunch break', async () => {
+    for (const appointmentTime of ['08:30', '12:30', '18:00']) {
+      const res = await submit({ sessionId: randomUUID(), appointmentTime }).expect(400);
+
+      assert.equal(res.body.reason, 'outside_business_hours', appointmentTime);
+      assert.match(res.body.error, /Our hours on Tuesday, .+ are 09:00 to 18:00\.$/);
+      assert.ok(res.body.suggestedSlots.length > 0);
+    }
+    assertNothingBooked();
+  });
+
+  test('rejects a holiday closure and says why', async () => {
+    await saveOverride({ date: nextWeekday('tuesday'), closed: true, reason: 'Christmas' });
+
+    const res = await submit({ sessionId: randomUUID() }).expect(400);
+
+    assert.equal(res.body.reason, 'clinic_closed');
+    assert.equal(res.body.closureReason, 'Christmas');
+    assert.match(res.body.error, /^We're closed on Tuesday, .+ for Christmas\. We're open again Wednesday/);
+    assert.ok(res.body.suggestedSlots.length > 0);
+    assert.ok(res.body.suggestedSlots.every(slot => ClinicTimeService.getDateKey(new Date(slot.date)) !== nextWeekday('tuesday')));
+    assertNothingBooked();
+  });
+
+  test('books into extended hours', async () => {
+    await saveOverride({ date: nextWeekday('tuesday'), close: '20:00', reason: 'Late clinic' });
+
+    const res = await submit({ sessionId: randomUUID(), appointmentTime: '19:00' }).expect(201);
+
+    const [appointment] = db.documents('Appointment');
+    assert.equal(String(appointment._id), res.body.appointment.id);
+    assert.equal(appointment.appointmentTime, '19:00');
+    assert.equal(db.documents('SlotBooking').length, 1);
+  });
+});
+
+describe('POST /api/appointments with veterinarians', () => {
+  let general;
+  let exotics;
+
+  beforeEach(async () => {
+    const tuesday = { open: '09:00', close: '18:00', breaks: [] };
+    general = await Veterinarian.create({ name: 'Dr. Ada Park', weeklySchedule: { tuesday } });
+    exotics = await Veterinarian.create({ name: 'Dr. Ben Ortiz', specialties: ['exotics'], weeklySchedule: { tuesday } });
+  });
+
+  test('records the vet the slot manager assigns', async () => {
+    const first = await submit({ sessionId: randomUUID() }).expect(201);
+    const second = await submit({ sessionId: randomUUID(), ownerName: 'Sam Lee' }).expect(201);
+
+    // Both free at 10:00, so the second booking goes to the other vet
+    const names = [first.body.appointment.veterinarianName, second.body.appointment.veterinarianName];
+    assert.deepEqual(names.sort(), ['Dr. Ada Park', 'Dr. Ben Ortiz']);
+
+    for (const appointment of db.documents('Appointment')) {
+      const vet = [general, exotics].find(candidate => candidate.name === appointment.veterinarianName);
+      assert.equal(String(appointment.veterinarian), String(vet._id));
+
+      const slot = db.documents('SlotBooking').find(booking => String(booking.appointmentId) === String(appointment._id));
+      assert.equal(slot.vetId, String(vet._id));
+    }
+
+    // Nobody is left at 10:00
+    const res = await submit({ sessionId: randomUUID(), ownerName: 'Kim Cho' }).expect(409);
+    assert.equal(res.body.reason, 'slot_taken');
+  });
+
+  test('books exotic pets with a vet who sees them', async () => {
+    const res = await submit({ petType: 'rabbit', petName: 'Clover' }).expect(201);
+
+    assert.equal(res.body.appointment.veterinarianName, 'Dr. Ben Ortiz');
+    assert.equal(String(db.documents('Appointment')[0].veterinarian), String(exotics._id));
+  });
+});
+
+describe('PATCH /api/appointments/:id/status', () => {
+  test('an owner can cancel once', async () => {
+    const sessionId = randomUUID();
+    const { body } = await submit({ sessionId }).expect(201);
+    const cancel = () => request(app)
+      .patch(`/api/appointments/${body.appointment.id}/status`)
+      .send({ status: 'cancelled', sessionId });
+
+    await cancel().expect(200);
+    const messages = db.documents('NotificationJob').filter(job => job.template === 'appointment_cancelled').length;
+    assert.ok(messages > 0);
+
+    // Someone else takes the freed slot before the second try
+    await submit({ sessionId: randomUUID(), ownerName: 'Sam Lee' }).expect(201);
+
+    const res = await cancel().expect(409);
+    assert.equal(res.body.error, 'That appointment has already been cancelled');
+    assert.equal(db.documents('NotificationJob').filter(job => job.template === 'appointment_cancelled').length, messages);
+    assert.equal(db.documents('SlotBooking').length, 1);
+  });
+});
+
+describe('PATCH /api/admin/appointments/:id/status', () => {
+  let token;
+
+  beforeEach(async () => {
+    const staff = await AuthService.createStaff({ email: 'desk@example.com', name: 'Front Desk', password: 'correct horse' });
+    token = AuthService.issueToken(staff);
+  });
+
+  function setStatus(id, status) {
+    return request(app)
+      .patch(`/api/admin/appointments/${id}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status });
+  }
+
+  test('reinstating a cancelled appointment takes its slot back', async () => {
+    const { body } = await submit({ sessionId: randomUUID() }).expect(201);
+    await setStatus(body.appointment.id, 'cancelled').expect(200);
+    assert.equal(db.documents('SlotBooking').length, 0);
+
+    await setStatus(body.appointment.id, 'pending').expect(200);
+
+    const [slot] = db.documents('SlotBooking');
+    assert.equal(db.documents('SlotBooking').length, 1);
+    assert.equal(slot.type, 'confirmed');
+    assert.equal(String(slot.appointmentId), body.appointment.id);
+
+    // So nobody else can book it
+    await submit({ sessionId: randomUUID(), ownerName: 'Sam Lee' }).expect(409);
+  });
+
+  test('a cancelled appointment whose slot was rebooked stays cancelled', async () => {
+    const { body } = await submit({ sessionId: randomUUID() }).expect(201);
+    await setStatus(body.appointment.id, 'cancelled').expect(200);
+    const rebooked = await submit({ sessionId: randomUUID(), ownerName: 'Sam Lee' }).expect(201);
+
+    const res = await setStatus(body.appointment.id, 'pending').expect(409);
+    assert.equal(res.body.reason, 'slot_taken');
+    assert.match(res.body.error, /stays cancelled/);
+    assert.ok(res.body.suggestedSlots.length > 0);
+
+    const cancelled = db.documents('Appointment').find(appointment => String(appointment._id) === body.appointment.id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.deepEqual(db.documents('SlotBooking').map(slot => String(slot.appointmentId)), [rebooked.body.appointment.id]);
+  });
+});
@@ -0,0 +1,142 @@
+import './helpers/env.js';
+import { before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import ClinicTimeService from '../src/services/ClinicTimeService.js';
+import { MemoryStore, setStateStore } from '../src/services/storage/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+import * as api from './helpers/requests.js';
+
+let db;
+
+before(() => {
+  db = installMemoryDb();
+});
+
+beforeEach(() => {
+  db.reset();
+  setStateStore(new MemoryStore({ sweepInterval: 0 })); // Fresh rate limits
+});
+
+const chat = (sessionId, message) => api.chat(app, sessionId, message);
+
+describe('POST /api/chat booking conversation', () => {
+  test('books an appointment after corrections, going back and asking for help', async () => {
+    const sessionId = randomUUID();
+
+    let reply = await chat(sessionId, 'Hi');
+    assert.equal(reply.message, 'Hello! How can I help with your pet today?');
+    assert.equal(reply.appointmentState, 'NONE');
+
+    reply = await chat(sessionId, 'I\'d like to book an appointment for my dog');
+    assert.match(reply.message, /May I have your full name/);
+    assert.equal(reply.appointmentState, 'ASK_PET_NAME');
+
+    reply = await chat(sessionId, 'Jane Smith');
+    assert.match(reply.message, /What's your pet's name\?/);
+    assert.equal(reply.appointmentState, 'ASK_PHONE');
+
+    // Correcting an earlier answer keeps the current question
+    reply = await chat(sessionId, 'Sorry, my name is Jane Doe');
+    assert.match(reply.message, /updated your name to "Jane Doe"/);
+    assert.match(reply.message, /What is your pet's name\?/);
+    assert.equal(reply.appointmentState, 'ASK_PHONE');
+
+    reply = await chat(sessionId, 'Rex');
+    assert.match(reply.message, /phone number/);
+    assert.equal(reply.appointmentState, 'ASK_DATE_TIME');
+
+    reply = await chat(sessionId, '555-123-4567');
+    assert.match(reply.message, /When would you prefer/);
+    assert.equal(reply.appointmentState, 'CONFIRMATION');
+
+    // Going back asks for the phone number again
+    reply = await chat(sessionId, 'go back');
+    assert.match(reply.message, /Let's go back\. What is the best phone number/);
+    assert.equal(reply.appointmentState, 'ASK_DATE_TIME');
+
+    reply = await chat(sessionId, '555-987-6543');
+    assert.equal(reply.appointmentState, 'CONFIRMATION');
+
+    // Asking what's needed explains the question without moving on
+    reply = await chat(sessionId, 'What do you need?');
+    assert.match(reply.message, /For example:/);
+    assert.equal(reply.appointmentState, 'CONFIRMATION');
+
+    reply = await chat(sessionId, 'next Tuesday at 10am');
+    assert.match(reply.message, /Let me confirm your appointment details/);
+    assert.match(reply.message, /Owner Name: Jane Doe/);
+    assert.match(reply.message, /Pet Name: Rex/);
+    assert.match(reply.message, /Phone: 5559876543/);
+    assert.equal(reply.appointmentState, 'COMPLETED');
+
+    const [firstHold] = db.documents('SlotBooking');
+    assert.equal(firstHold.type, 'reserved');
+    assert.equal(firstHold.sessionId, sessionId);
+
+    // Moving the time swaps the hold for the new slot
+    reply = await chat(sessionId, 'Actually, change the time to next Tuesday at 2:30pm');
+    assert.match(reply.message, /updated your appointment time/);
+    assert.match(reply.message, /Is this information correct\?/);
+    assert.equal(reply.appointmentState, 'COMPLETED');
+
+    reply = await chat(sessionId, 'yes');
+    assert.match(reply.message, /successfully booked/);
+    assert.equal(reply.appointmentState, 'NONE');
+    assert.ok(reply.bookedAppointmentId);
+
+    const appointments = db.documents('Appointment');
+    assert.equal(appointments.length, 1);
+    const [appointment] = appointments;
+    assert.equal(String(appointment._id), reply.bookedAppointmentId);
+    assert.equal(appointment.sessionId, sessionId);
+    assert.equal(appointment.ownerName, 'Jane Doe');
+    assert.equal(appointment.petName, 'Rex');
+    assert.equal(appointment.petType, 'dog');
+    assert.equal(appointment.phone, '5559876543');
+    assert.equal(ClinicTimeService.getWeekday(appointment.scheduledAt), 'tuesday');
+    assert.equal(ClinicTimeService.getTimeString(appointment.scheduledAt), '14:30');
+
+    // Only the new slot is taken, and it belongs to the appointment
+    const slots = db.documents('SlotBooking');
+    assert.equal(slots.length, 1);
+    assert.equal(slots[0].type, 'confirmed');
+    assert.equal(slots[0].slotKey, appointment.scheduledAt.toISOString());
+    assert.equal(String(slots[0].appointmentId), String(appointment._id));
+
+    // The owner and pet profile were created from the booking
+    assert.equal(db.documents('Owner').length, 1);
+    assert.equal(db.documents('Pet')[0].name, 'Rex');
+
+    // The whole exchange is saved on the conversation
+    const res = await request(app).get(`/api/chat/${sessionId}`).expect(200);
+    assert.equal(res.body.messages.length, 24);
+    assert.equal(res.body.messages.at(-1).content, reply.message);
+  });
+
+  test('rejects a past time and releases the hold when the owner says no', async () => {
+    const sessionId = randomUUID();
+
+    await chat(sessionId, 'Can I book a visit for my cat?');
+    await chat(sessionId, 'Sam Lee');
+    await chat(sessionId, 'Mittens');
+    await chat(sessionId, '5551234567');
+
+    let reply = await chat(sessionId, 'January 5, 2001 at 10am');
+    assert.match(reply.message, /future date and time/);
+    assert.equal(reply.appointmentState, 'CONFIRMATION');
+    assert.equal(db.documents('SlotBooking').length, 0);
+
+    reply = await chat(sessionId, 'next Wednesday at 11am');
+    assert.equal(reply.appointmentState, 'COMPLETED');
+    assert.equal(db.documents('SlotBooking').length, 1);
+
+    reply = await chat(sessionId, 'no');
+    assert.match(reply.message, /booking cancelled/);
+    assert.equal(reply.appointmentState, 'NONE');
+    assert.equal(db.documents('SlotBooking').length, 0);
+    assert.equal(db.documents('Appointment').length, 0);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Test environment, imported before anything from src: the scripted LLM,
+ * notifications kept in memory and state in this process, whatever the
+ * shell or a local .env says
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'scripted';
+process.env.NOTIFIER = 'capture';
+process.env.STATE_STORE = 'memory';
+delete process.env.NOTIFIER_EMAIL;
+delete process.env.NOTIFIER_SMS;
+delete process.env.LLM_SCRIPT_PATH;
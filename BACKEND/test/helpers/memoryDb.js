@@ -0,0 +1,568 @@
+/**
+ * In-memory MongoDB for tests
+ *
+ * Swaps the driver collection behind every compiled model for one kept in
+ * plain arrays. Mongoose itself still casts queries and updates, runs
+ * validation and middleware and hydrates documents - only the database is
+ * fake. Unique indexes from the schemas are enforced with code 11000
+ * duplicate key errors, which is what slot reservations rely on.
+ *
+ * Every operation yields to the event loop before it runs and then applies
+ * in one go, like a single-document write on a real server, so concurrent
+ * requests interleave between operations the way they would in production.
+ *
+ *   const db = installMemoryDb();   // after the models are imported
+ *   db.reset();                      // between tests
+ *   db.documents('SlotBooking');     // raw stored documents
+ */
+
+import mongoose from 'mongoose';
+
+const { ObjectId } = mongoose.Types;
+
+function isObjectId(value) {
+  return value?._bsontype === 'ObjectId' || value?._bsontype === 'ObjectID';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp) && !isObjectId(value) &&
+    !Buffer.isBuffer(value);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+}
+
+/**
+ * Copy a value the way a BSON round trip would: Mongoose documents and
+ * arrays become plain data, Maps become objects
+ */
+function clone(value) {
+  if (value === null || typeof value !== 'object') return value;
+  if (isObjectId(value)) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (value instanceof RegExp || Buffer.isBuffer(value)) return value;
+  if (typeof value.toBSON === 'function') return clone(value.toBSON());
+  if (value instanceof Map) return clone(Object.fromEntries(value));
+  if (Array.isArray(value)) return value.map(clone);
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item !== undefined) copy[key] = clone(item);
+  }
+  return copy;
+}
+
+/**
+ * A comparable form: ObjectIds by hex, dates by time
+ */
+function normalize(value) {
+  if (isObjectId(value)) return `oid:${value.toHexString()}`;
+  if (value instanceof Date) return value.getTime();
+  if (Array.isArray(value)) return value.map(normalize);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+  }
+  return value;
+}
+
+function equals(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * -1, 0 or 1, or null when the values can't be ordered against each other
+ */
+function compare(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (typeof left !== typeof right || left === null || typeof left === 'object') return null;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Every value at a dot path, descending into arrays like MongoDB does
+ */
+function resolvePath(value, parts) {
+  if (parts.length === 0) return [value];
+  if (Array.isArray(value)) {
+    if (/^\d+$/.test(parts[0])) return resolvePath(value[Number(parts[0])], parts.slice(1));
+    return value.flatMap(item => resolvePath(item, parts));
+  }
+  if (!isPlainObject(value)) return [undefined];
+  return resolvePath(value[parts[0]], parts.slice(1));
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  for (const key of parts.slice(0, -1)) {
+    if (target[key] === null || typeof target[key] !== 'object') {
+      target[key] = {};
+    }
+    target = target[key];
+  }
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = path.split('.');
+  const parent = getPath(doc, parts.slice(0, -1).join('.')) ?? (parts.length === 1 ? doc : undefined);
+  if (parent && typeof parent === 'object') {
+    delete parent[parts[parts.length - 1]];
+  }
+}
+
+/**
+ * Does one of the values at a path (or an element of one) equal expected?
+ */
+function matchesEquality(values, expected) {
+  if (expected instanceof RegExp) {
+    return values.some(value =>
+      (Array.isArray(value) ? value : [value]).some(item => typeof item === 'string' && expected.test(item))
+    );
+  }
+  if (expected === null) {
+    return values.some(value => value === null || value === undefined);
+  }
+  return values.some(value =>
+    equals(value, expected) || (Array.isArray(value) && value.some(item => equals(item, expected)))
+  );
+}
+
+function expand(values) {
+  return values.flatMap(value => (Array.isArray(value) ? [value, ...value] : [value]));
+}
+
+function matchesCondition(values, condition) {
+  if (!isOperatorObject(condition)) {
+    return matchesEquality(values, condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$eq':
+        return matchesEquality(values, operand);
+      case '$ne':
+        return !matchesEquality(values, operand);
+      case '$in':
+        return operand.some(option => matchesEquality(values, option));
+      case '$nin':
+        return !operand.some(option => matchesEquality(values, option));
+      case '$gt':
+        return expand(values).some(value => compare(value, operand) === 1);
+      case '$gte':
+        return expand(values).some(value => [0, 1].includes(compare(value, operand)));
+      case '$lt':
+        return expand(values).some(value => compare(value, operand) === -1);
+      case '$lte':
+        return expand(values).some(value => [-1, 0].includes(compare(value, operand)));
+      case '$exists':
+        return values.some(value => value !== undefined) === Boolean(operand);
+      case '$regex': {
+        const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+        return matchesEquality(values, regex);
+      }
+      case '$options':
+        return true;
+      case '$not':
+        return !matchesCondition(values, operand);
+      case '$size':
+        return values.some(value => Array.isArray(value) && value.length === operand);
+      case '$all':
+        return operand.every(option => matchesEquality(values, option));
+      case '$elemMatch':
+        return values.some(value => Array.isArray(value) && value.some(item =>
+          isPlainObject(item) && !isOperatorObject(operand)
+            ? matches(item, operand)
+            : matchesCondition([item], operand)
+        ));
+      default:
+        throw new Error(`memoryDb: unsupported query operator ${operator}`);
+    }
+  });
+}
+
+/**
+ * Does doc match a (cast) MongoDB filter?
+ */
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    switch (key) {
+      case '$and':
+        return condition.every(part => matches(doc, part));
+      case '$or':
+        return condition.some(part => matches(doc, part));
+      case '$nor':
+        return !condition.some(part => matches(doc, part));
+      case '$comment':
+        return true;
+      default:
+        return matchesCondition(resolvePath(doc, key.split('.')), condition);
+    }
+  });
+}
+
+function pullMatches(item, condition) {
+  if (isPlainObject(condition) && !isOperatorObject(condition) && isPlainObject(item)) {
+    return matches(item, condition);
+  }
+  return matchesCondition([item], condition);
+}
+
+/**
+ * Apply a (cast) update document to doc in place
+ */
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  for (const [operator, fields] of Object.entries(update)) {
+    if (!operator.startsWith('$')) {
+      throw new Error('memoryDb: replacement updates are not supported');
+    }
+
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$min':
+          if (current === undefined || compare(value, current) === -1) setPath(doc, path, clone(value));
+          break;
+        case '$max':
+          if (current === undefined || compare(value, current) === 1) setPath(doc, path, clone(value));
+          break;
+        case '$currentDate':
+          setPath(doc, path, new Date());
+          break;
+        case '$push': {
+          const list = Array.isArray(current) ? current : [];
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          const position = isPlainObject(value) && '$position' in value ? value.$position : list.length;
+          list.splice(position, 0, ...items.map(clone));
+          if (isPlainObject(value) && '$slice' in value) {
+            list.splice(0, list.length, ...(value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice)));
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case '$addToSet': {
+          const list = Array.isArray(current) ? current : [];
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          for (const item of items) {
+            if (!list.some(existing => equals(existing, item))) list.push(clone(item));
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull':
+          if (Array.isArray(current)) setPath(doc, path, current.filter(item => !pullMatches(item, value)));
+          break;
+        case '$pullAll':
+          if (Array.isArray(current)) {
+            setPath(doc, path, current.filter(item => !value.some(removed => equals(item, removed))));
+          }
+          break;
+        case '$pop':
+          if (Array.isArray(current)) value < 0 ? current.shift() : current.pop();
+          break;
+        default:
+          throw new Error(`memoryDb: unsupported update operator ${operator}`);
+      }
+    }
+  }
+}
+
+/**
+ * The document an upsert starts from: the filter's equality conditions
+ */
+function seedFromFilter(filter) {
+  const seed = {};
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      condition.forEach(part => Object.assign(seed, seedFromFilter(part)));
+    } else if (!key.startsWith('$') && !isOperatorObject(condition) && !(condition instanceof RegExp)) {
+      setPath(seed, key, clone(condition));
+    } else if (isOperatorObject(condition) && '$eq' in condition) {
+      setPath(seed, key, clone(condition.$eq));
+    }
+  }
+  return seed;
+}
+
+function project(doc, projection) {
+  const fields = Object.entries(projection || {}).filter(([, value]) => typeof value !== 'object');
+  if (fields.length === 0) return doc;
+
+  // { _id: 1 } alone includes; _id: 0 next to included fields doesn't exclude
+  const including = fields.some(([key, value]) => key !== '_id' && value) || fields.every(([, value]) => value);
+  if (!including) {
+    const copy = clone(doc);
+    fields.forEach(([key]) => unsetPath(copy, key));
+    return copy;
+  }
+
+  const copy = {};
+  if (projection._id !== 0 && projection._id !== false) copy._id = doc._id;
+  for (const [key, value] of fields) {
+    if (value && key !== '_id') {
+      const fieldValue = getPath(doc, key);
+      if (fieldValue !== undefined) setPath(copy, key, clone(fieldValue));
+    }
+  }
+  return copy;
+}
+
+function sortDocuments(docs, sort) {
+  const entries = sort instanceof Map ? [...sort] : Object.entries(sort || {});
+  if (entries.length === 0) return docs;
+
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of entries) {
+      const order = direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1;
+      const left = getPath(a, path);
+      const right = getPath(b, path);
+      if (left == null && right == null) continue;
+      if (left == null) return -order;
+      if (right == null) return order;
+      const result = compare(left, right);
+      if (result) return result * order;
+    }
+    return 0;
+  });
+}
+
+function duplicateKeyError(collectionName, keyValue) {
+  const error = new Error(`E11000 duplicate key error collection: test.${collectionName} dup key: ${JSON.stringify(normalize(keyValue))}`);
+  error.name = 'MongoServerError';
+  error.code = 11000;
+  error.keyPattern = Object.fromEntries(Object.keys(keyValue).map(key => [key, 1]));
+  error.keyValue = keyValue;
+  return error;
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+// The driver methods Mongoose calls, served by MemoryCollection
+const DRIVER_METHODS = [
+  'find', 'findOne', 'countDocuments', 'estimatedDocumentCount', 'insertOne', 'insertMany',
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndDelete', 'deleteOne', 'deleteMany', 'aggregate'
+];
+
+/**
+ * The fake driver collection for one model
+ */
+class MemoryCollection {
+  constructor(model) {
+    this.name = model.collection.collectionName;
+    this.docs = [];
+    this.uniqueIndexes = model.schema.indexes()
+      .filter(([, options]) => options?.unique)
+      .map(([fields, options]) => ({ fields: Object.keys(fields), sparse: Boolean(options.sparse) }));
+  }
+
+  /**
+   * Throw if storing candidate would break a unique index
+   */
+  checkUnique(candidate, ignore = null) {
+    for (const { fields, sparse } of this.uniqueIndexes) {
+      const keyValue = Object.fromEntries(fields.map(field => [field, getPath(candidate, field) ?? null]));
+      if (sparse && fields.every(field => getPath(candidate, field) === undefined)) continue;
+
+      const clash = this.docs.some(doc => doc !== ignore &&
+        !(sparse && fields.every(field => getPath(doc, field) === undefined)) &&
+        fields.every(field => equals(getPath(doc, field) ?? null, keyValue[field])));
+      if (clash) throw duplicateKeyError(this.name, keyValue);
+    }
+  }
+
+  select(filter, options = {}) {
+    let docs = sortDocuments(this.docs.filter(doc => matches(doc, filter)), options.sort);
+    if (options.skip) docs = docs.slice(options.skip);
+    if (options.limit) docs = docs.slice(0, options.limit);
+    return docs;
+  }
+
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  /**
+   * Update one stored document; the original stays if the result clashes
+   */
+  update(doc, update) {
+    const updated = clone(doc);
+    applyUpdate(updated, update);
+    this.checkUnique(updated, doc);
+    this.docs[this.docs.indexOf(doc)] = updated;
+    return updated;
+  }
+
+  upsert(filter, update) {
+    const seed = seedFromFilter(filter);
+    applyUpdate(seed, update, { inserting: true });
+    return this.insert(seed);
+  }
+
+  async find(filter, options = {}) {
+    await nextTick();
+    const docs = this.select(filter, options).map(doc => clone(project(doc, options.projection)));
+    return { toArray: async () => docs };
+  }
+
+  async findOne(filter, options = {}) {
+    await nextTick();
+    const [doc] = this.select(filter, { ...options, limit: 1 });
+    return doc ? clone(project(doc, options.projection)) : null;
+  }
+
+  async countDocuments(filter = {}) {
+    await nextTick();
+    return this.select(filter).length;
+  }
+
+  async estimatedDocumentCount() {
+    await nextTick();
+    return this.docs.length;
+  }
+
+  async insertOne(doc) {
+    await nextTick();
+    const stored = this.insert(doc);
+    return { acknowledged: true, insertedId: stored._id };
+  }
+
+  async insertMany(docs) {
+    await nextTick();
+    const stored = docs.map(doc => this.insert(doc));
+    return {
+      acknowledged: true,
+      insertedCount: stored.length,
+      insertedIds: Object.fromEntries(stored.map((doc, index) => [index, doc._id]))
+    };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    await nextTick();
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) {
+      this.update(doc, update);
+      return { acknowledged: true, matchedCount: 1, modifiedCount: 1, upsertedCount: 0, upsertedId: null };
+    }
+    if (options.upsert) {
+      const stored = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id };
+    }
+    return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    await nextTick();
+    const docs = this.select(filter);
+    docs.forEach(doc => this.update(doc, update));
+    if (docs.length === 0 && options.upsert) {
+      const stored = this.upsert(filter, update);
+      return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id };
+    }
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0, upsertedId: null };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await nextTick();
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    let result = null;
+    let upserted = false;
+
+    if (doc) {
+      const updated = this.update(doc, update);
+      result = options.returnDocument === 'after' ? updated : doc;
+    } else if (options.upsert) {
+      const stored = this.upsert(filter, update);
+      upserted = true;
+      result = options.returnDocument === 'after' ? stored : null;
+    }
+
+    const value = result ? clone(project(result, options.projection)) : null;
+    return options.includeResultMetadata
+      ? { value, ok: 1, lastErrorObject: { n: doc || upserted ? 1 : 0, updatedExisting: Boolean(doc) } }
+      : value;
+  }
+
+  async findOneAndDelete(filter, options = {}) {
+    await nextTick();
+    const [doc] = this.select(filter, { sort: options.sort, limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    const value = doc ? clone(project(doc, options.projection)) : null;
+    return options.includeResultMetadata ? { value, ok: 1 } : value;
+  }
+
+  async deleteOne(filter) {
+    await nextTick();
+    const [doc] = this.select(filter, { limit: 1 });
+    if (doc) this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+  }
+
+  async deleteMany(filter) {
+    await nextTick();
+    const removed = this.select(filter);
+    this.docs = this.docs.filter(doc => !removed.includes(doc));
+    return { acknowledged: true, deletedCount: removed.length };
+  }
+
+  // Reports built from aggregations come back empty
+  aggregate() {
+    return { toArray: async () => [] };
+  }
+}
+
+/**
+ * Back every model compiled so far with an in-memory collection
+ */
+export function installMemoryDb() {
+  const collections = new Map();
+
+  for (const name of mongoose.modelNames()) {
+    const model = mongoose.model(name);
+    const fake = new MemoryCollection(model);
+    collections.set(name, fake);
+
+    for (const method of DRIVER_METHODS) {
+      model.collection[method] = fake[method].bind(fake);
+    }
+  }
+
+  return {
+    /**
+     * Raw stored documents of a model
+     */
+    documents(modelName) {
+      return collections.get(modelName).docs;
+    },
+
+    reset() {
+      for (const collection of collections.values()) {
+        collection.docs = [];
+      }
+    }
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * Request helpers shared by the API tests
+ */
+
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import ClinicTimeService from '../../src/services/ClinicTimeService.js';
+
+/**
+ * Send one chat message and return the reply
+ */
+export async function chat(app, sessionId, message) {
+  const res = await request(app)
+    .post('/api/chat')
+    .send({ message, sessionId })
+    .expect(200);
+
+  assert.equal(res.body.sessionId, sessionId);
+  return res.body;
+}
+
+/**
+ * The clinic date (YYYY-MM-DD) of the next weekday after today, the day
+ * "next tuesday" means in the chat
+ */
+export function nextWeekday(weekday) {
+  let date = ClinicTimeService.addDays(new Date(), 1);
+  while (ClinicTimeService.getWeekday(date) !== weekday) {
+    date = ClinicTimeService.addDays(date, 1);
+  }
+  return ClinicTimeService.getDateKey(date);
+}
+
+/**
+ * A complete booking form submission
+ */
+export function bookingForm(fields = {}) {
+  return {
+    ownerName: 'Alex Kim',
+    email: 'alex@example.com',
+    petName: 'Biscuit',
+    petType: 'dog',
+    fullPhoneNumber: '+15551234567',
+    appointmentDate: nextWeekday('tuesday'),
+    appointmentTime: '10:00',
+    reason: 'Annual check-up and vaccines',
+    ...fields
+  };
+}
@@ -0,0 +1,167 @@
+import './helpers/env.js';
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import { MemoryStore, setStateStore } from '../src/services/storage/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+
+const NAME = '[a-zA-Z_:][a-zA-Z0-9_:]*';
+const LABEL = `[a-zA-Z_][a-zA-Z0-9_]*="(?:[^"\\\\\\n]|\\\\[\\\\"n])*"`;
+const VALUE = '(?:[+-]?(?:\\d+\\.?\\d*(?:[eE][+-]?\\d+)?|\\.\\d+(?:[eE][+-]?\\d+)?)|NaN|[+-]Inf)';
+const SAMPLE = new RegExp(`^(${NAME})(?:\\{((?:${LABEL})(?:,${LABEL})*,?)?\\})? (${VALUE})(?: -?\\d+)?$`);
+const HELP = new RegExp(`^# HELP (${NAME}) .*$`);
+const TYPE = new RegExp(`^# TYPE (${NAME}) (counter|gauge|histogram|summary|untyped)$`);
+
+const SUFFIXES = {
+  counter: [''],
+  gauge: [''],
+  untyped: [''],
+  histogram: ['_bucket', '_sum', '_count'],
+  summary: ['', '_sum', '_count']
+};
+
+function parseLabels(text = '') {
+  const labels = {};
+  for (const [, name, value] of text.matchAll(/([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g)) {
+    labels[name] = value.replace(/\\(["\\n])/g, (_, char) => char === 'n' ? '\n' : char);
+  }
+  return labels;
+}
+
+/**
+ * Parse the text exposition format (version 0.0.4), failing on any line
+ * that doesn't follow it. Returns family name -> { type, help, samples }.
+ */
+function parsePrometheus(text) {
+  assert.ok(text.endsWith('\n'), 'ends with a line feed');
+  const families = new Map();
+
+  text.slice(0, -1).split('\n').forEach((line, index) => {
+    const where = `line ${index + 1}: ${line}`;
+    if (line === '') return;
+
+    let match;
+    if ((match = line.match(HELP))) {
+      const family = families.get(match[1]) || { samples: [] };
+      assert.equal(family.help, undefined, `HELP given twice, ${where}`);
+      family.help = line.slice(`# HELP ${match[1]} `.length);
+      families.set(match[1], family);
+    } else if ((match = line.match(TYPE))) {
+      const family = families.get(match[1]) || { samples: [] };
+      assert.equal(family.type, undefined, `TYPE given twice, ${where}`);
+      assert.equal(family.samples.length, 0, `TYPE after samples, ${where}`);
+      family.type = match[2];
+      families.set(match[1], family);
+    } else if (line.startsWith('#')) {
+      // Other comments are allowed
+    } else if ((match = line.match(SAMPLE))) {
+      const [, name, labels, value] = match;
+      const owner = [...families.entries()].find(([family, { type }]) =>
+        type && SUFFIXES[type].some(suffix => `${family}${suffix}` === name)
+      );
+      assert.ok(owner, `sample before its TYPE, ${where}`);
+      owner[1].samples.push({ name, labels: parseLabels(labels), value: Number(value.replace('Inf', 'Infinity')) });
+    } else {
+      assert.fail(`not in the Prometheus text format, ${where}`);
+    }
+  });
+
+  return families;
+}
+
+/**
+ * Histogram buckets must be cumulative and end at +Inf with the count
+ */
+function assertHistogram(name, family) {
+  const series = new Map();
+  for (const sample of family.samples) {
+    const { le, ...labels } = sample.labels;
+    const key = JSON.stringify(labels);
+    const entry = series.get(key) || { buckets: [] };
+    if (sample.name === `${name}_bucket`) entry.buckets.push({ le: Number(le.replace('Inf', 'Infinity')), value: sample.value });
+    if (sample.name === `${name}_count`) entry.count = sample.value;
+    if (sample.name === `${name}_sum`) entry.sum = sample.value;
+    series.set(key, entry);
+  }
+
+  for (const [labels, { buckets, count, sum }] of series) {
+    assert.ok(buckets.length > 0 && count !== undefined && sum !== undefined, `${name} ${labels} is complete`);
+    assert.equal(buckets.at(-1).le, Infinity, `${name} ${labels} ends at +Inf`);
+    assert.equal(buckets.at(-1).value, count, `${name} ${labels} +Inf bucket is the count`);
+    buckets.reduce((previous, bucket) => {
+      assert.ok(bucket.le > previous.le && bucket.value >= previous.value, `${name} ${labels} buckets are cumulative`);
+      return bucket;
+    });
+  }
+}
+
+function findSample(family, labels) {
+  return family.samples.find(sample =>
+    Object.entries(labels).every(([name, value]) => sample.labels[name] === value)
+  );
+}
+
+describe('GET /metrics', () => {
+  let families;
+  const sessionId = randomUUID();
+
+  before(async () => {
+    installMemoryDb();
+    setStateStore(new MemoryStore({ sweepInterval: 0 }));
+
+    await request(app).post('/api/chat').send({ message: 'Hi', sessionId }).expect(200);
+    await request(app).post('/api/chat').send({ message: '', sessionId }).expect(400);
+    await request(app).get(`/api/chat/${sessionId}`).expect(200);
+    await request(app).get(`/api/chat/${randomUUID()}`).expect(404);
+    await request(app).get(`/api/chat/${randomUUID()}`).expect(404);
+    await request(app).get('/no-such-page').expect(404);
+
+    const res = await request(app)
+      .get('/metrics')
+      .expect(200)
+      .expect('Content-Type', /^text\/plain;.*\bversion=0\.0\.4\b/);
+
+    families = parsePrometheus(res.text);
+  });
+
+  test('is valid Prometheus text format', () => {
+    assert.ok(families.size > 0);
+
+    for (const [name, family] of families) {
+      assert.ok(name.startsWith('vet_chatbot_'), `${name} is prefixed`);
+      assert.ok(family.type, `${name} has a TYPE`);
+      assert.ok(family.help, `${name} has HELP`);
+      if (family.type === 'histogram') assertHistogram(name, family);
+    }
+  });
+
+  test('counts requests by route pattern, method and status', () => {
+    const requests = families.get('vet_chatbot_http_requests_total');
+    assert.equal(requests.type, 'counter');
+
+    for (const sample of requests.samples) {
+      assert.deepEqual(Object.keys(sample.labels).sort(), ['method', 'route', 'status']);
+    }
+
+    assert.equal(findSample(requests, { route: '/api/chat', method: 'POST', status: '200' }).value, 1);
+    assert.equal(findSample(requests, { route: '/api/chat', method: 'POST', status: '400' }).value, 1);
+    assert.equal(findSample(requests, { route: '/api/chat/:sessionId', method: 'GET', status: '200' }).value, 1);
+    assert.equal(findSample(requests, { route: '/api/chat/:sessionId', method: 'GET', status: '404' }).value, 2);
+    assert.equal(findSample(requests, { route: 'unmatched', method: 'GET', status: '404' }).value, 1);
+
+    // Never a raw URL, so session ids can't add series
+    assert.ok(requests.samples.every(sample => !/[0-9a-f]{8}-[0-9a-f]{4}-/.test(sample.labels.route)));
+    assert.ok(requests.samples.every(sample => sample.labels.route !== '/no-such-page'));
+  });
+
+  test('times requests with the same labels', () => {
+    const duration = families.get('vet_chatbot_http_request_duration_seconds');
+    assert.equal(duration.type, 'histogram');
+
+    const count = duration.samples.find(sample => sample.name === 'vet_chatbot_http_request_duration_seconds_count' &&
+      sample.labels.route === '/api/chat/:sessionId' && sample.labels.method === 'GET' && sample.labels.status === '404');
+    assert.equal(count.value, 2);
+  });
+});
@@ -0,0 +1,217 @@
+import './helpers/env.js';
+import { before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import Appointment from '../src/models/Appointment.js';
+import NotificationJob from '../src/models/NotificationJob.js';
+import ClinicTimeService from '../src/services/ClinicTimeService.js';
+import NotificationService from '../src/services/NotificationService.js';
+import { CaptureNotifier } from '../src/services/notifiers/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+let db;
+const capture = new CaptureNotifier();
+
+before(() => {
+  db = installMemoryDb();
+  NotificationService.setTransport(null, capture);
+});
+
+beforeEach(() => {
+  db.reset();
+  capture.clear();
+});
+
+/**
+ * An appointment hoursAhead from now, with an email and a phone number
+ */
+function bookAppointment(hoursAhead = 72) {
+  const scheduledAt = new Date(Date.now() + hoursAhead * HOUR_MS);
+  return Appointment.create({
+    sessionId: randomUUID(),
+    ownerName: 'Alex Kim',
+    email: 'alex@example.com',
+    phone: '+15551234567',
+    petName: 'Biscuit',
+    petType: 'dog',
+    preferredDateTime: ClinicTimeService.formatLong(scheduledAt),
+    scheduledAt,
+    reason: 'Annual check-up',
+    status: 'confirmed'
+  });
+}
+
+/**
+ * One confirmation email, queued now
+ */
+async function queueEmail() {
+  const [job] = await NotificationService.enqueue({
+    template: 'appointment_confirmation',
+    to: { name: 'Alex Kim', email: 'alex@example.com' },
+    data: NotificationService.describeAppointment(await bookAppointment())
+  });
+  return job;
+}
+
+const jobs = filter => db.documents('NotificationJob').filter(job =>
+  Object.entries(filter).every(([key, value]) => job[key] === value)
+);
+
+describe('NotificationService queue', () => {
+  test('a booking queues a confirmation now and reminders before the visit, on both channels', async () => {
+    const appointment = await bookAppointment();
+
+    const queued = await NotificationService.appointmentBooked(appointment);
+    assert.deepEqual(queued.map(job => job.channel).sort(), ['email', 'sms']);
+    assert.equal(jobs({ template: 'appointment_confirmation' }).length, 2);
+
+    const reminders = jobs({ template: 'appointment_reminder' });
+    assert.deepEqual(
+      reminders.map(job => appointment.scheduledAt - job.runAt).sort((a, b) => a - b),
+      [2 * HOUR_MS, 2 * HOUR_MS, 24 * HOUR_MS, 24 * HOUR_MS]
+    );
+
+    // Queuing the same booking again changes nothing
+    await NotificationService.appointmentBooked(appointment);
+    assert.equal(db.documents('NotificationJob').length, 6);
+
+    assert.deepEqual(await NotificationService.processDue(new Date()), { sent: 2, failed: 0, retrying: 0, cancelled: 0 });
+    assert.deepEqual(capture.sent.map(message => message.category), ['appointment_confirmation', 'appointment_confirmation']);
+    assert.equal(capture.find({ channel: 'email' })[0].to.email, 'alex@example.com');
+    assert.equal(capture.find({ channel: 'sms' })[0].to.phone, '+15551234567');
+
+    // Each reminder goes out when its time comes
+    const dayBefore = new Date(appointment.scheduledAt.getTime() - 24 * HOUR_MS);
+    assert.equal((await NotificationService.processDue(dayBefore)).sent, 2);
+    assert.match(capture.find({ channel: 'sms', category: 'appointment_reminder' })[0].text, /appointment is tomorrow/);
+
+    const twoHoursBefore = new Date(appointment.scheduledAt.getTime() - 2 * HOUR_MS);
+    assert.equal((await NotificationService.processDue(twoHoursBefore)).sent, 2);
+    assert.equal(capture.sent.length, 6);
+    assert.equal(jobs({ status: 'sent' }).length, 6);
+  });
+
+  test('reminders for a cancelled or moved visit are not sent', async () => {
+    const cancelled = await bookAppointment();
+    const moved = await bookAppointment();
+    await NotificationService.appointmentBooked(cancelled);
+    await NotificationService.appointmentBooked(moved);
+    await NotificationService.processDue(new Date());
+    capture.clear();
+
+    cancelled.status = 'cancelled';
+    await cancelled.save();
+    await NotificationService.appointmentCancelled(cancelled);
+    assert.equal(jobs({ template: 'appointment_reminder', status: 'cancelled' }).length, 4);
+
+    // Moved without going through appointmentRescheduled: the reminder is
+    // checked against the appointment when it's due
+    await Appointment.updateOne({ _id: moved._id }, { scheduledAt: new Date(moved.scheduledAt.getTime() + HOUR_MS) });
+
+    const summary = await NotificationService.processDue(new Date(moved.scheduledAt.getTime() - 24 * HOUR_MS));
+    assert.deepEqual(summary, { sent: 2, failed: 0, retrying: 0, cancelled: 2 });
+    assert.deepEqual(capture.sent.map(message => message.category), ['appointment_cancelled', 'appointment_cancelled']);
+  });
+
+  test('two workers never send the same job', async () => {
+    for (let i = 0; i < 5; i++) {
+      await NotificationService.appointmentBooked(await bookAppointment());
+    }
+
+    const now = new Date();
+    const [first, second] = await Promise.all([
+      NotificationService.processDue(now),
+      NotificationService.processDue(now)
+    ]);
+
+    assert.equal(first.sent + second.sent, 10);
+    assert.equal(capture.sent.length, 10);
+    assert.equal(new Set(capture.sent.map(message => message.metadata.jobId)).size, 10);
+  });
+
+  test('a job left behind by a worker that died mid-send is picked up again', async () => {
+    const job = await queueEmail();
+    const now = new Date();
+
+    await NotificationJob.updateOne({ _id: job._id }, {
+      status: 'sending',
+      attempts: 1,
+      lockedAt: new Date(now.getTime() - 5 * MINUTE_MS)
+    });
+    assert.equal((await NotificationService.processDue(now)).sent, 0);
+
+    const later = new Date(now.getTime() + 6 * MINUTE_MS);
+    assert.equal((await NotificationService.processDue(later)).sent, 1);
+    assert.equal(jobs({ status: 'sent' })[0].attempts, 2);
+  });
+});
+
+describe('NotificationService retries', () => {
+  test('a failed send is retried after a delay', async () => {
+    const job = await queueEmail();
+    const now = new Date();
+    capture.failNext(1);
+
+    assert.deepEqual(await NotificationService.processDue(now), { sent: 0, failed: 0, retrying: 1, cancelled: 0 });
+    let [stored] = db.documents('NotificationJob');
+    assert.equal(stored.status, 'pending');
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.lastError, 'Simulated delivery failure');
+    assert.equal(stored.runAt.getTime(), now.getTime() + MINUTE_MS);
+    assert.equal(stored.lockedAt, undefined);
+
+    // Not before the delay is up
+    assert.equal((await NotificationService.processDue(new Date(now.getTime() + 30 * 1000))).retrying, 0);
+    assert.equal(capture.sent.length, 0);
+
+    assert.equal((await NotificationService.processDue(new Date(now.getTime() + MINUTE_MS))).sent, 1);
+    [stored] = db.documents('NotificationJob');
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.attempts, 2);
+    assert.equal(stored.notifier, 'capture');
+    assert.equal(capture.sent[0].metadata.jobId, String(job._id));
+  });
+
+  test('backs off 1, 5, 15 and 60 minutes, then gives up after maxAttempts', async () => {
+    await queueEmail();
+    capture.failNext(5);
+
+    let now = new Date();
+    const delays = [];
+    for (let attempt = 1; attempt <= 4; attempt++) {
+      assert.equal((await NotificationService.processDue(now)).retrying, 1);
+      const [stored] = db.documents('NotificationJob');
+      delays.push((stored.runAt - now) / MINUTE_MS);
+      now = stored.runAt;
+    }
+    assert.deepEqual(delays, [1, 5, 15, 60]);
+
+    assert.deepEqual(await NotificationService.processDue(now), { sent: 0, failed: 1, retrying: 0, cancelled: 0 });
+    const [failed] = db.documents('NotificationJob');
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.attempts, 5);
+
+    // Nothing more happens on its own
+    assert.equal((await NotificationService.processDue(new Date(now.getTime() + 24 * HOUR_MS))).sent, 0);
+    assert.equal(capture.sent.length, 0);
+  });
+
+  test('retry puts a failed job back in the queue', async () => {
+    const job = await queueEmail();
+    await NotificationJob.updateOne({ _id: job._id }, { status: 'failed', attempts: 5, lastError: 'Mailbox full' });
+
+    const retried = await NotificationService.retry(job._id);
+    assert.equal(retried.status, 'pending');
+    assert.equal(retried.attempts, 0);
+    assert.equal(retried.lastError, undefined);
+
+    // Only failed jobs can be retried
+    assert.equal(await NotificationService.retry(job._id), null);
+
+    assert.equal((await NotificationService.processDue(new Date())).sent, 1);
+    assert.equal(capture.sent.length, 1);
+  });
+});
@@ -0,0 +1,53 @@
+import './helpers/env.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { OpenAICompatibleProvider } from '../src/services/llm/index.js';
+
+const ANSWER = 'Café au lait spots are harmless 🐾 - ask the vet about anything new.';
+
+/**
+ * The answer as an OpenAI-style SSE stream, one token per event
+ */
+function sseBody(text) {
+  const events = text.split(/(?<= )/).map(token =>
+    `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`
+  );
+  return Buffer.from(`${events.join('')}data: [DONE]\n\n`);
+}
+
+describe('OpenAICompatibleProvider.stream', () => {
+  let server;
+  let provider;
+
+  before(async () => {
+    // Sends the stream a few bytes at a time, so chunks split characters
+    server = createServer(async (req, res) => {
+      req.resume();
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const body = sseBody(ANSWER);
+      for (let offset = 0; offset < body.length; offset += 7) {
+        res.write(body.subarray(offset, offset + 7));
+        await sleep(1);
+      }
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    provider = new OpenAICompatibleProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1`, apiKey: 'test' });
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  test('keeps multibyte characters split across network chunks whole', async () => {
+    const tokens = [];
+    for await (const token of provider.stream({ systemPrompt: 'You are a vet assistant.', messages: [] })) {
+      tokens.push(token);
+    }
+
+    assert.equal(tokens.join(''), ANSWER);
+    assert.ok(!tokens.join('').includes('\uFFFD'));
+    assert.ok(tokens.length > 1);
+  });
+});
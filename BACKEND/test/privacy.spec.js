@@ -0,0 +1,124 @@
+import './helpers/env.js';
+import { before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import Appointment from '../src/models/Appointment.js';
+import Pet from '../src/models/Pet.js';
+import NotificationService from '../src/services/NotificationService.js';
+import { MemoryStore, setStateStore } from '../src/services/storage/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+import { bookingForm, nextWeekday } from './helpers/requests.js';
+
+let db;
+
+before(() => {
+  db = installMemoryDb();
+});
+
+beforeEach(() => {
+  db.reset();
+  setStateStore(new MemoryStore({ sweepInterval: 0 })); // Fresh rate limits
+});
+
+function book(fields) {
+  return request(app).post('/api/appointments').send(bookingForm(fields)).expect(201);
+}
+
+describe('Bookings made without a chat session', () => {
+  test('each gets a session ID of its own', async () => {
+    const first = await book({ appointmentTime: '10:00' });
+    const second = await book({ appointmentTime: '11:00', ownerName: 'Sam Lee', email: 'sam@example.com' });
+
+    const sessionIds = db.documents('Appointment').map(appointment => appointment.sessionId).sort();
+    assert.deepEqual(sessionIds, [
+      `form-${first.body.appointment.id}`,
+      `form-${second.body.appointment.id}`
+    ].sort());
+
+    // One booking's ID only reaches that booking
+    const res = await request(app)
+      .get('/api/owners/me/data')
+      .query({ sessionId: `form-${first.body.appointment.id}` })
+      .expect(200);
+    assert.deepEqual(res.body.appointments.map(appointment => appointment.ownerName), ['Alex Kim']);
+  });
+
+  test('the ID they used to share opens nothing', async () => {
+    // Booked before each had its own
+    for (const ownerName of ['Alex Kim', 'Sam Lee']) {
+      await Appointment.create({
+        sessionId: 'direct-booking',
+        ownerName,
+        email: 'owner@example.com',
+        phone: '+15551234567',
+        petName: 'Biscuit',
+        petType: 'dog',
+        preferredDateTime: `${nextWeekday('tuesday')} 10:00`,
+        reason: 'Annual check-up'
+      });
+    }
+    const sessionId = 'direct-booking';
+
+    await request(app).get('/api/owners/me/data').query({ sessionId }).expect(403);
+    await request(app).delete('/api/owners/me').query({ sessionId }).expect(403);
+    await request(app).get('/api/appointments').query({ sessionId }).expect(403);
+
+    const [appointment] = db.documents('Appointment');
+    await request(app)
+      .patch(`/api/appointments/${appointment._id}/status`)
+      .send({ status: 'cancelled', sessionId })
+      .expect(403);
+
+    assert.equal(db.documents('Appointment').filter(({ status }) => status === 'pending').length, 2);
+  });
+
+  test('a chat session still reaches its own bookings', async () => {
+    const sessionId = randomUUID();
+    await book({ sessionId });
+
+    const res = await request(app).get('/api/owners/me/data').query({ sessionId }).expect(200);
+    assert.equal(res.body.appointments.length, 1);
+    assert.equal(res.body.owner.email, 'alex@example.com');
+  });
+});
+
+describe('Notifications in an owner\'s data', () => {
+  test('are theirs by appointment or pet, whatever contact details the profile claims', async () => {
+    const [victim, owner] = [randomUUID(), randomUUID()];
+    await book({ sessionId: victim, appointmentTime: '10:00' });
+    const { body } = await book({
+      sessionId: owner, appointmentTime: '11:00', ownerName: 'Sam Lee', email: 'sam@example.com', fullPhoneNumber: '+15559876543'
+    });
+
+    // A vaccine reminder for the owner's pet, which has no appointment
+    const reminders = await NotificationService.enqueue({
+      template: 'vaccine_reminder',
+      to: { name: 'Sam Lee', email: 'sam@example.com' },
+      data: { ownerName: 'Sam Lee', petName: 'Biscuit', vaccines: ['Rabies: due soon'] }
+    });
+    await Pet.updateOne({ _id: body.appointment.petId }, {
+      vaccineReminders: [{ vaccine: 'rabies', dueAt: new Date(), queuedAt: new Date(), notificationIds: reminders.map(job => String(job._id)) }]
+    });
+
+    // Unverified - anyone can claim anyone's email and phone
+    await request(app)
+      .patch('/api/owners/me')
+      .send({ sessionId: owner, email: 'alex@example.com', phone: '+15551234567' })
+      .expect(200);
+
+    const victimJobs = db.documents('NotificationJob').filter(job => job.to.email === 'alex@example.com' || job.to.phone === '+15551234567');
+    const ownerJobs = db.documents('NotificationJob').length - victimJobs.length;
+    assert.ok(victimJobs.length > 0);
+
+    const res = await request(app).get('/api/owners/me/data').query({ sessionId: owner }).expect(200);
+    assert.equal(res.body.notifications.length, ownerJobs);
+    assert.ok(res.body.notifications.some(job => job.template === 'vaccine_reminder'));
+    assert.ok(res.body.notifications.every(job => job.to.email !== 'alex@example.com' && job.to.phone !== '+15551234567'));
+
+    const erased = await request(app).delete('/api/owners/me').query({ sessionId: owner }).expect(200);
+    assert.equal(erased.body.deleted.notifications, ownerJobs);
+    assert.deepEqual(db.documents('NotificationJob').map(job => String(job._id)).sort(), victimJobs.map(job => String(job._id)).sort());
+  });
+});
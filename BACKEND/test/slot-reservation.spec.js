@@ -0,0 +1,106 @@
+import './helpers/env.js';
+import { before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import request from 'supertest';
+import app from '../src/app.js';
+import AppointmentSlotManager from '../src/services/AppointmentSlotManager.js';
+import ClinicTimeService from '../src/services/ClinicTimeService.js';
+import { MemoryStore, setStateStore } from '../src/services/storage/index.js';
+import { installMemoryDb } from './helpers/memoryDb.js';
+import { bookingForm, nextWeekday } from './helpers/requests.js';
+
+let db;
+
+before(() => {
+  db = installMemoryDb();
+});
+
+beforeEach(() => {
+  db.reset();
+  setStateStore(new MemoryStore({ sweepInterval: 0 })); // Fresh rate limits
+});
+
+/**
+ * Next Tuesday at 10:00 clinic time
+ */
+function tuesdayMorning() {
+  const [year, month, day] = nextWeekday('tuesday').split('-').map(Number);
+  return ClinicTimeService.toInstant({ year, month, day, hour: 10, minute: 0 });
+}
+
+describe('AppointmentSlotManager.reserveSlot', () => {
+  test('exactly one of two racing sessions gets the slot', async () => {
+    const date = tuesdayMorning();
+
+    const [first, second] = await Promise.all([
+      AppointmentSlotManager.reserveSlot(date, 'session-a'),
+      AppointmentSlotManager.reserveSlot(date, 'session-b')
+    ]);
+
+    const results = [first, second];
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(results.filter(result => result === null).length, 1);
+    assert.equal(results.find(Boolean), AppointmentSlotManager.getSlotKey(date));
+
+    const holds = db.documents('SlotBooking');
+    assert.equal(holds.length, 1);
+    assert.equal(holds[0].sessionId, first ? 'session-a' : 'session-b');
+    assert.equal(holds[0].type, 'reserved');
+  });
+
+  test('one winner among many sessions', async () => {
+    const date = tuesdayMorning();
+    const sessions = Array.from({ length: 8 }, (_, index) => `session-${index}`);
+
+    const results = await Promise.all(sessions.map(sessionId => AppointmentSlotManager.reserveSlot(date, sessionId)));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(db.documents('SlotBooking').length, 1);
+  });
+
+  test('only the winning session can confirm the hold', async () => {
+    const date = tuesdayMorning();
+    const [slotA, slotB] = await Promise.all([
+      AppointmentSlotManager.reserveSlot(date, 'session-a'),
+      AppointmentSlotManager.reserveSlot(date, 'session-b')
+    ]);
+    const winner = slotA ? 'session-a' : 'session-b';
+    const loser = slotA ? 'session-b' : 'session-a';
+    const slotKey = slotA || slotB;
+
+    await assert.rejects(
+      AppointmentSlotManager.confirmReservation(slotKey, loser),
+      /Invalid or expired reservation/
+    );
+    assert.equal(await AppointmentSlotManager.confirmReservation(slotKey, winner), true);
+    assert.equal(db.documents('SlotBooking')[0].type, 'confirmed');
+  });
+
+  test('a session refreshes its own hold and takes over expired ones', async () => {
+    const date = tuesdayMorning();
+
+    assert.ok(await AppointmentSlotManager.reserveSlot(date, 'session-a'));
+    assert.ok(await AppointmentSlotManager.reserveSlot(date, 'session-a'));
+    assert.equal(await AppointmentSlotManager.reserveSlot(date, 'session-b'), null);
+
+    db.documents('SlotBooking')[0].expiresAt = new Date(Date.now() - 1000);
+    assert.ok(await AppointmentSlotManager.reserveSlot(date, 'session-b'));
+
+    const holds = db.documents('SlotBooking');
+    assert.equal(holds.length, 1);
+    assert.equal(holds[0].sessionId, 'session-b');
+  });
+
+  test('racing form submissions book the slot once', async () => {
+    const submit = () => request(app)
+      .post('/api/appointments')
+      .send(bookingForm({ sessionId: randomUUID() }));
+
+    const responses = await Promise.all([submit(), submit()]);
+
+    assert.deepEqual(responses.map(res => res.status).sort(), [201, 409]);
+    assert.equal(db.documents('Appointment').length, 1);
+    assert.equal(db.documents('SlotBooking').length, 1);
+  });
+});
@@ -0,0 +1,129 @@
+import './helpers/env.js';
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import RedisMock from 'ioredis-mock';
+import { MemoryStore, RedisStore } from '../src/services/storage/index.js';
+
+const PREFIX = 'vet-chatbot-test:';
+const LIMIT = { tokens: 5, refillRate: 5, interval: 60000 };
+
+/**
+ * RedisStores on one fake Redis, as several instances of the app would be
+ */
+function redisStore() {
+  return new RedisStore({ prefix: PREFIX, client: new RedisMock({ keyPrefix: PREFIX }) });
+}
+
+const adapters = {
+  memory: {
+    create: () => new MemoryStore({ sweepInterval: 0 }),
+    // One process, so "instances" share the one store
+    instances: store => [store, store]
+  },
+  redis: {
+    create: redisStore,
+    instances: store => [store, redisStore()]
+  }
+};
+
+for (const [name, adapter] of Object.entries(adapters)) {
+  describe(`${name} state store`, () => {
+    let store;
+
+    beforeEach(async () => {
+      store = adapter.create();
+      if (store.client) await store.client.flushall();
+    });
+
+    afterEach(async () => {
+      await store.close();
+    });
+
+    test('consumeToken hands out each token once under concurrent requests', async () => {
+      const [first, second] = adapter.instances(store);
+
+      const results = await Promise.all(Array.from({ length: 20 }, (_, index) =>
+        (index % 2 ? first : second).consumeToken('ratelimit:chat:1.2.3.4', LIMIT)
+      ));
+
+      assert.equal(results.filter(Boolean).length, LIMIT.tokens);
+      assert.equal(await first.consumeToken('ratelimit:chat:1.2.3.4', LIMIT), false);
+
+      // Buckets are per key
+      assert.equal(await second.consumeToken('ratelimit:chat:5.6.7.8', LIMIT), true);
+    });
+
+    test('consumeToken refills over time', async () => {
+      const limit = { tokens: 1, refillRate: 1, interval: 50 };
+
+      assert.equal(await store.consumeToken('ratelimit:api:1.2.3.4', limit), true);
+      assert.equal(await store.consumeToken('ratelimit:api:1.2.3.4', limit), false);
+
+      await sleep(80);
+      assert.equal(await store.consumeToken('ratelimit:api:1.2.3.4', limit), true);
+    });
+
+    test('increment sets a TTL and later increments keep it', async () => {
+      assert.equal(await store.increment('analytics:errors', 1, { ttl: 100 }), 1);
+      assert.equal(await store.increment('analytics:errors', 2), 3);
+      assert.equal(await store.increment('analytics:total', 1), 1);
+
+      await sleep(150);
+      assert.equal(await store.get('analytics:errors'), null);
+      assert.equal(await store.get('analytics:total'), 1);
+      assert.equal(await store.increment('analytics:errors'), 1);
+    });
+
+    test('set with a TTL expires the key', async () => {
+      await store.set('cache:answer:a', { message: 'Hello' }, { ttl: 50 });
+      assert.deepEqual(await store.get('cache:answer:a'), { message: 'Hello' });
+
+      await sleep(80);
+      assert.equal(await store.get('cache:answer:a'), null);
+    });
+
+    test('deleteMatching only deletes keys under the prefix', async () => {
+      for (const key of ['cache:session:a:1', 'cache:session:a:2', 'cache:session:ab:1', 'cache:answer:x', 'ratelimit:chat:a']) {
+        await store.set(key, { key });
+      }
+
+      assert.equal(await store.deleteMatching('cache:session:a:'), 2);
+
+      assert.equal(await store.get('cache:session:a:1'), null);
+      assert.equal(await store.countKeys('cache:session:a:'), 0);
+      assert.equal(await store.countKeys('cache:session:'), 1);
+      assert.equal(await store.countKeys('cache:'), 2);
+      assert.deepEqual(await store.get('ratelimit:chat:a'), { key: 'ratelimit:chat:a' });
+    });
+
+    test('hashes and lists round-trip', async () => {
+      await store.hashIncrement('analytics:questions', 'vaccines');
+      await store.hashIncrement('analytics:questions', 'vaccines', 2);
+      await store.hashIncrement('analytics:questions', 'diet');
+      assert.deepEqual(await store.hashGetAll('analytics:questions'), { vaccines: 3, diet: 1 });
+
+      for (let i = 1; i <= 4; i++) {
+        await store.listPush('analytics:responses', { ms: i * 100 }, { maxLength: 3 });
+      }
+      assert.deepEqual(await store.listRange('analytics:responses'), [{ ms: 200 }, { ms: 300 }, { ms: 400 }]);
+    });
+  });
+}
+
+describe('redis state store', () => {
+  test('deleteMatching leaves other apps\' keys on the same Redis alone', async () => {
+    const store = redisStore();
+    const shared = new RedisMock();
+    await shared.flushall();
+    await shared.set('other-app:cache:session:a:1', 'theirs');
+
+    await store.set('cache:session:a:1', { mine: true });
+    assert.equal(await store.deleteMatching('cache:session:a:'), 1);
+
+    assert.equal(await shared.get('other-app:cache:session:a:1'), 'theirs');
+    assert.deepEqual(await shared.keys('*'), ['other-app:cache:session:a:1']);
+    await store.close();
+    await shared.quit();
+  });
+});
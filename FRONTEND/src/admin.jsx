@@ -0,0 +1,10 @@
+import { StrictMode } from 'react'
+import { createRoot } from 'react-dom/client'
+import AdminApp from './components/Admin/AdminApp.jsx'
+
+// Staff dashboard - its own page (admin.html), so the widget bundle stays small
+createRoot(document.getElementById('root')).render(
+  <StrictMode>
+    <AdminApp />
+  </StrictMode>,
+)
@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import adminApi from '../../services/adminApi';
+import LoginForm from './LoginForm';
+import AppointmentCalendar from './AppointmentCalendar';
+import ConversationSearch from './ConversationSearch';
+import LiveChats from './LiveChats';
+import AnalyticsView from './AnalyticsView';
+import './Admin.css';
+
+const TABS = [
+  { id: 'appointments', label: 'Appointments' },
+  { id: 'live', label: 'Live chats' },
+  { id: 'conversations', label: 'Conversations' },
+  { id: 'analytics', label: 'Analytics' }
+];
+
+// Fold a pushed conversation update into the handoff queue: waiting chats
+// first (oldest request first), then the ones staff are in
+const updateQueue = (queue, event) => {
+  const rest = queue.filter(entry => entry.sessionId !== event.sessionId);
+  if (event.handoff.status === 'none') return rest;
+
+  const lastMessage = event.messages[event.messages.length - 1];
+  const previous = queue.find(entry => entry.sessionId === event.sessionId);
+  const entry = {
+    sessionId: event.sessionId,
+    userName: event.userName,
+    triage: event.triage,
+    handoff: event.handoff,
+    lastMessage: lastMessage ? lastMessage.content.slice(0, 120) : previous?.lastMessage || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  const rank = (item) => (item.handoff.status === 'requested' ? 0 : 1);
+  return [...rest, entry].sort((a, b) =>
+    rank(a) - rank(b) || new Date(a.handoff.requestedAt) - new Date(b.handoff.requestedAt));
+};
+
+// Staff dashboard: bookings, live chats, transcripts and analytics behind the staff login
+const AdminApp = () => {
+  const [staff, setStaff] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(() => Boolean(adminApi.getToken()));
+  const [tab, setTab] = useState('appointments');
+  const [queue, setQueue] = useState([]);
+
+  useEffect(() => {
+    adminApi.onUnauthorized = () => setStaff(null);
+    if (!adminApi.getToken()) return;
+
+    // Pick up a sign-in from earlier in this tab
+    adminApi.getCurrentStaff()
+      .then(setStaff)
+      .catch(() => adminApi.logout())
+      .finally(() => setCheckingSession(false));
+  }, []);
+
+  // Stay connected while signed in so owners asking for a person reach someone
+  useEffect(() => {
+    if (!staff) return;
+
+    const stopListening = adminApi.onLiveEvent(event => {
+      if (event.type === 'ready') {
+        // (Re)connected - catch up on anything missed while offline
+        adminApi.getHandoffs()
+          .then(setQueue)
+          .catch(error => console.error('Failed to load handoffs:', error));
+      } else if (event.type === 'conversation') {
+        setQueue(prev => updateQueue(prev, event));
+      }
+    });
+    const disconnect = adminApi.connectLive();
+
+    return () => {
+      stopListening();
+      disconnect();
+    };
+  }, [staff]);
+
+  const waiting = queue.filter(entry => entry.handoff.status === 'requested').length;
+
+  const handleLogout = () => {
+    adminApi.logout();
+    setStaff(null);
+  };
+
+  if (checkingSession) {
+    return <div className="admin-app admin-loading">Loading…</div>;
+  }
+
+  if (!staff) {
+    return (
+      <div className="admin-app">
+        <LoginForm onLogin={setStaff} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-app">
+      <header className="admin-header">
+        <div className="admin-header-title">
+          <span className="admin-header-icon">🐾</span>
+          <span>Clinic Dashboard</span>
+        </div>
+        <nav className="admin-tabs">
+          {TABS.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              className={`admin-tab ${tab === item.id ? 'active' : ''}`}
+              onClick={() => setTab(item.id)}
+            >
+              {item.label}
+              {item.id === 'live' && waiting > 0 && <span className="admin-tab-count">{waiting}</span>}
+            </button>
+          ))}
+        </nav>
+        <div className="admin-header-user">
+          <span>{staff.name} · {staff.role}</span>
+          <button type="button" className="admin-button secondary" onClick={handleLogout}>
+            Sign out
+          </button>
+        </div>
+      </header>
+
+      <main className="admin-main">
+        {tab === 'appointments' && <AppointmentCalendar />}
+        {tab === 'live' && <LiveChats queue={queue} staff={staff} />}
+        {tab === 'conversations' && <ConversationSearch />}
+        {tab === 'analytics' && <AnalyticsView />}
+      </main>
+    </div>
+  );
+};
+
+export default AdminApp;
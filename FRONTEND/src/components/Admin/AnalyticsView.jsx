@@ -0,0 +1,288 @@
+import React, { useEffect, useState } from 'react';
+import adminApi from '../../services/adminApi';
+
+const formatMs = (value) => (value === undefined || value === null ? '–' : `${value}ms`);
+
+const StatCard = ({ label, value }) => (
+  <div className="admin-stat">
+    <div className="admin-stat-value">{value}</div>
+    <div className="admin-stat-label">{label}</div>
+  </div>
+);
+
+// Horizontal bars for [name, count] pairs
+const BarList = ({ title, entries, empty }) => {
+  const max = Math.max(...entries.map(([, count]) => count), 1);
+
+  return (
+    <div className="admin-card">
+      <h3>{title}</h3>
+      {entries.length === 0 && <div className="admin-muted">{empty}</div>}
+      <ul className="admin-bars">
+        {entries.map(([name, count]) => (
+          <li key={name}>
+            <span className="admin-bar-label">{name}</span>
+            <span className="admin-bar-track">
+              <span className="admin-bar" style={{ width: `${(count / max) * 100}%` }} />
+            </span>
+            <span className="admin-bar-count">{count}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const GRANULARITIES = [
+  { value: 'day', label: 'By day' },
+  { value: 'week', label: 'By week' },
+  { value: 'hour', label: 'By hour' }
+];
+
+const formatRate = (value) => (value === null ? '–' : `${value}%`);
+
+// Stored history for a date range: totals and one row per hour, day or week
+const HistoryTable = ({ history }) => {
+  const { totals, series } = history;
+
+  return (
+    <div className="admin-card admin-history">
+      <h3>
+        {history.range.from} – {history.range.to}
+        <span className="admin-muted"> · {history.range.timeZone}</span>
+      </h3>
+      <div className="admin-stats">
+        <StatCard label="Chats" value={totals.sessions} />
+        <StatCard label="Messages" value={totals.messages} />
+        <StatCard label="Bookings started / completed" value={`${totals.appointments.started} / ${totals.appointments.completed}`} />
+        <StatCard label="Booking conversion" value={formatRate(totals.appointments.conversionRate)} />
+        <StatCard label="Errors" value={totals.errors} />
+        <StatCard label="Busiest hour" value={totals.peakHour || '–'} />
+      </div>
+      <div className="admin-table-scroll">
+        <table className="admin-table">
+          <thead>
+            <tr>
+              <th>Period</th>
+              <th>Chats</th>
+              <th>Messages</th>
+              <th>Bookings</th>
+              <th>Abandoned</th>
+              <th>Conversion</th>
+              <th>Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {series.map(row => (
+              <tr key={row.start}>
+                <td>{row.period}</td>
+                <td>{row.sessions}</td>
+                <td>{row.messages}</td>
+                <td>{row.appointments.completed}/{row.appointments.started}</td>
+                <td>{row.appointments.abandoned}</td>
+                <td>{formatRate(row.appointments.conversionRate)}</td>
+                <td>{row.errors}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const CHANNEL_TITLES = { chat: 'Booking in chat', form: 'Booking form' };
+
+const STEP_LABELS = {
+  ASK_OWNER_NAME: 'Owner name',
+  ASK_PET_NAME: 'Pet',
+  ASK_PHONE: 'Phone',
+  ASK_DATE_TIME: 'Date and time',
+  CONFIRMATION: 'Confirm',
+  FORM: 'Form'
+};
+
+const formatDuration = (ms) => {
+  if (ms === null) return '–';
+  if (ms < 60000) return `${Math.round(ms / 1000)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+};
+
+// Booking funnel per channel: how many owners reached each step and got past
+// it, how long it took, and what stopped the rest
+const FunnelTable = ({ channel, funnel }) => (
+  <div className="admin-card">
+    <h3>
+      {CHANNEL_TITLES[channel] || channel}
+      <span className="admin-muted">
+        {' '}· {funnel.completed}/{funnel.started} booked ({formatRate(funnel.conversionRate)}), median {formatDuration(funnel.medianTimeToBookMs)}
+      </span>
+    </h3>
+    <div className="admin-table-scroll">
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Step</th>
+            <th>Reached</th>
+            <th>Got past</th>
+            <th>Conversion</th>
+            <th>Median time</th>
+            <th>Invalid</th>
+            <th>Slot taken</th>
+            <th>Cancelled</th>
+            <th>Left</th>
+          </tr>
+        </thead>
+        <tbody>
+          {funnel.steps.map(step => (
+            <tr key={step.step}>
+              <td>{STEP_LABELS[step.step] || step.step}</td>
+              <td>{step.entered}</td>
+              <td>{step.passed}</td>
+              <td>{formatRate(step.conversionRate)}</td>
+              <td>{formatDuration(step.medianTimeMs)}</td>
+              <td>{step.invalid}</td>
+              <td>{step.slotUnavailable}</td>
+              <td>{step.abandoned}</td>
+              <td>{step.droppedOff}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  </div>
+);
+
+// The /api/analytics report: performance, what owners ask about, triage,
+// and the stored history and booking funnel for a date range
+const AnalyticsView = () => {
+  const [reloadCount, setReloadCount] = useState(0);
+  const [range, setRange] = useState({ from: '', to: '', granularity: 'day' });
+  const [result, setResult] = useState({ key: null, report: null, history: null, funnel: null, error: null });
+
+  const requestKey = JSON.stringify({ ...range, reloadCount });
+  const isLoading = result.key !== requestKey;
+
+  useEffect(() => {
+    let ignore = false;
+    const { from, to, granularity } = JSON.parse(requestKey);
+
+    adminApi.getAnalytics({ from, to, granularity })
+      .then(data => {
+        if (!ignore) setResult({ key: requestKey, report: data.report, history: data.history, funnel: data.funnel, error: null });
+      })
+      .catch(error => {
+        if (!ignore) setResult(prev => ({ ...prev, key: requestKey, error: error.message }));
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [requestKey]);
+
+  const report = result.report;
+  const history = result.history;
+  const funnel = result.funnel;
+  const heapUsed = report?.systemHealth?.memoryUsage?.heapUsed;
+
+  return (
+    <section className="admin-panel">
+      <div className="admin-toolbar">
+        <h2 className="admin-toolbar-title">Analytics</h2>
+        <div className="admin-toolbar-group">
+          {report && <span className="admin-muted">Updated {new Date(report.timestamp).toLocaleTimeString()}</span>}
+          <button
+            type="button"
+            className="admin-button secondary"
+            disabled={isLoading}
+            onClick={() => setReloadCount(count => count + 1)}
+          >
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {result.error && <div className="admin-error" role="alert">{result.error}</div>}
+      {!report && isLoading && <div className="admin-muted">Loading report…</div>}
+
+      {report && (
+        <div className={isLoading ? 'loading' : ''}>
+          <div className="admin-stats">
+            <StatCard label="Active chats" value={report.performance.activeSessions} />
+            <StatCard label="Appointments booked in chat" value={report.userMetrics.completedAppointments} />
+            <StatCard label="Avg response (last hour)" value={report.performance.avgResponseTime} />
+            <StatCard label="p50 / p95 / p99" value={`${formatMs(report.performance.percentiles?.p50)} / ${formatMs(report.performance.percentiles?.p95)} / ${formatMs(report.performance.percentiles?.p99)}`} />
+            <StatCard label="Errors" value={report.performance.errorRate} />
+            <StatCard label="Busiest hour" value={report.userMetrics.peakHour} />
+          </div>
+
+          <div className="admin-cards">
+            <BarList title="Top questions" entries={report.userMetrics.topQuestions} empty="No questions yet" />
+            <BarList title="Triage" entries={Object.entries(report.userMetrics.triage || {})} empty="No triaged messages yet" />
+            <BarList title="Booking drop-off" entries={report.userMetrics.dropOffPoints} empty="No abandoned bookings" />
+
+            <div className="admin-card">
+              <h3>Recommendations</h3>
+              {report.recommendations.length === 0 && <div className="admin-muted">Nothing to act on</div>}
+              <ul className="admin-recommendations">
+                {report.recommendations.map(item => (
+                  <li key={item.issue} className={`priority-${item.priority}`}>
+                    <strong>{item.issue}</strong>
+                    <span>{item.action}</span>
+                  </li>
+                ))}
+              </ul>
+              {heapUsed && (
+                <div className="admin-muted admin-note">
+                  Server memory: {(heapUsed / 1024 / 1024).toFixed(0)} MB heap
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="admin-toolbar admin-history-toolbar">
+            <h2 className="admin-toolbar-title">History</h2>
+            <div className="admin-toolbar-group">
+              <input
+                type="date"
+                value={range.from}
+                max={range.to || undefined}
+                onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+                aria-label="From"
+              />
+              <span className="admin-muted">to</span>
+              <input
+                type="date"
+                value={range.to}
+                min={range.from || undefined}
+                onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+                aria-label="To"
+              />
+              <select
+                value={range.granularity}
+                onChange={(e) => setRange(prev => ({ ...prev, granularity: e.target.value }))}
+                aria-label="Group by"
+              >
+                {GRANULARITIES.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          {history && <HistoryTable history={history} />}
+
+          {funnel && (
+            <div className="admin-cards admin-funnel">
+              {Object.entries(funnel.channels).map(([channel, channelFunnel]) => (
+                <FunnelTable key={channel} channel={channel} funnel={channelFunnel} />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default AnalyticsView;
@@ -0,0 +1,278 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import adminApi from '../../services/adminApi';
+
+const STATUS_FILTERS = [
+  { value: '', label: 'All statuses' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'no-show', label: 'No-show' }
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const addDays = (date, days) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// The visible days: the anchor day, or the Monday-to-Sunday week around it
+const getDays = (view, anchorKey) => {
+  const anchor = fromDateKey(anchorKey);
+  if (view === 'day') return [anchorKey];
+
+  const monday = addDays(anchor, -((anchor.getDay() + 6) % 7));
+  return Array.from({ length: 7 }, (_, i) => toDateKey(addDays(monday, i)));
+};
+
+// appointmentDate/appointmentTime are clinic-local; older bookings only have scheduledAt
+const getDayKey = (appointment) =>
+  appointment.appointmentDate || toDateKey(new Date(appointment.scheduledAt));
+
+const getTimeLabel = (appointment) =>
+  appointment.appointmentTime ||
+  new Date(appointment.scheduledAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+/**
+ * The status changes staff can make from each status:
+ * pending -> confirmed/cancelled, confirmed -> no-show (once the visit has
+ * started)/cancelled, and back again if one was a mistake
+ */
+const getActions = (appointment, now) => {
+  const started = appointment.scheduledAt && new Date(appointment.scheduledAt) <= now;
+
+  switch (appointment.status) {
+    case 'pending':
+      return [
+        { status: 'confirmed', label: 'Confirm' },
+        { status: 'cancelled', label: 'Cancel' }
+      ];
+    case 'confirmed':
+      return [
+        ...(started ? [{ status: 'no-show', label: 'No-show' }] : []),
+        { status: 'cancelled', label: 'Cancel' }
+      ];
+    case 'cancelled':
+      return [{ status: 'pending', label: 'Reinstate' }];
+    case 'no-show':
+      return [{ status: 'confirmed', label: 'Undo no-show' }];
+    default:
+      return [];
+  }
+};
+
+const AppointmentCard = ({ appointment, detailed, busy, onStatusChange }) => {
+  const actions = getActions(appointment, new Date());
+
+  return (
+    <div className={`admin-appointment status-${appointment.status} urgency-${appointment.urgency}`}>
+      <div className="admin-appointment-header">
+        <span className="admin-appointment-time">{getTimeLabel(appointment)}</span>
+        <span className={`admin-badge status-${appointment.status}`}>{appointment.status}</span>
+      </div>
+      <div className="admin-appointment-pet">
+        {appointment.petName} <span className="admin-muted">({appointment.petType})</span>
+      </div>
+      <div className="admin-appointment-owner">{appointment.ownerName}</div>
+
+      {detailed && (
+        <dl className="admin-appointment-details">
+          <dt>Phone</dt>
+          <dd>{appointment.phone}</dd>
+          {appointment.email && (
+            <>
+              <dt>Email</dt>
+              <dd>{appointment.email}</dd>
+            </>
+          )}
+          <dt>Reason</dt>
+          <dd>{appointment.reason}</dd>
+          <dt>Vet</dt>
+          <dd>{appointment.veterinarianName || 'Unassigned'}</dd>
+          {appointment.urgency !== 'normal' && (
+            <>
+              <dt>Urgency</dt>
+              <dd>{appointment.urgency}</dd>
+            </>
+          )}
+        </dl>
+      )}
+
+      {actions.length > 0 && (
+        <div className="admin-appointment-actions">
+          {actions.map(action => (
+            <button
+              key={action.status}
+              type="button"
+              className={`admin-button small ${action.status === 'cancelled' ? 'danger' : ''}`}
+              disabled={busy}
+              onClick={() => onStatusChange(appointment, action.status)}
+            >
+              {action.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Day and week views of the clinic's bookings with the status workflow
+const AppointmentCalendar = () => {
+  const [view, setView] = useState('week');
+  const [anchorKey, setAnchorKey] = useState(() => toDateKey(new Date()));
+  const [status, setStatus] = useState('');
+  const [reloadCount, setReloadCount] = useState(0);
+  const [result, setResult] = useState({ key: null, appointments: [], error: null });
+  const [busyId, setBusyId] = useState(null);
+  const [actionError, setActionError] = useState(null);
+
+  const days = useMemo(() => getDays(view, anchorKey), [view, anchorKey]);
+  const requestKey = `${days[0]}:${days.length}:${status}:${reloadCount}`;
+  const isLoading = result.key !== requestKey;
+
+  useEffect(() => {
+    let ignore = false;
+
+    // A day either side, since clinic days and this browser's days can differ
+    adminApi.listAppointments({
+      from: addDays(fromDateKey(days[0]), -1),
+      to: new Date(addDays(fromDateKey(days[days.length - 1]), 2).getTime() - 1),
+      status
+    })
+      .then(appointments => {
+        if (!ignore) setResult({ key: requestKey, appointments, error: null });
+      })
+      .catch(error => {
+        if (!ignore) setResult({ key: requestKey, appointments: [], error: error.message });
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [days, status, requestKey]);
+
+  const appointmentsByDay = useMemo(() => {
+    const byDay = Object.fromEntries(days.map(day => [day, []]));
+    for (const appointment of result.appointments) {
+      byDay[getDayKey(appointment)]?.push(appointment);
+    }
+    for (const list of Object.values(byDay)) {
+      list.sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+    }
+    return byDay;
+  }, [days, result.appointments]);
+
+  const move = (direction) => {
+    const step = view === 'day' ? 1 : 7;
+    setAnchorKey(toDateKey(addDays(fromDateKey(anchorKey), direction * step)));
+  };
+
+  const handleStatusChange = async (appointment, newStatus) => {
+    if (newStatus === 'cancelled' &&
+      !window.confirm(`Cancel ${appointment.petName}'s appointment? The owner will be notified.`)) {
+      return;
+    }
+
+    setBusyId(appointment._id);
+    setActionError(null);
+
+    try {
+      const updated = await adminApi.updateAppointmentStatus(appointment._id, newStatus);
+      setResult(prev => ({
+        ...prev,
+        appointments: prev.appointments
+          .map(item => (item._id === updated._id ? updated : item))
+          .filter(item => !status || item.status === status)
+      }));
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatDay = (dayKey, options) => fromDateKey(dayKey).toLocaleDateString([], options);
+  const title = view === 'day'
+    ? formatDay(days[0], { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
+    : `${formatDay(days[0], { month: 'short', day: 'numeric' })} – ${formatDay(days[6], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+  const todayKey = toDateKey(new Date());
+
+  return (
+    <section className="admin-panel">
+      <div className="admin-toolbar">
+        <div className="admin-toolbar-group">
+          <button type="button" className="admin-button secondary" onClick={() => move(-1)} aria-label="Previous">‹</button>
+          <button type="button" className="admin-button secondary" onClick={() => setAnchorKey(todayKey)}>Today</button>
+          <button type="button" className="admin-button secondary" onClick={() => move(1)} aria-label="Next">›</button>
+          <h2 className="admin-toolbar-title">{title}</h2>
+        </div>
+        <div className="admin-toolbar-group">
+          <select value={status} onChange={(e) => setStatus(e.target.value)} aria-label="Filter by status">
+            {STATUS_FILTERS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <div className="admin-segmented">
+            {['day', 'week'].map(option => (
+              <button
+                key={option}
+                type="button"
+                className={view === option ? 'active' : ''}
+                onClick={() => setView(option)}
+              >
+                {option === 'day' ? 'Day' : 'Week'}
+              </button>
+            ))}
+          </div>
+          <button type="button" className="admin-button secondary" onClick={() => setReloadCount(count => count + 1)}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {result.error && <div className="admin-error" role="alert">{result.error}</div>}
+      {actionError && <div className="admin-error" role="alert">{actionError}</div>}
+      <p className="admin-muted admin-note">Times are clinic times.</p>
+
+      <div className={`admin-calendar ${view} ${isLoading ? 'loading' : ''}`}>
+        {days.map(dayKey => (
+          <div key={dayKey} className={`admin-calendar-day ${dayKey === todayKey ? 'today' : ''}`}>
+            {view === 'week' && (
+              <button
+                type="button"
+                className="admin-calendar-day-header"
+                onClick={() => {
+                  setAnchorKey(dayKey);
+                  setView('day');
+                }}
+              >
+                {formatDay(dayKey, { weekday: 'short', day: 'numeric' })}
+              </button>
+            )}
+            {appointmentsByDay[dayKey].length === 0 && !isLoading && (
+              <div className="admin-muted admin-empty">No appointments</div>
+            )}
+            {appointmentsByDay[dayKey].map(appointment => (
+              <AppointmentCard
+                key={appointment._id}
+                appointment={appointment}
+                detailed={view === 'day'}
+                busy={busyId === appointment._id}
+                onStatusChange={handleStatusChange}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+    </section>
+  );
+};
+
+export default AppointmentCalendar;
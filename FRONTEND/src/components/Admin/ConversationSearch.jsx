@@ -0,0 +1,300 @@
+import React, { useEffect, useState } from 'react';
+import adminApi from '../../services/adminApi';
+
+const TRIAGE_FILTERS = [
+  { value: '', label: 'Any triage' },
+  { value: 'emergency', label: 'Emergency' },
+  { value: 'urgent', label: 'Urgent' },
+  { value: 'routine', label: 'Routine' }
+];
+
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON' }
+];
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Mark every case-insensitive occurrence of the search text
+const Highlight = ({ text, query }) => {
+  if (!query) return text;
+
+  const lower = text.toLowerCase();
+  const needle = query.toLowerCase();
+  const parts = [];
+  let index = 0;
+
+  while (index < text.length) {
+    const match = lower.indexOf(needle, index);
+    if (match === -1) {
+      parts.push(text.slice(index));
+      break;
+    }
+    if (match > index) parts.push(text.slice(index, match));
+    parts.push(<mark key={match}>{text.slice(match, match + needle.length)}</mark>);
+    index = match + needle.length;
+  }
+
+  return parts;
+};
+
+// Download the chat, or file a copy under one of the owner's pets
+const TranscriptActions = ({ sessionId, pets }) => {
+  const [petId, setPetId] = useState('');
+  const [status, setStatus] = useState({ busy: false, message: null, error: null });
+
+  const run = async (action, message) => {
+    setStatus({ busy: true, message: null, error: null });
+    try {
+      await action();
+      setStatus({ busy: false, message, error: null });
+    } catch (error) {
+      setStatus({ busy: false, message: null, error: error.message });
+    }
+  };
+
+  const handleAttach = () => {
+    const pet = pets.find(p => p._id === petId);
+    run(() => adminApi.attachTranscript(petId, sessionId), `Attached to ${pet.name}'s record`);
+  };
+
+  return (
+    <div className="admin-transcript-actions">
+      <div className="admin-toolbar-group">
+        {EXPORT_FORMATS.map(({ format, label }) => (
+          <button
+            key={format}
+            type="button"
+            className="admin-button secondary small"
+            disabled={status.busy}
+            onClick={() => run(() => adminApi.exportConversation(sessionId, format), null)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {pets.length > 0 && (
+        <div className="admin-toolbar-group">
+          <select value={petId} onChange={(e) => setPetId(e.target.value)} aria-label="Pet to attach the transcript to">
+            <option value="">Attach to pet…</option>
+            {pets.map(pet => (
+              <option key={pet._id} value={pet._id}>{pet.name} ({pet.species})</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="admin-button small"
+            disabled={!petId || status.busy}
+            onClick={handleAttach}
+          >
+            Attach
+          </button>
+        </div>
+      )}
+      {status.message && <div className="admin-muted" role="status">{status.message}</div>}
+      {status.error && <div className="admin-error" role="alert">{status.error}</div>}
+    </div>
+  );
+};
+
+const Transcript = ({ sessionId, query, onClose }) => {
+  const [result, setResult] = useState({ sessionId: null, data: null, error: null });
+
+  useEffect(() => {
+    let ignore = false;
+
+    adminApi.getConversation(sessionId)
+      .then(data => {
+        if (!ignore) setResult({ sessionId, data, error: null });
+      })
+      .catch(error => {
+        if (!ignore) setResult({ sessionId, data: null, error: error.message });
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [sessionId]);
+
+  const isLoading = result.sessionId !== sessionId;
+  const conversation = result.data?.conversation;
+
+  return (
+    <aside className="admin-transcript">
+      <div className="admin-transcript-header">
+        <div>
+          <h3>{conversation?.context?.userName || 'Conversation'}</h3>
+          <div className="admin-muted admin-session-id">{sessionId}</div>
+        </div>
+        <button type="button" className="admin-button secondary small" onClick={onClose}>Close</button>
+      </div>
+
+      {isLoading && <div className="admin-muted">Loading transcript…</div>}
+      {result.error && <div className="admin-error" role="alert">{result.error}</div>}
+
+      {!isLoading && conversation && (
+        <>
+          <TranscriptActions key={sessionId} sessionId={sessionId} pets={result.data.pets || []} />
+
+          {conversation.triage?.level && conversation.triage.level !== 'routine' && (
+            <div className={`admin-badge triage-${conversation.triage.level}`}>
+              {conversation.triage.level}: {conversation.triage.reasons?.join(', ')}
+            </div>
+          )}
+
+          {result.data.appointments.length > 0 && (
+            <ul className="admin-transcript-appointments">
+              {result.data.appointments.map(appointment => (
+                <li key={appointment._id}>
+                  {appointment.petName} · {appointment.appointmentDate} {appointment.appointmentTime}
+                  {' '}<span className={`admin-badge status-${appointment.status}`}>{appointment.status}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <ol className="admin-transcript-messages">
+            {conversation.messages.map((message, index) => message.role === 'system' ? (
+              <li key={message._id || index} className="admin-message-notice">
+                {message.content} · {formatDateTime(message.timestamp)}
+              </li>
+            ) : (
+              <li key={message._id || index} className={`admin-message ${message.role}`}>
+                <div className="admin-message-meta">
+                  {message.role === 'user' ? 'Owner' : message.role === 'agent' ? message.agentName || 'Staff' : 'Assistant'} · {formatDateTime(message.timestamp)}
+                </div>
+                <div className="admin-message-content">
+                  <Highlight text={message.content} query={query} />
+                </div>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </aside>
+  );
+};
+
+// Search chat transcripts by text and triage level, and read them in full
+const ConversationSearch = () => {
+  const [draft, setDraft] = useState('');
+  const [search, setSearch] = useState({ q: '', triage: '', page: 1 });
+  const [result, setResult] = useState({ key: null, conversations: [], pagination: null, error: null });
+  const [selected, setSelected] = useState(null);
+
+  const requestKey = JSON.stringify(search);
+  const isLoading = result.key !== requestKey;
+
+  useEffect(() => {
+    let ignore = false;
+
+    adminApi.searchConversations(JSON.parse(requestKey))
+      .then(data => {
+        if (!ignore) setResult({ key: requestKey, conversations: data.conversations, pagination: data.pagination, error: null });
+      })
+      .catch(error => {
+        if (!ignore) setResult({ key: requestKey, conversations: [], pagination: null, error: error.message });
+      });
+
+    return () => {
+      ignore = true;
+    };
+  }, [requestKey]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setSearch(prev => ({ ...prev, q: draft.trim(), page: 1 }));
+  };
+
+  const pagination = result.pagination;
+
+  return (
+    <section className="admin-panel admin-conversations">
+      <form className="admin-toolbar" onSubmit={handleSubmit}>
+        <div className="admin-toolbar-group admin-search">
+          <input
+            type="search"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Search messages, e.g. chocolate, limping, Bella"
+            aria-label="Search conversations"
+          />
+          <button type="submit" className="admin-button">Search</button>
+        </div>
+        <select
+          value={search.triage}
+          onChange={(e) => setSearch(prev => ({ ...prev, triage: e.target.value, page: 1 }))}
+          aria-label="Filter by triage level"
+        >
+          {TRIAGE_FILTERS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </form>
+
+      {result.error && <div className="admin-error" role="alert">{result.error}</div>}
+
+      <div className="admin-conversations-body">
+        <div className={`admin-conversation-list ${isLoading ? 'loading' : ''}`}>
+          {!isLoading && result.conversations.length === 0 && (
+            <div className="admin-muted admin-empty">No conversations found</div>
+          )}
+          {result.conversations.map(conversation => (
+            <button
+              key={conversation.sessionId}
+              type="button"
+              className={`admin-conversation ${selected === conversation.sessionId ? 'active' : ''}`}
+              onClick={() => setSelected(conversation.sessionId)}
+            >
+              <div className="admin-conversation-header">
+                <strong>{conversation.userName || 'Anonymous'}</strong>
+                <span className="admin-muted">{formatDateTime(conversation.updatedAt)}</span>
+              </div>
+              <div className="admin-conversation-excerpt">
+                {conversation.excerpt
+                  ? <Highlight text={conversation.excerpt.text} query={search.q} />
+                  : conversation.lastMessage}
+              </div>
+              <div className="admin-conversation-meta">
+                {conversation.messageCount} messages
+                {conversation.triage !== 'routine' && (
+                  <span className={`admin-badge triage-${conversation.triage}`}>{conversation.triage}</span>
+                )}
+              </div>
+            </button>
+          ))}
+
+          {pagination && pagination.totalPages > 1 && (
+            <div className="admin-pagination">
+              <button
+                type="button"
+                className="admin-button secondary small"
+                disabled={search.page <= 1}
+                onClick={() => setSearch(prev => ({ ...prev, page: prev.page - 1 }))}
+              >
+                Previous
+              </button>
+              <span>Page {pagination.page} of {pagination.totalPages}</span>
+              <button
+                type="button"
+                className="admin-button secondary small"
+                disabled={search.page >= pagination.totalPages}
+                onClick={() => setSearch(prev => ({ ...prev, page: prev.page + 1 }))}
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+
+        {selected && (
+          <Transcript sessionId={selected} query={search.q} onClose={() => setSelected(null)} />
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default ConversationSearch;
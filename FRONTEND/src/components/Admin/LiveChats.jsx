@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import adminApi from '../../services/adminApi';
+
+const NO_HANDOFF = { status: 'none', agentName: null, staffId: null };
+
+const formatTime = (date) =>
+  new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const authorOf = (message) => {
+  if (message.role === 'user') return 'Owner';
+  if (message.role === 'agent') return message.agentName || 'Staff';
+  return 'Assistant';
+};
+
+// One chat: the transcript as it happens, take over / hand back, and a reply box
+const LiveConversation = ({ sessionId, handoff, staff, onClose }) => {
+  const [result, setResult] = useState({ sessionId: null, conversation: null, error: null });
+  const [draft, setDraft] = useState('');
+  const [pending, setPending] = useState(false);
+  const [actionError, setActionError] = useState(null);
+
+  useEffect(() => {
+    let ignore = false;
+
+    adminApi.getConversation(sessionId)
+      .then(data => {
+        if (!ignore) setResult({ sessionId, conversation: data.conversation, error: null });
+      })
+      .catch(error => {
+        if (!ignore) setResult({ sessionId, conversation: null, error: error.message });
+      });
+
+    // Append what's said from here on
+    const stopListening = adminApi.onLiveEvent(event => {
+      if (event.type !== 'conversation' || event.sessionId !== sessionId) return;
+
+      setResult(prev => {
+        if (prev.sessionId !== sessionId || !prev.conversation) return prev;
+        const known = new Set(prev.conversation.messages.map(message => message._id));
+        const added = event.messages.filter(message => !known.has(message._id));
+        return added.length === 0
+          ? prev
+          : { ...prev, conversation: { ...prev.conversation, messages: [...prev.conversation.messages, ...added] } };
+      });
+    });
+
+    return () => {
+      ignore = true;
+      stopListening();
+    };
+  }, [sessionId]);
+
+  const run = async (action) => {
+    setPending(true);
+    setActionError(null);
+    try {
+      await action();
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const handleReply = (e) => {
+    e.preventDefault();
+    const content = draft.trim();
+    if (!content) return;
+
+    run(async () => {
+      await adminApi.sendAgentMessage(sessionId, content);
+      setDraft('');
+    });
+  };
+
+  const isLoading = result.sessionId !== sessionId;
+  const conversation = result.conversation;
+  const isMine = handoff.status === 'active' && handoff.staffId === staff._id;
+
+  return (
+    <aside className="admin-transcript admin-live-chat">
+      <div className="admin-transcript-header">
+        <div>
+          <h3>{conversation?.context?.userName || 'Owner'}</h3>
+          <div className="admin-muted admin-session-id">{sessionId}</div>
+        </div>
+        <div className="admin-toolbar-group">
+          {handoff.status !== 'active' && (
+            <button type="button" className="admin-button small" disabled={pending} onClick={() => run(() => adminApi.takeOver(sessionId))}>
+              Take over
+            </button>
+          )}
+          {handoff.status !== 'none' && (
+            <button type="button" className="admin-button secondary small" disabled={pending} onClick={() => run(() => adminApi.release(sessionId))}>
+              {handoff.status === 'active' ? 'Hand back to assistant' : 'Dismiss request'}
+            </button>
+          )}
+          <button type="button" className="admin-button secondary small" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      {handoff.status === 'active' && !isMine && (
+        <div className="admin-muted admin-note">{handoff.agentName} is chatting with this owner</div>
+      )}
+      {isLoading && <div className="admin-muted">Loading transcript…</div>}
+      {(result.error || actionError) && <div className="admin-error" role="alert">{result.error || actionError}</div>}
+
+      {!isLoading && conversation && (
+        <ol className="admin-transcript-messages">
+          {conversation.messages.map((message, index) => message.role === 'system' ? (
+            <li key={message._id || index} className="admin-message-notice">
+              {message.content} · {formatTime(message.timestamp)}
+            </li>
+          ) : (
+            <li key={message._id || index} className={`admin-message ${message.role}`}>
+              <div className="admin-message-meta">
+                {authorOf(message)} · {formatTime(message.timestamp)}
+              </div>
+              <div className="admin-message-content">{message.content}</div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {isMine && (
+        <form className="admin-reply" onSubmit={handleReply}>
+          <input
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            placeholder="Reply to the owner"
+            aria-label="Reply to the owner"
+            maxLength={5000}
+          />
+          <button type="submit" className="admin-button" disabled={pending || !draft.trim()}>Send</button>
+        </form>
+      )}
+    </aside>
+  );
+};
+
+// Chats where the owner asked for a person or triage flagged an emergency,
+// and the ones staff are in now. The queue itself is kept live by AdminApp.
+const LiveChats = ({ queue, staff }) => {
+  const [selected, setSelected] = useState(null);
+  const selectedEntry = queue.find(entry => entry.sessionId === selected);
+
+  return (
+    <section className="admin-panel admin-conversations">
+      <div className="admin-toolbar">
+        <h2 className="admin-toolbar-title">Live chats</h2>
+      </div>
+
+      <div className="admin-conversations-body">
+        <div className="admin-conversation-list">
+          {queue.length === 0 && (
+            <div className="admin-muted admin-empty">No one is waiting for a person</div>
+          )}
+          {queue.map(entry => (
+            <button
+              key={entry.sessionId}
+              type="button"
+              className={`admin-conversation ${selected === entry.sessionId ? 'active' : ''}`}
+              onClick={() => setSelected(entry.sessionId)}
+            >
+              <div className="admin-conversation-header">
+                <strong>{entry.userName || 'Anonymous'}</strong>
+                <span className={`admin-badge handoff-${entry.handoff.status}`}>
+                  {entry.handoff.status === 'active' ? `With ${entry.handoff.agentName}` : 'Waiting'}
+                </span>
+              </div>
+              <div className="admin-conversation-excerpt">{entry.lastMessage}</div>
+              <div className="admin-conversation-meta">
+                {entry.handoff.reason === 'emergency' ? 'Emergency triage' : 'Asked for a person'}
+                {entry.triage !== 'routine' && (
+                  <span className={`admin-badge triage-${entry.triage}`}>{entry.triage}</span>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+
+        {selected && (
+          <LiveConversation
+            sessionId={selected}
+            handoff={selectedEntry?.handoff || NO_HANDOFF}
+            staff={staff}
+            onClose={() => setSelected(null)}
+          />
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default LiveChats;
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import adminApi from '../../services/adminApi';
+
+const LoginForm = ({ onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+
+    try {
+      onLogin(await adminApi.login(email, password));
+    } catch (err) {
+      setError(err.status === 429
+        ? 'Too many sign-in attempts. Please wait a few minutes.'
+        : err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form className="admin-login" onSubmit={handleSubmit}>
+      <h1>Clinic Dashboard</h1>
+      <p>Sign in with your staff account.</p>
+
+      <label htmlFor="admin-email">Email</label>
+      <input
+        id="admin-email"
+        type="email"
+        value={email}
+        onChange={(e) => setEmail(e.target.value)}
+        autoComplete="username"
+        required
+      />
+
+      <label htmlFor="admin-password">Password</label>
+      <input
+        id="admin-password"
+        type="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        autoComplete="current-password"
+        required
+      />
+
+      {error && <div className="admin-error" role="alert">{error}</div>}
+
+      <button type="submit" className="admin-button" disabled={isSubmitting}>
+        {isSubmitting ? 'Signing in…' : 'Sign in'}
+      </button>
+    </form>
+  );
+};
+
+export default LoginForm;
@@ -4,7 +4,8 @@ import 'react-phone-number-input/style.css';
 import StorageService from '../../services/StorageService';
 import './AppointmentForm.css';
 
-const AppointmentForm = ({ isOpen, onClose, onSubmit, triggerReason }) => {
+// onEvent reports 'invalid' and 'closed' (dismissed without booking) for the booking funnel
+const AppointmentForm = ({ isOpen, onClose, onSubmit, onEvent, triggerReason }) => {
   const [formData, setFormData] = useState({
     ownerName: '',
     email: '',
@@ -128,6 +129,7 @@ const AppointmentForm = ({ isOpen, onClose, onSubmit, triggerReason }) => {
 
     if (Object.keys(newErrors).length > 0) {
       setErrors(newErrors);
+      onEvent?.('invalid');
       return;
     }
 
@@ -161,6 +163,11 @@ const AppointmentForm = ({ isOpen, onClose, onSubmit, triggerReason }) => {
     }
   };
 
+  const handleDismiss = () => {
+    onEvent?.('closed');
+    onClose();
+  };
+
   if (!isOpen) return null;
 
   // Get tomorrow's date as minimum
@@ -169,11 +176,11 @@ const AppointmentForm = ({ isOpen, onClose, onSubmit, triggerReason }) => {
   const minDate = tomorrow.toISOString().split('T')[0];
 
   return (
-    <div className="appointment-modal-overlay" onClick={onClose}>
+    <div className="appointment-modal-overlay" onClick={handleDismiss}>
       <div className="appointment-modal" onClick={(e) => e.stopPropagation()}>
         <div className="modal-header">
           <h2>Book Veterinary Appointment</h2>
-          <button className="close-button" onClick={onClose}>✕</button>
+          <button className="close-button" onClick={handleDismiss}>✕</button>
         </div>
 
         <form onSubmit={handleSubmit} className="appointment-form">
@@ -332,7 +339,7 @@ const AppointmentForm = ({ isOpen, onClose, onSubmit, triggerReason }) => {
 
           {/* Form Actions */}
           <div className="form-actions">
-            <button type="button" onClick={onClose} className="cancel-button">
+            <button type="button" onClick={handleDismiss} className="cancel-button">
               Cancel
             </button>
             <button type="submit" className="submit-button" disabled={isSubmitting}>
@@ -1,13 +1,33 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+const EXPORT_FORMATS = [
+  { format: 'pdf', label: 'PDF' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'json', label: 'JSON' }
+];
+
+const ChatHeader = ({ onClose, onClear, agentName, exportUrl, dataUrl, onDeleteData }) => {
+  const [showMenu, setShowMenu] = useState(false);
+  const hasMenu = Boolean(exportUrl || dataUrl);
 
-const ChatHeader = ({ onClose, onClear }) => {
   return (
     <div className="chat-header">
       <div className="chat-header-title">
         <span className="chat-header-icon">🐾</span>
-        <span>Veterinary Assistant</span>
+        <span>{agentName ? `Chatting with ${agentName}` : 'Veterinary Assistant'}</span>
       </div>
       <div className="chat-header-actions">
+        {hasMenu && (
+          <button
+            className="chat-header-button"
+            onClick={() => setShowMenu(!showMenu)}
+            title="Your data"
+            aria-label="Your data"
+            aria-expanded={showMenu}
+          >
+            📄
+          </button>
+        )}
         <button
           className="chat-header-button"
           onClick={onClear}
@@ -25,8 +45,48 @@ const ChatHeader = ({ onClose, onClear }) => {
           ✕
         </button>
       </div>
+      {hasMenu && showMenu && (
+        <div className="chat-header-menu" role="menu">
+          {exportUrl && EXPORT_FORMATS.map(({ format, label }) => (
+            <a
+              key={format}
+              className="chat-header-menu-item"
+              href={`${exportUrl}?format=${format}`}
+              download
+              role="menuitem"
+              onClick={() => setShowMenu(false)}
+            >
+              Download chat as {label}
+            </a>
+          ))}
+          {dataUrl && (
+            <>
+              <a
+                className="chat-header-menu-item"
+                href={dataUrl}
+                download
+                role="menuitem"
+                onClick={() => setShowMenu(false)}
+              >
+                Download all my data
+              </a>
+              <button
+                type="button"
+                className="chat-header-menu-item danger"
+                role="menuitem"
+                onClick={() => {
+                  setShowMenu(false);
+                  onDeleteData();
+                }}
+              >
+                Delete my data
+              </button>
+            </>
+          )}
+        </div>
+      )}
     </div>
   );
 };
 
-export default ChatHeader;
\ No newline at end of file
+export default ChatHeader;
@@ -3,6 +3,9 @@ import MessageBubble from './MessageBubble';
 import Loader from './Loader';
 
 const ChatMessages = ({ messages, isLoading, messagesEndRef, onButtonClick }) => {
+  // The streaming bubble takes over from the loader once tokens arrive
+  const isStreaming = messages.some((message) => message.isStreaming);
+
   return (
     <div className="chat-messages">
       {messages.map((message) => (
@@ -12,7 +15,7 @@ const ChatMessages = ({ messages, isLoading, messagesEndRef, onButtonClick }) =>
           onButtonClick={onButtonClick}
         />
       ))}
-      {isLoading && <Loader />}
+      {isLoading && !isStreaming && <Loader />}
       <div ref={messagesEndRef} />
     </div>
   );
@@ -3,7 +3,11 @@ import ChatHeader from './ChatHeader';
 import ChatMessages from './ChatMessages';
 import ChatInput from './ChatInput';
 import AppointmentForm from './AppointmentForm';
+import PetPicker from './PetPicker';
+import VaccineReminders from './VaccineReminders';
 import StorageService from '../../services/StorageService';
+import ChatStream from '../../services/chatStream';
+import LiveChat from '../../services/liveChat';
 import './ChatWidget.css';
 
 const ChatWidget = ({ config }) => {
@@ -18,6 +22,10 @@ const ChatWidget = ({ config }) => {
   const [appointmentCollectionMode, setAppointmentCollectionMode] = useState('NONE'); // 'FORM', 'CHAT', 'NONE'
   const [chatAppointmentData, setChatAppointmentData] = useState({});
   const [currentAppointmentField, setCurrentAppointmentField] = useState(null);
+  const [pets, setPets] = useState([]);
+  const [activePetId, setActivePetId] = useState(null);
+  const [dueVaccinations, setDueVaccinations] = useState([]);
+  const [handoff, setHandoff] = useState({ status: 'none', agentName: null });
   const messagesEndRef = useRef(null);
 
   // Generate or retrieve session ID
@@ -26,6 +34,7 @@ const ChatWidget = ({ config }) => {
     if (storedSessionId) {
       setSessionId(storedSessionId);
       loadConversationHistory(storedSessionId);
+      loadPets(storedSessionId);
     } else {
       const newSessionId = generateSessionId();
       setSessionId(newSessionId);
@@ -61,6 +70,26 @@ const ChatWidget = ({ config }) => {
     }
   }, []);
 
+  // Staff replies and takeover/release notices arrive over the socket
+  useEffect(() => {
+    if (!sessionId) return;
+
+    const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+    return LiveChat.connect(apiUrl, { sessionId }, (event) => {
+      if (event.type === 'handoff') {
+        setHandoff(event.handoff);
+      }
+      if ((event.type === 'handoff' || event.type === 'message') && event.message) {
+        const liveMessage = {
+          ...event.message,
+          id: event.message._id,
+          timestamp: new Date(event.message.timestamp)
+        };
+        setMessages(prev => prev.some(msg => msg.id === liveMessage.id) ? prev : [...prev, liveMessage]);
+      }
+    });
+  }, [sessionId]);
+
   // Auto scroll to bottom
   useEffect(() => {
     scrollToBottom();
@@ -76,19 +105,58 @@ const ChatWidget = ({ config }) => {
       if (response.ok) {
         const data = await response.json();
         if (data.messages && data.messages.length > 0) {
-          setMessages(data.messages.map((msg, index) => ({
-            ...msg,
-            id: `msg-${index}`,
-            timestamp: new Date(msg.timestamp)
-          })));
+          // The "asked for a person" marker is for staff; the bot's reply already says it
+          setMessages(data.messages
+            .filter(msg => msg.event !== 'handoff_requested')
+            .map((msg, index) => ({
+              ...msg,
+              id: msg._id || `msg-${index}`,
+              timestamp: new Date(msg.timestamp)
+            })));
           setAppointmentState(data.appointmentState || 'NONE');
         }
+        if (data.handoff) setHandoff(data.handoff);
+        setActivePetId(data.activePetId || null);
       }
     } catch (error) {
       console.error('Failed to load conversation history:', error);
     }
   };
 
+  // The household's pet profiles, kept on the server per chat session
+  const loadPets = async (sessionId) => {
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/owners/me/pets?sessionId=${encodeURIComponent(sessionId)}`);
+      if (response.ok) {
+        const data = await response.json();
+        setPets(data.pets || []);
+        if (data.pets?.length) loadDueVaccinations(sessionId);
+      }
+    } catch (error) {
+      console.error('Failed to load pets:', error);
+    }
+  };
+
+  // Shots the clinic's records show as overdue or due soon
+  const loadDueVaccinations = async (sessionId) => {
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/owners/me/vaccinations?sessionId=${encodeURIComponent(sessionId)}`);
+      if (response.ok) {
+        const data = await response.json();
+        setDueVaccinations(data.due || []);
+      }
+    } catch (error) {
+      console.error('Failed to load vaccinations:', error);
+    }
+  };
+
+  // Download link for the appointment's .ics file
+  const getCalendarButton = (appointmentId) => ({
+    text: '📅 Add to calendar',
+    href: `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/appointments/${appointmentId}/calendar.ics?sessionId=${encodeURIComponent(sessionId)}`,
+    style: 'secondary'
+  });
+
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
@@ -258,61 +326,81 @@ const ChatWidget = ({ config }) => {
         console.log('Server might be waking up...');
       }
 
-      // Get context for AI from localStorage
-      const aiContext = StorageService.getContextForAI();
-
-      const response = await fetch(`${apiUrl}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          message,
-          sessionId,
-          context: {
-            ...(config || {}),
-            userProfile: aiContext.userProfile,
-            appointments: aiContext.appointments,
-            recentConversation: aiContext.recentConversation
-          }
-        })
+      // Stream the reply into a bubble that grows as tokens arrive
+      const botMessageId = `msg-${Date.now()}-bot`;
+      let streamedContent = '';
+
+      const data = await ChatStream.send(apiUrl, {
+        message,
+        sessionId,
+        // The assistant reads pet and appointment history from the clinic's
+        // records, so the local profile isn't sent
+        context: {
+          ...(config || {}),
+          // Lets the assistant show the clinic's times in the owner's zone too
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          petId: activePetId || undefined
+        }
+      }, {
+        onToken: (text) => {
+          const isFirstToken = streamedContent === '';
+          streamedContent += text;
+          const content = streamedContent;
+
+          setMessages(prev => isFirstToken
+            ? [...prev, { id: botMessageId, role: 'bot', content, timestamp: new Date(), isStreaming: true }]
+            : prev.map(msg => msg.id === botMessageId ? { ...msg, content } : msg));
+        }
+      }).catch((streamError) => {
+        // Drop the partial answer, the error message replaces it
+        setMessages(prev => prev.filter(msg => msg.id !== botMessageId));
+        throw streamError;
       });
 
-      const data = await response.json();
+      if (data.handoff) setHandoff(data.handoff);
 
-      if (response.ok) {
-        // Add bot response
-        const botMessage = {
-          id: `msg-${Date.now()}-bot`,
+      // A staff member has the chat - the bot stays quiet and their reply
+      // comes over the socket
+      if (data.message === null) return;
+
+      // Add bot response (booking and cached replies arrive without tokens)
+      const botMessage = {
+        id: botMessageId,
+        role: 'bot',
+        content: data.message,
+        timestamp: new Date(),
+        buttons: data.bookedAppointmentId ? [getCalendarButton(data.bookedAppointmentId)] : undefined
+      };
+      setMessages(prev => prev.some(msg => msg.id === botMessageId)
+        ? prev.map(msg => msg.id === botMessageId ? botMessage : msg)
+        : [...prev, botMessage]);
+
+      // Save bot response to localStorage
+      StorageService.saveChatMessage(botMessage);
+
+      // Follow the pet the server settled on (named in the message, or just booked)
+      if (data.activePetId !== undefined) {
+        setActivePetId(data.activePetId);
+        if (data.activePetId && !pets.some(pet => pet._id === data.activePetId)) {
+          loadPets(sessionId);
+        }
+      }
+
+      // Suggest an appointment when the backend triage flags an urgent symptom
+      // (emergency replies already carry the clinic instructions)
+      const hasHealthIssue = data.triage === 'urgent' && data.appointmentState === 'NONE';
+
+      if (hasHealthIssue && !awaitingAppointmentConfirmation) {
+        // Add appointment suggestion
+        const suggestionMessage = {
+          id: `msg-${Date.now()}-suggest`,
           role: 'bot',
-          content: data.message,
+          content: 'I recommend scheduling an appointment with a veterinarian for proper examination. Would you like me to help you book an appointment?',
           timestamp: new Date()
         };
-        setMessages(prev => [...prev, botMessage]);
-
-        // Save bot response to localStorage
-        StorageService.saveChatMessage(botMessage);
-
-        // Check if bot is suggesting appointment
-        const botSuggestion = data.message.toLowerCase();
-        const healthIssueKeywords = ['vomit', 'sick', 'fever', 'pain', 'injury', 'bleeding',
-                                     'diarrhea', 'lethargy', 'appetite', 'breathing', 'swollen'];
-        const hasHealthIssue = healthIssueKeywords.some(keyword => message.toLowerCase().includes(keyword));
-
-        if (hasHealthIssue && !awaitingAppointmentConfirmation) {
-          // Add appointment suggestion
-          const suggestionMessage = {
-            id: `msg-${Date.now()}-suggest`,
-            role: 'bot',
-            content: 'I recommend scheduling an appointment with a veterinarian for proper examination. Would you like me to help you book an appointment?',
-            timestamp: new Date()
-          };
-          setMessages(prev => [...prev, suggestionMessage]);
-          setAwaitingAppointmentConfirmation(true);
-          setAppointmentReason(message);
-        }
-      } else {
-        throw new Error(data.error || 'Failed to get response');
+        setMessages(prev => [...prev, suggestionMessage]);
+        setAwaitingAppointmentConfirmation(true);
+        setAppointmentReason(message);
       }
     } catch (error) {
       console.error('Chat error:', error);
@@ -348,6 +436,7 @@ const ChatWidget = ({ config }) => {
         body: JSON.stringify({
           ...formData,
           sessionId,
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
           createdAt: new Date()
         })
       });
@@ -362,15 +451,29 @@ const ChatWidget = ({ config }) => {
           status: 'pending'
         });
 
+        // The form times are clinic times - show them in the clinic's zone
+        const bookedFor = data.appointment?.scheduledAt
+          ? new Date(data.appointment.scheduledAt).toLocaleString('en-US', {
+            timeZone: data.appointment.timeZone,
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+          })
+          : `${formData.appointmentDate} at ${formData.appointmentTime}`;
+
         // Add success message to chat
         const successMessage = {
           id: `msg-${Date.now()}-success`,
           role: 'bot',
-          content: `Great news! Your appointment has been successfully booked for ${formData.appointmentDate} at ${formData.appointmentTime}. We'll send a confirmation to ${formData.email} and call you at ${formData.fullPhoneNumber} to confirm.`,
-          timestamp: new Date()
+          content: `Great news! Your appointment has been successfully booked for ${bookedFor}${data.appointment?.veterinarianName ? ` with ${data.appointment.veterinarianName}` : ''}. We'll send a confirmation to ${formData.email} and call you at ${formData.fullPhoneNumber} to confirm.`,
+          timestamp: new Date(),
+          buttons: data.appointment?.id && data.appointment.scheduledAt ? [getCalendarButton(data.appointment.id)] : undefined
         };
         setMessages(prev => [...prev, successMessage]);
         StorageService.saveChatMessage(successMessage);
+        loadPets(sessionId);
 
         // Reset appointment form state
         setShowAppointmentForm(false);
@@ -378,16 +481,26 @@ const ChatWidget = ({ config }) => {
         setAwaitingAppointmentConfirmation(false);
         setAppointmentState('COMPLETED');
       } else {
-        throw new Error(data.error || 'Failed to book appointment');
+        const bookingError = new Error(data.error || 'Failed to book appointment');
+        // A time that can't be booked - the server says why and what's free instead
+        bookingError.rejected = response.status === 400 || response.status === 409;
+        bookingError.suggestedSlots = data.suggestedSlots || [];
+        throw bookingError;
       }
     } catch (error) {
       console.error('Appointment booking error:', error);
 
+      const suggestions = error.rejected && error.suggestedSlots.length > 0
+        ? `\n\nAvailable times nearby:\n${error.suggestedSlots.map(slot => `- ${slot.displayTime}`).join('\n')}`
+        : '';
+
       // Add error message to chat
       const errorMessage = {
         id: `msg-${Date.now()}-error`,
         role: 'bot',
-        content: 'I apologize, but there was an error booking your appointment. Please try again or contact us directly at (555) 123-4567.',
+        content: error.rejected
+          ? `${error.message}${suggestions}`
+          : 'I apologize, but there was an error booking your appointment. Please try again or contact us directly at (555) 123-4567.',
         timestamp: new Date(),
         isError: true
       };
@@ -398,9 +511,22 @@ const ChatWidget = ({ config }) => {
     }
   };
 
+  // Booking funnel analytics for the form - opened, failed validation, closed.
+  // Best effort: the owner never sees a failure.
+  const trackFormEvent = (event) => {
+    if (!sessionId) return;
+    const apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+    fetch(`${apiUrl}/api/appointments/form-events`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId, event })
+    }).catch(() => {});
+  };
+
   const handleButtonClick = (action, data) => {
     if (action === 'OPEN_FORM') {
       setShowAppointmentForm(true);
+      trackFormEvent('opened');
       setAppointmentCollectionMode('FORM');
       // Add confirmation message
       const msg = {
@@ -584,6 +710,10 @@ const ChatWidget = ({ config }) => {
     setAppointmentCollectionMode('NONE');
     setChatAppointmentData({});
     setCurrentAppointmentField(null);
+    setPets([]);
+    setActivePetId(null);
+    setDueVaccinations([]);
+    setHandoff({ status: 'none', agentName: null });
 
     // Generate new session
     const newSessionId = generateSessionId();
@@ -591,6 +721,37 @@ const ChatWidget = ({ config }) => {
     localStorage.setItem('vet-chatbot-session', newSessionId);
   };
 
+  // Erase everything the clinic holds for this owner, then start over
+  const handleDeleteData = async () => {
+    if (!window.confirm('Delete your chats, appointments and pet profiles from the clinic\'s records? This can\'t be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/owners/me?sessionId=${encodeURIComponent(sessionId)}`, {
+        method: 'DELETE'
+      });
+      if (!response.ok) throw new Error(`Delete failed with status ${response.status}`);
+
+      StorageService.clearAllData();
+      handleClearChat();
+      setMessages([{
+        id: 'data-deleted',
+        role: 'bot',
+        content: 'Your data has been deleted. You can start a new chat any time.',
+        timestamp: new Date()
+      }]);
+    } catch (error) {
+      console.error('Failed to delete data:', error);
+      setMessages(prev => [...prev, {
+        id: `msg-${Date.now()}-delete-error`,
+        role: 'bot',
+        content: 'Sorry, your data couldn\'t be deleted right now. Please try again or contact the clinic.',
+        timestamp: new Date()
+      }]);
+    }
+  };
+
   return (
     <>
       {/* Chat Button */}
@@ -624,6 +785,19 @@ const ChatWidget = ({ config }) => {
           <ChatHeader
             onClose={() => setIsOpen(false)}
             onClear={handleClearChat}
+            agentName={handoff.status === 'active' ? handoff.agentName : null}
+            exportUrl={sessionId && messages.some(msg => msg.role === 'user')
+              ? `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/chat/${encodeURIComponent(sessionId)}/export`
+              : null}
+            dataUrl={sessionId
+              ? `${import.meta.env.VITE_API_URL || 'http://localhost:5001'}/api/owners/me/data?sessionId=${encodeURIComponent(sessionId)}`
+              : null}
+            onDeleteData={handleDeleteData}
+          />
+          <VaccineReminders
+            due={dueVaccinations}
+            onBook={() => handleSendMessage('I want to book an appointment')}
+            disabled={isLoading}
           />
           <ChatMessages
             messages={messages}
@@ -631,13 +805,21 @@ const ChatWidget = ({ config }) => {
             messagesEndRef={messagesEndRef}
             onButtonClick={handleButtonClick}
           />
+          <PetPicker
+            pets={pets}
+            activePetId={activePetId}
+            onSelect={setActivePetId}
+            disabled={isLoading}
+          />
           <ChatInput
             onSendMessage={handleSendMessage}
             disabled={isLoading}
             placeholder={
-              appointmentState !== 'NONE' && appointmentState !== 'COMPLETED'
-                ? 'Type your response...'
-                : 'Ask about pet care or book an appointment...'
+              handoff.status === 'active'
+                ? `Message ${handoff.agentName}...`
+                : appointmentState !== 'NONE' && appointmentState !== 'COMPLETED'
+                  ? 'Type your response...'
+                  : 'Ask about pet care or book an appointment...'
             }
           />
         </div>
@@ -651,6 +833,7 @@ const ChatWidget = ({ config }) => {
           setAwaitingAppointmentConfirmation(false);
         }}
         onSubmit={handleAppointmentSubmit}
+        onEvent={trackFormEvent}
         triggerReason={appointmentReason}
       />
     </>
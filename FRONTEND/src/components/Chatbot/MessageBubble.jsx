@@ -18,14 +18,37 @@ const MessageBubble = ({ message, onButtonClick }) => {
     }
   };
 
+  // Staff joining or leaving the chat
+  if (message.role === 'system') {
+    return (
+      <div className="message-notice">
+        {message.content}
+      </div>
+    );
+  }
+
   return (
     <div className={`message-bubble ${message.role}`}>
+      {message.role === 'agent' && message.agentName && (
+        <div className="message-author">{message.agentName}</div>
+      )}
       <div className={`message-content ${message.isError ? 'error' : ''}`}>
         {message.content}
+        {message.isStreaming && <span className="streaming-cursor" />}
       </div>
       {message.buttons && message.buttons.length > 0 && (
         <div className="message-buttons">
-          {message.buttons.map((button, index) => (
+          {message.buttons.map((button, index) => button.href ? (
+            // Downloads (e.g. the appointment's .ics file) are plain links
+            <a
+              key={index}
+              className={`chat-action-button ${button.style || 'primary'}`}
+              href={button.href}
+              download
+            >
+              {button.text}
+            </a>
+          ) : (
             <button
               key={index}
               className={`chat-action-button ${button.style || 'primary'}`}
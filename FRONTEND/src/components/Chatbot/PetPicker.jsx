@@ -0,0 +1,26 @@
+import React from 'react';
+
+// Which pet the chat is about, for households with more than one
+const PetPicker = ({ pets, activePetId, onSelect, disabled }) => {
+  if (pets.length < 2) return null;
+
+  return (
+    <div className="pet-picker" role="group" aria-label="Which pet are you asking about?">
+      <span className="pet-picker-label">Asking about:</span>
+      {pets.map(pet => (
+        <button
+          key={pet._id}
+          type="button"
+          className={`pet-picker-chip${pet._id === activePetId ? ' active' : ''}`}
+          onClick={() => onSelect(pet._id)}
+          disabled={disabled}
+          aria-pressed={pet._id === activePetId}
+        >
+          {pet.name}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default PetPicker;
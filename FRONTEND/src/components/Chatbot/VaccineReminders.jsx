@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+
+const formatDueDate = (date) =>
+  new Date(date).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+// Overdue and due-soon shots for the household's pets, from the clinic's records
+const VaccineReminders = ({ due, onBook, disabled }) => {
+  const [dismissed, setDismissed] = useState(false);
+
+  if (dismissed || due.length === 0) return null;
+
+  return (
+    <div className="vaccine-reminders" role="status">
+      <div className="vaccine-reminders-header">
+        <span className="vaccine-reminders-title">Vaccinations due</span>
+        <button
+          type="button"
+          className="vaccine-reminders-dismiss"
+          onClick={() => setDismissed(true)}
+          aria-label="Dismiss vaccination reminders"
+        >
+          ×
+        </button>
+      </div>
+      <ul className="vaccine-reminders-list">
+        {due.map(item => (
+          <li
+            key={`${item.petId}-${item.code || item.name}`}
+            className={`vaccine-reminder ${item.status === 'overdue' ? 'overdue' : ''}`}
+          >
+            <strong>{item.petName}</strong> · {item.name}
+            {item.status === 'overdue'
+              ? ` - overdue since ${formatDueDate(item.dueAt)}`
+              : ` - due ${formatDueDate(item.dueAt)}`}
+          </li>
+        ))}
+      </ul>
+      <button
+        type="button"
+        className="vaccine-reminders-book"
+        onClick={onBook}
+        disabled={disabled}
+      >
+        Book a visit
+      </button>
+    </div>
+  );
+};
+
+export default VaccineReminders;
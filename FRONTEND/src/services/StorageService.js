@@ -183,26 +183,6 @@ class StorageService {
     }
   }
 
-  // Context Generation for AI
-  getContextForAI() {
-    const profile = this.getUserProfile();
-    const appointments = this.getAppointments();
-    const upcomingAppointments = this.getUpcomingAppointments();
-    const recentHistory = this.getChatHistory().slice(-10); // Last 10 messages
-
-    return {
-      userProfile: profile,
-      appointments: {
-        total: appointments.length,
-        upcoming: upcomingAppointments.length,
-        recent: appointments.slice(-3), // Last 3 appointments
-        next: upcomingAppointments[0] || null
-      },
-      recentConversation: recentHistory,
-      sessionData: this.getSessionData()
-    };
-  }
-
   // Search Appointments
   searchAppointments(query) {
     const appointments = this.getAppointments();
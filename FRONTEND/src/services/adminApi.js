@@ -0,0 +1,209 @@
+/**
+ * Staff API client for the admin dashboard
+ * Keeps the staff JWT for this browser tab and signs every request with it.
+ * A 401 means the token expired or the account was deactivated, so the
+ * token is dropped and onUnauthorized lets the dashboard show the login.
+ */
+
+import LiveChat from './liveChat';
+
+const TOKEN_KEY = 'vet-chatbot-admin-token';
+
+class AdminApi {
+  constructor() {
+    this.apiUrl = import.meta.env.VITE_API_URL || 'http://localhost:5001';
+    this.onUnauthorized = () => {};
+    this.liveListeners = new Set();
+  }
+
+  getToken() {
+    return sessionStorage.getItem(TOKEN_KEY);
+  }
+
+  setToken(token) {
+    if (token) {
+      sessionStorage.setItem(TOKEN_KEY, token);
+    } else {
+      sessionStorage.removeItem(TOKEN_KEY);
+    }
+  }
+
+  async request(path, { method = 'GET', body, query } = {}) {
+    const params = new URLSearchParams(
+      Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString();
+
+    const response = await fetch(`${this.apiUrl}${path}${params ? `?${params}` : ''}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.getToken() ? { Authorization: `Bearer ${this.getToken()}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      if (response.status === 401 && path !== '/api/admin/login') {
+        this.setToken(null);
+        this.onUnauthorized();
+      }
+      const error = new Error(data.error || data.message || 'Request failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    return data;
+  }
+
+  /**
+   * Fetch a file with the staff token and hand it to the browser as a
+   * download - a plain link can't carry the Authorization header
+   */
+  async download(path, { query } = {}) {
+    const params = new URLSearchParams(query || {}).toString();
+    const response = await fetch(`${this.apiUrl}${path}${params ? `?${params}` : ''}`, {
+      headers: this.getToken() ? { Authorization: `Bearer ${this.getToken()}` } : {}
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      if (response.status === 401) {
+        this.setToken(null);
+        this.onUnauthorized();
+      }
+      const error = new Error(data.error || data.message || 'Download failed');
+      error.status = response.status;
+      throw error;
+    }
+
+    const filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || 'download';
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async login(email, password) {
+    const data = await this.request('/api/admin/login', {
+      method: 'POST',
+      body: { email, password }
+    });
+    this.setToken(data.token);
+    return data.staff;
+  }
+
+  logout() {
+    this.setToken(null);
+  }
+
+  async getCurrentStaff() {
+    const data = await this.request('/api/admin/me');
+    return data.staff;
+  }
+
+  /**
+   * Every appointment between from and to, following the pages
+   */
+  async listAppointments({ from, to, status }) {
+    const appointments = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const data = await this.request('/api/admin/appointments', {
+        query: { from: from.toISOString(), to: to.toISOString(), status, page, limit: 100 }
+      });
+      appointments.push(...data.appointments);
+      totalPages = data.pagination.totalPages;
+      page++;
+    } while (page <= totalPages);
+
+    return appointments;
+  }
+
+  async updateAppointmentStatus(id, status) {
+    const data = await this.request(`/api/admin/appointments/${id}/status`, {
+      method: 'PATCH',
+      body: { status }
+    });
+    return data.appointment;
+  }
+
+  searchConversations({ q, triage, page }) {
+    return this.request('/api/admin/conversations', {
+      query: { q, triage, page, limit: 20 }
+    });
+  }
+
+  getConversation(sessionId) {
+    return this.request(`/api/admin/conversations/${encodeURIComponent(sessionId)}`);
+  }
+
+  exportConversation(sessionId, format) {
+    return this.download(`/api/admin/conversations/${encodeURIComponent(sessionId)}/export`, {
+      query: { format }
+    });
+  }
+
+  async attachTranscript(petId, sessionId) {
+    const data = await this.request(`/api/admin/pets/${petId}/transcripts`, {
+      method: 'POST',
+      body: { sessionId }
+    });
+    return data.transcript;
+  }
+
+  async getHandoffs() {
+    const data = await this.request('/api/admin/handoffs');
+    return data.handoffs;
+  }
+
+  async takeOver(sessionId) {
+    const data = await this.request(`/api/admin/conversations/${encodeURIComponent(sessionId)}/takeover`, { method: 'POST' });
+    return data.handoff;
+  }
+
+  async release(sessionId) {
+    const data = await this.request(`/api/admin/conversations/${encodeURIComponent(sessionId)}/release`, { method: 'POST' });
+    return data.handoff;
+  }
+
+  async sendAgentMessage(sessionId, content) {
+    const data = await this.request(`/api/admin/conversations/${encodeURIComponent(sessionId)}/messages`, {
+      method: 'POST',
+      body: { content }
+    });
+    return data.message;
+  }
+
+  /**
+   * Open the dashboard's live socket; every listener gets each event.
+   * Returns a function that closes it.
+   */
+  connectLive() {
+    return LiveChat.connect(this.apiUrl, { token: this.getToken() }, (event) => {
+      this.liveListeners.forEach(listener => listener(event));
+    });
+  }
+
+  onLiveEvent(listener) {
+    this.liveListeners.add(listener);
+    return () => this.liveListeners.delete(listener);
+  }
+
+  /**
+   * The live report and the stored history for a date range
+   * (YYYY-MM-DD in clinic time; the server defaults to the last 30 days)
+   */
+  getAnalytics({ from, to, granularity } = {}) {
+    return this.request('/api/admin/analytics', {
+      query: { from, to, granularity }
+    });
+  }
+}
+
+export default new AdminApi();
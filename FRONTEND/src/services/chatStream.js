@@ -0,0 +1,91 @@
+/**
+ * Chat streaming client
+ * Posts a message to /api/chat/stream and parses the Server-Sent Events
+ * reply, so the widget can render the answer while it is being generated.
+ */
+
+class ChatStream {
+  /**
+   * Send a message and stream the reply
+   * onToken(text) is called for every chunk; resolves with the final
+   * { sessionId, message, appointmentState } payload.
+   */
+  async send(apiUrl, payload, { onToken = () => {}, signal } = {}) {
+    const response = await fetch(`${apiUrl}/api/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify(payload),
+      signal
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+
+    // Validation errors and rate limits come back as plain JSON
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || data.message || 'Failed to get response');
+      error.status = response.status;
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const rawEvent of events) {
+        const { event, data } = this.parseEvent(rawEvent);
+
+        if (event === 'token') {
+          onToken(data.text);
+        } else if (event === 'done') {
+          result = data;
+        } else if (event === 'error') {
+          throw new Error(data.error || 'Failed to get response');
+        }
+      }
+    }
+
+    if (!result) {
+      throw new Error('Stream ended before the response was complete');
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse one SSE block ("event: x\ndata: {...}")
+   */
+  parseEvent(rawEvent) {
+    let event = 'message';
+    const dataLines = [];
+
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+
+    return {
+      event,
+      data: dataLines.length > 0 ? JSON.parse(dataLines.join('\n')) : {}
+    };
+  }
+}
+
+export default new ChatStream();
@@ -0,0 +1,62 @@
+/**
+ * Live chat client
+ * Listens on the backend's /ws socket for messages from clinic staff and
+ * handoff events. The widget says hello with its session id, the dashboard
+ * with the staff JWT. Messages are still sent over HTTP - the socket only
+ * receives.
+ *
+ * Reconnects with backoff when the connection drops (server restarts, the
+ * Render instance waking up), except when the server rejects the hello.
+ */
+
+const MAX_RETRY_DELAY = 30000;
+
+class LiveChat {
+  /**
+   * Open a socket and keep it open. onEvent(event) gets every pushed event.
+   * Returns a function that closes it for good.
+   */
+  connect(apiUrl, hello, onEvent) {
+    const url = `${apiUrl.replace(/^http/, 'ws').replace(/\/$/, '')}/ws`;
+    let socket = null;
+    let retryTimer = null;
+    let attempts = 0;
+    let closed = false;
+
+    const open = () => {
+      socket = new WebSocket(url);
+
+      socket.onopen = () => {
+        attempts = 0;
+        socket.send(JSON.stringify({ type: 'hello', ...hello }));
+      };
+
+      socket.onmessage = (e) => {
+        try {
+          onEvent(JSON.parse(e.data));
+        } catch (error) {
+          console.error('Live chat event error:', error);
+        }
+      };
+
+      socket.onclose = (e) => {
+        // 4400/4401: bad hello or expired token - retrying won't help
+        if (closed || e.code === 4400 || e.code === 4401) return;
+
+        const delay = Math.min(1000 * 2 ** attempts, MAX_RETRY_DELAY);
+        attempts++;
+        retryTimer = setTimeout(open, delay);
+      };
+    };
+
+    open();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+    };
+  }
+}
+
+export default new LiveChat();
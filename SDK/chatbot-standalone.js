@@ -33,9 +33,13 @@
     messages: [],
     sessionId: null,
     isLoading: false,
-    appointmentState: 'NONE'
+    appointmentState: 'NONE',
+    handoff: { status: 'none', agentName: null }
   };
 
+  // Closes the live chat socket
+  let closeLiveChat = null;
+
   // Initialize chatbot
   function init() {
     // Check if already initialized
@@ -62,6 +66,9 @@
 
     // Load conversation history
     loadConversationHistory();
+
+    // Staff replies and takeover/release notices arrive over the socket
+    closeLiveChat = connectLiveChat();
   }
 
   // Generate unique session ID
@@ -191,6 +198,35 @@
         box-shadow: 0 1px 2px rgba(0,0,0,0.1);
       }
 
+      /* Clinic staff who took over the chat */
+      .vet-chatbot-message.agent {
+        flex-direction: column;
+        align-items: flex-start;
+      }
+
+      .vet-chatbot-message.agent .vet-chatbot-bubble {
+        background: white;
+        color: #333;
+        border: 1px solid #4CAF50;
+        border-bottom-left-radius: 4px;
+      }
+
+      .vet-chatbot-author {
+        font-size: 11px;
+        font-weight: 600;
+        color: #666;
+        margin-bottom: 4px;
+        padding: 0 4px;
+      }
+
+      .vet-chatbot-notice {
+        margin: 4px auto 12px;
+        max-width: 85%;
+        text-align: center;
+        font-size: 12px;
+        color: #888;
+      }
+
       .vet-chatbot-input-container {
         display: flex;
         gap: 8px;
@@ -385,52 +421,267 @@
     showLoader();
 
     try {
-      const response = await fetch(`${API_URL}/api/chat`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          message,
-          sessionId: state.sessionId,
-          context: window.VetChatbotConfig || {}
-        })
-      });
-
-      const data = await response.json();
+      const payload = {
+        message,
+        sessionId: state.sessionId,
+        context: {
+          ...(window.VetChatbotConfig || {}),
+          timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        }
+      };
 
-      if (response.ok) {
-        hideLoader();
-        addMessage('bot', data.message);
-        state.appointmentState = data.appointmentState || 'NONE';
+      const data = await streamReply(payload);
+
+      hideLoader();
+      if (data.handoff) applyHandoff(data.handoff);
+      state.appointmentState = data.appointmentState || 'NONE';
+
+      // A staff member has the chat - the assistant stays quiet and their
+      // reply comes over the socket
+      if (data.message === null) return;
+
+      if (data.bubble) {
+        // Streamed bubble already on screen, settle it on the final text
+        data.bubble.textContent = data.message;
+        data.entry.content = data.message;
       } else {
-        throw new Error(data.error || 'Failed to get response');
+        addMessage('bot', data.message);
       }
     } catch (error) {
       console.error('Chat error:', error);
       hideLoader();
-      addMessage('bot', 'I apologize, but I\'m having trouble connecting right now. Please try again later.');
+      addMessage('bot', error.status
+        ? error.message
+        : 'I apologize, but I\'m having trouble connecting right now. Please try again later.');
+    }
+  }
+
+  // Stream the reply over SSE, growing a bubble as tokens arrive.
+  // Falls back to the plain JSON endpoint only when the browser can't read
+  // a stream or the backend has no streaming endpoint.
+  async function streamReply(payload) {
+    if (!window.TextDecoder || !window.ReadableStream) {
+      return requestReply(payload);
+    }
+
+    const response = await fetch(`${API_URL}/api/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (response.status === 404 || response.status === 405) {
+      return requestReply(payload);
+    }
+
+    // Validation errors and rate limits come back as plain JSON
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || !contentType.includes('text/event-stream')) {
+      const data = await response.json().catch(() => ({}));
+      throw responseError(response, data);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const streamed = { bubble: null, entry: null, text: '' };
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+
+        for (const rawEvent of events) {
+          let event = 'message';
+          let data = '';
+          rawEvent.split('\n').forEach(line => {
+            if (line.startsWith('event:')) event = line.slice(6).trim();
+            else if (line.startsWith('data:')) data += line.slice(5).trim();
+          });
+          if (!data) continue;
+
+          const parsed = JSON.parse(data);
+          if (event === 'token') {
+            appendToken(streamed, parsed.text);
+          } else if (event === 'done') {
+            return { ...parsed, bubble: streamed.bubble, entry: streamed.entry };
+          } else if (event === 'error') {
+            throw new Error(parsed.error || 'Failed to get response');
+          }
+        }
+      }
+
+      throw new Error('Stream ended before the reply completed');
+    } catch (error) {
+      // Drop the partial answer, the error message replaces it
+      if (streamed.bubble) {
+        streamed.bubble.parentNode.remove();
+        state.messages.splice(state.messages.indexOf(streamed.entry), 1);
+      }
+      throw error;
     }
   }
 
-  // Add message to chat
-  function addMessage(role, content) {
+  // Swap the loader for a bot bubble on the first token, then extend it
+  function appendToken(streamed, text) {
+    streamed.text += text;
+
+    if (!streamed.bubble) {
+      const loader = document.getElementById('vet-chatbot-loader-container');
+      if (loader) {
+        loader.remove();
+      }
+      streamed.bubble = addMessage('bot', streamed.text);
+      streamed.entry = state.messages[state.messages.length - 1];
+      return;
+    }
+
+    streamed.bubble.textContent = streamed.text;
     const messagesContainer = document.getElementById('vet-chatbot-messages');
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `vet-chatbot-message ${role}`;
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+  }
+
+  // Non-streaming request/response
+  async function requestReply(payload) {
+    const response = await fetch(`${API_URL}/api/chat`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload)
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw responseError(response, data);
+    }
+    return data;
+  }
+
+  // An error the server explained, shown as is. Rate limits put the
+  // readable text in message ("Try again in 30 seconds"), the rest in error.
+  function responseError(response, data) {
+    const error = new Error(data.message || data.error || 'Failed to get response');
+    error.status = response.status;
+    return error;
+  }
 
+  // Add message to chat. Messages from the server pass their id, and
+  // staff replies the agentName to show above them.
+  function addMessage(role, content, details = {}) {
+    const messagesContainer = document.getElementById('vet-chatbot-messages');
     const bubbleDiv = document.createElement('div');
-    bubbleDiv.className = 'vet-chatbot-bubble';
     bubbleDiv.textContent = content;
 
-    messageDiv.appendChild(bubbleDiv);
-    messagesContainer.appendChild(messageDiv);
+    if (role === 'system') {
+      // Staff joining or leaving the chat
+      bubbleDiv.className = 'vet-chatbot-notice';
+      messagesContainer.appendChild(bubbleDiv);
+    } else {
+      const messageDiv = document.createElement('div');
+      messageDiv.className = `vet-chatbot-message ${role}`;
+
+      if (role === 'agent' && details.agentName) {
+        const authorDiv = document.createElement('div');
+        authorDiv.className = 'vet-chatbot-author';
+        authorDiv.textContent = details.agentName;
+        messageDiv.appendChild(authorDiv);
+      }
+
+      bubbleDiv.className = 'vet-chatbot-bubble';
+      messageDiv.appendChild(bubbleDiv);
+      messagesContainer.appendChild(messageDiv);
+    }
 
     // Scroll to bottom
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
 
     // Update state
-    state.messages.push({ role, content, timestamp: new Date() });
+    state.messages.push({ id: details.id || null, role, content, timestamp: new Date() });
+
+    return bubbleDiv;
+  }
+
+  // A message from the server, unless it's already on screen (the socket
+  // can repeat one the history load just showed)
+  function addServerMessage(message) {
+    if (message._id && state.messages.some(entry => entry.id === message._id)) return;
+    addMessage(message.role, message.content, { id: message._id, agentName: message.agentName });
+  }
+
+  // A staff member took over the chat or handed it back to the assistant
+  function applyHandoff(handoff) {
+    state.handoff = handoff;
+    const agentName = handoff.status === 'active' ? handoff.agentName : null;
+
+    document.querySelector('.vet-chatbot-title').textContent = agentName
+      ? `🐾 Chatting with ${agentName}`
+      : '🐾 Veterinary Assistant';
+    document.getElementById('vet-chatbot-input').placeholder = agentName
+      ? `Message ${agentName}...`
+      : 'Ask about pet care or book an appointment...';
+  }
+
+  // Listen on the backend's /ws socket for staff replies and handoff events.
+  // Messages are still sent over HTTP - the socket only receives. Reconnects
+  // with backoff, except when the server rejects the hello.
+  // Returns a function that closes it for good.
+  function connectLiveChat() {
+    if (!window.WebSocket) return () => {};
+
+    const url = `${API_URL.replace(/^http/, 'ws').replace(/\/$/, '')}/ws`;
+    let socket = null;
+    let retryTimer = null;
+    let attempts = 0;
+    let closed = false;
+
+    const open = () => {
+      socket = new WebSocket(url);
+
+      socket.onopen = () => {
+        attempts = 0;
+        socket.send(JSON.stringify({ type: 'hello', sessionId: state.sessionId }));
+      };
+
+      socket.onmessage = (e) => {
+        try {
+          const event = JSON.parse(e.data);
+          if (event.type === 'handoff') {
+            applyHandoff(event.handoff);
+          }
+          if ((event.type === 'handoff' || event.type === 'message') && event.message) {
+            addServerMessage(event.message);
+          }
+        } catch (error) {
+          console.error('Live chat event error:', error);
+        }
+      };
+
+      socket.onclose = (e) => {
+        // 4400/4401: bad hello - retrying won't help
+        if (closed || e.code === 4400 || e.code === 4401) return;
+
+        const delay = Math.min(1000 * 2 ** attempts, 30000);
+        attempts++;
+        retryTimer = setTimeout(open, delay);
+      };
+    };
+
+    open();
+
+    return () => {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    };
   }
 
   // Show loading indicator
@@ -474,13 +725,16 @@
         if (data.messages && data.messages.length > 0) {
           const messagesContainer = document.getElementById('vet-chatbot-messages');
           messagesContainer.innerHTML = ''; // Clear welcome message
+          state.messages = [];
 
-          data.messages.forEach(msg => {
-            addMessage(msg.role, msg.content);
-          });
+          // The "asked for a person" marker is for staff; the bot's reply already says it
+          data.messages
+            .filter(msg => msg.event !== 'handoff_requested')
+            .forEach(msg => addServerMessage(msg));
 
           state.appointmentState = data.appointmentState || 'NONE';
         }
+        if (data.handoff) applyHandoff(data.handoff);
       }
     } catch (error) {
       console.error('Failed to load conversation history:', error);
@@ -508,6 +762,10 @@
       state.isOpen = false;
     },
     destroy: () => {
+      if (closeLiveChat) {
+        closeLiveChat();
+        closeLiveChat = null;
+      }
       const widget = document.getElementById('vet-chatbot-widget');
       if (widget) {
         widget.remove();